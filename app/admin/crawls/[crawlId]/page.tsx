@@ -0,0 +1,9 @@
+import CrawlDetail from '@/components/CrawlDetail';
+
+export default function CrawlDetailPage({ params }: { params: { crawlId: string } }) {
+    return (
+        <main className="min-h-screen py-12 px-4">
+            <CrawlDetail crawlId={params.crawlId} />
+        </main>
+    );
+}
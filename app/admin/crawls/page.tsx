@@ -0,0 +1,9 @@
+import CrawlHistory from '@/components/CrawlHistory';
+
+export default function CrawlHistoryPage() {
+    return (
+        <main className="min-h-screen py-12 px-4">
+            <CrawlHistory />
+        </main>
+    );
+}
@@ -0,0 +1,41 @@
+import Link from 'next/link';
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+import UserMenu from '@/components/UserMenu';
+import { getActiveUser } from '../api/authorizeRequest';
+
+export default async function AdminLayout({
+    children,
+}: {
+    children: React.ReactNode;
+}) {
+    // The middleware has checked the credential's signature; a revoked token or
+    // a removed or changed account is sent back to the login form
+    if (!(await getActiveUser(headers()))) {
+        redirect('/login');
+    }
+
+    return (
+        <>
+            <nav className="bg-white border-b border-gray-200">
+                <div className="max-w-5xl mx-auto px-4 h-14 flex items-center space-x-6 text-sm font-medium">
+                    <span className="text-gray-900 font-bold">Infinize Crawler</span>
+                    <Link href="/admin" className="text-gray-600 hover:text-blue-600">
+                        New Crawl
+                    </Link>
+                    <Link href="/admin/queue" className="text-gray-600 hover:text-blue-600">
+                        Queue
+                    </Link>
+                    <Link href="/admin/schedules" className="text-gray-600 hover:text-blue-600">
+                        Schedules
+                    </Link>
+                    <Link href="/admin/crawls" className="text-gray-600 hover:text-blue-600">
+                        Crawl History
+                    </Link>
+                    <UserMenu />
+                </div>
+            </nav>
+            {children}
+        </>
+    );
+}
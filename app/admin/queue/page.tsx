@@ -0,0 +1,9 @@
+import JobQueue from '@/components/JobQueue';
+
+export default function JobQueuePage() {
+    return (
+        <main className="min-h-screen py-12 px-4">
+            <JobQueue />
+        </main>
+    );
+}
@@ -0,0 +1,9 @@
+import Schedules from '@/components/Schedules';
+
+export default function SchedulesPage() {
+    return (
+        <main className="min-h-screen py-12 px-4">
+            <Schedules />
+        </main>
+    );
+}
@@ -0,0 +1,81 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { authenticateUser } from '../../../../crawler/auth/users.js';
+import { SESSION_COOKIE, getAuthSecret, signCredential } from '../../../../crawler/auth/tokens.js';
+
+interface LoginRequest {
+    username: string;
+    password: string;
+}
+
+/**
+ * POST /api/auth/login
+ * Checks a username and password and starts a session of auth.sessionTtlHours
+ * in an HttpOnly cookie
+ */
+export async function POST(request: NextRequest) {
+    let body: LoginRequest;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json(
+            { success: false, error: 'Invalid JSON body' },
+            { status: 400 }
+        );
+    }
+
+    const { username, password } = body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return NextResponse.json(
+            { success: false, error: 'username and password are required' },
+            { status: 400 }
+        );
+    }
+
+    const secret = getAuthSecret();
+    if (!secret) {
+        return NextResponse.json(
+            { success: false, error: 'Authentication is not configured: set CRAWLER_AUTH_SECRET' },
+            { status: 503 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const user = await authenticateUser(config.auth.dir, username, password);
+
+        if (!user) {
+            console.log(`Failed login for: ${username}`);
+            return NextResponse.json(
+                { success: false, error: 'Invalid username or password' },
+                { status: 401 }
+            );
+        }
+
+        const ttlSecs = config.auth.sessionTtlHours * 60 * 60;
+        const session = await signCredential(
+            { sub: user.username, role: user.role, typ: 'session', ttlSecs, ver: user.sessionVersion },
+            secret
+        );
+
+        const response = NextResponse.json({ success: true, user: { username: user.username, role: user.role } });
+        response.cookies.set(SESSION_COOKIE, session, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: request.nextUrl.protocol === 'https:',
+            path: '/',
+            maxAge: ttlSecs,
+        });
+        return response;
+    } catch (error) {
+        console.error('Failed to log in:', error);
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to log in',
+            },
+            { status: 500 }
+        );
+    }
+}
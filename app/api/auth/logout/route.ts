@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { endSessions } from '../../../../crawler/auth/users.js';
+import { SESSION_COOKIE, getAuthSecret, verifyCredential } from '../../../../crawler/auth/tokens.js';
+
+/**
+ * POST /api/auth/logout
+ * Ends the session: raises the user's session version, so the cookie is no
+ * longer accepted even if a copy of it is kept, and clears it
+ */
+export async function POST(request: NextRequest) {
+    const secret = getAuthSecret();
+    const session = secret
+        ? await verifyCredential(request.cookies.get(SESSION_COOKIE)?.value, 'session', secret)
+        : null;
+
+    let response = NextResponse.json({ success: true });
+    if (session) {
+        try {
+            const config = await loadConfig();
+            await endSessions(config.auth.dir, session.sub, session.ver ?? 0);
+        } catch (error) {
+            console.error('Failed to log out:', error);
+            response = NextResponse.json(
+                {
+                    success: false,
+                    error: error instanceof Error ? error.message : 'Failed to log out',
+                },
+                { status: 500 }
+            );
+        }
+    }
+
+    response.cookies.delete(SESSION_COOKIE);
+    return response;
+}
@@ -0,0 +1,23 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { getActiveUser } from '../../authorizeRequest';
+
+// Depends on the request's credentials; never cache it
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/auth/session
+ * Returns the logged-in user (or API token) and its current role
+ */
+export async function GET(request: NextRequest) {
+    const user = await getActiveUser(request.headers);
+
+    if (!user) {
+        return NextResponse.json(
+            { error: 'Authentication required' },
+            { status: 401 }
+        );
+    }
+
+    const { name, role, via } = user;
+    return NextResponse.json({ user: { name, role, via } });
+}
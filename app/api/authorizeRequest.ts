@@ -0,0 +1,43 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../crawler/config.js';
+import { getRequestUser } from '../../crawler/auth/requestAuth.js';
+import { checkRequestUser } from '../../crawler/auth/activeCredentials.js';
+import { hasRole } from '../../crawler/auth/tokens.js';
+
+// Safe methods only read; every other API request needs the operator role
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Gets the user of a request if their credential is still in force: the
+ * middleware has checked its signature, this checks that the API token has not
+ * been revoked and that the session's account has not been removed or changed
+ */
+export async function getActiveUser(headers: Headers) {
+    const user = getRequestUser(headers);
+    if (!user) {
+        return null;
+    }
+
+    const config = await loadConfig();
+    return checkRequestUser(config.auth.dir, user);
+}
+
+/**
+ * Checks the request's credential and, for requests that change anything,
+ * the operator role of the user's current account or token
+ * @returns A 401 or 403 response in the shape the route would have used, or null to go on
+ */
+export async function authorizeRequest(request: NextRequest) {
+    const isRead = READ_METHODS.includes(request.method);
+    const deny = (error: string, status: number) =>
+        NextResponse.json(isRead ? { error } : { success: false, error }, { status });
+
+    const user = await getActiveUser(request.headers);
+    if (!user) {
+        return deny('Authentication required', 401);
+    }
+    if (!isRead && !hasRole(user.role, 'operator')) {
+        return deny('Operator role required', 403);
+    }
+    return null;
+}
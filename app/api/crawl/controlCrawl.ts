@@ -0,0 +1,121 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../crawler/config.js';
+import { stopCrawl, pauseCrawl, resumeCrawl, isCrawlActive } from '../../../crawler/crawlRegistry.js';
+import { readProgress } from '../../../crawler/progressWriter.js';
+import { resumeStoredCrawl } from '../../../crawler/recovery.js';
+import { cancelQueuedJob } from '../../../crawler/jobManager.js';
+import { getRequestActor } from '../../../crawler/auth/requestAuth.js';
+import { authorizeRequest } from '../authorizeRequest';
+
+type ControlAction = 'stop' | 'pause' | 'resume';
+
+interface ControlRequest {
+    crawlId: string;
+}
+
+/**
+ * Handles POST /api/crawl/{stop,pause,resume}
+ * Looks up the live crawl in the registry and applies the action; stopping a
+ * queued crawl removes it from the queue
+ */
+export async function handleControlRequest(request: NextRequest, action: ControlAction) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    let body: ControlRequest;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json(
+            { success: false, error: 'Invalid JSON body' },
+            { status: 400 }
+        );
+    }
+
+    const { crawlId } = body;
+
+    if (!crawlId) {
+        return NextResponse.json(
+            { success: false, error: 'crawlId is required' },
+            { status: 400 }
+        );
+    }
+
+    const config = await loadConfig();
+    const baseDir = config.output.baseDir;
+
+    // An interrupted or crashed crawl has no live crawler, but can resume from its stored queue
+    if (action === 'resume' && !isCrawlActive(crawlId)) {
+        const progress = await readProgress({ baseDir, universityName: crawlId });
+
+        if (progress?.status === 'interrupted' || progress?.status === 'crashed') {
+            let position: number;
+            try {
+                position = await resumeStoredCrawl({ config, progress, startedBy: getRequestActor(request.headers) });
+            } catch (error) {
+                return NextResponse.json(
+                    {
+                        success: false,
+                        error: error instanceof Error ? error.message : 'Failed to resume crawl',
+                    },
+                    { status: 409 }
+                );
+            }
+
+            return NextResponse.json({
+                success: true,
+                crawlId,
+                position,
+                message: position > 0 ? `Crawl queued to resume at position ${position}` : 'Crawl resumed from its stored queue',
+            });
+        }
+    }
+
+    // A queued crawl has no crawler yet; stopping it takes it out of the queue
+    if (action === 'stop' && !isCrawlActive(crawlId)) {
+        const job = await cancelQueuedJob({ config, crawlId });
+
+        if (job) {
+            return NextResponse.json({
+                success: true,
+                crawlId,
+                message: 'Crawl removed from the queue',
+            });
+        }
+    }
+
+    if (!isCrawlActive(crawlId)) {
+        return NextResponse.json(
+            { success: false, error: 'Crawl is not running' },
+            { status: 404 }
+        );
+    }
+
+    try {
+        if (action === 'stop') {
+            // Progress moves to 'cancelled' once the crawl has finalized its output
+            stopCrawl(crawlId);
+        } else if (action === 'pause') {
+            // The worker running the crawl writes the new status to progress.json
+            await pauseCrawl(crawlId);
+        } else {
+            await resumeCrawl(crawlId);
+        }
+    } catch (error) {
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : `Failed to ${action} crawl`,
+            },
+            { status: 409 }
+        );
+    }
+
+    return NextResponse.json({
+        success: true,
+        crawlId,
+        message: `Crawl ${action === 'stop' ? 'stopping' : action === 'pause' ? 'paused' : 'resumed'}`,
+    });
+}
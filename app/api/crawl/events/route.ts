@@ -0,0 +1,136 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { readProgress } from '../../../../crawler/progressWriter.js';
+import { isCrawlActive } from '../../../../crawler/crawlRegistry.js';
+import { isCrawlQueued } from '../../../../crawler/jobManager.js';
+import { subscribeCrawlEvents } from '../../../../crawler/crawlEvents.js';
+import { toCrawlId } from '../../../../crawler/utils/sanitizer.js';
+import { authorizeRequest } from '../../authorizeRequest';
+
+// Event streams are per request and must never be cached
+export const dynamic = 'force-dynamic';
+
+const FINAL_STATUSES = ['completed', 'cancelled', 'failed', 'interrupted', 'crashed'];
+
+// Comment lines sent while the crawl is quiet, so proxies keep the connection open
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Formats one Server-Sent Event
+ */
+function formatEvent(type: string, data: unknown, id?: number) {
+    return `${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * GET /api/crawl/events?crawlId=example-university
+ * Streams a crawl's progress as Server-Sent Events: a `snapshot` of its
+ * progress, then `page`, `page-failed`, `enqueued`, `status` and `log` events
+ * until the crawl ends. Queued crawls stream from the time they start. Crawls
+ * not running or queued in this server process get the snapshot only; clients
+ * fall back to polling /api/crawl/status for those.
+ */
+export async function GET(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const crawlId = request.nextUrl.searchParams.get('crawlId');
+
+    if (!crawlId) {
+        return NextResponse.json(
+            { error: 'crawlId parameter is required' },
+            { status: 400 }
+        );
+    }
+
+    if (toCrawlId(crawlId) !== crawlId) {
+        return NextResponse.json(
+            { error: 'Invalid crawlId format' },
+            { status: 400 }
+        );
+    }
+
+    const config = await loadConfig();
+    const progress = await readProgress({ baseDir: config.output.baseDir, universityName: crawlId });
+
+    if (!progress) {
+        return NextResponse.json(
+            { error: 'Crawl not found or not started' },
+            { status: 404 }
+        );
+    }
+
+    // A reconnecting EventSource resumes after the last event it received
+    const lastEventId = Number(request.headers.get('last-event-id')) || 0;
+
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+        start(controller) {
+            let closed = false;
+            let unsubscribe: (() => void) | null = null;
+            let heartbeat: ReturnType<typeof setInterval> | undefined;
+
+            const send = (chunk: string) => {
+                if (!closed) controller.enqueue(encoder.encode(chunk));
+            };
+            cleanup = () => {
+                closed = true;
+                clearInterval(heartbeat);
+                unsubscribe?.();
+            };
+            const close = () => {
+                if (closed) return;
+                cleanup();
+                try {
+                    controller.close();
+                } catch {
+                    // Already closed by the client disconnecting
+                }
+            };
+
+            if (lastEventId === 0) {
+                send(formatEvent('snapshot', progress));
+            }
+            if (FINAL_STATUSES.includes(progress.status) || !(isCrawlActive(crawlId) || isCrawlQueued(crawlId))) {
+                close();
+                return;
+            }
+
+            // Replays the crawl's recent events, then streams new ones until it ends
+            unsubscribe = subscribeCrawlEvents(
+                crawlId,
+                (event) => {
+                    send(formatEvent(event.type, event.data, event.id));
+                    if (event.type === 'status' && FINAL_STATUSES.includes(event.data.status)) {
+                        close();
+                    }
+                },
+                { afterId: lastEventId }
+            );
+            if (closed) {
+                unsubscribe();
+                return;
+            }
+
+            heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_MS);
+            request.signal.addEventListener('abort', close);
+        },
+        cancel() {
+            cleanup();
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            // no-transform keeps the response from being buffered for compression
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        },
+    });
+}
@@ -0,0 +1,10 @@
+import { NextRequest } from 'next/server';
+import { handleControlRequest } from '../controlCrawl';
+
+/**
+ * POST /api/crawl/pause
+ * Pauses a running crawl after in-flight requests finish
+ */
+export async function POST(request: NextRequest) {
+    return handleControlRequest(request, 'pause');
+}
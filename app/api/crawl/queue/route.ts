@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { getJobQueue } from '../../../../crawler/jobManager.js';
+import { authorizeRequest } from '../../authorizeRequest';
+
+// Jobs change state as crawls start and finish; never cache the queue
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/crawl/queue
+ * Lists running jobs, queued jobs in the order they will start and recently
+ * finished jobs, with the queue's crawl and browser page limits
+ */
+export async function GET(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    try {
+        const config = await loadConfig();
+        return NextResponse.json(await getJobQueue({ config }));
+    } catch (error) {
+        console.error('Failed to read job queue:', error);
+        return NextResponse.json(
+            { error: 'Failed to read job queue' },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,10 @@
+import { NextRequest } from 'next/server';
+import { handleControlRequest } from '../controlCrawl';
+
+/**
+ * POST /api/crawl/resume
+ * Resumes a paused crawl
+ */
+export async function POST(request: NextRequest) {
+    return handleControlRequest(request, 'resume');
+}
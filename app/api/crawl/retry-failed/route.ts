@@ -0,0 +1,83 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { readProgress } from '../../../../crawler/progressWriter.js';
+import { retryFailedUrls } from '../../../../crawler/recovery.js';
+import { toCrawlId } from '../../../../crawler/utils/sanitizer.js';
+import { getRequestActor } from '../../../../crawler/auth/requestAuth.js';
+import { authorizeRequest } from '../../authorizeRequest';
+
+interface RetryRequest {
+    crawlId: string;
+}
+
+/**
+ * POST /api/crawl/retry-failed
+ * Re-crawls only the URLs that failed in a finished crawl and merges the
+ * pages that now succeed into its existing output
+ */
+export async function POST(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    let body: RetryRequest;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json(
+            { success: false, error: 'Invalid JSON body' },
+            { status: 400 }
+        );
+    }
+
+    const { crawlId } = body;
+
+    if (!crawlId || toCrawlId(crawlId) !== crawlId) {
+        return NextResponse.json(
+            { success: false, error: 'A valid crawlId is required' },
+            { status: 400 }
+        );
+    }
+
+    const config = await loadConfig();
+    const progress = await readProgress({ baseDir: config.output.baseDir, universityName: crawlId });
+
+    if (!progress) {
+        return NextResponse.json(
+            { success: false, error: 'Crawl not found' },
+            { status: 404 }
+        );
+    }
+
+    let retrying: number;
+    let position: number;
+    try {
+        ({ retrying, position } = await retryFailedUrls({
+            config,
+            progress,
+            startedBy: getRequestActor(request.headers),
+        }));
+    } catch (error) {
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to retry failed URLs',
+            },
+            { status: 409 }
+        );
+    }
+
+    console.log(`Retrying ${retrying} failed URLs for: ${progress.universityName}`);
+
+    return NextResponse.json({
+        success: true,
+        crawlId,
+        retrying,
+        position,
+        message:
+            position > 0
+                ? `Retry of ${retrying} failed URLs queued at position ${position}`
+                : `Retrying ${retrying} failed URLs`,
+    });
+}
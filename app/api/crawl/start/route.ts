@@ -1,120 +1,44 @@
 import { NextRequest, NextResponse } from 'next/server';
-import path from 'path';
-import fs from 'fs/promises';
+import { isCrawlActive } from '../../../../crawler/crawlRegistry.js';
+import { ConfigError, loadConfig } from '../../../../crawler/config.js';
+import { queueCrawl, isCrawlQueued } from '../../../../crawler/jobManager.js';
+import { getRequestActor } from '../../../../crawler/auth/requestAuth.js';
+import { TargetPolicyError } from '../../../../crawler/targetPolicy.js';
+import { authorizeRequest } from '../../authorizeRequest';
+
+type DiscoveryMode = 'links' | 'sitemap' | 'both';
+
+interface ScopeRequest {
+    maxDepth?: number | null;
+    maxPages?: number | null;
+    timeBudgetMins?: number | null;
+    includePatterns?: string[];
+    excludePatterns?: string[];
+    allowedSubdomains?: string[];
+}
 
 interface StartRequest {
     seedUrl: string;
     universityName: string;
     outputFormats?: string[];
-}
-
-// Store for active crawls to prevent duplicates
-const activeCrawls = new Set<string>();
-
-/**
- * Dynamically import and run the crawler
- * This runs asynchronously without blocking the API response
- */
-async function runCrawlerAsync(seedUrl: string, universityName: string, crawlId: string) {
-    try {
-        // Dynamic imports for crawler modules
-        const { runCrawler } = await import('../../../../crawler/crawler.js');
-        const { createPageHandler } = await import('../../../../crawler/handlers/pageHandler.js');
-        const { updateProgress, completeProgress, failProgress } = await import('../../../../crawler/progressWriter.js');
-        const { initSingleFile, appendToSingleFile, finalizeSingleFile } = await import('../../../../crawler/singleFileFormatter.js');
-        const defaultConfig = (await import('../../../../config/default.config.js')).default;
-
-        const config = defaultConfig;
-        const baseDir = config.output.baseDir;
-
-        // Initialize single file output
-        const outputFilePath = await initSingleFile({
-            baseDir,
-            universityName,
-            seedUrl,
-        });
-
-        // Track statistics
-        let pagesProcessed = 0;
-        let totalEnqueued = 1;
-        const processedUrls = new Set<string>();
-
-        // Create page handler with progress updates
-        const pageHandler = createPageHandler({
-            config,
-            onPageData: async (pageData: { url: string; [key: string]: unknown }) => {
-                if (processedUrls.has(pageData.url)) {
-                    return;
-                }
-                processedUrls.add(pageData.url);
-                pagesProcessed++;
-
-                await appendToSingleFile({
-                    baseDir,
-                    universityName,
-                    pageData,
-                });
-
-                await updateProgress({
-                    baseDir,
-                    universityName,
-                    pagesProcessed,
-                    totalEnqueued,
-                    currentUrl: pageData.url,
-                });
-            },
-            onEnqueue: (count: number) => {
-                totalEnqueued = count;
-            },
-        });
-
-        // Run the crawler
-        await runCrawler({
-            seedUrl,
-            config,
-            requestHandler: pageHandler,
-            onQueueUpdate: (count: number) => {
-                totalEnqueued = Math.max(totalEnqueued, count);
-            },
-        });
-
-        // Finalize
-        await finalizeSingleFile({
-            baseDir,
-            universityName,
-            pagesProcessed,
-            seedUrl,
-        });
-
-        await completeProgress({
-            baseDir,
-            universityName,
-            pagesProcessed,
-            outputFile: outputFilePath,
-        });
-
-        console.log(`Crawl completed for ${universityName}: ${pagesProcessed} pages`);
-    } catch (error) {
-        console.error(`Crawl failed for ${universityName}:`, error);
-
-        const defaultConfig = (await import('../../../../config/default.config.js')).default;
-        const { failProgress } = await import('../../../../crawler/progressWriter.js');
-
-        await failProgress({
-            baseDir: defaultConfig.output.baseDir,
-            universityName,
-            error: error instanceof Error ? error.message : 'Unknown error',
-        });
-    } finally {
-        activeCrawls.delete(crawlId);
-    }
+    discoveryMode?: DiscoveryMode;
+    scope?: ScopeRequest;
+    stripParams?: string[];
+    includeDocuments?: boolean;
+    incremental?: boolean;
+    priority?: number;
 }
 
 /**
  * POST /api/crawl/start
- * Starts a new crawl asynchronously
+ * Queues a new crawl; it starts as soon as the queue's crawl and browser page limits allow
  */
 export async function POST(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
     try {
         const body: StartRequest = await request.json();
         const { seedUrl, universityName } = body;
@@ -147,52 +71,71 @@ export async function POST(request: NextRequest) {
             );
         }
 
+        const priority = body.priority ?? 0;
+        if (!Number.isInteger(priority)) {
+            return NextResponse.json(
+                { success: false, error: 'priority must be an integer' },
+                { status: 400 }
+            );
+        }
+
         // Generate crawlId
         const crawlId = universityName
             .toLowerCase()
             .replace(/\s+/g, '-')
             .replace(/[^a-z0-9-]/g, '');
 
-        // Check if crawl is already running
-        if (activeCrawls.has(crawlId)) {
+        // Check if crawl is already running or waiting
+        if (isCrawlActive(crawlId) || isCrawlQueued(crawlId)) {
             return NextResponse.json(
-                { success: false, error: 'A crawl for this university is already running' },
+                { success: false, error: 'A crawl for this university is already running or queued' },
                 { status: 409 }
             );
         }
 
-        // Initialize progress file
-        const baseDir = process.env.OUTPUT_DIR || './output';
-        const progressDir = path.join(process.cwd(), baseDir, crawlId);
-        const progressPath = path.join(progressDir, 'progress.json');
-
-        await fs.mkdir(progressDir, { recursive: true });
-
-        const initialProgress = {
-            status: 'starting',
-            pagesProcessed: 0,
-            totalEnqueued: 0,
-            currentUrl: seedUrl,
-            startTime: new Date().toISOString(),
-            endTime: null,
-            seedUrl,
-            universityName,
-            error: null,
-            outputFile: null,
-        };
-
-        await fs.writeFile(progressPath, JSON.stringify(initialProgress, null, 2), 'utf8');
-
-        // Mark as active and start crawl asynchronously (don't await)
-        activeCrawls.add(crawlId);
-        runCrawlerAsync(seedUrl, universityName, crawlId);
+        // Layer the request's settings onto the loaded config, validate them and queue the crawl;
+        // its progress file is written with status 'queued' until it starts
+        const config = await loadConfig();
+        let queued;
+        try {
+            queued = await queueCrawl({
+                config,
+                seedUrl,
+                universityName,
+                overrides: body,
+                priority,
+                startedBy: getRequestActor(request.headers),
+            });
+        } catch (error) {
+            if (error instanceof ConfigError) {
+                return NextResponse.json(
+                    { success: false, error: error.errors.join('; ') },
+                    { status: 400 }
+                );
+            }
+            if (error instanceof TargetPolicyError) {
+                return NextResponse.json(
+                    { success: false, error: error.message },
+                    { status: 400 }
+                );
+            }
+            throw error;
+        }
+        const { job, position } = queued;
 
-        console.log(`Started crawler for: ${universityName}`);
+        console.log(
+            position > 0
+                ? `Queued crawler for: ${universityName} (position ${position})`
+                : `Started crawler for: ${universityName}`
+        );
 
         return NextResponse.json({
             success: true,
             crawlId,
-            message: 'Crawler started successfully',
+            jobId: job.jobId,
+            state: job.state,
+            position,
+            message: position > 0 ? `Crawl queued at position ${position}` : 'Crawler started successfully',
         });
     } catch (error) {
         console.error('Failed to start crawler:', error);
@@ -1,9 +1,11 @@
 import { NextRequest, NextResponse } from 'next/server';
 import fs from 'fs/promises';
-import path from 'path';
+import { loadConfig } from '../../../../crawler/config.js';
+import { getProgressFilePath } from '../../../../crawler/progressWriter.js';
+import { authorizeRequest } from '../../authorizeRequest';
 
 interface Progress {
-    status: 'starting' | 'running' | 'completed' | 'failed';
+    status: 'queued' | 'starting' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed' | 'interrupted' | 'crashed';
     pagesProcessed: number;
     totalEnqueued: number;
     currentUrl: string;
@@ -13,6 +15,29 @@ interface Progress {
     universityName: string;
     error: string | null;
     outputFile: string | null;
+    skipped?: {
+        total: number;
+        byReason: Record<string, number>;
+    };
+    changes?: {
+        unchanged: number;
+        changed: number;
+        new: number;
+        removed: number;
+    };
+    changeReportFile?: string | null;
+    failed?: {
+        total: number;
+        byClass: Record<string, number>;
+    };
+    quality?: {
+        pagesAnalyzed: number;
+        pagesWithIssues: number;
+        byIssue: Record<string, number>;
+    };
+    qualityReportFile?: string | null;
+    entitiesFile?: string | null;
+    extracted?: Record<string, number> | null;
 }
 
 /**
@@ -20,6 +45,11 @@ interface Progress {
  * Returns the current crawl progress for a university
  */
 export async function GET(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
     const searchParams = request.nextUrl.searchParams;
     const crawlId = searchParams.get('crawlId');
 
@@ -43,10 +73,9 @@ export async function GET(request: NextRequest) {
         );
     }
 
-    const baseDir = process.env.OUTPUT_DIR || './output';
-    const progressPath = path.join(process.cwd(), baseDir, sanitizedId, 'progress.json');
-
     try {
+        const config = await loadConfig();
+        const progressPath = getProgressFilePath(config.output.baseDir, sanitizedId);
         const content = await fs.readFile(progressPath, 'utf8');
         const progress: Progress = JSON.parse(content);
 
@@ -0,0 +1,10 @@
+import { NextRequest } from 'next/server';
+import { handleControlRequest } from '../controlCrawl';
+
+/**
+ * POST /api/crawl/stop
+ * Stops a running crawl; its output is finalized with the pages collected so far
+ */
+export async function POST(request: NextRequest) {
+    return handleControlRequest(request, 'stop');
+}
@@ -0,0 +1,60 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../../crawler/config.js';
+import { getFormatDownload } from '../../../../../crawler/crawlHistory.js';
+import { toCrawlId } from '../../../../../crawler/utils/sanitizer.js';
+import { authorizeRequest } from '../../../authorizeRequest';
+
+/**
+ * GET /api/crawls/:crawlId/download?format=json
+ * Downloads one output format: single-file formats as the file itself,
+ * multi-file formats as a ZIP archive
+ */
+export async function GET(request: NextRequest, { params }: { params: { crawlId: string } }) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { crawlId } = params;
+    const format = request.nextUrl.searchParams.get('format');
+
+    if (toCrawlId(crawlId) !== crawlId) {
+        return NextResponse.json(
+            { error: 'Invalid crawlId format' },
+            { status: 400 }
+        );
+    }
+
+    if (!format) {
+        return NextResponse.json(
+            { error: 'format parameter is required' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const download = await getFormatDownload(config.output.baseDir, crawlId, format);
+
+        if (!download) {
+            return NextResponse.json(
+                { error: `No ${format} output for this crawl` },
+                { status: 404 }
+            );
+        }
+
+        return new NextResponse(new Uint8Array(download.data), {
+            headers: {
+                'Content-Type': download.contentType,
+                'Content-Disposition': `attachment; filename="${download.filename}"`,
+                'Content-Length': String(download.data.length),
+            },
+        });
+    } catch (error) {
+        console.error('Failed to prepare download:', error);
+        return NextResponse.json(
+            { error: 'Failed to prepare download' },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,105 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { readCrawlDetail, deleteCrawlOutput } from '../../../../crawler/crawlHistory.js';
+import { isCrawlActive } from '../../../../crawler/crawlRegistry.js';
+import { isCrawlQueued } from '../../../../crawler/jobManager.js';
+import { toCrawlId } from '../../../../crawler/utils/sanitizer.js';
+import { authorizeRequest } from '../../authorizeRequest';
+
+interface RouteContext {
+    params: { crawlId: string };
+}
+
+/**
+ * GET /api/crawls/:crawlId
+ * Returns one crawl with its settings and a preview of its markdown output
+ */
+export async function GET(request: NextRequest, { params }: RouteContext) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { crawlId } = params;
+
+    if (toCrawlId(crawlId) !== crawlId) {
+        return NextResponse.json(
+            { error: 'Invalid crawlId format' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const crawl = await readCrawlDetail(config.output.baseDir, crawlId);
+
+        if (!crawl) {
+            return NextResponse.json(
+                { error: 'Crawl not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ ...crawl, active: isCrawlActive(crawlId) || isCrawlQueued(crawlId) });
+    } catch (error) {
+        console.error('Failed to read crawl:', error);
+        return NextResponse.json(
+            { error: 'Failed to read crawl' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/crawls/:crawlId
+ * Deletes a crawl's output, state and progress; running crawls must be stopped first
+ */
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { crawlId } = params;
+
+    if (toCrawlId(crawlId) !== crawlId) {
+        return NextResponse.json(
+            { success: false, error: 'Invalid crawlId format' },
+            { status: 400 }
+        );
+    }
+
+    if (isCrawlActive(crawlId) || isCrawlQueued(crawlId)) {
+        return NextResponse.json(
+            { success: false, error: 'Stop the crawl before deleting it' },
+            { status: 409 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const deleted = await deleteCrawlOutput(config.output.baseDir, crawlId);
+
+        if (!deleted) {
+            return NextResponse.json(
+                { success: false, error: 'Crawl not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            crawlId,
+            message: 'Crawl deleted',
+        });
+    } catch (error) {
+        console.error('Failed to delete crawl:', error);
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to delete crawl',
+            },
+            { status: 500 }
+        );
+    }
+}
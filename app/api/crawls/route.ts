@@ -0,0 +1,38 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../crawler/config.js';
+import { listCrawls } from '../../../crawler/crawlHistory.js';
+import { isCrawlActive } from '../../../crawler/crawlRegistry.js';
+import { isCrawlQueued } from '../../../crawler/jobManager.js';
+import { authorizeRequest } from '../authorizeRequest';
+
+// Progress files change while crawls run; never cache the list
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/crawls?status=completed
+ * Lists every crawl in the output directory, most recent first,
+ * optionally filtered by status
+ */
+export async function GET(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const status = request.nextUrl.searchParams.get('status');
+
+    try {
+        const config = await loadConfig();
+        const crawls = (await listCrawls(config.output.baseDir))
+            .filter((crawl) => !status || crawl.status === status)
+            .map((crawl) => ({ ...crawl, active: isCrawlActive(crawl.crawlId) || isCrawlQueued(crawl.crawlId) }));
+
+        return NextResponse.json({ crawls });
+    } catch (error) {
+        console.error('Failed to list crawls:', error);
+        return NextResponse.json(
+            { error: 'Failed to list crawls' },
+            { status: 500 }
+        );
+    }
+}
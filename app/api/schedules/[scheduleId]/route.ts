@@ -0,0 +1,155 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../../crawler/config.js';
+import { authorizeRequest } from '../../authorizeRequest';
+import {
+    deleteSchedule,
+    isValidScheduleId,
+    readSchedule,
+    setScheduleEnabled,
+} from '../../../../crawler/schedules.js';
+
+// Schedules record their runs as they happen; never cache them
+export const dynamic = 'force-dynamic';
+
+interface RouteContext {
+    params: { scheduleId: string };
+}
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Returns one schedule with its run history
+ */
+export async function GET(request: NextRequest, { params }: RouteContext) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { scheduleId } = params;
+
+    if (!isValidScheduleId(scheduleId)) {
+        return NextResponse.json(
+            { error: 'Invalid scheduleId format' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const schedule = await readSchedule(config.output.baseDir, scheduleId);
+
+        if (!schedule) {
+            return NextResponse.json(
+                { error: 'Schedule not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json(schedule);
+    } catch (error) {
+        console.error('Failed to read schedule:', error);
+        return NextResponse.json(
+            { error: 'Failed to read schedule' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Pauses ({ enabled: false }) or resumes ({ enabled: true }) a schedule
+ */
+export async function PATCH(request: NextRequest, { params }: RouteContext) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { scheduleId } = params;
+
+    if (!isValidScheduleId(scheduleId)) {
+        return NextResponse.json(
+            { success: false, error: 'Invalid scheduleId format' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const { enabled } = await request.json();
+
+        if (typeof enabled !== 'boolean') {
+            return NextResponse.json(
+                { success: false, error: 'enabled must be a boolean' },
+                { status: 400 }
+            );
+        }
+
+        const config = await loadConfig();
+        const schedule = await setScheduleEnabled(config.output.baseDir, scheduleId, enabled);
+
+        if (!schedule) {
+            return NextResponse.json(
+                { success: false, error: 'Schedule not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ success: true, schedule });
+    } catch (error) {
+        console.error('Failed to update schedule:', error);
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to update schedule',
+            },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Deletes a schedule; crawls it already queued or started carry on
+ */
+export async function DELETE(request: NextRequest, { params }: RouteContext) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    const { scheduleId } = params;
+
+    if (!isValidScheduleId(scheduleId)) {
+        return NextResponse.json(
+            { success: false, error: 'Invalid scheduleId format' },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const config = await loadConfig();
+        const deleted = await deleteSchedule(config.output.baseDir, scheduleId);
+
+        if (!deleted) {
+            return NextResponse.json(
+                { success: false, error: 'Schedule not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            scheduleId,
+            message: 'Schedule deleted',
+        });
+    } catch (error) {
+        console.error('Failed to delete schedule:', error);
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to delete schedule',
+            },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,95 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { loadConfig } from '../../../crawler/config.js';
+import { createSchedule, listSchedules, validateSchedule } from '../../../crawler/schedules.js';
+import { getRequestActor } from '../../../crawler/auth/requestAuth.js';
+import { checkTarget } from '../../../crawler/targetPolicy.js';
+import { authorizeRequest } from '../authorizeRequest';
+
+// Schedules record their runs as they happen; never cache the list
+export const dynamic = 'force-dynamic';
+
+interface ScheduleRequest {
+    seedUrl: string;
+    universityName: string;
+    cron?: string;
+    intervalMins?: number;
+    settings?: Record<string, unknown>;
+    priority?: number;
+    enabled?: boolean;
+}
+
+/**
+ * GET /api/schedules
+ * Lists the crawl schedules with their next run and recent run history
+ */
+export async function GET(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    try {
+        const config = await loadConfig();
+        return NextResponse.json({ schedules: await listSchedules(config.output.baseDir) });
+    } catch (error) {
+        console.error('Failed to list schedules:', error);
+        return NextResponse.json(
+            { error: 'Failed to list schedules' },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * POST /api/schedules
+ * Creates a recurring crawl that runs on a cron expression or every intervalMins minutes
+ */
+export async function POST(request: NextRequest) {
+    const denied = await authorizeRequest(request);
+    if (denied) {
+        return denied;
+    }
+
+    try {
+        const body: ScheduleRequest = await request.json();
+
+        if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+            return NextResponse.json(
+                { success: false, error: 'enabled must be a boolean' },
+                { status: 400 }
+            );
+        }
+
+        const config = await loadConfig();
+        const errors = validateSchedule({ config, input: body });
+        if (errors.length > 0) {
+            return NextResponse.json(
+                { success: false, error: errors.join('; ') },
+                { status: 400 }
+            );
+        }
+
+        // Each run is checked again when it is queued; hosts may resolve elsewhere by then
+        const violation = await checkTarget(body.seedUrl, config.targets);
+        if (violation) {
+            return NextResponse.json(
+                { success: false, error: `Target not allowed: ${violation}` },
+                { status: 400 }
+            );
+        }
+
+        const schedule = await createSchedule(config.output.baseDir, body, getRequestActor(request.headers).name);
+        console.log(`Created schedule ${schedule.scheduleId} for ${schedule.universityName}`);
+
+        return NextResponse.json({ success: true, schedule });
+    } catch (error) {
+        console.error('Failed to create schedule:', error);
+        return NextResponse.json(
+            {
+                success: false,
+                error: error instanceof Error ? error.message : 'Failed to create schedule',
+            },
+            { status: 500 }
+        );
+    }
+}
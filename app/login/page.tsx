@@ -0,0 +1,13 @@
+import LoginForm from '@/components/LoginForm';
+
+export default function LoginPage({
+    searchParams,
+}: {
+    searchParams: { next?: string };
+}) {
+    return (
+        <main className="min-h-screen py-12 px-4">
+            <LoginForm next={searchParams.next} />
+        </main>
+    );
+}
@@ -0,0 +1,699 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import os from 'os';
+import readline from 'readline';
+import { randomUUID } from 'crypto';
+import { parseArgs } from 'util';
+import { ConfigError, loadConfig, mergeConfig, readEffectiveConfig, resolveCrawlConfig } from '../crawler/config.js';
+import { runCrawlJob } from '../crawler/crawlJob.js';
+import { registerCrawl, stopCrawl, isCrawlActive } from '../crawler/crawlRegistry.js';
+import { hasResumableState } from '../crawler/crawlState.js';
+import { initProgress, readProgress } from '../crawler/progressWriter.js';
+import { readFailures } from '../crawler/failureLog.js';
+import { toCrawlId } from '../crawler/utils/sanitizer.js';
+import { checkTarget } from '../crawler/targetPolicy.js';
+import { writeAuditEntry } from '../crawler/auth/auditLog.js';
+import { listUsers, removeUser, saveUser } from '../crawler/auth/users.js';
+import { ROLES, getAuthSecret, signCredential } from '../crawler/auth/tokens.js';
+import { listTokens, recordToken, revokeToken } from '../crawler/auth/apiTokens.js';
+
+/**
+ * Crawl CLI
+ * Runs crawls without the admin UI, for nightly jobs and scripts:
+ *
+ *   infinize-crawl crawl <seedUrl> --name "Example University" [options]
+ *   infinize-crawl batch <universities.csv|.json> [options]
+ *
+ * and manages the accounts and API tokens of the admin panel and API:
+ *
+ *   infinize-crawl user add <username> --role operator
+ *   infinize-crawl token create <name> --role viewer
+ */
+
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    cancelled: 130,
+};
+
+const USAGE = `Usage:
+  infinize-crawl crawl <seedUrl> --name <university> [options]
+  infinize-crawl batch <file.csv|file.json> [options]
+  infinize-crawl user add <username> [--role <role>]
+  infinize-crawl user remove <username>
+  infinize-crawl user list
+  infinize-crawl token create <name> [--role <role>] [--days <n>]
+  infinize-crawl token revoke <name|id>
+  infinize-crawl token list
+
+Options:
+  -n, --name <name>          University name (crawl only)
+  -f, --format <list>        Output formats, comma separated (markdown, json, html, links)
+  -d, --discovery <mode>     URL discovery: links, sitemap or both
+      --max-depth <n>        Links followed away from the seed
+      --max-pages <n>        Pages crawled
+      --time-budget <mins>   Wall-clock budget in minutes
+      --include <pattern>    Only crawl matching URLs (repeatable)
+      --exclude <pattern>    Never crawl matching URLs (repeatable)
+      --subdomain <name>     Allowed subdomain beside the seed host (repeatable)
+      --strip-params <list>  Query parameters ignored when deduplicating, comma separated
+      --documents            Download and extract linked PDF and Office documents
+      --incremental          Compare with the previous crawl and write a change report
+      --resume               Continue an interrupted crawl from its stored queue
+      --retry-failed         Re-crawl only the URLs that failed in the last run, adding them to its output
+  -o, --output <dir>         Output directory (defaults to output.baseDir)
+  -c, --config <file>        Project config file (.js or .json; defaults to ./crawler.config.*)
+      --json                 Print a JSON summary on stdout
+  -q, --quiet                Do not stream progress
+  -h, --help                 Show this help
+
+Account options:
+  -r, --role <role>          viewer (see crawls and outputs) or operator (also start, stop
+                             and delete them); defaults to viewer
+      --days <n>             Days until the token expires (defaults to auth.tokenTtlDays)
+
+"user add" reads the password from the terminal, or from the first line of stdin
+when piped; adding an existing user sets a new password and role, and changing or
+removing a user ends their open sessions. "token create" prints a token for the
+Authorization: Bearer header and needs CRAWLER_AUTH_SECRET; "token revoke" turns off
+one token by ID, or every token with a name.
+
+Batch files are CSV with seedUrl and universityName columns, or a JSON array of
+{ seedUrl, universityName, outputFormats, scope, ... } objects. Command-line
+options apply to every entry; per-entry fields take precedence.
+
+Exit codes: 0 completed, 1 a crawl failed, 2 invalid usage or config, 130 interrupted`;
+
+const OPTIONS = {
+    name: { type: 'string', short: 'n' },
+    format: { type: 'string', short: 'f' },
+    discovery: { type: 'string', short: 'd' },
+    'max-depth': { type: 'string' },
+    'max-pages': { type: 'string' },
+    'time-budget': { type: 'string' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    subdomain: { type: 'string', multiple: true },
+    'strip-params': { type: 'string' },
+    documents: { type: 'boolean' },
+    incremental: { type: 'boolean' },
+    resume: { type: 'boolean' },
+    'retry-failed': { type: 'boolean' },
+    output: { type: 'string', short: 'o' },
+    config: { type: 'string', short: 'c' },
+    json: { type: 'boolean' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' },
+    role: { type: 'string', short: 'r' },
+    days: { type: 'string' },
+};
+
+/**
+ * Thrown for invalid arguments or batch files (exit code 2, as for ConfigError)
+ */
+class UsageError extends Error {}
+
+// ============================================================================
+// Arguments
+// ============================================================================
+
+/**
+ * Parses an optional positive integer option
+ * @param {string|undefined} value - Raw option value
+ * @param {string} flag - Option name for error messages
+ * @returns {number|undefined} Parsed number
+ */
+function parseCount(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        throw new UsageError(`--${flag} must be a non-negative integer`);
+    }
+    return number;
+}
+
+/**
+ * Splits a comma separated option into a list
+ * @param {string|undefined} value - Raw option value
+ * @returns {string[]|undefined} Trimmed, non-empty items
+ */
+function parseList(value) {
+    return value === undefined
+        ? undefined
+        : value
+              .split(',')
+              .map((item) => item.trim())
+              .filter(Boolean);
+}
+
+/**
+ * Builds crawl settings from command-line options. Options that were not
+ * given are left out so config defaults and batch entries can fill them.
+ * @param {Object} values - Parsed option values
+ * @returns {Object} Crawl settings
+ */
+function settingsFromOptions(values) {
+    const scope = {
+        maxDepth: parseCount(values['max-depth'], 'max-depth'),
+        maxPages: parseCount(values['max-pages'], 'max-pages'),
+        timeBudgetMins: parseCount(values['time-budget'], 'time-budget'),
+        includePatterns: values.include,
+        excludePatterns: values.exclude,
+        allowedSubdomains: values.subdomain,
+    };
+
+    return {
+        outputFormats: parseList(values.format),
+        discoveryMode: values.discovery,
+        scope: Object.fromEntries(Object.entries(scope).filter(([, value]) => value !== undefined)),
+        stripParams: parseList(values['strip-params']),
+        includeDocuments: values.documents,
+        incremental: values.incremental,
+        resume: values.resume,
+        retryFailed: values['retry-failed'],
+    };
+}
+
+/**
+ * Validates one crawl's settings and builds its config
+ * @param {Object} entry - Crawl settings, including seedUrl and universityName
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} Crawl with its config
+ * @throws {UsageError|ConfigError} If a setting is invalid
+ */
+function resolveCrawl(entry, config) {
+    const { seedUrl, universityName } = entry;
+
+    if (!seedUrl) {
+        throw new UsageError('A seed URL is required');
+    }
+    try {
+        new URL(seedUrl);
+    } catch {
+        throw new UsageError(`Invalid seed URL: ${seedUrl}`);
+    }
+    if (!universityName || !toCrawlId(universityName)) {
+        throw new UsageError(`A university name is required for ${seedUrl}`);
+    }
+
+    const { resume = false, retryFailed = false, ...overrides } = entry;
+    if (resume && retryFailed) {
+        throw new UsageError('--resume and --retry-failed cannot be combined');
+    }
+    const crawlConfig = resolveCrawlConfig(config, overrides);
+
+    return {
+        seedUrl,
+        universityName,
+        outputFormats: entry.outputFormats ?? crawlConfig.output.defaultFormats,
+        config: crawlConfig,
+        // Stored in progress.json alongside the saved config
+        settings: {
+            outputFormats: entry.outputFormats ?? crawlConfig.output.defaultFormats,
+            discoveryMode: crawlConfig.discovery.mode,
+            scope: entry.scope ?? {},
+            stripParams: entry.stripParams ?? null,
+            includeDocuments: crawlConfig.documents.enabled,
+            incremental: crawlConfig.incremental.enabled,
+        },
+        resume,
+        retryFailed,
+        authDir: config.auth.dir,
+    };
+}
+
+// ============================================================================
+// Batch files
+// ============================================================================
+
+/**
+ * Parses CSV text into rows of fields (quoted fields may contain commas,
+ * doubled quotes and newlines)
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+/**
+ * Reads the universities listed in a batch file
+ * @param {string} filePath - Path to a .csv or .json file
+ * @returns {Promise<Object[]>} Batch entries
+ */
+async function readBatchFile(filePath) {
+    let text;
+    try {
+        text = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw new UsageError(`Failed to read batch file ${filePath}: ${error.message}`);
+    }
+
+    if (filePath.endsWith('.json')) {
+        let entries;
+        try {
+            entries = JSON.parse(text);
+        } catch (error) {
+            throw new UsageError(`Invalid JSON in ${filePath}: ${error.message}`);
+        }
+        if (!Array.isArray(entries)) {
+            throw new UsageError(`${filePath} must contain an array of universities`);
+        }
+        return entries;
+    }
+
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map((name) => name.trim());
+    const urlColumn = columns.indexOf('seedUrl');
+    const nameColumn = columns.indexOf('universityName');
+    if (urlColumn === -1 || nameColumn === -1) {
+        throw new UsageError(`${filePath} must have seedUrl and universityName columns`);
+    }
+    return rows.map((fields) => ({
+        seedUrl: fields[urlColumn]?.trim(),
+        universityName: fields[nameColumn]?.trim(),
+    }));
+}
+
+// ============================================================================
+// Running crawls
+// ============================================================================
+
+/**
+ * Creates a progress printer for one crawl. Terminals get a single updating
+ * line; other outputs (logs, CI) get one line per page.
+ * @param {string} universityName - University name
+ * @returns {{ onProgress: Function, done: Function }} Progress callbacks
+ */
+function createProgressPrinter(universityName) {
+    const interactive = process.stderr.isTTY;
+    let printed = false;
+
+    return {
+        onProgress({ pagesProcessed, totalEnqueued, currentUrl }) {
+            const line = `[${universityName}] ${pagesProcessed}/${totalEnqueued} ${currentUrl}`;
+            if (interactive) {
+                const width = process.stderr.columns || 80;
+                process.stderr.write(`\r\x1b[K${line.slice(0, width - 1)}`);
+                printed = true;
+            } else {
+                process.stderr.write(`${line}\n`);
+            }
+        },
+        done() {
+            if (printed) {
+                process.stderr.write('\n');
+            }
+        },
+    };
+}
+
+/**
+ * Runs one crawl and reports its progress. Resumed crawls and retries of
+ * failed URLs use the config saved when the crawl started.
+ * @param {Object} crawl - Crawl from resolveCrawl()
+ * @param {Object} options - Options object
+ * @param {boolean} options.quiet - Do not stream progress
+ * @returns {Promise<Object>} Crawl summary
+ */
+async function runOne(crawl, { quiet }) {
+    const { seedUrl, universityName, outputFormats, resume, retryFailed } = crawl;
+    const baseDir = crawl.config.output.baseDir;
+    const crawlId = toCrawlId(universityName);
+    const startTime = Date.now();
+
+    let config = crawl.config;
+    if (resume || retryFailed) {
+        if (resume && !(await hasResumableState(baseDir, universityName))) {
+            throw new UsageError(`No stored queue to resume for ${universityName}`);
+        }
+        if (retryFailed) {
+            const progress = await readProgress({ baseDir, universityName });
+            if (!['completed', 'cancelled'].includes(progress?.status)) {
+                throw new UsageError(`No completed or cancelled crawl to retry for ${universityName}`);
+            }
+            if ((await readFailures(baseDir, universityName)).length === 0) {
+                throw new UsageError(`No failed URLs to retry for ${universityName}`);
+            }
+        }
+        const savedConfig = await readEffectiveConfig(baseDir, universityName);
+        if (savedConfig) {
+            config = mergeConfig(savedConfig, { output: { baseDir }, targets: crawl.config.targets });
+        }
+    } else {
+        await initProgress({ baseDir, universityName, seedUrl, settings: crawl.settings });
+    }
+
+    await writeAuditEntry(crawl.authDir, {
+        action: `crawl.${resume ? 'resume' : retryFailed ? 'retry' : 'crawl'}`,
+        actor: { name: os.userInfo().username, via: 'cli' },
+        crawlId,
+        universityName,
+        seedUrl,
+        jobId: null,
+    });
+
+    const printer = quiet ? null : createProgressPrinter(universityName);
+    registerCrawl(crawlId);
+    const result = await runCrawlJob({
+        seedUrl,
+        universityName,
+        outputFormats,
+        config,
+        resume,
+        retryFailed,
+        onProgress: printer?.onProgress,
+    });
+    printer?.done();
+
+    return {
+        crawlId,
+        universityName: crawl.universityName,
+        seedUrl: crawl.seedUrl,
+        ...result,
+        durationSecs: Math.round((Date.now() - startTime) / 1000),
+    };
+}
+
+/**
+ * Prints a crawl summary in human-readable form
+ * @param {Object} summary - Crawl summary from runOne()
+ */
+function printSummary(summary) {
+    const lines = [
+        `${summary.universityName}: ${summary.status}, ${summary.pagesProcessed} pages in ${summary.durationSecs}s`,
+    ];
+    if (summary.stats) {
+        const { requestsFinished, requestsFailed, requestsRetries } = summary.stats;
+        lines.push(`  Requests: ${requestsFinished} finished, ${requestsFailed} failed, ${requestsRetries} retries`);
+    }
+    if (summary.limitReached) lines.push(`  Stopped at ${summary.limitReached} limit`);
+    if (summary.skipped?.total) lines.push(`  Skipped: ${summary.skipped.total} URLs`);
+    if (summary.failed?.total) {
+        const byClass = Object.entries(summary.failed.byClass).map(([errorClass, count]) => `${errorClass}: ${count}`);
+        lines.push(`  Failed: ${summary.failed.total} URLs (${byClass.join(', ')})`);
+    }
+    if (summary.changes) {
+        const { new: added, changed, unchanged, removed } = summary.changes;
+        lines.push(`  Changes: ${added} new, ${changed} changed, ${unchanged} unchanged, ${removed} removed`);
+    }
+    if (summary.quality?.pagesWithIssues) {
+        const byIssue = Object.entries(summary.quality.byIssue)
+            .filter(([, count]) => count > 0)
+            .map(([issue, count]) => `${issue}: ${count}`);
+        const { pagesWithIssues, pagesAnalyzed } = summary.quality;
+        lines.push(`  Quality: ${pagesWithIssues} of ${pagesAnalyzed} pages flagged (${byIssue.join(', ')})`);
+    }
+    if (summary.entities && Object.keys(summary.entities).length > 0) {
+        const byType = Object.entries(summary.entities).map(([type, count]) => `${type}: ${count}`);
+        lines.push(`  Entities: ${byType.join(', ')}`);
+    }
+    if (summary.extracted && Object.values(summary.extracted).some((count) => count > 0)) {
+        const byType = Object.entries(summary.extracted)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${type}: ${count}`);
+        lines.push(`  Extracted: ${byType.join(', ')}`);
+    }
+    if (summary.outputFile) lines.push(`  Output: ${summary.outputFile}`);
+    if (summary.error) lines.push(`  Error: ${summary.error}`);
+    console.log(lines.join('\n'));
+}
+
+/**
+ * Works out the exit code for a set of crawl summaries
+ * @param {Object[]} summaries - Crawl summaries
+ * @returns {number} Exit code
+ */
+function getExitCode(summaries) {
+    if (summaries.some((summary) => summary.status === 'failed')) return EXIT_CODES.failed;
+    if (summaries.some((summary) => summary.status === 'cancelled')) return EXIT_CODES.cancelled;
+    return EXIT_CODES.ok;
+}
+
+// ============================================================================
+// Accounts and tokens
+// ============================================================================
+
+/**
+ * Reads a password without echoing it on a terminal, or the first line of piped stdin
+ * @param {string} prompt - Prompt shown on a terminal
+ * @returns {Promise<string>} Password
+ */
+async function readPassword(prompt) {
+    if (!process.stdin.isTTY) {
+        let input = '';
+        for await (const chunk of process.stdin) {
+            input += chunk;
+        }
+        return input.split(/\r?\n/)[0];
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    process.stderr.write(prompt);
+    // Swallow the echo of typed characters
+    rl._writeToOutput = () => {};
+    const password = await new Promise((resolve) => rl.question('', resolve));
+    rl.close();
+    process.stderr.write('\n');
+    return password;
+}
+
+/**
+ * Checks the --role option
+ * @param {string|undefined} role - Raw option value
+ * @returns {'viewer'|'operator'} Role
+ */
+function parseRole(role = 'viewer') {
+    if (!ROLES.includes(role)) {
+        throw new UsageError(`--role must be one of: ${ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+/**
+ * Runs a user or token command
+ * @param {'user'|'token'} command - Command
+ * @param {string[]} args - Action and its arguments
+ * @param {Object} values - Parsed option values
+ * @param {Object} config - Loaded configuration
+ * @returns {Promise<number>} Exit code
+ */
+async function runAccountCommand(command, args, values, config) {
+    const [action, name, ...extra] = args;
+    const authDir = config.auth.dir;
+
+    if (command === 'token' && action === 'list' && !name) {
+        const tokens = await listTokens(authDir);
+        if (values.json) {
+            process.stdout.write(JSON.stringify({ tokens }, null, 2) + '\n');
+        } else if (tokens.length === 0) {
+            console.log('No tokens yet. Create one with: infinize-crawl token create <name> --role viewer');
+        } else {
+            for (const token of tokens) {
+                const state = token.revokedAt ? `revoked ${token.revokedAt}` : `expires ${token.expiresAt}`;
+                console.log(`${token.id}\t${token.name}\t${token.role}\t${state}`);
+            }
+        }
+        return EXIT_CODES.ok;
+    }
+
+    if (command === 'user' && action === 'list' && !name) {
+        const users = await listUsers(authDir);
+        if (values.json) {
+            process.stdout.write(JSON.stringify({ users }, null, 2) + '\n');
+        } else if (users.length === 0) {
+            console.log('No users yet. Add one with: infinize-crawl user add <username> --role operator');
+        } else {
+            for (const user of users) {
+                console.log(`${user.username}\t${user.role}\tadded ${user.createdAt}`);
+            }
+        }
+        return EXIT_CODES.ok;
+    }
+
+    if (!name || extra.length > 0) {
+        throw new UsageError(`Unexpected arguments: ${[command, ...args].join(' ')}`);
+    }
+
+    if (command === 'user' && action === 'add') {
+        const role = parseRole(values.role);
+        const password = await readPassword(`Password for ${name}: `);
+        let added;
+        try {
+            added = await saveUser(authDir, { username: name, password, role });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        console.log(`${added ? 'Added' : 'Updated'} ${role} ${name}`);
+        return EXIT_CODES.ok;
+    }
+
+    if (command === 'user' && action === 'remove') {
+        if (!(await removeUser(authDir, name))) {
+            throw new UsageError(`No such user: ${name}`);
+        }
+        console.log(`Removed ${name}`);
+        return EXIT_CODES.ok;
+    }
+
+    if (command === 'token' && action === 'create') {
+        const secret = getAuthSecret();
+        if (!secret) {
+            throw new UsageError('Set CRAWLER_AUTH_SECRET (at least 32 characters) to create API tokens');
+        }
+        const role = parseRole(values.role);
+        const days = parseCount(values.days, 'days') ?? config.auth.tokenTtlDays;
+        if (days < 1) {
+            throw new UsageError('--days must be at least 1');
+        }
+
+        const ttlSecs = days * 24 * 60 * 60;
+        const id = randomUUID();
+        const token = await signCredential({ sub: name, role, typ: 'token', ttlSecs, jti: id }, secret);
+        // Only recorded tokens are accepted, so record it before printing it
+        await recordToken(authDir, { id, name, role, ttlSecs });
+        console.error(`API token ${name} (${role}, ID ${id}), valid for ${days} days:`);
+        process.stdout.write(`${token}\n`);
+        return EXIT_CODES.ok;
+    }
+
+    if (command === 'token' && action === 'revoke') {
+        const revoked = await revokeToken(authDir, name);
+        if (revoked === 0) {
+            throw new UsageError(`No active token with the name or ID: ${name}`);
+        }
+        console.log(`Revoked ${revoked} token${revoked === 1 ? '' : 's'}: ${name}`);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(`Unexpected arguments: ${[command, ...args].join(' ')}`);
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Command-line arguments (without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, target, ...extra] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (command === 'user' || command === 'token') {
+        return runAccountCommand(command, positionals.slice(1), values, await loadConfig({ configFile: values.config }));
+    }
+    if (!['crawl', 'batch'].includes(command) || !target || extra.length > 0) {
+        throw new UsageError(`Unexpected arguments: ${positionals.join(' ')}`);
+    }
+
+    const loaded = await loadConfig({ configFile: values.config });
+    const config = values.output ? mergeConfig(loaded, { output: { baseDir: values.output } }) : loaded;
+    const defaults = settingsFromOptions(values);
+
+    // Crawl logs go to stderr so stdout carries only the JSON summary
+    if (values.json) {
+        console.log = console.error;
+    }
+
+    let entries;
+    if (command === 'crawl') {
+        entries = [{ ...defaults, seedUrl: target, universityName: values.name }];
+    } else {
+        if (values.name) {
+            throw new UsageError('--name is only used with the crawl command');
+        }
+        entries = (await readBatchFile(target)).map((entry) => ({
+            ...defaults,
+            ...entry,
+            scope: { ...defaults.scope, ...entry.scope },
+        }));
+    }
+
+    // Validate every entry before starting, so a typo does not fail a batch halfway
+    const crawls = entries.map((entry) => resolveCrawl(entry, config));
+    for (const crawl of crawls) {
+        const violation = await checkTarget(crawl.seedUrl, crawl.config.targets);
+        if (violation) {
+            throw new UsageError(`Target not allowed: ${violation}`);
+        }
+    }
+
+    // First Ctrl+C stops the running crawl gracefully; a second one exits at once
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) {
+            process.exit(EXIT_CODES.cancelled);
+        }
+        interrupted = true;
+        console.error('\nStopping crawl (press Ctrl+C again to exit immediately)...');
+        for (const crawl of crawls) {
+            const crawlId = toCrawlId(crawl.universityName);
+            if (isCrawlActive(crawlId)) stopCrawl(crawlId);
+        }
+    });
+
+    const summaries = [];
+    for (const crawl of crawls) {
+        if (interrupted) break;
+        const summary = await runOne(crawl, { quiet: values.quiet });
+        summaries.push(summary);
+        if (!values.json) printSummary(summary);
+    }
+
+    if (values.json) {
+        const output = command === 'crawl' ? summaries[0] : { crawls: summaries };
+        process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    }
+    return interrupted ? EXIT_CODES.cancelled : getExitCode(summaries);
+}
+
+main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        if (error instanceof UsageError || error instanceof ConfigError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\nRun "infinize-crawl --help" for usage.`);
+            process.exit(EXIT_CODES.usage);
+        }
+        console.error(`Crawl CLI failed: ${error.message}`);
+        process.exit(EXIT_CODES.failed);
+    });
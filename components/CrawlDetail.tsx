@@ -0,0 +1,371 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import ReactMarkdown from 'react-markdown';
+import type { Components } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import ProgressBar from './ProgressBar';
+import StatusBadge from './StatusBadge';
+import { formatDuration, type CrawlSummary } from './CrawlHistory';
+
+interface CrawlDetailData extends CrawlSummary {
+    settings: {
+        discoveryMode: string | null;
+        scope: Record<string, unknown>;
+        stripParams: string[] | null;
+        includeDocuments: boolean;
+        incremental: boolean;
+    };
+    failures: {
+        url: string;
+        statusCode: number | null;
+        errorClass: string;
+        error: string;
+        retries: number;
+        referrer: string | null;
+    }[];
+    markdown: {
+        content: string;
+        truncated: boolean;
+        size: number;
+    } | null;
+}
+
+interface CrawlDetailProps {
+    crawlId: string;
+}
+
+// Crawled text is untrusted: react-markdown renders no raw HTML and drops unsafe link protocols
+const markdownComponents: Components = {
+    h1: ({ children }) => <h1 className="text-2xl font-bold text-gray-900 mt-8 mb-4">{children}</h1>,
+    h2: ({ children }) => (
+        <h2 className="text-xl font-bold text-gray-900 mt-8 mb-3 pb-1 border-b border-gray-200">{children}</h2>
+    ),
+    h3: ({ children }) => <h3 className="text-lg font-semibold text-gray-900 mt-6 mb-2">{children}</h3>,
+    h4: ({ children }) => <h4 className="font-semibold text-gray-900 mt-4 mb-2">{children}</h4>,
+    p: ({ children }) => <p className="text-gray-700 my-3 leading-relaxed">{children}</p>,
+    ul: ({ children }) => <ul className="list-disc pl-6 my-3 space-y-1 text-gray-700">{children}</ul>,
+    ol: ({ children }) => <ol className="list-decimal pl-6 my-3 space-y-1 text-gray-700">{children}</ol>,
+    a: ({ href, children }) => (
+        <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+            {children}
+        </a>
+    ),
+    blockquote: ({ children }) => (
+        <blockquote className="border-l-4 border-gray-300 pl-4 my-3 text-gray-600">{children}</blockquote>
+    ),
+    code: ({ children }) => <code className="bg-gray-100 px-1 rounded text-sm">{children}</code>,
+    pre: ({ children }) => <pre className="bg-gray-100 p-3 rounded-lg overflow-x-auto my-3">{children}</pre>,
+    hr: () => <hr className="my-6 border-gray-200" />,
+    table: ({ children }) => <table className="text-sm my-3 border border-gray-200">{children}</table>,
+    th: ({ children }) => <th className="px-3 py-1 border border-gray-200 bg-gray-50 text-left">{children}</th>,
+    td: ({ children }) => <td className="px-3 py-1 border border-gray-200">{children}</td>,
+};
+
+/**
+ * Formats a byte count as "1.4 MB"
+ */
+function formatBytes(bytes: number) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export default function CrawlDetail({ crawlId }: CrawlDetailProps) {
+    const router = useRouter();
+    const [crawl, setCrawl] = useState<CrawlDetailData | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [actionPending, setActionPending] = useState(false);
+
+    const loadCrawl = useCallback(async () => {
+        try {
+            const res = await fetch(`/api/crawls/${encodeURIComponent(crawlId)}`);
+            const data = await res.json();
+
+            if (res.ok) {
+                setCrawl(data);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load crawl');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        }
+    }, [crawlId]);
+
+    useEffect(() => {
+        loadCrawl();
+    }, [loadCrawl]);
+
+    const handleDelete = async () => {
+        if (!crawl || !window.confirm(`Delete the crawl of ${crawl.universityName} and all of its output?`)) {
+            return;
+        }
+
+        setActionPending(true);
+        try {
+            const res = await fetch(`/api/crawls/${encodeURIComponent(crawlId)}`, { method: 'DELETE' });
+            const data = await res.json();
+
+            if (data.success) {
+                router.push('/admin/crawls');
+            } else {
+                setError(data.error || 'Failed to delete crawl');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setActionPending(false);
+        }
+    };
+
+    // Starts the same crawl again with the settings it was started with
+    const handleRerun = async () => {
+        if (!crawl) return;
+
+        setActionPending(true);
+        try {
+            const { settings } = crawl;
+            const res = await fetch('/api/crawl/start', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    seedUrl: crawl.seedUrl,
+                    universityName: crawl.universityName,
+                    outputFormats: crawl.outputFormats.length > 0 ? crawl.outputFormats : undefined,
+                    discoveryMode: settings.discoveryMode ?? undefined,
+                    scope: settings.scope,
+                    stripParams: settings.stripParams ?? undefined,
+                    includeDocuments: settings.includeDocuments,
+                    incremental: settings.incremental,
+                }),
+            });
+            const data = await res.json();
+
+            if (data.success) {
+                await loadCrawl();
+            } else {
+                setError(data.error || data.message || 'Failed to start crawler');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setActionPending(false);
+        }
+    };
+
+    // Re-crawls only the URLs that failed; the pages that now succeed are added to this crawl's output
+    const handleRetryFailed = async () => {
+        setActionPending(true);
+        try {
+            const res = await fetch('/api/crawl/retry-failed', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ crawlId }),
+            });
+            const data = await res.json();
+
+            if (data.success) {
+                await loadCrawl();
+            } else {
+                setError(data.error || 'Failed to retry failed URLs');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setActionPending(false);
+        }
+    };
+
+    if (!crawl) {
+        return (
+            <div className="max-w-5xl mx-auto">
+                <div className="bg-white rounded-lg shadow-lg p-8">
+                    {error ? (
+                        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                            {error}
+                        </div>
+                    ) : (
+                        <p className="text-gray-600">Loading crawl...</p>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-5xl mx-auto space-y-6">
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <Link href="/admin/crawls" className="text-sm text-blue-600 hover:underline">
+                    &larr; Crawl History
+                </Link>
+
+                <div className="flex items-start justify-between mt-4 mb-6">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-900 mb-2">{crawl.universityName}</h1>
+                        <a
+                            href={crawl.seedUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-gray-600 hover:underline"
+                        >
+                            {crawl.seedUrl}
+                        </a>
+                    </div>
+                    <StatusBadge status={crawl.status} />
+                </div>
+
+                <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-6">
+                    <div>
+                        <dt className="text-gray-500">Pages</dt>
+                        <dd className="font-medium text-gray-900">{crawl.pagesProcessed}</dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-500">Started</dt>
+                        <dd className="font-medium text-gray-900">
+                            {crawl.startTime ? new Date(crawl.startTime).toLocaleString() : '—'}
+                        </dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-500">Duration</dt>
+                        <dd className="font-medium text-gray-900">{formatDuration(crawl.durationSecs)}</dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-500">Discovery</dt>
+                        <dd className="font-medium text-gray-900">{crawl.settings.discoveryMode ?? '—'}</dd>
+                    </div>
+                </dl>
+
+                {crawl.error && (
+                    <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg mb-6">
+                        <p className="font-medium">Error:</p>
+                        <p className="text-sm">{crawl.error}</p>
+                    </div>
+                )}
+
+                {/* Requests that failed after their retries */}
+                {crawl.failed && crawl.failed.total > 0 && (
+                    <div className="mb-6">
+                        <h2 className="text-sm font-medium text-gray-700 mb-2">
+                            Failed URLs: {crawl.failed.total} (
+                            {Object.entries(crawl.failed.byClass)
+                                .map(([errorClass, count]) => `${errorClass}: ${count}`)
+                                .join(', ')}
+                            )
+                        </h2>
+                        <div className="overflow-x-auto max-h-80 border border-gray-200 rounded-lg">
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-left text-gray-600 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2 font-medium">URL</th>
+                                        <th className="px-3 py-2 font-medium">Class</th>
+                                        <th className="px-3 py-2 font-medium">Status</th>
+                                        <th className="px-3 py-2 font-medium">Retries</th>
+                                        <th className="px-3 py-2 font-medium">Found on</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {crawl.failures.map((failure) => (
+                                        <tr key={failure.url} title={failure.error}>
+                                            <td className="px-3 py-2 text-gray-900 break-all">{failure.url}</td>
+                                            <td className="px-3 py-2 text-gray-700">{failure.errorClass}</td>
+                                            <td className="px-3 py-2 text-gray-700">{failure.statusCode ?? '—'}</td>
+                                            <td className="px-3 py-2 text-gray-700">{failure.retries}</td>
+                                            <td className="px-3 py-2 text-gray-500 break-all">{failure.referrer ?? '—'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {crawl.failures.length < crawl.failed.total && (
+                            <p className="text-xs text-gray-500 mt-1">
+                                Showing the first {crawl.failures.length} failed URLs.
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                {/* Downloads */}
+                {crawl.outputs.length > 0 && (
+                    <div className="mb-6">
+                        <h2 className="text-sm font-medium text-gray-700 mb-2">Downloads</h2>
+                        <div className="flex flex-wrap gap-2">
+                            {crawl.outputs.map((output) => (
+                                <a
+                                    key={output.format}
+                                    href={`/api/crawls/${encodeURIComponent(crawlId)}/download?format=${encodeURIComponent(output.format)}`}
+                                    className="bg-blue-50 text-blue-700 border border-blue-200 py-2 px-4 rounded-lg
+                                             text-sm font-medium hover:bg-blue-100 transition-colors"
+                                >
+                                    {output.format}
+                                    {output.fileCount > 1 && ` (${output.fileCount} files, .zip)`}
+                                </a>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {/* Actions */}
+                {!crawl.active && (
+                    <div className="flex space-x-3">
+                        <button
+                            onClick={handleRerun}
+                            disabled={actionPending}
+                            className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium
+                                     hover:bg-blue-700 transition-colors
+                                     disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Re-run Crawl
+                        </button>
+                        {['completed', 'cancelled'].includes(crawl.status) && crawl.failures.length > 0 && (
+                            <button
+                                onClick={handleRetryFailed}
+                                disabled={actionPending}
+                                className="flex-1 bg-yellow-500 text-white py-2 px-4 rounded-lg font-medium
+                                         hover:bg-yellow-600 transition-colors
+                                         disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Retry Failed URLs
+                            </button>
+                        )}
+                        <button
+                            onClick={handleDelete}
+                            disabled={actionPending}
+                            className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg font-medium
+                                     hover:bg-red-700 transition-colors
+                                     disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Delete
+                        </button>
+                    </div>
+                )}
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mt-4">
+                        {error}
+                    </div>
+                )}
+
+                {/* Live progress of a running crawl */}
+                {crawl.active && <ProgressBar crawlId={crawlId} onComplete={loadCrawl} />}
+            </div>
+
+            {/* Markdown output */}
+            {crawl.markdown && (
+                <div className="bg-white rounded-lg shadow-lg p-8">
+                    {crawl.markdown.truncated && (
+                        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm mb-4">
+                            Showing the beginning of {formatBytes(crawl.markdown.size)} of markdown. Download it for the
+                            full output.
+                        </div>
+                    )}
+                    <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                        {crawl.markdown.content}
+                    </ReactMarkdown>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,15 +1,80 @@
 'use client';
 
 import { useState } from 'react';
+import Link from 'next/link';
+import defaultConfig from '@/config/default.config.js';
 import OutputFormatSelector from './OutputFormatSelector';
 import ProgressBar from './ProgressBar';
 
+const discoveryModeLabels: Record<string, string> = {
+    links: 'Follow links from the seed URL',
+    sitemap: 'Sitemap URLs only',
+    both: 'Sitemaps and link following',
+};
+
+interface ScopeFields {
+    maxDepth: string;
+    maxPages: string;
+    timeBudgetMins: string;
+    includePatterns: string;
+    excludePatterns: string;
+    allowedSubdomains: string;
+}
+
+const emptyScopeFields: ScopeFields = {
+    maxDepth: '',
+    maxPages: '',
+    timeBudgetMins: '',
+    includePatterns: '',
+    excludePatterns: '',
+    allowedSubdomains: '',
+};
+
+const inputClassName = `w-full px-4 py-3 border border-gray-300 rounded-lg
+                                     focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                     disabled:bg-gray-100 disabled:cursor-not-allowed
+                                     transition-colors`;
+
+/**
+ * Converts the advanced form fields to the scope sent with the start request,
+ * leaving out empty fields so the configured defaults apply
+ */
+function buildScope(fields: ScopeFields) {
+    // Patterns are one per line (regexes may contain commas); subdomains may also be comma separated
+    const toList = (value: string, separator: RegExp) =>
+        value
+            .split(separator)
+            .map((item) => item.trim())
+            .filter(Boolean);
+    const scope: Record<string, number | string[]> = {};
+
+    for (const key of ['maxDepth', 'maxPages', 'timeBudgetMins'] as const) {
+        if (fields[key].trim()) {
+            scope[key] = Number(fields[key]);
+        }
+    }
+    for (const key of ['includePatterns', 'excludePatterns', 'allowedSubdomains'] as const) {
+        const list = toList(fields[key], key === 'allowedSubdomains' ? /[\n,]/ : /\n/);
+        if (list.length > 0) {
+            scope[key] = list;
+        }
+    }
+
+    return scope;
+}
+
 export default function CrawlForm() {
     const [seedUrl, setSeedUrl] = useState('');
     const [universityName, setUniversityName] = useState('');
     const [formats, setFormats] = useState<string[]>(['markdown']);
+    const [discoveryMode, setDiscoveryMode] = useState<string>(defaultConfig.discovery.mode);
+    const [scopeFields, setScopeFields] = useState<ScopeFields>(emptyScopeFields);
+    const [stripParams, setStripParams] = useState('');
+    const [includeDocuments, setIncludeDocuments] = useState<boolean>(defaultConfig.documents.enabled);
+    const [incremental, setIncremental] = useState<boolean>(defaultConfig.incremental.enabled);
     const [isRunning, setIsRunning] = useState(false);
     const [crawlId, setCrawlId] = useState<string | null>(null);
+    const [queuePosition, setQueuePosition] = useState<number | null>(null);
     const [error, setError] = useState<string | null>(null);
 
     const handleSubmit = async (e: React.FormEvent) => {
@@ -24,6 +89,14 @@ export default function CrawlForm() {
                     seedUrl,
                     universityName,
                     outputFormats: formats,
+                    discoveryMode,
+                    scope: buildScope(scopeFields),
+                    // Leaving the field empty keeps the configured tracking parameters
+                    stripParams: stripParams.trim()
+                        ? stripParams.split(',').map((param) => param.trim()).filter(Boolean)
+                        : undefined,
+                    includeDocuments,
+                    incremental,
                 }),
             });
 
@@ -32,14 +105,19 @@ export default function CrawlForm() {
             if (data.success) {
                 setIsRunning(true);
                 setCrawlId(data.crawlId);
+                setQueuePosition(data.position > 0 ? data.position : null);
             } else {
-                setError(data.message || 'Failed to start crawler');
+                setError(data.error || data.message || 'Failed to start crawler');
             }
         } catch (err) {
             setError('Failed to connect to server');
         }
     };
 
+    const updateScopeField = (key: keyof ScopeFields, value: string) => {
+        setScopeFields((fields) => ({ ...fields, [key]: value }));
+    };
+
     const handleComplete = () => {
         setIsRunning(false);
     };
@@ -48,7 +126,13 @@ export default function CrawlForm() {
         setSeedUrl('');
         setUniversityName('');
         setFormats(['markdown']);
+        setDiscoveryMode(defaultConfig.discovery.mode);
+        setScopeFields(emptyScopeFields);
+        setStripParams('');
+        setIncludeDocuments(defaultConfig.documents.enabled);
+        setIncremental(defaultConfig.incremental.enabled);
         setCrawlId(null);
+        setQueuePosition(null);
         setError(null);
     };
 
@@ -109,6 +193,32 @@ export default function CrawlForm() {
                         />
                     </div>
 
+                    {/* Discovery Mode */}
+                    <div>
+                        <label
+                            htmlFor="discoveryMode"
+                            className="block text-sm font-medium text-gray-700 mb-2"
+                        >
+                            URL Discovery
+                        </label>
+                        <select
+                            id="discoveryMode"
+                            value={discoveryMode}
+                            onChange={(e) => setDiscoveryMode(e.target.value)}
+                            disabled={isRunning}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg bg-white
+                                     focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                     disabled:bg-gray-100 disabled:cursor-not-allowed
+                                     transition-colors"
+                        >
+                            {defaultConfig.discovery.availableModes.map((mode: string) => (
+                                <option key={mode} value={mode}>
+                                    {discoveryModeLabels[mode] ?? mode}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
                     {/* Output Format Selector */}
                     <OutputFormatSelector
                         selected={formats}
@@ -116,6 +226,135 @@ export default function CrawlForm() {
                         disabled={isRunning}
                     />
 
+                    {/* Advanced Scope Settings */}
+                    <details className="border border-gray-200 rounded-lg p-4">
+                        <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+                            Advanced
+                        </summary>
+
+                        <div className="mt-4 space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                {([
+                                    ['maxDepth', 'Max depth', '0'],
+                                    ['maxPages', 'Max pages', '1'],
+                                    ['timeBudgetMins', 'Time budget (min)', '1'],
+                                ] as const).map(([key, label, min]) => (
+                                    <div key={key}>
+                                        <label
+                                            htmlFor={key}
+                                            className="block text-sm font-medium text-gray-700 mb-2"
+                                        >
+                                            {label}
+                                        </label>
+                                        <input
+                                            type="number"
+                                            id={key}
+                                            min={min}
+                                            step="1"
+                                            value={scopeFields[key]}
+                                            onChange={(e) => updateScopeField(key, e.target.value)}
+                                            placeholder="Unlimited"
+                                            disabled={isRunning}
+                                            className={inputClassName}
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+
+                            {([
+                                ['includePatterns', 'Include patterns', '/admissions/**'],
+                                ['excludePatterns', 'Exclude patterns', '/news/**\n/\\/archive\\//i'],
+                            ] as const).map(([key, label, placeholder]) => (
+                                <div key={key}>
+                                    <label
+                                        htmlFor={key}
+                                        className="block text-sm font-medium text-gray-700 mb-2"
+                                    >
+                                        {label}
+                                    </label>
+                                    <textarea
+                                        id={key}
+                                        rows={2}
+                                        value={scopeFields[key]}
+                                        onChange={(e) => updateScopeField(key, e.target.value)}
+                                        placeholder={placeholder}
+                                        disabled={isRunning}
+                                        className={`${inputClassName} font-mono text-sm`}
+                                    />
+                                </div>
+                            ))}
+                            <p className="text-xs text-gray-500">
+                                One glob or re:/regex/ per line. Globs starting with / match the URL path.
+                            </p>
+
+                            <div>
+                                <label
+                                    htmlFor="allowedSubdomains"
+                                    className="block text-sm font-medium text-gray-700 mb-2"
+                                >
+                                    Allowed subdomains
+                                </label>
+                                <input
+                                    type="text"
+                                    id="allowedSubdomains"
+                                    value={scopeFields.allowedSubdomains}
+                                    onChange={(e) => updateScopeField('allowedSubdomains', e.target.value)}
+                                    placeholder="All subdomains (e.g. admissions, grad)"
+                                    disabled={isRunning}
+                                    className={inputClassName}
+                                />
+                            </div>
+
+                            <div>
+                                <label
+                                    htmlFor="stripParams"
+                                    className="block text-sm font-medium text-gray-700 mb-2"
+                                >
+                                    Ignored query parameters
+                                </label>
+                                <input
+                                    type="text"
+                                    id="stripParams"
+                                    value={stripParams}
+                                    onChange={(e) => setStripParams(e.target.value)}
+                                    placeholder="Tracking parameters (utm_source, fbclid, ...)"
+                                    disabled={isRunning}
+                                    className={inputClassName}
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    URLs differing only in these parameters are crawled once.
+                                </p>
+                            </div>
+
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={includeDocuments}
+                                    onChange={(e) => setIncludeDocuments(e.target.checked)}
+                                    disabled={isRunning}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                />
+                                Include linked documents ({defaultConfig.documents.types.join(', ').toUpperCase()})
+                            </label>
+
+                            <div>
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={incremental}
+                                        onChange={(e) => setIncremental(e.target.checked)}
+                                        disabled={isRunning}
+                                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                    />
+                                    Incremental re-crawl
+                                </label>
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Compares with the previous crawl and reports new, changed and removed pages.
+                                </p>
+                            </div>
+                        </div>
+                    </details>
+
                     {/* Error Display */}
                     {error && (
                         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
@@ -135,12 +374,32 @@ export default function CrawlForm() {
                     </button>
                 </form>
 
+                {/* Crawls beyond the queue's limits wait for a free slot */}
+                {isRunning && queuePosition !== null && (
+                    <p className="mt-4 text-sm text-gray-600">
+                        Other crawls are running; this one was added to the{' '}
+                        <Link href="/admin/queue" className="text-blue-600 hover:underline">
+                            queue
+                        </Link>{' '}
+                        at position {queuePosition}.
+                    </p>
+                )}
+
                 {/* Progress Bar */}
                 {isRunning && crawlId && (
                     <ProgressBar crawlId={crawlId} onComplete={handleComplete} />
                 )}
 
-                {/* Reset Button (shown after completion) */}
+                {/* Output link and reset button (shown after completion) */}
+                {!isRunning && crawlId && (
+                    <Link
+                        href={`/admin/crawls/${crawlId}`}
+                        className="block w-full mt-4 text-center bg-blue-50 text-blue-700 border border-blue-200
+                                 py-3 px-6 rounded-lg font-medium hover:bg-blue-100 transition-colors"
+                    >
+                        View Output
+                    </Link>
+                )}
                 {!isRunning && crawlId && (
                     <button
                         onClick={handleReset}
@@ -0,0 +1,170 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import StatusBadge, { crawlStatuses } from './StatusBadge';
+
+export interface CrawlSummary {
+    crawlId: string;
+    universityName: string;
+    seedUrl: string;
+    status: string;
+    pagesProcessed: number;
+    totalEnqueued: number;
+    startTime: string | null;
+    endTime: string | null;
+    durationSecs: number | null;
+    outputFormats: string[];
+    outputs: { format: string; fileCount: number }[];
+    outputFile: string | null;
+    failed: { total: number; byClass: Record<string, number> } | null;
+    error: string | null;
+    active: boolean;
+}
+
+/**
+ * Formats a duration in seconds as "1h 02m", "3m 05s" or "42s"
+ */
+export function formatDuration(secs: number | null) {
+    if (secs === null) return '—';
+    const hours = Math.floor(secs / 3600);
+    const minutes = Math.floor((secs % 3600) / 60);
+    const seconds = secs % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+    return `${seconds}s`;
+}
+
+export default function CrawlHistory() {
+    const [crawls, setCrawls] = useState<CrawlSummary[] | null>(null);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [error, setError] = useState<string | null>(null);
+
+    const loadCrawls = useCallback(async () => {
+        try {
+            const query = statusFilter ? `?status=${encodeURIComponent(statusFilter)}` : '';
+            const res = await fetch(`/api/crawls${query}`);
+            const data = await res.json();
+
+            if (res.ok) {
+                setCrawls(data.crawls);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load crawls');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        }
+    }, [statusFilter]);
+
+    useEffect(() => {
+        loadCrawls();
+    }, [loadCrawls]);
+
+    // Keep counts of running crawls current
+    const hasActive = crawls?.some((crawl) => crawl.active) ?? false;
+    useEffect(() => {
+        if (!hasActive) return;
+        const interval = setInterval(loadCrawls, 5000);
+        return () => clearInterval(interval);
+    }, [hasActive, loadCrawls]);
+
+    return (
+        <div className="max-w-5xl mx-auto">
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <div className="flex items-center justify-between mb-6">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-900 mb-2">Crawl History</h1>
+                        <p className="text-gray-600">Every crawl in the output directory</p>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            aria-label="Filter by status"
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm
+                                     focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                            <option value="">All statuses</option>
+                            {crawlStatuses.map((status) => (
+                                <option key={status} value={status}>
+                                    {status.charAt(0).toUpperCase() + status.slice(1)}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={loadCrawls}
+                            className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg text-sm font-medium
+                                     hover:bg-gray-300 transition-colors"
+                        >
+                            Refresh
+                        </button>
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+                        {error}
+                    </div>
+                )}
+
+                {crawls === null && !error && <p className="text-gray-600">Loading crawls...</p>}
+
+                {crawls?.length === 0 && (
+                    <p className="text-gray-600">
+                        {statusFilter ? `No ${statusFilter} crawls.` : 'No crawls yet.'}{' '}
+                        <Link href="/admin" className="text-blue-600 hover:underline">
+                            Start a crawl
+                        </Link>
+                    </p>
+                )}
+
+                {crawls && crawls.length > 0 && (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="py-2 pr-4 font-medium">University</th>
+                                <th className="py-2 pr-4 font-medium">Status</th>
+                                <th className="py-2 pr-4 font-medium text-right">Pages</th>
+                                <th className="py-2 pr-4 font-medium">Started</th>
+                                <th className="py-2 pr-4 font-medium text-right">Duration</th>
+                                <th className="py-2 font-medium">Outputs</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {crawls.map((crawl) => (
+                                <tr key={crawl.crawlId} className="border-b border-gray-100 hover:bg-gray-50">
+                                    <td className="py-3 pr-4">
+                                        <Link
+                                            href={`/admin/crawls/${crawl.crawlId}`}
+                                            className="font-medium text-blue-600 hover:underline"
+                                        >
+                                            {crawl.universityName}
+                                        </Link>
+                                        <div className="text-xs text-gray-500 truncate max-w-xs">{crawl.seedUrl}</div>
+                                    </td>
+                                    <td className="py-3 pr-4">
+                                        <StatusBadge status={crawl.status} />
+                                    </td>
+                                    <td className="py-3 pr-4 text-right text-gray-700">{crawl.pagesProcessed}</td>
+                                    <td className="py-3 pr-4 text-gray-700">
+                                        {crawl.startTime ? new Date(crawl.startTime).toLocaleString() : '—'}
+                                    </td>
+                                    <td className="py-3 pr-4 text-right text-gray-700">
+                                        {formatDuration(crawl.durationSecs)}
+                                    </td>
+                                    <td className="py-3 text-gray-700">
+                                        {(crawl.outputs.length > 0
+                                            ? crawl.outputs.map((output) => output.format)
+                                            : crawl.outputFormats
+                                        ).join(', ')}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,245 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { formatDuration } from './CrawlHistory';
+
+export interface CrawlJob {
+    jobId: string;
+    crawlId: string;
+    universityName: string;
+    seedUrl: string;
+    kind: 'crawl' | 'resume' | 'retry';
+    outputFormats: string[];
+    priority: number;
+    startedBy?: {
+        name: string;
+        via: 'session' | 'token' | 'schedule' | 'recovery' | 'cli';
+        scheduleId?: string;
+    };
+    state: 'queued' | 'running' | 'done' | 'failed';
+    enqueuedAt: string;
+    startedAt: string | null;
+    finishedAt: string | null;
+    pages: number | null;
+    result: 'completed' | 'cancelled' | 'failed' | 'crashed' | null;
+    error: string | null;
+    previousStatus: string | null;
+    position?: number;
+}
+
+interface JobQueueData {
+    jobs: CrawlJob[];
+    maxConcurrentCrawls: number;
+    maxBrowserPages: number;
+    pagesInUse: number;
+}
+
+const stateStyles: Record<CrawlJob['state'], { color: string; text: string }> = {
+    queued: { color: 'bg-purple-500', text: 'QUEUED' },
+    running: { color: 'bg-blue-500', text: 'RUNNING' },
+    done: { color: 'bg-green-500', text: 'DONE' },
+    failed: { color: 'bg-red-500', text: 'FAILED' },
+};
+
+const kindLabels: Record<CrawlJob['kind'], string> = {
+    crawl: 'Crawl',
+    resume: 'Resume',
+    retry: 'Retry failed',
+};
+
+/**
+ * Describes who started a job; jobs queued before accounts existed have no starter
+ */
+function describeStarter(startedBy: CrawlJob['startedBy']) {
+    if (!startedBy) return null;
+    if (startedBy.via === 'recovery') return 'by crash recovery';
+    if (startedBy.via === 'schedule') return `by schedule of ${startedBy.name}`;
+    if (startedBy.via === 'token') return `by API token ${startedBy.name}`;
+    return `by ${startedBy.name}`;
+}
+
+/**
+ * Seconds between two ISO timestamps, or until now when the end is missing
+ */
+function secondsBetween(start: string | null, end: string | null) {
+    if (!start) return null;
+    const endMs = end ? new Date(end).getTime() : Date.now();
+    return Math.max(Math.round((endMs - new Date(start).getTime()) / 1000), 0);
+}
+
+export default function JobQueue() {
+    const [queue, setQueue] = useState<JobQueueData | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [pendingCrawlId, setPendingCrawlId] = useState<string | null>(null);
+
+    const loadQueue = useCallback(async () => {
+        try {
+            const res = await fetch('/api/crawl/queue');
+            const data = await res.json();
+
+            if (res.ok) {
+                setQueue(data);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load the queue');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadQueue();
+    }, [loadQueue]);
+
+    // Jobs start and finish on their own; keep the list current while any are waiting or running
+    const hasPending = queue?.jobs.some((job) => job.state === 'queued' || job.state === 'running') ?? false;
+    useEffect(() => {
+        if (!hasPending) return;
+        const interval = setInterval(loadQueue, 3000);
+        return () => clearInterval(interval);
+    }, [hasPending, loadQueue]);
+
+    const removeJob = async (crawlId: string) => {
+        setPendingCrawlId(crawlId);
+        try {
+            const res = await fetch('/api/crawl/stop', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ crawlId }),
+            });
+            const data = await res.json();
+
+            if (!data.success) {
+                setError(data.error || 'Failed to remove the job');
+            }
+            await loadQueue();
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setPendingCrawlId(null);
+        }
+    };
+
+    const running = queue?.jobs.filter((job) => job.state === 'running').length ?? 0;
+    const queued = queue?.jobs.filter((job) => job.state === 'queued').length ?? 0;
+
+    return (
+        <div className="max-w-5xl mx-auto">
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <div className="flex items-center justify-between mb-6">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-900 mb-2">Crawl Queue</h1>
+                        <p className="text-gray-600">
+                            {queue
+                                ? `${running} of ${queue.maxConcurrentCrawls} crawls running, ${queued} waiting · ` +
+                                  `${queue.pagesInUse} of ${queue.maxBrowserPages} browser pages in use`
+                                : 'Running, queued and recently finished crawl jobs'}
+                        </p>
+                    </div>
+                    <button
+                        onClick={loadQueue}
+                        className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg text-sm font-medium
+                                 hover:bg-gray-300 transition-colors"
+                    >
+                        Refresh
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4">
+                        {error}
+                    </div>
+                )}
+
+                {queue === null && !error && <p className="text-gray-600">Loading queue...</p>}
+
+                {queue?.jobs.length === 0 && (
+                    <p className="text-gray-600">
+                        No jobs yet.{' '}
+                        <Link href="/admin" className="text-blue-600 hover:underline">
+                            Start a crawl
+                        </Link>
+                    </p>
+                )}
+
+                {queue && queue.jobs.length > 0 && (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="py-2 pr-4 font-medium text-right">#</th>
+                                <th className="py-2 pr-4 font-medium">University</th>
+                                <th className="py-2 pr-4 font-medium">Job</th>
+                                <th className="py-2 pr-4 font-medium">State</th>
+                                <th className="py-2 pr-4 font-medium text-right">Priority</th>
+                                <th className="py-2 pr-4 font-medium text-right">Pages</th>
+                                <th className="py-2 pr-4 font-medium text-right">Time</th>
+                                <th className="py-2 font-medium"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {queue.jobs.map((job) => {
+                                const style = stateStyles[job.state];
+                                // Waiting time for queued jobs, run time for the others
+                                const secs =
+                                    job.state === 'queued'
+                                        ? secondsBetween(job.enqueuedAt, null)
+                                        : secondsBetween(job.startedAt, job.finishedAt);
+
+                                return (
+                                    <tr key={job.jobId} className="border-b border-gray-100 hover:bg-gray-50">
+                                        <td className="py-3 pr-4 text-right text-gray-500">{job.position ?? ''}</td>
+                                        <td className="py-3 pr-4">
+                                            <Link
+                                                href={`/admin/crawls/${job.crawlId}`}
+                                                className="font-medium text-blue-600 hover:underline"
+                                            >
+                                                {job.universityName}
+                                            </Link>
+                                            <div className="text-xs text-gray-500 truncate max-w-xs">{job.seedUrl}</div>
+                                        </td>
+                                        <td className="py-3 pr-4 text-gray-700">
+                                            {kindLabels[job.kind]}
+                                            {job.startedBy && (
+                                                <div className="text-xs text-gray-500">{describeStarter(job.startedBy)}</div>
+                                            )}
+                                        </td>
+                                        <td className="py-3 pr-4">
+                                            <span
+                                                className={`px-2 py-0.5 rounded-full text-white text-xs font-medium ${style.color}`}
+                                            >
+                                                {style.text}
+                                            </span>
+                                            {job.result && job.state === 'done' && job.result !== 'completed' && (
+                                                <span className="ml-2 text-xs text-gray-500">{job.result}</span>
+                                            )}
+                                            {job.error && (
+                                                <div className="text-xs text-red-600 truncate max-w-xs">{job.error}</div>
+                                            )}
+                                        </td>
+                                        <td className="py-3 pr-4 text-right text-gray-700">{job.priority}</td>
+                                        <td className="py-3 pr-4 text-right text-gray-700">{job.pages ?? '—'}</td>
+                                        <td className="py-3 pr-4 text-right text-gray-700">{formatDuration(secs)}</td>
+                                        <td className="py-3 text-right">
+                                            {job.state === 'queued' && (
+                                                <button
+                                                    onClick={() => removeJob(job.crawlId)}
+                                                    disabled={pendingCrawlId === job.crawlId}
+                                                    className="text-red-600 text-xs font-medium hover:underline
+                                                             disabled:opacity-50 disabled:cursor-not-allowed"
+                                                >
+                                                    Remove
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
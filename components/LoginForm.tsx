@@ -0,0 +1,114 @@
+'use client';
+
+import { useState } from 'react';
+
+const inputClassName = `w-full px-4 py-3 border border-gray-300 rounded-lg
+                                     focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                     disabled:bg-gray-100 disabled:cursor-not-allowed
+                                     transition-colors`;
+
+/**
+ * Only same-site paths are followed after logging in, never other sites
+ */
+function toSafeNextPath(next: string | undefined) {
+    return next && next.startsWith('/') && !next.startsWith('//') ? next : '/admin';
+}
+
+export default function LoginForm({ next }: { next?: string }) {
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+
+        try {
+            const res = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password }),
+            });
+
+            const data = await res.json();
+
+            if (data.success) {
+                // A full page load, so the admin layout renders with the new session
+                window.location.assign(toSafeNextPath(next));
+                return;
+            }
+            setError(data.error || 'Failed to log in');
+        } catch (err) {
+            setError('Failed to connect to server');
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="max-w-sm mx-auto">
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <h1 className="text-2xl font-bold text-gray-900 mb-6">
+                    Log in to Infinize Crawler
+                </h1>
+
+                <form onSubmit={handleSubmit} className="space-y-6">
+                    <div>
+                        <label
+                            htmlFor="username"
+                            className="block text-sm font-medium text-gray-700 mb-2"
+                        >
+                            Username
+                        </label>
+                        <input
+                            type="text"
+                            id="username"
+                            autoComplete="username"
+                            value={username}
+                            onChange={(e) => setUsername(e.target.value)}
+                            required
+                            disabled={isSubmitting}
+                            className={inputClassName}
+                        />
+                    </div>
+
+                    <div>
+                        <label
+                            htmlFor="password"
+                            className="block text-sm font-medium text-gray-700 mb-2"
+                        >
+                            Password
+                        </label>
+                        <input
+                            type="password"
+                            id="password"
+                            autoComplete="current-password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            required
+                            disabled={isSubmitting}
+                            className={inputClassName}
+                        />
+                    </div>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                            {error}
+                        </div>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium
+                                 hover:bg-blue-700 transition-colors
+                                 disabled:bg-blue-300 disabled:cursor-not-allowed"
+                    >
+                        {isSubmitting ? 'Logging in...' : 'Log In'}
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -1,33 +1,38 @@
 'use client';
 
+import defaultConfig from '@/config/default.config.js';
+
 interface OutputFormatSelectorProps {
     selected: string[];
     onChange: (formats: string[]) => void;
     disabled?: boolean;
 }
 
-const formats = [
-    {
-        id: 'markdown',
+const formatDetails: Record<string, { label: string; description: string }> = {
+    markdown: {
         label: 'Markdown',
         description: 'Single consolidated .md file',
     },
-    {
-        id: 'json',
+    json: {
         label: 'JSON',
         description: 'Structured data per page',
     },
-    {
-        id: 'html',
+    html: {
         label: 'HTML',
         description: 'Styled report per page',
     },
-    {
-        id: 'links',
+    links: {
         label: 'Links',
         description: 'Aggregated link inventory',
     },
-];
+};
+
+// The configured formats are the source of truth; details only add display text
+const formats = defaultConfig.output.availableFormats.map((id: string) => ({
+    id,
+    label: formatDetails[id]?.label ?? id,
+    description: formatDetails[id]?.description ?? '',
+}));
 
 export default function OutputFormatSelector({
     selected,
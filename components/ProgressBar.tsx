@@ -1,9 +1,10 @@
 'use client';
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
 
 interface Progress {
-    status: 'starting' | 'running' | 'completed' | 'failed' | 'not_found';
+    status: 'queued' | 'starting' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed' | 'interrupted' | 'crashed' | 'not_found';
     pagesProcessed: number;
     totalEnqueued: number;
     currentUrl: string;
@@ -11,6 +12,32 @@ interface Progress {
     endTime: string | null;
     error?: string;
     outputFile?: string;
+    skipped?: {
+        total: number;
+        byReason: Record<string, number>;
+    };
+    failed?: {
+        total: number;
+        byClass: Record<string, number>;
+    };
+    changes?: {
+        unchanged: number;
+        changed: number;
+        new: number;
+        removed: number;
+    };
+    quality?: {
+        pagesAnalyzed: number;
+        pagesWithIssues: number;
+        byIssue: Record<string, number>;
+    };
+}
+
+interface LogLine {
+    id: string;
+    level: 'info' | 'warn' | 'error';
+    message: string;
+    time: string;
 }
 
 interface ProgressBarProps {
@@ -18,12 +45,82 @@ interface ProgressBarProps {
     onComplete: () => void;
 }
 
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted', 'crashed'];
+
+// Log lines kept in the live log panel
+const MAX_LOG_LINES = 200;
+
 export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
     const [progress, setProgress] = useState<Progress | null>(null);
-    const [polling, setPolling] = useState(true);
+    // Live updates come from the event stream; polling is the fallback when it is unavailable
+    const [mode, setMode] = useState<'stream' | 'poll' | 'done'>('stream');
+    const [logs, setLogs] = useState<LogLine[]>([]);
+    const [controlPending, setControlPending] = useState(false);
+    const [controlError, setControlError] = useState<string | null>(null);
+
+    // Kept in a ref so a re-rendering parent does not reopen the stream
+    const onCompleteRef = useRef(onComplete);
+    onCompleteRef.current = onComplete;
+
+    useEffect(() => {
+        if (mode !== 'stream') return;
+
+        if (typeof EventSource === 'undefined') {
+            setMode('poll');
+            return;
+        }
+
+        const source = new EventSource(`/api/crawl/events?crawlId=${encodeURIComponent(crawlId)}`);
+        let finished = false;
+
+        const parse = (event: Event) => JSON.parse((event as MessageEvent).data);
+
+        const applyProgress = (data: Progress) => {
+            setProgress(data);
+            if (FINAL_STATUSES.includes(data.status)) {
+                finished = true;
+                source.close();
+                setMode('done');
+                onCompleteRef.current();
+            }
+        };
+
+        source.addEventListener('snapshot', (event) => applyProgress(parse(event)));
+        source.addEventListener('status', (event) => applyProgress(parse(event)));
+
+        source.addEventListener('page', (event) => {
+            const { title, change, ...counts } = parse(event);
+            setProgress((prev) => prev && { ...prev, ...counts });
+        });
+
+        source.addEventListener('enqueued', (event) => {
+            const { totalEnqueued } = parse(event);
+            setProgress((prev) => prev && { ...prev, totalEnqueued });
+        });
+
+        source.addEventListener('page-failed', (event) => {
+            const { failed } = parse(event);
+            setProgress((prev) => prev && { ...prev, failed });
+        });
+
+        source.addEventListener('log', (event) => {
+            const line = { id: (event as MessageEvent).lastEventId, ...parse(event) };
+            setLogs((prev) => [...prev, line].slice(-MAX_LOG_LINES));
+        });
+
+        // The stream closes without a final status when the crawl is not running in
+        // this server process (e.g. a command-line crawl); poll the progress file instead
+        source.onerror = () => {
+            if (finished) return;
+            source.close();
+            setMode('poll');
+        };
+
+        return () => source.close();
+    }, [crawlId, mode]);
 
     useEffect(() => {
-        if (!polling) return;
+        if (mode !== 'poll') return;
 
         const pollProgress = async () => {
             try {
@@ -31,9 +128,9 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
                 const data = await res.json();
                 setProgress(data);
 
-                if (data.status === 'completed' || data.status === 'failed') {
-                    setPolling(false);
-                    onComplete();
+                if (FINAL_STATUSES.includes(data.status)) {
+                    setMode('done');
+                    onCompleteRef.current();
                 }
             } catch (err) {
                 console.error('Failed to fetch progress:', err);
@@ -47,7 +144,29 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
         const interval = setInterval(pollProgress, 1000);
 
         return () => clearInterval(interval);
-    }, [crawlId, polling, onComplete]);
+    }, [crawlId, mode]);
+
+    const sendControl = async (action: 'stop' | 'pause' | 'resume') => {
+        setControlPending(true);
+        setControlError(null);
+
+        try {
+            const res = await fetch(`/api/crawl/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ crawlId }),
+            });
+            const data = await res.json();
+
+            if (!data.success) {
+                setControlError(data.error || `Failed to ${action} crawl`);
+            }
+        } catch (err) {
+            setControlError('Failed to connect to server');
+        } finally {
+            setControlPending(false);
+        }
+    };
 
     if (!progress) {
         return (
@@ -66,10 +185,15 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
             : 0;
 
     const statusConfig = {
+        queued: { color: 'bg-purple-500', text: 'QUEUED', bgLight: 'bg-purple-50' },
         starting: { color: 'bg-yellow-500', text: 'STARTING', bgLight: 'bg-yellow-50' },
         running: { color: 'bg-blue-500', text: 'RUNNING', bgLight: 'bg-blue-50' },
+        paused: { color: 'bg-yellow-500', text: 'PAUSED', bgLight: 'bg-yellow-50' },
         completed: { color: 'bg-green-500', text: 'COMPLETED', bgLight: 'bg-green-50' },
+        cancelled: { color: 'bg-gray-500', text: 'CANCELLED', bgLight: 'bg-gray-50' },
         failed: { color: 'bg-red-500', text: 'FAILED', bgLight: 'bg-red-50' },
+        interrupted: { color: 'bg-orange-500', text: 'INTERRUPTED', bgLight: 'bg-orange-50' },
+        crashed: { color: 'bg-red-700', text: 'CRASHED', bgLight: 'bg-red-50' },
         not_found: { color: 'bg-gray-500', text: 'NOT FOUND', bgLight: 'bg-gray-50' },
     };
 
@@ -95,8 +219,12 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
                     className={`h-4 rounded-full transition-all duration-500 ease-out ${
                         progress.status === 'completed'
                             ? 'bg-green-500'
-                            : progress.status === 'failed'
+                            : progress.status === 'failed' || progress.status === 'crashed'
                             ? 'bg-red-500'
+                            : progress.status === 'paused'
+                            ? 'bg-yellow-500'
+                            : progress.status === 'cancelled'
+                            ? 'bg-gray-500'
                             : 'bg-blue-500'
                     }`}
                     style={{ width: `${percentage}%` }}
@@ -114,6 +242,134 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
                 </div>
             )}
 
+            {/* Skipped URLs */}
+            {progress.skipped && progress.skipped.total > 0 && (
+                <div className="text-sm text-gray-600">
+                    <span className="font-medium">Skipped:</span> {progress.skipped.total} URLs (
+                    {Object.entries(progress.skipped.byReason)
+                        .map(([reason, count]) => `${reason}: ${count}`)
+                        .join(', ')}
+                    )
+                </div>
+            )}
+
+            {/* Requests that failed after their retries */}
+            {progress.failed && progress.failed.total > 0 && (
+                <div className="text-sm text-gray-600">
+                    <span className="font-medium">Failed:</span> {progress.failed.total} URLs (
+                    {Object.entries(progress.failed.byClass)
+                        .map(([errorClass, count]) => `${errorClass}: ${count}`)
+                        .join(', ')}
+                    )
+                </div>
+            )}
+
+            {/* Changes since the previous crawl (incremental re-crawls) */}
+            {progress.changes && (
+                <div className="text-sm text-gray-600">
+                    <span className="font-medium">Changes:</span> {progress.changes.new} new,{' '}
+                    {progress.changes.changed} changed, {progress.changes.unchanged} unchanged
+                    {progress.status === 'completed' && `, ${progress.changes.removed} removed`}
+                </div>
+            )}
+
+            {/* Content quality headline, once the output is finalized */}
+            {progress.quality && FINAL_STATUSES.includes(progress.status) && (
+                <div className="text-sm text-gray-600">
+                    <span className="font-medium">Quality:</span> {progress.quality.pagesWithIssues} of{' '}
+                    {progress.quality.pagesAnalyzed} pages flagged
+                    {progress.quality.pagesWithIssues > 0 &&
+                        ` (${Object.entries(progress.quality.byIssue)
+                            .filter(([, count]) => count > 0)
+                            .map(([issue, count]) => `${issue}: ${count}`)
+                            .join(', ')})`}
+                </div>
+            )}
+
+            {/* Queued crawls wait for a free crawl slot and browser pages */}
+            {progress.status === 'queued' && (
+                <div className="flex items-center justify-between text-sm text-gray-600">
+                    <span>
+                        Waiting for a free crawl slot.{' '}
+                        <Link href="/admin/queue" className="text-blue-600 hover:underline">
+                            View queue
+                        </Link>
+                    </span>
+                    <button
+                        onClick={() => sendControl('stop')}
+                        disabled={controlPending}
+                        className="bg-red-600 text-white py-2 px-4 rounded-lg font-medium
+                                 hover:bg-red-700 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Remove from Queue
+                    </button>
+                </div>
+            )}
+
+            {/* Crawl Controls */}
+            {(progress.status === 'running' || progress.status === 'paused') && (
+                <div className="flex space-x-3">
+                    {progress.status === 'running' ? (
+                        <button
+                            onClick={() => sendControl('pause')}
+                            disabled={controlPending}
+                            className="flex-1 bg-yellow-500 text-white py-2 px-4 rounded-lg font-medium
+                                     hover:bg-yellow-600 transition-colors
+                                     disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Pause
+                        </button>
+                    ) : (
+                        <button
+                            onClick={() => sendControl('resume')}
+                            disabled={controlPending}
+                            className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-lg font-medium
+                                     hover:bg-blue-700 transition-colors
+                                     disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Resume
+                        </button>
+                    )}
+                    <button
+                        onClick={() => sendControl('stop')}
+                        disabled={controlPending}
+                        className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg font-medium
+                                 hover:bg-red-700 transition-colors
+                                 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Stop
+                    </button>
+                </div>
+            )}
+
+            {controlError && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+                    {controlError}
+                </div>
+            )}
+
+            {/* Live Log */}
+            {logs.length > 0 && (
+                <div className="bg-gray-900 text-gray-100 rounded-lg p-3 max-h-48 overflow-y-auto font-mono text-xs space-y-1">
+                    {logs.map((line) => (
+                        <div
+                            key={line.id}
+                            className={
+                                line.level === 'error'
+                                    ? 'text-red-300'
+                                    : line.level === 'warn'
+                                    ? 'text-yellow-300'
+                                    : undefined
+                            }
+                        >
+                            <span className="text-gray-500">{new Date(line.time).toLocaleTimeString()}</span>{' '}
+                            {line.message}
+                        </div>
+                    ))}
+                </div>
+            )}
+
             {/* Error Message */}
             {progress.error && (
                 <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
@@ -137,6 +393,21 @@ export default function ProgressBar({ crawlId, onComplete }: ProgressBarProps) {
                 </div>
             )}
 
+            {/* Cancellation Message */}
+            {progress.status === 'cancelled' && (
+                <div className="bg-gray-100 border border-gray-300 text-gray-700 px-4 py-3 rounded-lg">
+                    <p className="font-medium">Crawl cancelled.</p>
+                    <p className="text-sm">
+                        Kept {progress.pagesProcessed} pages collected before the stop.
+                    </p>
+                    {progress.outputFile && (
+                        <p className="text-sm mt-1">
+                            Output: <code className="bg-gray-200 px-1 rounded">{progress.outputFile}</code>
+                        </p>
+                    )}
+                </div>
+            )}
+
             {/* Time Info */}
             {progress.startTime && (
                 <div className="text-xs text-gray-500 pt-2 border-t border-gray-200">
@@ -0,0 +1,417 @@
+'use client';
+
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import OutputFormatSelector from './OutputFormatSelector';
+
+interface ScheduleRun {
+    at: string;
+    outcome: 'queued' | 'skipped' | 'failed';
+    jobId: string | null;
+    reason: string | null;
+    result: 'completed' | 'cancelled' | 'failed' | 'crashed' | null;
+}
+
+interface Schedule {
+    scheduleId: string;
+    universityName: string;
+    seedUrl: string;
+    cron: string | null;
+    intervalMins: number | null;
+    settings: { outputFormats?: string[]; discoveryMode?: string; incremental?: boolean };
+    priority: number;
+    enabled: boolean;
+    createdBy?: string | null;
+    lastRunAt: string | null;
+    nextRunAt: string | null;
+    runs: ScheduleRun[];
+}
+
+const outcomeStyles: Record<ScheduleRun['outcome'], string> = {
+    queued: 'text-green-700',
+    skipped: 'text-yellow-700',
+    failed: 'text-red-700',
+};
+
+// Runs shown under an expanded schedule
+const SHOWN_RUNS = 10;
+
+const inputClassName = `w-full px-4 py-3 border border-gray-300 rounded-lg
+                                     focus:ring-2 focus:ring-blue-500 focus:border-transparent
+                                     disabled:bg-gray-100 disabled:cursor-not-allowed
+                                     transition-colors`;
+
+/**
+ * Describes when a schedule runs
+ */
+function describeTiming(schedule: Schedule) {
+    if (schedule.cron) return `Cron ${schedule.cron}`;
+    const mins = schedule.intervalMins ?? 0;
+    if (mins % 1440 === 0) return `Every ${mins / 1440} day${mins === 1440 ? '' : 's'}`;
+    if (mins % 60 === 0) return `Every ${mins / 60} hour${mins === 60 ? '' : 's'}`;
+    return `Every ${mins} minute${mins === 1 ? '' : 's'}`;
+}
+
+export default function Schedules() {
+    const [schedules, setSchedules] = useState<Schedule[] | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [pendingId, setPendingId] = useState<string | null>(null);
+    const [expandedId, setExpandedId] = useState<string | null>(null);
+
+    const [seedUrl, setSeedUrl] = useState('');
+    const [universityName, setUniversityName] = useState('');
+    const [timing, setTiming] = useState<'interval' | 'cron'>('interval');
+    const [intervalHours, setIntervalHours] = useState('24');
+    const [cron, setCron] = useState('0 2 * * 1');
+    const [formats, setFormats] = useState<string[]>(['markdown']);
+    const [incremental, setIncremental] = useState(true);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const loadSchedules = useCallback(async () => {
+        try {
+            const res = await fetch('/api/schedules');
+            const data = await res.json();
+
+            if (res.ok) {
+                setSchedules(data.schedules);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load schedules');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSchedules();
+    }, [loadSchedules]);
+
+    const handleCreate = async (e: React.FormEvent) => {
+        e.preventDefault();
+        setError(null);
+        setIsCreating(true);
+
+        try {
+            const res = await fetch('/api/schedules', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    seedUrl,
+                    universityName,
+                    ...(timing === 'cron'
+                        ? { cron }
+                        : { intervalMins: Math.round(Number(intervalHours) * 60) }),
+                    settings: { outputFormats: formats, incremental },
+                }),
+            });
+            const data = await res.json();
+
+            if (data.success) {
+                setSeedUrl('');
+                setUniversityName('');
+                await loadSchedules();
+            } else {
+                setError(data.error || 'Failed to create schedule');
+            }
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setIsCreating(false);
+        }
+    };
+
+    const changeSchedule = async (scheduleId: string, method: 'PATCH' | 'DELETE', enabled?: boolean) => {
+        setPendingId(scheduleId);
+        try {
+            const res = await fetch(`/api/schedules/${scheduleId}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: method === 'PATCH' ? JSON.stringify({ enabled }) : undefined,
+            });
+            const data = await res.json();
+
+            if (!data.success) {
+                setError(data.error || 'Failed to update schedule');
+            }
+            await loadSchedules();
+        } catch (err) {
+            setError('Failed to connect to server');
+        } finally {
+            setPendingId(null);
+        }
+    };
+
+    return (
+        <div className="max-w-5xl mx-auto space-y-8">
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <h1 className="text-3xl font-bold text-gray-900 mb-2">Scheduled Crawls</h1>
+                <p className="text-gray-600 mb-6">
+                    Re-crawl a university on a fixed interval or cron schedule. A run is skipped while the
+                    previous crawl of the same university is still queued or running.
+                </p>
+
+                <form onSubmit={handleCreate} className="space-y-6">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="seedUrl" className="block text-sm font-medium text-gray-700 mb-2">
+                                Seed URL
+                            </label>
+                            <input
+                                type="url"
+                                id="seedUrl"
+                                value={seedUrl}
+                                onChange={(e) => setSeedUrl(e.target.value)}
+                                placeholder="https://www.stanford.edu"
+                                required
+                                disabled={isCreating}
+                                className={inputClassName}
+                            />
+                        </div>
+                        <div>
+                            <label
+                                htmlFor="universityName"
+                                className="block text-sm font-medium text-gray-700 mb-2"
+                            >
+                                University Name
+                            </label>
+                            <input
+                                type="text"
+                                id="universityName"
+                                value={universityName}
+                                onChange={(e) => setUniversityName(e.target.value)}
+                                placeholder="Stanford University"
+                                required
+                                disabled={isCreating}
+                                className={inputClassName}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="timing" className="block text-sm font-medium text-gray-700 mb-2">
+                                Runs
+                            </label>
+                            <select
+                                id="timing"
+                                value={timing}
+                                onChange={(e) => setTiming(e.target.value as 'interval' | 'cron')}
+                                disabled={isCreating}
+                                className={`${inputClassName} bg-white`}
+                            >
+                                <option value="interval">Every few hours</option>
+                                <option value="cron">On a cron schedule</option>
+                            </select>
+                        </div>
+                        {timing === 'interval' ? (
+                            <div>
+                                <label
+                                    htmlFor="intervalHours"
+                                    className="block text-sm font-medium text-gray-700 mb-2"
+                                >
+                                    Hours between runs
+                                </label>
+                                <input
+                                    type="number"
+                                    id="intervalHours"
+                                    min="0.1"
+                                    step="any"
+                                    value={intervalHours}
+                                    onChange={(e) => setIntervalHours(e.target.value)}
+                                    required
+                                    disabled={isCreating}
+                                    className={inputClassName}
+                                />
+                            </div>
+                        ) : (
+                            <div>
+                                <label htmlFor="cron" className="block text-sm font-medium text-gray-700 mb-2">
+                                    Cron expression
+                                </label>
+                                <input
+                                    type="text"
+                                    id="cron"
+                                    value={cron}
+                                    onChange={(e) => setCron(e.target.value)}
+                                    placeholder="minute hour day month weekday"
+                                    required
+                                    disabled={isCreating}
+                                    className={`${inputClassName} font-mono text-sm`}
+                                />
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Server time; e.g. 0 2 * * 1 for Mondays at 02:00, or @daily.
+                                </p>
+                            </div>
+                        )}
+                    </div>
+
+                    <OutputFormatSelector selected={formats} onChange={setFormats} disabled={isCreating} />
+
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={incremental}
+                            onChange={(e) => setIncremental(e.target.checked)}
+                            disabled={isCreating}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        Incremental re-crawl (report new, changed and removed pages)
+                    </label>
+
+                    {error && (
+                        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                            {error}
+                        </div>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={isCreating}
+                        className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium
+                                 hover:bg-blue-700 transition-colors
+                                 disabled:bg-blue-300 disabled:cursor-not-allowed"
+                    >
+                        {isCreating ? 'Creating...' : 'Create Schedule'}
+                    </button>
+                </form>
+            </div>
+
+            <div className="bg-white rounded-lg shadow-lg p-8">
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-xl font-semibold text-gray-900">Schedules</h2>
+                    <button
+                        onClick={loadSchedules}
+                        className="bg-gray-200 text-gray-700 py-2 px-4 rounded-lg text-sm font-medium
+                                 hover:bg-gray-300 transition-colors"
+                    >
+                        Refresh
+                    </button>
+                </div>
+
+                {schedules === null && !error && <p className="text-gray-600">Loading schedules...</p>}
+
+                {schedules?.length === 0 && <p className="text-gray-600">No schedules yet.</p>}
+
+                {schedules && schedules.length > 0 && (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b border-gray-200">
+                                <th className="py-2 pr-4 font-medium">University</th>
+                                <th className="py-2 pr-4 font-medium">Runs</th>
+                                <th className="py-2 pr-4 font-medium">Next run</th>
+                                <th className="py-2 pr-4 font-medium">Last run</th>
+                                <th className="py-2 font-medium"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {schedules.map((schedule) => {
+                                const lastRun = schedule.runs[0];
+                                const pending = pendingId === schedule.scheduleId;
+                                const expanded = expandedId === schedule.scheduleId;
+                                const crawlId = schedule.universityName
+                                    .toLowerCase()
+                                    .replace(/\s+/g, '-')
+                                    .replace(/[^a-z0-9-]/g, '');
+
+                                return (
+                                    <Fragment key={schedule.scheduleId}>
+                                        <tr className="border-b border-gray-100 hover:bg-gray-50">
+                                            <td className="py-3 pr-4">
+                                                <Link
+                                                    href={`/admin/crawls/${crawlId}`}
+                                                    className="font-medium text-blue-600 hover:underline"
+                                                >
+                                                    {schedule.universityName}
+                                                </Link>
+                                                <div className="text-xs text-gray-500 truncate max-w-xs">
+                                                    {schedule.seedUrl}
+                                                </div>
+                                                {schedule.createdBy && (
+                                                    <div className="text-xs text-gray-500">by {schedule.createdBy}</div>
+                                                )}
+                                            </td>
+                                            <td className="py-3 pr-4 text-gray-700">{describeTiming(schedule)}</td>
+                                            <td className="py-3 pr-4 text-gray-700">
+                                                {schedule.enabled
+                                                    ? schedule.nextRunAt
+                                                        ? new Date(schedule.nextRunAt).toLocaleString()
+                                                        : 'Never'
+                                                    : 'Paused'}
+                                            </td>
+                                            <td className="py-3 pr-4">
+                                                {lastRun ? (
+                                                    <button
+                                                        onClick={() => setExpandedId(expanded ? null : schedule.scheduleId)}
+                                                        className="text-left hover:underline"
+                                                    >
+                                                        <span className={outcomeStyles[lastRun.outcome]}>
+                                                            {lastRun.result ?? lastRun.outcome}
+                                                        </span>
+                                                        <div className="text-xs text-gray-500">
+                                                            {new Date(lastRun.at).toLocaleString()}
+                                                        </div>
+                                                    </button>
+                                                ) : (
+                                                    <span className="text-gray-500">—</span>
+                                                )}
+                                            </td>
+                                            <td className="py-3 text-right space-x-3 whitespace-nowrap">
+                                                <button
+                                                    onClick={() =>
+                                                        changeSchedule(schedule.scheduleId, 'PATCH', !schedule.enabled)
+                                                    }
+                                                    disabled={pending}
+                                                    className="text-blue-600 text-xs font-medium hover:underline
+                                                             disabled:opacity-50 disabled:cursor-not-allowed"
+                                                >
+                                                    {schedule.enabled ? 'Pause' : 'Resume'}
+                                                </button>
+                                                <button
+                                                    onClick={() => {
+                                                        if (confirm(`Delete the schedule for ${schedule.universityName}?`)) {
+                                                            changeSchedule(schedule.scheduleId, 'DELETE');
+                                                        }
+                                                    }}
+                                                    disabled={pending}
+                                                    className="text-red-600 text-xs font-medium hover:underline
+                                                             disabled:opacity-50 disabled:cursor-not-allowed"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        </tr>
+
+                                        {/* Run history */}
+                                        {expanded && (
+                                            <tr className="border-b border-gray-100 bg-gray-50">
+                                                <td colSpan={5} className="py-3 px-4">
+                                                    <ul className="space-y-1 text-xs">
+                                                        {schedule.runs.slice(0, SHOWN_RUNS).map((run) => (
+                                                            <li key={run.at} className="text-gray-700">
+                                                                <span className="text-gray-500">
+                                                                    {new Date(run.at).toLocaleString()}
+                                                                </span>{' '}
+                                                                <span className={outcomeStyles[run.outcome]}>
+                                                                    {run.outcome}
+                                                                </span>
+                                                                {run.result && ` → ${run.result}`}
+                                                                {run.reason && (
+                                                                    <span className="text-gray-500"> · {run.reason}</span>
+                                                                )}
+                                                            </li>
+                                                        ))}
+                                                    </ul>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,23 @@
+const statusStyles: Record<string, { color: string; text: string }> = {
+    queued: { color: 'bg-purple-500', text: 'QUEUED' },
+    starting: { color: 'bg-yellow-500', text: 'STARTING' },
+    running: { color: 'bg-blue-500', text: 'RUNNING' },
+    paused: { color: 'bg-yellow-500', text: 'PAUSED' },
+    completed: { color: 'bg-green-500', text: 'COMPLETED' },
+    cancelled: { color: 'bg-gray-500', text: 'CANCELLED' },
+    failed: { color: 'bg-red-500', text: 'FAILED' },
+    interrupted: { color: 'bg-orange-500', text: 'INTERRUPTED' },
+    crashed: { color: 'bg-red-700', text: 'CRASHED' },
+};
+
+export const crawlStatuses = Object.keys(statusStyles);
+
+export default function StatusBadge({ status }: { status: string }) {
+    const style = statusStyles[status] ?? { color: 'bg-gray-500', text: status.toUpperCase() };
+
+    return (
+        <span className={`px-2 py-0.5 rounded-full text-white text-xs font-medium ${style.color}`}>
+            {style.text}
+        </span>
+    );
+}
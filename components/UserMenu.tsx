@@ -0,0 +1,41 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+
+interface SessionUser {
+    name: string;
+    role: 'viewer' | 'operator';
+    via: 'session' | 'token';
+}
+
+export default function UserMenu() {
+    const [user, setUser] = useState<SessionUser | null>(null);
+
+    useEffect(() => {
+        fetch('/api/auth/session')
+            .then((res) => (res.ok ? res.json() : null))
+            .then((data) => setUser(data?.user ?? null))
+            .catch(() => setUser(null));
+    }, []);
+
+    const handleLogout = async () => {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.assign('/login');
+        }
+    };
+
+    if (!user) return null;
+
+    return (
+        <div className="ml-auto flex items-center space-x-4">
+            <span className="text-gray-600">
+                {user.name} <span className="text-gray-400">({user.role})</span>
+            </span>
+            <button onClick={handleLogout} className="text-gray-600 hover:text-blue-600">
+                Log Out
+            </button>
+        </div>
+    );
+}
@@ -20,18 +20,261 @@ export default {
         headless: true,
     },
 
+    // URL discovery settings
+    discovery: {
+        // How URLs are found: 'links' (follow links), 'sitemap' (sitemap URLs only) or 'both'
+        mode: 'links',
+
+        // Available discovery modes
+        availableModes: ['links', 'sitemap', 'both'],
+
+        // Maximum sitemap files to fetch, including those listed in sitemap indexes
+        maxSitemaps: 50,
+
+        // Maximum URLs to seed from sitemaps
+        maxSitemapUrls: 10000,
+
+        // Largest sitemap file read, compressed and after gunzipping, in bytes
+        // (sitemaps.org allows 50 MB)
+        maxSitemapBytes: 50 * 1024 * 1024,
+
+        // Timeout for fetching each sitemap, in seconds
+        fetchTimeoutSecs: 15,
+    },
+
+    // Crawl scope (each field can be overridden per crawl)
+    scope: {
+        // Maximum link depth from the seed URL (seed is 0); null for unlimited
+        maxDepth: null,
+
+        // Maximum pages to crawl; null for unlimited
+        maxPages: null,
+
+        // Wall-clock time budget in minutes; null for unlimited
+        timeBudgetMins: null,
+
+        // When non-empty, only URLs matching one of these are crawled.
+        // Globs starting with '/' match the URL path ('/admissions/**'), other globs
+        // the full URL; 're:/regex/flags' strings and RegExp objects match the full URL.
+        includePatterns: [],
+
+        // URLs matching any of these are never crawled (same syntax as includePatterns).
+        // Patterns sent with a crawl request are added to these.
+        excludePatterns: [
+            /\.(zip|rar|tar|gz)$/i,
+            /\.(jpg|jpeg|png|gif|svg|webp|ico|bmp)$/i,
+            /\.(mp3|mp4|avi|mov|wmv|flv|webm)$/i,
+            /\.(css|js|json|xml)$/i,
+            /#.*$/,
+            /\?.*print/i,
+            /\/feed\/?$/i,
+            /\/rss\/?$/i,
+        ],
+
+        // Hosts allowed beside the seed host: subdomain labels ('admissions') or
+        // full hostnames; null allows every subdomain of the seed's domain
+        allowedSubdomains: null,
+    },
+
+    // Document ingestion: PDF and Office files linked from crawled pages
+    documents: {
+        // Download and extract linked documents (can be overridden per crawl);
+        // when false, document links are never enqueued
+        enabled: false,
+
+        // Document types to ingest. Legacy binary .doc/.ppt/.xls files are not
+        // supported: with ingestion on, links to them are recorded in skipped.jsonl
+        // as 'unsupported-document'
+        types: ['pdf', 'docx', 'pptx', 'xlsx'],
+
+        // Largest document downloaded, in bytes
+        maxBytes: 25 * 1024 * 1024,
+
+        // Maximum PDF pages, slides or sheets extracted per document
+        maxPages: 300,
+
+        // Maximum characters of text kept per document
+        maxTextChars: 200000,
+
+        // Timeout for downloading each document, in seconds
+        fetchTimeoutSecs: 60,
+    },
+
+    // Incremental re-crawls
+    incremental: {
+        // Compare each crawl with the previous one: conditional requests (ETag and
+        // Last-Modified) and a change report (can be overridden per crawl)
+        enabled: false,
+
+        // Largest number of differing lines diffed per page in the change report
+        maxDiffLines: 2000,
+    },
+
+    // URL normalization used to deduplicate pages
+    urls: {
+        // Query parameters removed before URLs are compared; null uses the built-in
+        // tracking parameter list (utm_*, fbclid, gclid, ...). Can be overridden per crawl.
+        stripParams: null,
+    },
+
+    // robots.txt compliance
+    robots: {
+        // Apply robots.txt Allow/Disallow rules and Crawl-delay
+        enabled: true,
+
+        // User-agent token matched against robots.txt groups
+        userAgent: 'InfinizeCrawler',
+
+        // Upper bound on an honored Crawl-delay, in seconds
+        maxCrawlDelaySecs: 30,
+
+        // Timeout for fetching robots.txt, in seconds
+        fetchTimeoutSecs: 10,
+    },
+
+    // Hosts a crawl may contact: seeds, links, sitemap entries and redirects
+    targets: {
+        // Host patterns crawls are limited to, e.g. ['*.edu', 'example.org'];
+        // empty allows every public host
+        allowedDomains: [],
+
+        // Refuse hosts that are or resolve to loopback, private or link-local
+        // (cloud metadata) addresses
+        blockPrivateAddresses: true,
+    },
+
     // Output settings
     output: {
         // Base directory for output files
         baseDir: './output',
 
         // Available output formats
-        availableFormats: ['json', 'markdown', 'html', 'links'],
+        availableFormats: ['markdown', 'json', 'html', 'links'],
 
         // Default formats if none specified
         defaultFormats: ['json', 'markdown'],
     },
 
+    // Markdown output (the consolidated markdown file)
+    markdown: {
+        // Largest main content written per page, in characters; null writes all of it
+        maxContentChars: 20000,
+
+        // Where longer content is cut: 'section' (before the last heading that fits),
+        // 'block' (after the last paragraph, list or table that fits) or 'char'
+        truncateAt: 'section',
+    },
+
+    // Recovery of crawls interrupted by a server restart
+    recovery: {
+        // Resume orphaned crawls from their persisted queue on startup
+        // (when false, or when no queue was persisted, they are marked 'interrupted')
+        autoResume: true,
+    },
+
+    // Crawl job queue of the web server (command-line crawls are not queued)
+    queue: {
+        // Crawls run at the same time; further crawls wait in the queue
+        maxConcurrentCrawls: 2,
+
+        // Browser pages shared by all running crawls. A crawl starts with the pages
+        // still free, up to its crawler.maxConcurrency.
+        maxBrowserPages: 10,
+
+        // Finished jobs kept in the queue file for the admin panel
+        keepFinishedJobs: 50,
+    },
+
+    workers: {
+        // How often a crawl worker process reports that it is alive
+        heartbeatIntervalSecs: 5,
+
+        // A worker silent for this long is killed and its crawl marked crashed
+        heartbeatTimeoutSecs: 60,
+    },
+
+    schedules: {
+        // Run the recurring crawls defined under <baseDir>/_schedules from the web server
+        enabled: true,
+
+        // How often the scheduler looks for schedules that are due
+        checkIntervalSecs: 30,
+
+        // Runs kept in each schedule's history
+        keepRuns: 50,
+    },
+
+    // Accounts of the admin panel and API (the signing secret is CRAWLER_AUTH_SECRET)
+    auth: {
+        // Directory of users.json, tokens.json and the audit log, audit.jsonl
+        dir: './data',
+
+        // How long a login lasts
+        sessionTtlHours: 12,
+
+        // Default lifetime of API tokens created with `crawl token create`
+        tokenTtlDays: 365,
+    },
+
+    // Progress reporting
+    progress: {
+        // Minimum time between progress.json writes during a crawl, in seconds;
+        // the admin UI gets live counts from the event stream in between
+        writeIntervalSecs: 2,
+    },
+
+    // Content quality report written when a crawl's output is finalized
+    quality: {
+        // Write report.json and report.html
+        enabled: true,
+
+        // Pages with fewer words of main content are flagged as thin
+        minWords: 50,
+
+        // Largest number of differing simhash bits (out of 64, at most 15) between near-duplicate pages
+        nearDuplicateDistance: 6,
+
+        // Phrases in a page's title or H1 (or in the text of a thin page) that mark it as a
+        // soft 404: an error page served with a 200 status. Matched as whole words, ignoring case.
+        soft404Phrases: [
+            '404',
+            'not found',
+            'cannot be found',
+            "can't be found",
+            'no longer available',
+            'does not exist',
+            "doesn't exist",
+        ],
+    },
+
+    // Domain extractors run over a crawl's pages when its output is finalized
+    extractors: {
+        // Classify pages (programs, courses, faculty, ...) and write the fields
+        // extracted from each class to extracted/<type>.jsonl
+        enabled: true,
+
+        // Classes to extract: 'program', 'course', 'faculty', 'event',
+        // 'admissions-deadline', 'tuition'; null runs every registered extractor
+        types: null,
+
+        // Lowest score that classifies a page. A matching URL scores 2, a schema.org
+        // type 3, a heading 2 and each text cue 1; the best-scoring class wins.
+        minScore: 3,
+    },
+
+    // Plugins called around the crawl lifecycle
+    plugins: {
+        // Plugin modules: paths (relative to the working directory) or package names.
+        // Each default-exports a plugin object, or a function taking { config } that returns one.
+        modules: [],
+
+        // Longest a plugin hook may run, in seconds, before the crawl carries on without it
+        hookTimeoutSecs: 30,
+
+        // Errors after which a plugin is disabled for the rest of the crawl
+        maxErrors: 10,
+    },
+
     // Content extraction settings
     extraction: {
         // Selectors to find main content (tried in order)
@@ -0,0 +1,34 @@
+import { getUser } from './users.js';
+import { getActiveToken } from './apiTokens.js';
+
+/**
+ * Credentials In Force
+ * The middleware only checks a credential's signature and expiry, since it
+ * cannot read files. Route handlers and the admin layout then check it here
+ * against the auth directory: an API token must be recorded and not revoked,
+ * and a session's user must still exist with the session version they logged
+ * in with. The role is taken from the account or token record, so a demoted
+ * user loses operator rights at once.
+ */
+
+/**
+ * Checks that the credential of a request is still in force
+ * @param {string} authDir - Auth directory (auth.dir)
+ * @param {import('./requestAuth.js').RequestUser} user - User, as set by the middleware
+ * @returns {Promise<import('./requestAuth.js').RequestUser|null>} User with their current role, or null
+ *   if the token was revoked or the session's account removed or changed
+ */
+export async function checkRequestUser(authDir, user) {
+    if (user.via === 'token') {
+        const token = user.credential ? await getActiveToken(authDir, user.credential) : null;
+        return token && token.name === user.name ? { ...user, role: token.role } : null;
+    }
+
+    const account = await getUser(authDir, user.name);
+    if (!account || String(account.sessionVersion) !== user.credential) {
+        return null;
+    }
+    return { ...user, role: account.role };
+}
+
+export default { checkRequestUser };
@@ -0,0 +1,137 @@
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/fileWriter.js';
+
+/**
+ * API Token Registry
+ * Every API token issued with `crawl token create` is recorded by its ID in
+ * <auth.dir>/tokens.json, and `crawl token revoke` marks it revoked. A token
+ * is only accepted while it is recorded and not revoked, so one that leaks
+ * can be turned off without changing CRAWLER_AUTH_SECRET.
+ */
+
+const TOKENS_FILE = 'tokens.json';
+
+/**
+ * @typedef {Object} TokenRecord
+ * @property {string} id - Token ID (the credential's jti)
+ * @property {string} name - Token name
+ * @property {'viewer'|'operator'} role - Role granted
+ * @property {string} createdAt - ISO timestamp the token was issued
+ * @property {string} expiresAt - ISO timestamp the token expires
+ * @property {string|null} revokedAt - ISO timestamp the token was revoked, or null
+ */
+
+/**
+ * Gets the path of the token registry
+ * @param {string} authDir - Auth directory (auth.dir)
+ * @returns {string} Full path to tokens.json
+ */
+export function getTokensFilePath(authDir) {
+    return path.join(authDir, TOKENS_FILE);
+}
+
+/**
+ * Reads the recorded tokens
+ * @param {string} authDir - Auth directory
+ * @returns {Promise<TokenRecord[]>}
+ */
+async function readTokens(authDir) {
+    const stored = await readJsonFile(getTokensFilePath(authDir));
+    return Array.isArray(stored?.tokens) ? stored.tokens : [];
+}
+
+/**
+ * Writes the recorded tokens
+ * @param {string} authDir - Auth directory
+ * @param {TokenRecord[]} tokens - Tokens
+ * @throws {Error} If the file cannot be written
+ */
+async function writeTokens(authDir, tokens) {
+    if (!(await writeJsonFile(getTokensFilePath(authDir), { tokens }))) {
+        throw new Error(`Failed to write ${getTokensFilePath(authDir)}`);
+    }
+}
+
+/**
+ * Lists the recorded tokens
+ * @param {string} authDir - Auth directory
+ * @returns {Promise<TokenRecord[]>} Tokens, oldest first
+ */
+export async function listTokens(authDir) {
+    const tokens = await readTokens(authDir);
+    return tokens.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Records a newly issued token
+ * @param {string} authDir - Auth directory
+ * @param {Object} options - Options object
+ * @param {string} options.id - Token ID
+ * @param {string} options.name - Token name
+ * @param {'viewer'|'operator'} options.role - Role granted
+ * @param {number} options.ttlSecs - Seconds until it expires
+ * @returns {Promise<TokenRecord>} The record
+ * @throws {Error} If the file cannot be written
+ */
+export async function recordToken(authDir, { id, name, role, ttlSecs }) {
+    const tokens = await readTokens(authDir);
+    const now = Date.now();
+    const record = {
+        id,
+        name,
+        role,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlSecs * 1000).toISOString(),
+        revokedAt: null,
+    };
+
+    // Expired tokens are no use to anyone; drop them as new ones are added
+    const current = tokens.filter((token) => Date.parse(token.expiresAt) > now);
+    await writeTokens(authDir, [...current, record]);
+    return record;
+}
+
+/**
+ * Revokes a token, or every token with a name
+ * @param {string} authDir - Auth directory
+ * @param {string} idOrName - Token ID, or token name
+ * @returns {Promise<number>} Number of tokens revoked (0 if none matched or all were already revoked)
+ * @throws {Error} If the file cannot be written
+ */
+export async function revokeToken(authDir, idOrName) {
+    const tokens = await readTokens(authDir);
+    const now = new Date().toISOString();
+    let revoked = 0;
+
+    for (const token of tokens) {
+        if ((token.id === idOrName || token.name === idOrName) && !token.revokedAt) {
+            token.revokedAt = now;
+            revoked++;
+        }
+    }
+
+    if (revoked > 0) {
+        await writeTokens(authDir, tokens);
+    }
+    return revoked;
+}
+
+/**
+ * Checks that a token is recorded and not revoked
+ * @param {string} authDir - Auth directory
+ * @param {string} id - Token ID
+ * @returns {Promise<TokenRecord|null>} The record, or null if the token is unknown or revoked
+ */
+export async function getActiveToken(authDir, id) {
+    const tokens = await readTokens(authDir);
+    const token = tokens.find((candidate) => candidate.id === id);
+    return token && !token.revokedAt ? token : null;
+}
+
+export default {
+    getTokensFilePath,
+    listTokens,
+    recordToken,
+    revokeToken,
+    getActiveToken,
+};
@@ -0,0 +1,52 @@
+import path from 'path';
+import { appendToFile } from '../utils/fileWriter.js';
+
+/**
+ * Audit Log
+ * Appends one JSON line per crawl start to <auth.dir>/audit.jsonl, naming who
+ * started it and how: a logged-in user, an API token, a schedule, crash
+ * recovery or the command line
+ */
+
+const AUDIT_FILE = 'audit.jsonl';
+
+/**
+ * @typedef {Object} Actor
+ * @property {string} name - Username, token name, or 'system' for recovery
+ * @property {'session'|'token'|'schedule'|'recovery'|'cli'} via - How the action was requested
+ * @property {string} [scheduleId] - Schedule that started the crawl (via 'schedule')
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} time - ISO timestamp
+ * @property {string} action - What was done, e.g. 'crawl.start', 'crawl.resume', 'crawl.retry'
+ * @property {Actor} actor - Who did it
+ * @property {string} crawlId - Crawl ID
+ * @property {string} universityName - University name
+ * @property {string} seedUrl - Starting URL
+ * @property {string|null} jobId - Queue job (null for command-line crawls)
+ */
+
+/**
+ * Gets the path of the audit log
+ * @param {string} authDir - Auth directory (auth.dir)
+ * @returns {string} Full path to audit.jsonl
+ */
+export function getAuditLogPath(authDir) {
+    return path.join(authDir, AUDIT_FILE);
+}
+
+/**
+ * Appends an entry to the audit log
+ * @param {string} authDir - Auth directory
+ * @param {Omit<AuditEntry, 'time'>} entry - Entry; the time is added
+ * @returns {Promise<void>}
+ * @throws {Error} If the log cannot be written
+ */
+export async function writeAuditEntry(authDir, entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+    await appendToFile(getAuditLogPath(authDir), `${line}\n`);
+}
+
+export default { getAuditLogPath, writeAuditEntry };
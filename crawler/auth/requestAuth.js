@@ -0,0 +1,51 @@
+/**
+ * Request Identity
+ * The middleware checks each request's session cookie or API token and
+ * passes who made it to the route handlers in these headers; any copies sent
+ * by the client are removed first. Edge-safe, like tokens.js.
+ */
+
+/**
+ * @typedef {Object} RequestUser
+ * @property {string} name - Username, or token name
+ * @property {'viewer'|'operator'} role - Role the credential was issued with
+ * @property {'session'|'token'} via - Session cookie or API token
+ * @property {string} credential - Token ID, or the session version the user logged in with
+ */
+
+export const AUTH_HEADERS = {
+    user: 'x-crawler-user',
+    role: 'x-crawler-role',
+    via: 'x-crawler-auth',
+    // Token ID, or the session version of the user
+    credential: 'x-crawler-credential',
+};
+
+/**
+ * Gets the user that made a request, as set by the middleware
+ * @param {Headers} headers - Request headers
+ * @returns {RequestUser|null} User, or null for requests the middleware let through without credentials
+ */
+export function getRequestUser(headers) {
+    const name = headers.get(AUTH_HEADERS.user);
+    const role = headers.get(AUTH_HEADERS.role);
+    const via = headers.get(AUTH_HEADERS.via);
+    if (!name || !role || !via) {
+        return null;
+    }
+    return { name, role, via, credential: headers.get(AUTH_HEADERS.credential) ?? '' };
+}
+
+/**
+ * Gets the audit log actor for a request. The middleware never lets a
+ * request without credentials reach a route that starts crawls; were one to,
+ * it is recorded as anonymous.
+ * @param {Headers} headers - Request headers
+ * @returns {import('./auditLog.js').Actor}
+ */
+export function getRequestActor(headers) {
+    const user = getRequestUser(headers);
+    return user ? { name: user.name, via: user.via } : { name: 'anonymous', via: 'session' };
+}
+
+export default { AUTH_HEADERS, getRequestUser, getRequestActor };
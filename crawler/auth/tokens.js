@@ -0,0 +1,154 @@
+/**
+ * Signed Credentials
+ * Session cookies and API tokens are the same kind of credential: a JSON
+ * payload naming the user and role, with an expiry, signed with HMAC-SHA256
+ * under CRAWLER_AUTH_SECRET. The middleware checks them without reading
+ * files; whether a token has been revoked, or a session's user removed or
+ * changed, is checked against the auth directory by activeCredentials.js.
+ *
+ * Only Web Crypto and base64 globals are used: the Next.js middleware that
+ * imports this module runs in the edge runtime.
+ */
+
+// Lowest to highest; each role can do everything the roles before it can
+export const ROLES = ['viewer', 'operator'];
+
+export const SESSION_COOKIE = 'crawler_session';
+
+// Shorter secrets are too easy to guess for HMAC keys
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * @typedef {Object} CredentialPayload
+ * @property {string} sub - Username (or token name)
+ * @property {'viewer'|'operator'} role - Role granted
+ * @property {'session'|'token'} typ - Session cookie or API token
+ * @property {string} [jti] - Token ID (API tokens)
+ * @property {number} [ver] - Session version of the user when logging in (sessions)
+ * @property {number} exp - Expiry, in seconds since the epoch
+ */
+
+/**
+ * Gets the signing secret from CRAWLER_AUTH_SECRET
+ * @returns {string|null} Secret, or null if it is not set or too short
+ */
+export function getAuthSecret() {
+    const secret = process.env.CRAWLER_AUTH_SECRET;
+    return secret && secret.length >= MIN_SECRET_LENGTH ? secret : null;
+}
+
+/**
+ * Checks whether a role includes another
+ * @param {string} role - Role held
+ * @param {'viewer'|'operator'} required - Role needed
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+    const held = ROLES.indexOf(role);
+    return held !== -1 && held >= ROLES.indexOf(required);
+}
+
+/**
+ * Encodes bytes as base64url
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url
+ * @param {string} text - base64url text
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Imports the secret as an HMAC key
+ * @param {string} secret - Signing secret
+ * @returns {Promise<CryptoKey>}
+ */
+function importKey(secret) {
+    return crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign', 'verify']
+    );
+}
+
+/**
+ * Issues a signed credential
+ * @param {Object} options - Options object
+ * @param {string} options.sub - Username (or token name)
+ * @param {'viewer'|'operator'} options.role - Role granted
+ * @param {'session'|'token'} options.typ - Session cookie or API token
+ * @param {number} options.ttlSecs - Seconds until it expires
+ * @param {string} [options.jti] - Token ID (API tokens)
+ * @param {number} [options.ver] - Session version of the user (sessions)
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Credential: base64url payload and signature, joined by a dot
+ */
+export async function signCredential({ sub, role, typ, ttlSecs, jti, ver }, secret) {
+    /** @type {CredentialPayload} */
+    const payload = { sub, role, typ, exp: Math.floor(Date.now() / 1000) + Math.round(ttlSecs) };
+    if (jti) payload.jti = jti;
+    if (ver !== undefined) payload.ver = ver;
+
+    const body = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = await crypto.subtle.sign('HMAC', await importKey(secret), new TextEncoder().encode(body));
+    return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Checks a credential's signature, type, role and expiry
+ * @param {string|null|undefined} credential - Credential from signCredential()
+ * @param {'session'|'token'} typ - Type expected
+ * @param {string} secret - Signing secret
+ * @returns {Promise<CredentialPayload|null>} Payload, or null if the credential is not valid
+ */
+export async function verifyCredential(credential, typ, secret) {
+    const [body, signature, extra] = (credential ?? '').split('.');
+    if (!body || !signature || extra !== undefined) {
+        return null;
+    }
+
+    try {
+        // subtle.verify compares in constant time
+        const valid = await crypto.subtle.verify(
+            'HMAC',
+            await importKey(secret),
+            fromBase64Url(signature),
+            new TextEncoder().encode(body)
+        );
+        if (!valid) return null;
+
+        /** @type {CredentialPayload} */
+        const payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+        if (payload.typ !== typ || !ROLES.includes(payload.role) || typeof payload.sub !== 'string') {
+            return null;
+        }
+        return payload.exp > Date.now() / 1000 ? payload : null;
+    } catch {
+        // Malformed base64 or JSON
+        return null;
+    }
+}
+
+export default {
+    ROLES,
+    SESSION_COOKIE,
+    getAuthSecret,
+    hasRole,
+    signCredential,
+    verifyCredential,
+};
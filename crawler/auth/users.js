@@ -0,0 +1,271 @@
+import path from 'path';
+import { promisify } from 'util';
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { readJsonFile, writeJsonFile } from '../utils/fileWriter.js';
+import { ROLES } from './tokens.js';
+
+/**
+ * User Accounts
+ * Local accounts of the admin panel, kept in <auth.dir>/users.json with
+ * scrypt password hashes. Accounts are managed with the command line
+ * (`crawl user add|remove|list`); the server reads them to log users in and
+ * to check that sessions are still in force, and raises a user's session
+ * version when they log out. The last session version of each removed account
+ * is kept, so an account added again under the same name does not accept the
+ * sessions of the old one.
+ */
+
+const USERS_FILE = 'users.json';
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_COST = 16384;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELISM = 1;
+const KEY_LENGTH = 64;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+
+const scryptAsync = promisify(scrypt);
+
+/**
+ * @typedef {Object} UserAccount
+ * @property {string} username - Login name
+ * @property {'viewer'|'operator'} role - Viewers see crawls and outputs; operators also start, stop and delete them
+ * @property {string} passwordHash - scrypt$N$r$p$salt$hash, salt and hash in base64
+ * @property {number} sessionVersion - Raised on every change to the account and when the user logs out,
+ *   ending its open sessions
+ * @property {string} createdAt - ISO timestamp the account was added
+ * @property {string} updatedAt - ISO timestamp of the last change
+ */
+
+/**
+ * Gets the path of the accounts file
+ * @param {string} authDir - Auth directory (auth.dir)
+ * @returns {string} Full path to users.json
+ */
+export function getUsersFilePath(authDir) {
+    return path.join(authDir, USERS_FILE);
+}
+
+/**
+ * @typedef {Object} StoredAccounts
+ * @property {UserAccount[]} users - Accounts
+ * @property {Object<string, number>} removed - Last session version of removed accounts, by username
+ */
+
+/**
+ * Reads the stored accounts
+ * @param {string} authDir - Auth directory
+ * @returns {Promise<StoredAccounts>}
+ */
+async function readAccounts(authDir) {
+    const stored = await readJsonFile(getUsersFilePath(authDir));
+    return {
+        users: Array.isArray(stored?.users) ? stored.users : [],
+        removed: stored?.removed && typeof stored.removed === 'object' ? stored.removed : {},
+    };
+}
+
+/**
+ * Reads the stored accounts, without the removed ones
+ * @param {string} authDir - Auth directory
+ * @returns {Promise<UserAccount[]>}
+ */
+async function readUsers(authDir) {
+    return (await readAccounts(authDir)).users;
+}
+
+/**
+ * Writes the accounts file
+ * @param {string} authDir - Auth directory
+ * @param {StoredAccounts} accounts - Accounts
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be written
+ */
+async function writeAccounts(authDir, accounts) {
+    if (!(await writeJsonFile(getUsersFilePath(authDir), accounts))) {
+        throw new Error(`Failed to write ${getUsersFilePath(authDir)}`);
+    }
+}
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password - Password
+ * @returns {Promise<string>} Hash in the scrypt$N$r$p$salt$hash format
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH, {
+        N: SCRYPT_COST,
+        r: SCRYPT_BLOCK_SIZE,
+        p: SCRYPT_PARALLELISM,
+    });
+    return ['scrypt', SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELISM, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a stored hash
+ * @param {string} password - Password
+ * @param {string} passwordHash - Hash from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, passwordHash) {
+    const [scheme, cost, blockSize, parallelism, salt, hash] = passwordHash.split('$');
+    if (scheme !== 'scrypt' || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(cost),
+        r: Number(blockSize),
+        p: Number(parallelism),
+    });
+    return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Lists the accounts without their password hashes
+ * @param {string} authDir - Auth directory
+ * @returns {Promise<Omit<UserAccount, 'passwordHash'>[]>} Accounts, by username
+ */
+export async function listUsers(authDir) {
+    const users = await readUsers(authDir);
+    return users
+        .map(({ passwordHash, ...user }) => user)
+        .sort((a, b) => a.username.localeCompare(b.username));
+}
+
+/**
+ * Gets an account without its password hash
+ * @param {string} authDir - Auth directory
+ * @param {string} username - Login name
+ * @returns {Promise<Omit<UserAccount, 'passwordHash'>|null>} The account, or null if there is none
+ */
+export async function getUser(authDir, username) {
+    const users = await readUsers(authDir);
+    const user = users.find((candidate) => candidate.username === username);
+    if (!user) {
+        return null;
+    }
+    const { passwordHash, ...account } = user;
+    return { ...account, sessionVersion: account.sessionVersion ?? 0 };
+}
+
+/**
+ * Adds an account, or sets the password and role of an existing one. Either
+ * change ends the sessions the account already has.
+ * @param {string} authDir - Auth directory
+ * @param {Object} options - Options object
+ * @param {string} options.username - Login name (letters, digits and . _ @ -)
+ * @param {string} options.password - Password, at least 8 characters
+ * @param {'viewer'|'operator'} options.role - Role
+ * @returns {Promise<boolean>} True if the account was added, false if an existing one was updated
+ * @throws {Error} If the username, password or role is invalid, or the file cannot be written
+ */
+export async function saveUser(authDir, { username, password, role }) {
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new Error('Usernames are 1-64 letters, digits, dots, underscores, @ or dashes');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const accounts = await readAccounts(authDir);
+    const now = new Date().toISOString();
+    const passwordHash = await hashPassword(password);
+    const existing = accounts.users.find((user) => user.username === username);
+
+    if (existing) {
+        const sessionVersion = (existing.sessionVersion ?? 0) + 1;
+        Object.assign(existing, { role, passwordHash, sessionVersion, updatedAt: now });
+    } else {
+        // Carry on from a removed account of the same name, whose sessions may not have expired
+        const sessionVersion = (accounts.removed[username] ?? 0) + 1;
+        delete accounts.removed[username];
+        accounts.users.push({ username, role, passwordHash, sessionVersion, createdAt: now, updatedAt: now });
+    }
+
+    await writeAccounts(authDir, accounts);
+    return !existing;
+}
+
+/**
+ * Removes an account, ending the sessions it has
+ * @param {string} authDir - Auth directory
+ * @param {string} username - Login name
+ * @returns {Promise<boolean>} True if removed, false if there is no such account
+ * @throws {Error} If the file cannot be written
+ */
+export async function removeUser(authDir, username) {
+    const accounts = await readAccounts(authDir);
+    const user = accounts.users.find((candidate) => candidate.username === username);
+    if (!user) {
+        return false;
+    }
+
+    accounts.users = accounts.users.filter((candidate) => candidate !== user);
+    accounts.removed[username] = user.sessionVersion ?? 0;
+    await writeAccounts(authDir, accounts);
+    return true;
+}
+
+/**
+ * Ends the sessions of an account by raising its session version. Only
+ * sessions still in force count: one issued for an older version has
+ * already ended, so it cannot end the account's newer sessions.
+ * @param {string} authDir - Auth directory
+ * @param {string} username - Login name
+ * @param {number} sessionVersion - Session version of the session being ended
+ * @returns {Promise<boolean>} True if the sessions were ended, false if the account is gone or
+ *   the session had already ended
+ * @throws {Error} If the file cannot be written
+ */
+export async function endSessions(authDir, username, sessionVersion) {
+    const accounts = await readAccounts(authDir);
+    const user = accounts.users.find((candidate) => candidate.username === username);
+    if (!user || (user.sessionVersion ?? 0) !== sessionVersion) {
+        return false;
+    }
+
+    user.sessionVersion = sessionVersion + 1;
+    await writeAccounts(authDir, accounts);
+    return true;
+}
+
+/**
+ * Checks a username and password
+ * @param {string} authDir - Auth directory
+ * @param {string} username - Login name
+ * @param {string} password - Password
+ * @returns {Promise<{ username: string, role: 'viewer'|'operator', sessionVersion: number }|null>} The
+ *   account, or null if the username or password is wrong
+ */
+export async function authenticateUser(authDir, username, password) {
+    const users = await readUsers(authDir);
+    const user = users.find((candidate) => candidate.username === username);
+
+    // Unknown users are checked against a throwaway hash so they take as long as wrong passwords
+    const passwordHash = user?.passwordHash ?? (await hashPassword(''));
+    const valid = await verifyPassword(String(password ?? ''), passwordHash);
+    return user && valid
+        ? { username: user.username, role: user.role, sessionVersion: user.sessionVersion ?? 0 }
+        : null;
+}
+
+export default {
+    getUsersFilePath,
+    hashPassword,
+    verifyPassword,
+    listUsers,
+    getUser,
+    saveUser,
+    removeUser,
+    endSessions,
+    authenticateUser,
+};
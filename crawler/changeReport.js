@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { appendToFile, writeJsonFile, writeOutput } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { diffLines, formatDiff } from './utils/textDiff.js';
+import { getStateDir } from './crawlState.js';
+
+/**
+ * Change Report
+ * Collects new and changed pages during an incremental re-crawl and writes
+ * changes.json and changes.md (with text diffs) next to the crawl output
+ */
+
+const CHANGES_JOURNAL_FILE = 'changes.jsonl';
+
+/**
+ * Gets the change report paths for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {{ json: string, markdown: string }} Full paths to changes.json and changes.md
+ */
+export function getChangeReportPaths(baseDir, universityName) {
+    const dir = path.join(baseDir, toCrawlId(universityName));
+    return { json: path.join(dir, 'changes.json'), markdown: path.join(dir, 'changes.md') };
+}
+
+/**
+ * Builds the diff shown for a changed page
+ * @param {import('./pageRecord.js').PageRecord} previousRecord - Record from the previous crawl
+ * @param {import('./pageRecord.js').PageRecord} record - Record from this crawl
+ * @param {number} maxDiffLines - Largest number of differing lines to diff
+ * @returns {string} Diff text
+ */
+function buildDiff(previousRecord, record, maxDiffLines) {
+    const parts = [];
+    if (previousRecord.title !== record.title) {
+        parts.push(`- Title: ${previousRecord.title}`, `+ Title: ${record.title}`);
+    }
+
+    const lines = diffLines(previousRecord.mainContent, record.mainContent, { maxLines: maxDiffLines });
+    if (lines) {
+        const diff = formatDiff(lines);
+        if (diff) parts.push(diff);
+    } else {
+        parts.push(`@@ Content changed too much to diff (more than ${maxDiffLines} lines)`);
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * Renders the change report as markdown
+ * @param {Object} report - Report data (as written to changes.json)
+ * @returns {string} Markdown document
+ */
+function renderMarkdown(report) {
+    const lines = [];
+    const link = (page) => `- [${page.title || page.url}](${page.url})`;
+
+    lines.push(`# Change Report: ${report.universityName}`);
+    lines.push('');
+    lines.push(`**Seed URL:** ${report.seedUrl}`);
+    lines.push(`**Previous Crawl:** ${report.previousCrawlAt ?? 'none'}`);
+    lines.push(`**Generated:** ${report.generatedAt}`);
+    lines.push('');
+    lines.push('| Unchanged | Changed | New | Removed |');
+    lines.push('|-----------|---------|-----|---------|');
+    lines.push(
+        `| ${report.counts.unchanged} | ${report.counts.changed} | ${report.counts.new} | ${report.counts.removed} |`
+    );
+    lines.push('');
+    if (!report.complete) {
+        lines.push('> The crawl did not finish, so pages it did not reach are not reported as removed.');
+        lines.push('');
+    }
+
+    if (report.added.length > 0) {
+        lines.push(`## New Pages (${report.added.length})`);
+        lines.push('');
+        lines.push(...report.added.map(link));
+        lines.push('');
+    }
+
+    if (report.removed.length > 0) {
+        lines.push(`## Removed Pages (${report.removed.length})`);
+        lines.push('');
+        lines.push(...report.removed.map(link));
+        lines.push('');
+    }
+
+    if (report.changed.length > 0) {
+        lines.push(`## Changed Pages (${report.changed.length})`);
+        lines.push('');
+        for (const page of report.changed) {
+            lines.push(`### ${page.title || page.url}`);
+            lines.push('');
+            lines.push(page.url);
+            lines.push('');
+            lines.push('```diff');
+            lines.push(page.diff);
+            lines.push('```');
+            lines.push('');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Opens the change report for an incremental crawl
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {number} options.maxDiffLines - Largest number of differing lines diffed per page
+ * @param {boolean} [options.resume] - Keep changes journaled by an interrupted run
+ * @returns {Promise<{ recordChange: Function, write: Function }>} Change report
+ */
+export async function openChangeReport({ baseDir, universityName, maxDiffLines, resume = false }) {
+    const journalPath = path.join(getStateDir(baseDir, universityName), CHANGES_JOURNAL_FILE);
+    if (!resume) {
+        await fs.rm(journalPath, { force: true });
+    }
+
+    return {
+        /**
+         * Records a new or changed page
+         * @param {Object} change - Change details
+         * @param {'new'|'changed'} change.status - Change status
+         * @param {import('./pageRecord.js').PageRecord} change.record - Current record
+         * @param {import('./pageRecord.js').PageRecord} [change.previousRecord] - Previous record (changed pages)
+         * @returns {Promise<void>}
+         */
+        async recordChange({ status, record, previousRecord }) {
+            const change = { status, url: record.url, title: record.title };
+            if (status === 'changed') {
+                change.diff = buildDiff(previousRecord, record, maxDiffLines);
+            }
+            await appendToFile(journalPath, JSON.stringify(change) + '\n');
+        },
+
+        /**
+         * Writes changes.json and changes.md
+         * @param {Object} options - Options object
+         * @param {string} options.seedUrl - Starting URL
+         * @param {string|null} options.previousCrawlAt - ISO timestamp of the previous crawl
+         * @param {import('./pageIndex.js').ChangeCounts} options.counts - Change counts
+         * @param {Array<import('./pageIndex.js').PageIndexEntry|{ url: string, title: string }>} options.removed - Pages
+         *   no longer found (index entries, or the removed pages of an earlier report)
+         * @param {boolean} options.complete - Whether the crawl visited every page
+         * @returns {Promise<string>} Path to changes.md
+         */
+        async write({ seedUrl, previousCrawlAt, counts, removed, complete }) {
+            const content = await fs.readFile(journalPath, 'utf8').catch(() => '');
+            const changes = content
+                .split('\n')
+                .filter(Boolean)
+                .map((line) => JSON.parse(line));
+
+            const report = {
+                universityName,
+                seedUrl,
+                previousCrawlAt,
+                generatedAt: new Date().toISOString(),
+                complete,
+                counts,
+                added: changes.filter((change) => change.status === 'new').map(({ url, title }) => ({ url, title })),
+                removed: removed.map((entry) => ({ url: entry.url, title: entry.record?.title ?? entry.title ?? '' })),
+                changed: changes
+                    .filter((change) => change.status === 'changed')
+                    .map(({ url, title, diff }) => ({ url, title, diff })),
+            };
+
+            const paths = getChangeReportPaths(baseDir, universityName);
+            await writeJsonFile(paths.json, report);
+            await writeOutput(paths.markdown, renderMarkdown(report));
+            return paths.markdown;
+        },
+    };
+}
+
+export default { getChangeReportPaths, openChangeReport };
@@ -0,0 +1,588 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import defaultConfig from '../config/default.config.js';
+import { readJsonFile, writeJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { compilePattern, mergeScope, toPatternString, validateScopeOptions } from './scope.js';
+import { TRUNCATE_BOUNDARIES } from './utils/markdown.js';
+import { isValidDomainPattern } from './targetPolicy.js';
+import { SUPPORTED_DOCUMENT_TYPES } from './documents/index.js';
+
+/**
+ * Configuration Loader
+ * Builds the configuration for a crawl from, in order of precedence:
+ * per-crawl overrides (StartRequest / CLI options), environment variables,
+ * an optional project config file and config/default.config.js. The merged
+ * result is validated against a schema, and the effective config of each
+ * crawl is saved next to its progress.json.
+ */
+
+// Project config files looked up in the working directory when CRAWLER_CONFIG is not set
+const PROJECT_CONFIG_FILES = ['crawler.config.js', 'crawler.config.mjs', 'crawler.config.json'];
+
+// Environment variables and the settings they override
+const ENV_OVERRIDES = {
+    OUTPUT_DIR: { path: 'output.baseDir', type: 'string' },
+    CRAWLER_MAX_CONCURRENCY: { path: 'crawler.maxConcurrency', type: 'integer' },
+    CRAWLER_MAX_REQUESTS_PER_MINUTE: { path: 'crawler.maxRequestsPerMinute', type: 'integer' },
+    CRAWLER_HEADLESS: { path: 'crawler.headless', type: 'boolean' },
+    CRAWLER_USER_AGENT: { path: 'robots.userAgent', type: 'string' },
+    CRAWLER_RESPECT_ROBOTS: { path: 'robots.enabled', type: 'boolean' },
+    CRAWLER_AUTO_RESUME: { path: 'recovery.autoResume', type: 'boolean' },
+    CRAWLER_MAX_CONCURRENT_CRAWLS: { path: 'queue.maxConcurrentCrawls', type: 'integer' },
+    CRAWLER_MAX_BROWSER_PAGES: { path: 'queue.maxBrowserPages', type: 'integer' },
+    CRAWLER_SCHEDULES_ENABLED: { path: 'schedules.enabled', type: 'boolean' },
+    CRAWLER_AUTH_DIR: { path: 'auth.dir', type: 'string' },
+    CRAWLER_ALLOWED_DOMAINS: { path: 'targets.allowedDomains', type: 'strings' },
+    CRAWLER_BLOCK_PRIVATE_ADDRESSES: { path: 'targets.blockPrivateAddresses', type: 'boolean' },
+};
+
+const EFFECTIVE_CONFIG_FILE = 'config.json';
+
+/**
+ * @typedef {typeof defaultConfig} CrawlerConfig
+ */
+
+/**
+ * Field rules: type is 'integer', 'number', 'boolean', 'string', 'strings'
+ * (list of strings) or 'patterns' (list of globs, regex strings or RegExps);
+ * min and max bound numbers and nullable allows null.
+ */
+const SCHEMA = {
+    crawler: {
+        maxRequestsPerMinute: { type: 'integer', min: 1 },
+        maxConcurrency: { type: 'integer', min: 1 },
+        requestHandlerTimeoutSecs: { type: 'number', min: 1 },
+        maxRequestRetries: { type: 'integer', min: 0 },
+        headless: { type: 'boolean' },
+    },
+    discovery: {
+        mode: { type: 'string' },
+        availableModes: { type: 'strings' },
+        maxSitemaps: { type: 'integer', min: 1 },
+        maxSitemapUrls: { type: 'integer', min: 1 },
+        maxSitemapBytes: { type: 'integer', min: 1 },
+        fetchTimeoutSecs: { type: 'number', min: 1 },
+    },
+    scope: {
+        maxDepth: { type: 'integer', min: 0, nullable: true },
+        maxPages: { type: 'integer', min: 1, nullable: true },
+        timeBudgetMins: { type: 'number', min: 1, nullable: true },
+        includePatterns: { type: 'patterns' },
+        excludePatterns: { type: 'patterns' },
+        allowedSubdomains: { type: 'strings', nullable: true },
+    },
+    documents: {
+        enabled: { type: 'boolean' },
+        types: { type: 'strings' },
+        maxBytes: { type: 'integer', min: 1 },
+        maxPages: { type: 'integer', min: 1 },
+        maxTextChars: { type: 'integer', min: 1 },
+        fetchTimeoutSecs: { type: 'number', min: 1 },
+    },
+    incremental: {
+        enabled: { type: 'boolean' },
+        maxDiffLines: { type: 'integer', min: 1 },
+    },
+    urls: {
+        stripParams: { type: 'strings', nullable: true },
+    },
+    robots: {
+        enabled: { type: 'boolean' },
+        userAgent: { type: 'string' },
+        maxCrawlDelaySecs: { type: 'number', min: 0 },
+        fetchTimeoutSecs: { type: 'number', min: 1 },
+    },
+    targets: {
+        allowedDomains: { type: 'strings' },
+        blockPrivateAddresses: { type: 'boolean' },
+    },
+    output: {
+        baseDir: { type: 'string' },
+        availableFormats: { type: 'strings' },
+        defaultFormats: { type: 'strings' },
+    },
+    markdown: {
+        maxContentChars: { type: 'integer', min: 1, nullable: true },
+        truncateAt: { type: 'string' },
+    },
+    recovery: {
+        autoResume: { type: 'boolean' },
+    },
+    queue: {
+        maxConcurrentCrawls: { type: 'integer', min: 1 },
+        maxBrowserPages: { type: 'integer', min: 1 },
+        keepFinishedJobs: { type: 'integer', min: 0 },
+    },
+    workers: {
+        heartbeatIntervalSecs: { type: 'number', min: 1 },
+        heartbeatTimeoutSecs: { type: 'number', min: 1 },
+    },
+    schedules: {
+        enabled: { type: 'boolean' },
+        checkIntervalSecs: { type: 'number', min: 1 },
+        keepRuns: { type: 'integer', min: 1 },
+    },
+    auth: {
+        dir: { type: 'string' },
+        sessionTtlHours: { type: 'number', min: 1 },
+        tokenTtlDays: { type: 'integer', min: 1 },
+    },
+    progress: {
+        writeIntervalSecs: { type: 'number', min: 0 },
+    },
+    quality: {
+        enabled: { type: 'boolean' },
+        minWords: { type: 'integer', min: 0 },
+        nearDuplicateDistance: { type: 'integer', min: 0, max: 15 },
+        soft404Phrases: { type: 'strings' },
+    },
+    extractors: {
+        enabled: { type: 'boolean' },
+        types: { type: 'strings', nullable: true },
+        minScore: { type: 'integer', min: 1 },
+    },
+    plugins: {
+        modules: { type: 'strings' },
+        hookTimeoutSecs: { type: 'number', min: 1 },
+        maxErrors: { type: 'integer', min: 1 },
+    },
+    extraction: {
+        mainContentSelectors: { type: 'strings' },
+        excludeSelectors: { type: 'strings' },
+    },
+};
+
+/**
+ * Thrown when a configuration layer or per-crawl override is invalid
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} errors - Validation errors
+     * @param {string} [source] - Where the invalid settings came from
+     */
+    constructor(errors, source) {
+        super(`${source ? `Invalid configuration in ${source}` : 'Invalid configuration'}: ${errors.join('; ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// ============================================================================
+// Merging
+// ============================================================================
+
+/**
+ * Merges a config layer onto a base config, section by section. Settings in
+ * the layer replace those in the base; lists are replaced, not concatenated.
+ * @param {CrawlerConfig} base - Base configuration
+ * @param {Object} layer - Partial configuration
+ * @returns {CrawlerConfig} Merged configuration
+ */
+export function mergeConfig(base, layer) {
+    const merged = { ...base };
+    for (const [section, values] of Object.entries(layer ?? {})) {
+        merged[section] =
+            isPlainObject(values) && isPlainObject(base[section]) ? { ...base[section], ...values } : values;
+    }
+    return merged;
+}
+
+/**
+ * Checks whether a value is a plain object (not a list, RegExp or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Reads settings from environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial configuration
+ * @throws {ConfigError} If a variable has an invalid value
+ */
+function readEnvLayer(env) {
+    const layer = {};
+    const errors = [];
+
+    for (const [name, { path: settingPath, type }] of Object.entries(ENV_OVERRIDES)) {
+        const raw = env[name];
+        if (raw === undefined || raw === '') continue;
+
+        let value = raw;
+        if (type === 'integer') {
+            value = Number(raw);
+            if (!Number.isInteger(value)) {
+                errors.push(`${name} must be an integer`);
+                continue;
+            }
+        } else if (type === 'boolean') {
+            if (!['true', 'false', '1', '0'].includes(raw.toLowerCase())) {
+                errors.push(`${name} must be true or false`);
+                continue;
+            }
+            value = raw.toLowerCase() === 'true' || raw === '1';
+        } else if (type === 'strings') {
+            value = raw.split(',').map((item) => item.trim()).filter(Boolean);
+        }
+
+        const [section, key] = settingPath.split('.');
+        layer[section] = { ...layer[section], [key]: value };
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors, 'environment variables');
+    }
+    return layer;
+}
+
+/**
+ * Finds the project config file: CRAWLER_CONFIG, or the first of
+ * PROJECT_CONFIG_FILES present in the working directory
+ * @param {Object} env - Environment variables
+ * @returns {Promise<string|null>} Absolute path, or null if there is none
+ */
+async function findProjectConfigFile(env) {
+    if (env.CRAWLER_CONFIG) {
+        return path.resolve(env.CRAWLER_CONFIG);
+    }
+    for (const name of PROJECT_CONFIG_FILES) {
+        const candidate = path.resolve(name);
+        try {
+            await fs.access(candidate);
+            return candidate;
+        } catch {
+            // Not present; try the next name
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads a project config file (.json, or a .js/.mjs module with a default export)
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<Object>} Partial configuration
+ * @throws {ConfigError} If the file cannot be read or is not an object
+ */
+async function readConfigFile(filePath) {
+    let layer;
+    try {
+        if (filePath.endsWith('.json')) {
+            layer = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } else {
+            layer = (await import(/* webpackIgnore: true */ pathToFileURL(filePath).href)).default;
+        }
+    } catch (error) {
+        throw new ConfigError([`could not be loaded: ${error.message}`], filePath);
+    }
+
+    if (!isPlainObject(layer)) {
+        throw new ConfigError(['must export an object of config sections'], filePath);
+    }
+    return layer;
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validates one setting against its schema rule
+ * @param {string} name - Setting path for messages (e.g. 'scope.maxDepth')
+ * @param {*} value - Setting value
+ * @param {Object} rule - Schema rule
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkField(name, value, rule) {
+    if (value === null) {
+        return rule.nullable ? null : `${name} must not be null`;
+    }
+
+    let bound = '';
+    if (rule.min !== undefined && rule.max !== undefined) {
+        bound = ` from ${rule.min} to ${rule.max}`;
+    } else if (rule.min !== undefined) {
+        bound = ` of at least ${rule.min}`;
+    }
+    const inRange = (number) => number >= (rule.min ?? -Infinity) && number <= (rule.max ?? Infinity);
+
+    switch (rule.type) {
+        case 'integer':
+            return Number.isInteger(value) && inRange(value) ? null : `${name} must be an integer${bound}`;
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) && inRange(value)
+                ? null
+                : `${name} must be a number${bound}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} must be true or false`;
+        case 'string':
+            return typeof value === 'string' && value.trim() ? null : `${name} must be a non-empty string`;
+        case 'strings':
+            return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim())
+                ? null
+                : `${name} must be a list of non-empty strings`;
+        case 'patterns': {
+            if (!Array.isArray(value)) {
+                return `${name} must be a list of patterns`;
+            }
+            for (const pattern of value) {
+                if (!(pattern instanceof RegExp) && (typeof pattern !== 'string' || !pattern.trim())) {
+                    return `${name} must contain only globs, "re:/regex/flags" strings or RegExps`;
+                }
+                try {
+                    compilePattern(pattern);
+                } catch (error) {
+                    return `${name} has an invalid pattern "${pattern}": ${error.message}`;
+                }
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validates a merged configuration against the schema, including settings
+ * that must agree with each other
+ * @param {Object} config - Configuration to validate
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateConfig(config) {
+    const errors = [];
+
+    for (const [section, values] of Object.entries(config)) {
+        const rules = SCHEMA[section];
+        if (!rules) {
+            errors.push(`unknown section "${section}"`);
+            continue;
+        }
+        if (!isPlainObject(values)) {
+            errors.push(`${section} must be an object`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(values)) {
+            if (!rules[key]) {
+                errors.push(`unknown setting "${section}.${key}"`);
+                continue;
+            }
+            const error = checkField(`${section}.${key}`, value, rules[key]);
+            if (error) errors.push(error);
+        }
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    for (const section of Object.keys(SCHEMA)) {
+        if (!config[section]) errors.push(`missing section "${section}"`);
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const { discovery, output, markdown, workers, targets, documents } = config;
+    if (!discovery.availableModes.includes(discovery.mode)) {
+        errors.push(`discovery.mode must be one of: ${discovery.availableModes.join(', ')}`);
+    }
+    if (!TRUNCATE_BOUNDARIES.includes(markdown.truncateAt)) {
+        errors.push(`markdown.truncateAt must be one of: ${TRUNCATE_BOUNDARIES.join(', ')}`);
+    }
+    const unknownFormats = output.defaultFormats.filter((format) => !output.availableFormats.includes(format));
+    if (output.defaultFormats.length === 0 || unknownFormats.length > 0) {
+        errors.push(`output.defaultFormats must be a non-empty list of: ${output.availableFormats.join(', ')}`);
+    }
+    if (documents.types.some((type) => !SUPPORTED_DOCUMENT_TYPES.includes(type))) {
+        errors.push(
+            `documents.types must be a list of: ${SUPPORTED_DOCUMENT_TYPES.join(', ')} ` +
+                '(legacy .doc, .ppt and .xls files are not supported)'
+        );
+    }
+    if (workers.heartbeatTimeoutSecs <= workers.heartbeatIntervalSecs) {
+        errors.push('workers.heartbeatTimeoutSecs must be longer than workers.heartbeatIntervalSecs');
+    }
+    const invalidDomains = targets.allowedDomains.filter((pattern) => !isValidDomainPattern(pattern));
+    if (invalidDomains.length > 0) {
+        errors.push(`targets.allowedDomains must be lowercase host names or *.domain patterns: ${invalidDomains.join(', ')}`);
+    }
+
+    return errors;
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Loads the configuration: defaults, then the project config file, then
+ * environment variables. The result is validated.
+ * @param {Object} [options] - Options object
+ * @param {string} [options.configFile] - Project config file (defaults to CRAWLER_CONFIG or ./crawler.config.*)
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Promise<CrawlerConfig>} Configuration
+ * @throws {ConfigError} If a layer is invalid
+ */
+export async function loadConfig({ configFile, env = process.env } = {}) {
+    let config = defaultConfig;
+
+    const filePath = configFile ? path.resolve(configFile) : await findProjectConfigFile(env);
+    if (filePath) {
+        const layer = await readConfigFile(filePath);
+        config = mergeConfig(config, layer);
+
+        const errors = validateConfig(config);
+        if (errors.length > 0) {
+            throw new ConfigError(errors, filePath);
+        }
+    }
+
+    config = mergeConfig(config, readEnvLayer(env));
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new ConfigError(errors, 'environment variables');
+    }
+
+    return config;
+}
+
+/**
+ * Applies per-crawl settings to a configuration without validating them.
+ * Scope overrides are merged with mergeScope (exclude patterns are added).
+ * @param {CrawlerConfig} config - Configuration
+ * @param {Object} overrides - Per-crawl settings
+ * @param {'links'|'sitemap'|'both'} [overrides.discoveryMode] - How URLs are discovered
+ * @param {Object} [overrides.scope] - Scope overrides
+ * @param {string[]} [overrides.stripParams] - Query parameters ignored when deduplicating
+ * @param {boolean} [overrides.includeDocuments] - Download and extract linked documents
+ * @param {boolean} [overrides.incremental] - Compare with the previous crawl
+ * @returns {CrawlerConfig} Configuration for the crawl
+ */
+export function applyCrawlOverrides(config, { discoveryMode, scope, stripParams, includeDocuments, incremental }) {
+    return mergeConfig(config, {
+        discovery: { mode: discoveryMode ?? config.discovery.mode },
+        scope: mergeScope(config.scope, scope),
+        urls: { stripParams: stripParams ?? config.urls.stripParams },
+        documents: { enabled: includeDocuments ?? config.documents.enabled },
+        incremental: { enabled: incremental ?? config.incremental.enabled },
+    });
+}
+
+/**
+ * Validates per-crawl settings (as sent in a StartRequest) and applies them
+ * to a configuration
+ * @param {CrawlerConfig} config - Configuration
+ * @param {Object} overrides - Per-crawl settings
+ * @param {string[]} [overrides.outputFormats] - Output formats to write
+ * @param {*} [overrides.discoveryMode] - How URLs are discovered
+ * @param {*} [overrides.scope] - Scope overrides
+ * @param {*} [overrides.stripParams] - Query parameters ignored when deduplicating
+ * @param {*} [overrides.includeDocuments] - Download and extract linked documents
+ * @param {*} [overrides.incremental] - Compare with the previous crawl
+ * @returns {CrawlerConfig} Validated configuration for the crawl
+ * @throws {ConfigError} If a setting is invalid
+ */
+export function resolveCrawlConfig(config, overrides = {}) {
+    const { outputFormats, discoveryMode, scope, stripParams, includeDocuments, incremental } = overrides;
+    const errors = [];
+    const { availableFormats } = config.output;
+    const { availableModes } = config.discovery;
+
+    if (
+        outputFormats !== undefined &&
+        (!Array.isArray(outputFormats) ||
+            outputFormats.length === 0 ||
+            outputFormats.some((format) => !availableFormats.includes(format)))
+    ) {
+        errors.push(`outputFormats must be a non-empty list of: ${availableFormats.join(', ')}`);
+    }
+    if (discoveryMode !== undefined && !availableModes.includes(discoveryMode)) {
+        errors.push(`discoveryMode must be one of: ${availableModes.join(', ')}`);
+    }
+    errors.push(...validateScopeOptions(scope));
+    if (
+        stripParams !== undefined &&
+        stripParams !== null &&
+        (!Array.isArray(stripParams) || stripParams.some((param) => typeof param !== 'string' || !param))
+    ) {
+        errors.push('stripParams must be a list of query parameter names');
+    }
+    if (includeDocuments !== undefined && typeof includeDocuments !== 'boolean') {
+        errors.push('includeDocuments must be a boolean');
+    }
+    if (incremental !== undefined && typeof incremental !== 'boolean') {
+        errors.push('incremental must be a boolean');
+    }
+    if (errors.length > 0) {
+        throw new ConfigError(errors, 'crawl settings');
+    }
+
+    const crawlConfig = applyCrawlOverrides(config, overrides);
+    const configErrors = validateConfig(crawlConfig);
+    if (configErrors.length > 0) {
+        throw new ConfigError(configErrors, 'crawl settings');
+    }
+    return crawlConfig;
+}
+
+// ============================================================================
+// Effective config files
+// ============================================================================
+
+/**
+ * Gets the path of a crawl's saved effective config
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to config.json
+ */
+export function getEffectiveConfigPath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), EFFECTIVE_CONFIG_FILE);
+}
+
+/**
+ * Converts a config to plain JSON. RegExp patterns become "re:/source/flags"
+ * strings, which scope patterns accept.
+ * @param {Object} config - Configuration
+ * @returns {Object} JSON-safe copy of the configuration
+ */
+export function toSerializableConfig(config) {
+    return JSON.parse(JSON.stringify(config, (key, value) => (value instanceof RegExp ? toPatternString(value) : value)));
+}
+
+/**
+ * Saves the config a crawl runs with next to its progress.json
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @param {Object} config - Effective configuration
+ * @returns {Promise<string>} Path to config.json
+ */
+export async function saveEffectiveConfig(baseDir, universityName, config) {
+    const filePath = getEffectiveConfigPath(baseDir, universityName);
+    await writeJsonFile(filePath, toSerializableConfig(config));
+    return filePath;
+}
+
+/**
+ * Reads a crawl's saved effective config
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {Promise<CrawlerConfig|null>} Configuration, or null if none was saved
+ */
+export async function readEffectiveConfig(baseDir, universityName) {
+    return readJsonFile(getEffectiveConfigPath(baseDir, universityName));
+}
+
+export default {
+    ConfigError,
+    mergeConfig,
+    validateConfig,
+    loadConfig,
+    applyCrawlOverrides,
+    resolveCrawlConfig,
+    getEffectiveConfigPath,
+    toSerializableConfig,
+    saveEffectiveConfig,
+    readEffectiveConfig,
+};
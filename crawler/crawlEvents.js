@@ -0,0 +1,116 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Crawl Events
+ * In-process event bus the crawl job publishes to (pages processed and failed,
+ * enqueue counts, status transitions and log lines) and the SSE route streams
+ * from. Each crawl keeps a short backlog so late or reconnecting subscribers
+ * catch up before receiving live events.
+ *
+ * Like the crawl registry, the bus lives on globalThis because Next.js bundles
+ * each API route separately.
+ */
+
+const BUS_KEY = Symbol.for('infinize-crawler.crawlEvents');
+
+// Events kept per crawl for subscribers that connect mid-crawl
+const BACKLOG_SIZE = 500;
+
+/**
+ * @typedef {'page'|'page-failed'|'enqueued'|'status'|'log'} CrawlEventType
+ */
+
+/**
+ * @typedef {Object} CrawlEvent
+ * @property {number} id - Sequence number, increasing across all crawls
+ * @property {CrawlEventType} type - Event type
+ * @property {string} crawlId - Crawl ID
+ * @property {string} time - ISO timestamp
+ * @property {Object<string, *>} data - Event payload
+ */
+
+/**
+ * Gets the process-wide event bus
+ * @returns {{ emitter: EventEmitter, backlogs: Map<string, CrawlEvent[]>, nextId: number }}
+ */
+function getBus() {
+    if (!globalThis[BUS_KEY]) {
+        const emitter = new EventEmitter();
+        // One listener per open SSE connection
+        emitter.setMaxListeners(0);
+        globalThis[BUS_KEY] = { emitter, backlogs: new Map(), nextId: 1 };
+    }
+    return globalThis[BUS_KEY];
+}
+
+/**
+ * Publishes an event for a crawl
+ * @param {string} crawlId - Crawl ID
+ * @param {CrawlEventType} type - Event type
+ * @param {Object} [data] - Event payload
+ * @returns {CrawlEvent} The published event
+ */
+export function publishCrawlEvent(crawlId, type, data = {}) {
+    const bus = getBus();
+    const event = { id: bus.nextId++, type, crawlId, time: new Date().toISOString(), data };
+
+    if (!bus.backlogs.has(crawlId)) {
+        bus.backlogs.set(crawlId, []);
+    }
+    const backlog = bus.backlogs.get(crawlId);
+    backlog.push(event);
+    if (backlog.length > BACKLOG_SIZE) {
+        backlog.splice(0, backlog.length - BACKLOG_SIZE);
+    }
+
+    bus.emitter.emit(crawlId, event);
+    return event;
+}
+
+/**
+ * Publishes a log line for a crawl
+ * @param {string} crawlId - Crawl ID
+ * @param {'info'|'warn'|'error'} level - Log level
+ * @param {string} message - Log message
+ * @returns {void}
+ */
+export function publishCrawlLog(crawlId, level, message) {
+    publishCrawlEvent(crawlId, 'log', { level, message, time: new Date().toISOString() });
+}
+
+/**
+ * Subscribes to a crawl's events, first replaying its backlog
+ * @param {string} crawlId - Crawl ID
+ * @param {(event: CrawlEvent) => void} listener - Called for each event
+ * @param {Object} [options] - Options object
+ * @param {number} [options.afterId] - Only replay events after this ID (e.g. from Last-Event-ID)
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribeCrawlEvents(crawlId, listener, { afterId = 0 } = {}) {
+    const bus = getBus();
+
+    for (const event of bus.backlogs.get(crawlId) ?? []) {
+        if (event.id > afterId) {
+            listener(event);
+        }
+    }
+
+    bus.emitter.on(crawlId, listener);
+    return () => bus.emitter.off(crawlId, listener);
+}
+
+/**
+ * Drops a crawl's backlog so a new run of the same crawl starts clean
+ * @param {string} crawlId - Crawl ID
+ * @returns {void}
+ */
+export function resetCrawlEvents(crawlId) {
+    getBus().backlogs.delete(crawlId);
+}
+
+export default {
+    publishCrawlEvent,
+    publishCrawlLog,
+    subscribeCrawlEvents,
+    resetCrawlEvents,
+};
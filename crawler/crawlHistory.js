@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { createZip } from './utils/zipWriter.js';
+import { getProgressFilePath } from './progressWriter.js';
+import { getManifestFilePath } from './writers/index.js';
+import { getSingleFilePath } from './singleFileFormatter.js';
+import { readFailures } from './failureLog.js';
+
+/**
+ * Crawl History
+ * Lists past crawls from their progress.json files and serves their output:
+ * markdown previews, per-format downloads and deletion
+ */
+
+// Markdown shown in the admin preview; larger files are cut off (download for the rest)
+const MARKDOWN_PREVIEW_BYTES = 512 * 1024;
+
+// Failed URLs listed in the crawl detail; the full list is in failures.jsonl
+const FAILURES_SHOWN = 200;
+
+const CONTENT_TYPES = {
+    '.md': 'text/markdown; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.zip': 'application/zip',
+};
+
+/**
+ * @typedef {Object} CrawlSummary
+ * @property {string} crawlId - Crawl ID (output directory name)
+ * @property {string} universityName - University name
+ * @property {string} seedUrl - Starting URL
+ * @property {string} status - Crawl status
+ * @property {number} pagesProcessed - Pages written
+ * @property {number} totalEnqueued - URLs enqueued
+ * @property {string|null} startTime - ISO start time
+ * @property {string|null} endTime - ISO end time (null while running)
+ * @property {number|null} durationSecs - Run time so far, or in total once finished
+ * @property {string[]} outputFormats - Requested output formats
+ * @property {Array<{ format: string, fileCount: number }>} outputs - Formats written, from the manifest
+ * @property {string|null} outputFile - Main output file
+ * @property {import('./progressWriter.js').SkippedSummary|null} skipped - URLs skipped, by reason
+ * @property {import('./failureLog.js').FailureSummary|null} failed - URLs that failed, by error class
+ * @property {string|null} limitReached - Scope limit that ended the crawl early
+ * @property {import('./pageIndex.js').ChangeCounts|null} changes - Change counts (incremental crawls)
+ * @property {string|null} error - Error message of failed crawls
+ */
+
+/**
+ * Resolves the output directory of a crawl
+ * @param {string} baseDir - Base output directory
+ * @param {string} crawlId - Crawl ID
+ * @returns {string} Absolute crawl directory
+ * @throws {Error} If the crawl ID is not a sanitized ID
+ */
+function getCrawlDir(baseDir, crawlId) {
+    if (!crawlId || toCrawlId(crawlId) !== crawlId) {
+        throw new Error(`Invalid crawl ID: ${crawlId}`);
+    }
+    return path.resolve(baseDir, crawlId);
+}
+
+/**
+ * Builds a crawl summary from its progress and manifest
+ * @param {string} crawlId - Crawl ID
+ * @param {Object} progress - Stored progress
+ * @param {Object|null} manifest - Output manifest, if the crawl has finalized
+ * @returns {CrawlSummary} Summary
+ */
+function summarizeCrawl(crawlId, progress, manifest) {
+    const start = progress.startTime ? Date.parse(progress.startTime) : NaN;
+    const end = progress.endTime ? Date.parse(progress.endTime) : Date.now();
+
+    const fileCounts = new Map();
+    for (const file of manifest?.files ?? []) {
+        fileCounts.set(file.format, (fileCounts.get(file.format) ?? 0) + 1);
+    }
+
+    return {
+        crawlId,
+        universityName: progress.universityName ?? crawlId,
+        seedUrl: progress.seedUrl ?? '',
+        status: progress.status,
+        pagesProcessed: progress.pagesProcessed ?? 0,
+        totalEnqueued: progress.totalEnqueued ?? 0,
+        startTime: progress.startTime ?? null,
+        endTime: progress.endTime ?? null,
+        durationSecs: Number.isNaN(start) ? null : Math.max(0, Math.round((end - start) / 1000)),
+        outputFormats: progress.outputFormats ?? manifest?.formats ?? [],
+        outputs: [...fileCounts].map(([format, fileCount]) => ({ format, fileCount })),
+        outputFile: progress.outputFile ?? null,
+        skipped: progress.skipped ?? null,
+        failed: progress.failed ?? null,
+        limitReached: progress.limitReached ?? null,
+        changes: progress.changes ?? null,
+        error: progress.error ?? null,
+    };
+}
+
+/**
+ * Lists every crawl in the output directory, most recent first
+ * @param {string} baseDir - Base output directory
+ * @returns {Promise<CrawlSummary[]>} Crawl summaries
+ */
+export async function listCrawls(baseDir) {
+    const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+    const crawls = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+
+        const progress = await readJsonFile(getProgressFilePath(baseDir, entry.name));
+        if (!progress) continue;
+
+        const manifest = await readJsonFile(getManifestFilePath(baseDir, entry.name));
+        crawls.push(summarizeCrawl(entry.name, progress, manifest));
+    }
+
+    return crawls.sort((a, b) => (b.startTime ?? '').localeCompare(a.startTime ?? ''));
+}
+
+/**
+ * Reads one crawl with its settings, its failed URLs and a preview of its
+ * markdown output
+ * @param {string} baseDir - Base output directory
+ * @param {string} crawlId - Crawl ID
+ * @returns {Promise<Object|null>} Crawl detail, or null if the crawl does not exist
+ */
+export async function readCrawlDetail(baseDir, crawlId) {
+    getCrawlDir(baseDir, crawlId);
+
+    const progress = await readJsonFile(getProgressFilePath(baseDir, crawlId));
+    if (!progress) {
+        return null;
+    }
+    const manifest = await readJsonFile(getManifestFilePath(baseDir, crawlId));
+
+    let markdown = null;
+    try {
+        const handle = await fs.open(getSingleFilePath(baseDir, crawlId), 'r');
+        try {
+            const { size } = await handle.stat();
+            const buffer = Buffer.alloc(Math.min(size, MARKDOWN_PREVIEW_BYTES));
+            await handle.read(buffer, 0, buffer.length, 0);
+            markdown = {
+                // Drop a multi-byte character cut in half at the preview boundary
+                content: buffer.toString('utf8').replace(/\uFFFD+$/, ''),
+                truncated: size > MARKDOWN_PREVIEW_BYTES,
+                size,
+            };
+        } finally {
+            await handle.close();
+        }
+    } catch {
+        // No markdown output (format not requested, or the crawl has not finalized)
+    }
+
+    return {
+        ...summarizeCrawl(crawlId, progress, manifest),
+        settings: {
+            discoveryMode: progress.discoveryMode ?? null,
+            scope: progress.scope ?? {},
+            stripParams: progress.stripParams ?? null,
+            includeDocuments: progress.includeDocuments ?? false,
+            incremental: progress.incremental ?? false,
+        },
+        failures: (await readFailures(baseDir, crawlId)).slice(0, FAILURES_SHOWN),
+        markdown,
+    };
+}
+
+/**
+ * Packages one output format of a crawl for download: formats written as a
+ * single file are served as that file, the others as a ZIP archive
+ * @param {string} baseDir - Base output directory
+ * @param {string} crawlId - Crawl ID
+ * @param {string} format - Output format
+ * @returns {Promise<{ filename: string, contentType: string, data: Buffer }|null>} Download, or null if
+ *   the crawl has no output in that format
+ */
+export async function getFormatDownload(baseDir, crawlId, format) {
+    const crawlDir = getCrawlDir(baseDir, crawlId);
+    const manifest = await readJsonFile(getManifestFilePath(baseDir, crawlId));
+
+    // Only files inside the crawl directory are served, whatever the manifest says
+    const filePaths = (manifest?.files ?? [])
+        .filter((file) => file.format === format)
+        .map((file) => path.resolve(file.path))
+        .filter((filePath) => filePath.startsWith(crawlDir + path.sep));
+    if (filePaths.length === 0) {
+        return null;
+    }
+
+    if (filePaths.length === 1) {
+        const [filePath] = filePaths;
+        return {
+            filename: path.basename(filePath),
+            contentType: CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream',
+            data: await fs.readFile(filePath),
+        };
+    }
+
+    const files = [];
+    for (const filePath of filePaths) {
+        try {
+            const name = path.relative(crawlDir, filePath).split(path.sep).join('/');
+            files.push({ name, data: await fs.readFile(filePath) });
+        } catch (error) {
+            console.error(`Failed to add ${filePath} to download: ${error.message}`);
+        }
+    }
+    return {
+        filename: `${crawlId}-${format}.zip`,
+        contentType: CONTENT_TYPES['.zip'],
+        data: createZip(files),
+    };
+}
+
+/**
+ * Deletes a crawl's output directory, including its state and progress
+ * @param {string} baseDir - Base output directory
+ * @param {string} crawlId - Crawl ID
+ * @returns {Promise<boolean>} False if the crawl did not exist
+ */
+export async function deleteCrawlOutput(baseDir, crawlId) {
+    const crawlDir = getCrawlDir(baseDir, crawlId);
+    try {
+        await fs.access(crawlDir);
+    } catch {
+        return false;
+    }
+    await fs.rm(crawlDir, { recursive: true, force: true });
+    return true;
+}
+
+export default { listCrawls, readCrawlDetail, getFormatDownload, deleteCrawlOutput };
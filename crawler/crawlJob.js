@@ -0,0 +1,483 @@
+import { runCrawler } from './crawler.js';
+import { createPageHandler } from './handlers/pageHandler.js';
+import { createDocumentHandler } from './documents/index.js';
+import {
+    createProgressUpdater,
+    completeProgress,
+    cancelProgress,
+    failProgress,
+    resumeProgress,
+    retryProgress,
+} from './progressWriter.js';
+import { getSingleFilePath } from './singleFileFormatter.js';
+import { createFormatWriters } from './writers/index.js';
+import { attachCrawler, getCrawl, unregisterCrawl } from './crawlRegistry.js';
+import { publishCrawlEvent, publishCrawlLog } from './crawlEvents.js';
+import { getStateDir, resetState, loadProcessedUrls, recordProcessedUrl } from './crawlState.js';
+import { createRobotsPolicy } from './robots.js';
+import { createTargetPolicy, isTargetPolicyActive } from './targetPolicy.js';
+import { openPageIndex, getConditionalHeaders, createIndexEntry } from './pageIndex.js';
+import { openChangeReport, getChangeReportPaths } from './changeReport.js';
+import { writeQualityReport } from './qualityReport.js';
+import { writeEntities } from './entities.js';
+import { selectExtractors, writeExtracted } from './extractors/index.js';
+import { loadPlugins } from './plugins.js';
+import { applyCrawlOverrides, saveEffectiveConfig } from './config.js';
+import { openSkipLog } from './skipLog.js';
+import { openFailureLog, readFailures } from './failureLog.js';
+import { readJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { normalizeUrl, isInternalUrl } from './utils/urlUtils.js';
+
+/**
+ * Crawl Job
+ * Runs one crawl end to end: writers, page handling, progress and finalization
+ */
+
+/**
+ * Collapses a page onto its canonical URL. A same-site <link rel="canonical">
+ * becomes the record URL; the requested and loaded URLs, plus any enqueued
+ * variants, become its aliases. Cross-site canonicals are ignored.
+ * @param {import('./pageRecord.js').PageRecord} record - Extracted page record
+ * @param {Object} request - Crawlee request the page was loaded from
+ * @param {Object} options - Options object
+ * @param {string} options.siteDomain - Seed domain without "www."
+ * @param {string[]} [options.stripParams] - Query parameters ignored when comparing URLs
+ * @param {Map<string, Set<string>>} options.aliasesByKey - Enqueued URL variants by normalized URL
+ * @returns {{ key: string, record: import('./pageRecord.js').PageRecord }} Dedupe key and collapsed record
+ */
+function collapseOntoCanonical(record, request, { siteDomain, stripParams, aliasesByKey }) {
+    const canonicalUrl =
+        record.canonicalUrl && isInternalUrl(record.canonicalUrl, siteDomain) ? record.canonicalUrl : record.url;
+    const key = normalizeUrl(canonicalUrl, { stripParams }) ?? canonicalUrl;
+
+    const requestKey = normalizeUrl(request.url, { stripParams }) ?? request.url;
+    const aliases = new Set([
+        request.url,
+        request.loadedUrl,
+        ...(aliasesByKey.get(requestKey) ?? []),
+        ...(aliasesByKey.get(key) ?? []),
+    ]);
+    aliases.delete(canonicalUrl);
+    aliases.delete(undefined);
+
+    return { key, record: { ...record, url: canonicalUrl, aliases: [...aliases] } };
+}
+
+/**
+ * @typedef {Object} CrawlJobResult
+ * @property {'completed'|'cancelled'|'failed'|'crashed'} status - Final status ('crashed' only when the crawl
+ *   ran in a worker process that exited without finishing it)
+ * @property {number} pagesProcessed - Pages written, including those before a resume
+ * @property {{ requestsFinished: number, requestsFailed: number, requestsRetries: number }|null} stats
+ *   - Request statistics from runCrawler (null if the crawler never ran)
+ * @property {string|null} limitReached - Scope limit that ended the crawl early
+ * @property {string|null} outputFile - Path to the main output file
+ * @property {string|null} manifestFile - Path to the output manifest
+ * @property {import('./progressWriter.js').SkippedSummary|null} skipped - URLs skipped, by reason
+ * @property {import('./failureLog.js').FailureSummary|null} failed - Requests that failed after their retries, by error class
+ * @property {import('./pageIndex.js').ChangeCounts|null} changes - Change counts (incremental crawls)
+ * @property {import('./qualityReport.js').QualitySummary|null} quality - Content quality issues found
+ * @property {Object<string, number>|null} entities - Structured-data entities found, counted by type
+ * @property {Object<string, number>|null} extracted - Items written by the domain extractors, counted by type
+ * @property {string|null} error - Error message for failed crawls
+ */
+
+/**
+ * Runs a crawl to completion, cancellation or failure.
+ * The caller must have registered the crawl with registerCrawl() first;
+ * the job unregisters it when it ends.
+ * @param {Object} options - Job options
+ * @param {string} options.seedUrl - The starting URL to crawl
+ * @param {string} options.universityName - University name
+ * @param {string[]} options.outputFormats - Output formats to write
+ * @param {Object} options.config - Crawler configuration
+ * @param {'links'|'sitemap'|'both'} [options.discoveryMode] - How URLs are discovered (defaults to config)
+ * @param {Object} [options.scope] - Per-crawl scope overrides, merged onto config.scope
+ * @param {string[]} [options.stripParams] - Query parameters ignored when deduplicating (defaults to config)
+ * @param {boolean} [options.includeDocuments] - Download and extract linked documents (defaults to config)
+ * @param {boolean} [options.incremental] - Compare with the previous crawl and write a change report (defaults to config)
+ * @param {boolean} [options.resume] - Continue an interrupted crawl from its persisted state
+ * @param {boolean} [options.retryFailed] - Re-crawl only the URLs in failures.jsonl of a finished crawl,
+ *   adding the pages that now succeed to its existing output
+ * @param {Function} [options.onProgress] - Callback ({ pagesProcessed, totalEnqueued, currentUrl }) after each page
+ * @returns {Promise<CrawlJobResult>} Final status and statistics
+ */
+export async function runCrawlJob({
+    seedUrl,
+    universityName,
+    outputFormats,
+    config,
+    discoveryMode = config.discovery.mode,
+    scope = {},
+    stripParams = config.urls.stripParams ?? undefined,
+    includeDocuments = config.documents.enabled,
+    incremental = config.incremental.enabled,
+    resume = false,
+    retryFailed = false,
+    onProgress,
+}) {
+    const crawlId = toCrawlId(universityName);
+    const baseDir = config.output.baseDir;
+    const siteDomain = new URL(seedUrl).hostname.replace(/^www\./, '');
+    let pagesProcessed = 0;
+    let stats = null;
+    let plugins = null;
+
+    try {
+        // Unknown extractor types fail the crawl before it starts
+        if (config.extractors.enabled) {
+            selectExtractors(config.extractors.types);
+        }
+
+        // Resumed crawls and retries add to the output and state of an earlier run
+        const continuing = resume || retryFailed;
+
+        // Fresh crawls start from an empty state directory; resumed crawls reuse it
+        const stateDir = continuing
+            ? getStateDir(baseDir, universityName)
+            : await resetState(baseDir, universityName);
+
+        // Record exactly how this crawl's output is produced (kept as-is on resume and retry)
+        const crawlConfig = applyCrawlOverrides(config, {
+            discoveryMode,
+            scope,
+            stripParams,
+            includeDocuments,
+            incremental,
+        });
+        if (!continuing) {
+            await saveEffectiveConfig(baseDir, universityName, crawlConfig);
+        }
+
+        // Plugin errors are reported in the crawl log and never end the crawl
+        plugins = await loadPlugins({
+            config: crawlConfig,
+            onError: (name, hook, error) =>
+                publishCrawlLog(crawlId, 'warn', `Plugin ${name} failed in ${hook}: ${error.message}`),
+        });
+        await plugins.run('beforeCrawl', { seedUrl, universityName, config: crawlConfig, resume, retryFailed });
+
+        const processedUrls = continuing ? await loadProcessedUrls(baseDir, universityName) : new Set();
+        pagesProcessed = processedUrls.size;
+
+        const retryUrls = retryFailed
+            ? (await readFailures(baseDir, universityName)).map((failure) => failure.url)
+            : undefined;
+
+        if (retryFailed) {
+            await retryProgress({ baseDir, universityName });
+        } else if (resume) {
+            await resumeProgress({ baseDir, universityName });
+        }
+
+        // Initialize output writers for the requested formats
+        const writers = createFormatWriters({
+            baseDir,
+            universityName,
+            seedUrl,
+            formats: outputFormats,
+            markdown: config.markdown,
+            extraFactories: plugins.getWriterFactories(),
+        });
+        await writers.init({ resume: continuing });
+
+        const skipLog = await openSkipLog({ baseDir, universityName, resume: continuing });
+        const failureLog = await openFailureLog({ baseDir, universityName, resume, retry: retryFailed });
+        const targets = isTargetPolicyActive(config.targets) ? createTargetPolicy(config.targets) : null;
+        const robots = config.robots.enabled
+            ? createRobotsPolicy({
+                  userAgent: config.robots.userAgent,
+                  maxCrawlDelaySecs: config.robots.maxCrawlDelaySecs,
+                  fetchTimeoutSecs: config.robots.fetchTimeoutSecs,
+                  fetchFn: targets?.fetch,
+              })
+            : null;
+
+        // Every crawl indexes its pages; incremental crawls compare against the previous index.
+        // A retry compares against the index of the run it retries, so carried-over pages keep their status.
+        const pageIndex = await openPageIndex({
+            baseDir,
+            universityName,
+            compare: incremental || retryFailed,
+            resume: continuing,
+        });
+        const changeReport = incremental
+            ? await openChangeReport({
+                  baseDir,
+                  universityName,
+                  maxDiffLines: config.incremental.maxDiffLines,
+                  resume: continuing,
+              })
+            : null;
+        // A retry keeps the removed pages reported by the run it retries
+        const retriedReport =
+            retryFailed && incremental ? await readJsonFile(getChangeReportPaths(baseDir, universityName).json) : null;
+        const getPreviousEntry = (request) =>
+            pageIndex.getPreviousByFetchKey(normalizeUrl(request.url, { stripParams }) ?? request.url);
+
+        let totalEnqueued = Math.max(1, pagesProcessed);
+        let currentUrl = seedUrl;
+
+        // Live counts go out as events after every page; progress.json is written less often
+        const progress = createProgressUpdater({
+            baseDir,
+            universityName,
+            intervalMs: config.progress.writeIntervalSecs * 1000,
+        });
+        const getCounts = () => ({
+            pagesProcessed,
+            totalEnqueued,
+            currentUrl,
+            skipped: skipLog.summary(),
+            failed: failureLog.summary(),
+            changes: incremental ? pageIndex.counts() : undefined,
+        });
+
+        // URL variants seen while enqueueing, listed as aliases of the page they lead to
+        const aliasesByKey = new Map();
+
+        // Writes each page or document record, indexes it and updates progress
+        const handlePageData = async (pageData, { request, response, notModified = false }) => {
+            failureLog.resolve(request.url);
+
+            // Pages reached through a different URL than their canonical one are written once
+            const { key, record } = collapseOntoCanonical(pageData, request, {
+                siteDomain,
+                stripParams,
+                aliasesByKey,
+            });
+            if (processedUrls.has(key)) {
+                return;
+            }
+            processedUrls.add(key);
+            pagesProcessed++;
+
+            await writers.writePage(record);
+            await recordProcessedUrl(baseDir, universityName, key);
+
+            const previousEntry = pageIndex.getPrevious(key);
+            const status = await pageIndex.record(
+                key,
+                createIndexEntry(record, {
+                    fetchKey: normalizeUrl(request.url, { stripParams }) ?? request.url,
+                    headers: response?.headers(),
+                    previousEntry,
+                    notModified,
+                })
+            );
+            if (changeReport && status !== 'unchanged') {
+                await changeReport.recordChange({ status, record, previousRecord: previousEntry?.record });
+            }
+
+            await plugins.run('onRecord', record);
+
+            currentUrl = record.url;
+            const counts = getCounts();
+            progress.update(counts);
+            publishCrawlEvent(crawlId, 'page', { ...counts, title: record.title, change: incremental ? status : null });
+            onProgress?.({ pagesProcessed, totalEnqueued, currentUrl: record.url });
+        };
+
+        // Pages that answered 304 are written from the previous crawl's record
+        const notModifiedHandler = async ({ request }) => {
+            const previousEntry = getPreviousEntry(request);
+            if (!previousEntry) {
+                throw new Error(`Received 304 for ${request.url} without a previous record`);
+            }
+            await handlePageData(previousEntry.record, { request, notModified: true });
+            return previousEntry.record.links.filter((link) => link.isInternal).map((link) => link.href);
+        };
+
+        const onSkip = (url, reason) => {
+            skipLog.record(url, reason);
+            failureLog.resolve(url);
+        };
+        const pageHandler = createPageHandler({ config, onPageData: handlePageData, plugins });
+        const documentHandler = includeDocuments
+            ? createDocumentHandler({ config, robots, targets, onPageData: handlePageData, onSkip })
+            : undefined;
+
+        // Run the crawler, unless it was stopped before it got going
+        if (!getCrawl(crawlId)?.cancelled) {
+            stats = await runCrawler({
+                seedUrl,
+                config,
+                requestHandler: pageHandler,
+                documentHandler,
+                onQueueUpdate: (count) => {
+                    if (count > totalEnqueued) {
+                        totalEnqueued = count;
+                        publishCrawlEvent(crawlId, 'enqueued', { totalEnqueued });
+                    }
+                },
+                onCrawlerCreated: (crawler) => attachCrawler(crawlId, crawler),
+                stateDir,
+                resume,
+                robots,
+                targets,
+                onSkip,
+                discoveryMode,
+                scope: crawlConfig.scope,
+                stripParams,
+                onAlias: (uniqueKey, url) => {
+                    if (!aliasesByKey.has(uniqueKey)) {
+                        aliasesByKey.set(uniqueKey, new Set());
+                    }
+                    aliasesByKey.get(uniqueKey).add(url);
+                },
+                getConditionalHeaders: incremental
+                    ? (request) => getConditionalHeaders(getPreviousEntry(request))
+                    : undefined,
+                notModifiedHandler,
+                onRequestFailed: async (request, error) => {
+                    const failure = failureLog.record(request, error);
+                    if (!failure) return;
+
+                    progress.update(getCounts());
+                    publishCrawlEvent(crawlId, 'page-failed', { ...failure, failed: failureLog.summary() });
+                    publishCrawlLog(crawlId, 'warn', `Failed (${failure.errorClass}): ${failure.url} - ${failure.error}`);
+                    await plugins.run('onFailure', failure);
+                },
+                retryUrls,
+                onLog: (level, message) => publishCrawlLog(crawlId, level, message),
+                plugins,
+            });
+        }
+        const limitReached = stats?.limitReached ?? null;
+        await skipLog.flush();
+        await failureLog.flush();
+        await progress.flush();
+
+        // Finalize all outputs and the manifest, including after a stop
+        const manifestFile = await writers.finalize({ pagesProcessed });
+
+        // Pages not reached by a stopped or limited crawl (or a retry) are not counted as removed
+        const cancelled = Boolean(getCrawl(crawlId)?.cancelled);
+        const complete = !cancelled && !limitReached && !retryFailed;
+        const finalized = await pageIndex.finalize({ complete });
+        const removed = retriedReport?.removed ?? finalized.removed;
+        const changes = { ...finalized.counts, removed: removed.length };
+        const changeReportFile = changeReport
+            ? await changeReport.write({
+                  seedUrl,
+                  previousCrawlAt: retriedReport ? retriedReport.previousCrawlAt : pageIndex.previousCrawlAt,
+                  counts: changes,
+                  removed,
+                  complete: retriedReport ? retriedReport.complete : complete,
+              })
+            : null;
+
+        // Reports cover every page written by this crawl, including those before a resume or retry
+        const records = finalized.crawled.map((entry) => entry.record);
+        let quality = null;
+        if (config.quality.enabled) {
+            try {
+                quality = await writeQualityReport({
+                    baseDir,
+                    universityName,
+                    seedUrl,
+                    records,
+                    settings: config.quality,
+                });
+            } catch (error) {
+                console.error(`Failed to write quality report: ${error.message}`);
+            }
+        }
+        let entities = null;
+        try {
+            entities = await writeEntities({ baseDir, universityName, seedUrl, records });
+        } catch (error) {
+            console.error(`Failed to write entities: ${error.message}`);
+        }
+        let extracted = null;
+        if (config.extractors.enabled) {
+            try {
+                extracted = await writeExtracted({ baseDir, universityName, records, settings: config.extractors });
+            } catch (error) {
+                console.error(`Failed to write extracted fields: ${error.message}`);
+            }
+        }
+
+        const finalProgress = {
+            baseDir,
+            universityName,
+            pagesProcessed,
+            outputFile: outputFormats.includes('markdown')
+                ? getSingleFilePath(baseDir, universityName)
+                : manifestFile,
+            manifestFile,
+            skipped: skipLog.summary(),
+            failed: failureLog.summary(),
+            limitReached,
+            changes: incremental ? changes : undefined,
+            changeReportFile,
+            quality: quality?.summary,
+            qualityReportFile: quality?.reportFile,
+            entitiesFile: entities?.entitiesFile,
+            extracted: extracted?.counts,
+        };
+
+        const result = {
+            pagesProcessed,
+            stats: stats && {
+                requestsFinished: stats.requestsFinished,
+                requestsFailed: stats.requestsFailed,
+                requestsRetries: stats.requestsRetries,
+            },
+            limitReached,
+            outputFile: finalProgress.outputFile,
+            manifestFile,
+            skipped: finalProgress.skipped,
+            failed: finalProgress.failed,
+            changes: finalProgress.changes ?? null,
+            quality: finalProgress.quality ?? null,
+            entities: entities?.counts ?? null,
+            extracted: extracted?.counts ?? null,
+            error: null,
+        };
+        await plugins.run('afterCrawl', { status: cancelled ? 'cancelled' : 'completed', ...result });
+
+        if (cancelled) {
+            // Log lines go out before the final status, which ends event streams
+            publishCrawlLog(crawlId, 'info', `Crawl cancelled: ${pagesProcessed} pages`);
+            await cancelProgress(finalProgress);
+            console.log(`Crawl cancelled for ${universityName}: ${pagesProcessed} pages`);
+            return { status: 'cancelled', ...result };
+        }
+
+        const summary = `${pagesProcessed} pages` + (limitReached ? ` (stopped at ${limitReached} limit)` : '');
+        publishCrawlLog(crawlId, 'info', `Crawl completed: ${summary}`);
+        await completeProgress(finalProgress);
+        console.log(`Crawl completed for ${universityName}: ${summary}`);
+        return { status: 'completed', ...result };
+    } catch (error) {
+        console.error(`Crawl failed for ${universityName}:`, error);
+
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        const result = {
+            status: 'failed',
+            pagesProcessed,
+            stats: null,
+            limitReached: null,
+            outputFile: null,
+            manifestFile: null,
+            skipped: null,
+            failed: null,
+            changes: null,
+            quality: null,
+            entities: null,
+            extracted: null,
+            error: message,
+        };
+        await plugins?.run('afterCrawl', result);
+
+        publishCrawlLog(crawlId, 'error', `Crawl failed: ${message}`);
+        await failProgress({ baseDir, universityName, error: message });
+        return result;
+    } finally {
+        unregisterCrawl(crawlId);
+    }
+}
+
+export default { runCrawlJob };
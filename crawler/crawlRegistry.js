@@ -0,0 +1,211 @@
+/**
+ * Crawl Registry
+ * Tracks the live crawler instance for each running crawl so API routes can
+ * stop, pause and resume it. In the web server, where crawls run in worker
+ * processes, an entry holds the worker's controls instead of a crawler.
+ *
+ * The registry lives on globalThis because Next.js bundles each API route
+ * separately; a module-level Map would not be shared between them.
+ */
+
+const REGISTRY_KEY = Symbol.for('infinize-crawler.crawlRegistry');
+
+/**
+ * @typedef {Object} CrawlEntry
+ * @property {string} crawlId - Crawl ID
+ * @property {import('@crawlee/playwright').PlaywrightCrawler|null} crawler - Live crawler, once created
+ * @property {CrawlWorkerControls|null} worker - Controls of the worker process running the crawl
+ * @property {'running'|'paused'} state - Current control state
+ * @property {boolean} cancelled - Whether a stop was requested
+ */
+
+/**
+ * @typedef {Object} CrawlWorkerControls
+ * @property {() => void} stop - Asks the worker to stop its crawl
+ * @property {() => Promise<void>} pause - Pauses the worker's crawl; rejects if the worker cannot
+ * @property {() => Promise<void>} resume - Resumes the worker's crawl; rejects if the worker cannot
+ */
+
+/**
+ * Gets the process-wide registry map
+ * @returns {Map<string, CrawlEntry>}
+ */
+function getRegistry() {
+    if (!globalThis[REGISTRY_KEY]) {
+        globalThis[REGISTRY_KEY] = new Map();
+    }
+    return globalThis[REGISTRY_KEY];
+}
+
+/**
+ * Registers a crawl before its crawler is created
+ * @param {string} crawlId - Crawl ID
+ * @returns {CrawlEntry} The new registry entry
+ * @throws {Error} If the crawl is already registered
+ */
+export function registerCrawl(crawlId) {
+    const registry = getRegistry();
+    if (registry.has(crawlId)) {
+        throw new Error(`Crawl ${crawlId} is already running`);
+    }
+
+    const entry = { crawlId, crawler: null, worker: null, state: 'running', cancelled: false };
+    registry.set(crawlId, entry);
+    return entry;
+}
+
+/**
+ * Attaches the live crawler instance to a registered crawl
+ * @param {string} crawlId - Crawl ID
+ * @param {import('@crawlee/playwright').PlaywrightCrawler} crawler - Crawler instance
+ * @returns {void}
+ */
+export function attachCrawler(crawlId, crawler) {
+    const entry = getRegistry().get(crawlId);
+    if (entry) {
+        entry.crawler = crawler;
+    }
+}
+
+/**
+ * Attaches the controls of the worker process running a registered crawl
+ * @param {string} crawlId - Crawl ID
+ * @param {CrawlWorkerControls} worker - Worker controls
+ * @returns {void}
+ */
+export function attachWorker(crawlId, worker) {
+    const entry = getRegistry().get(crawlId);
+    if (entry) {
+        entry.worker = worker;
+    }
+}
+
+/**
+ * Gets the registry entry for a crawl
+ * @param {string} crawlId - Crawl ID
+ * @returns {CrawlEntry|null} Registry entry or null if not running
+ */
+export function getCrawl(crawlId) {
+    return getRegistry().get(crawlId) || null;
+}
+
+/**
+ * Checks whether a crawl is registered
+ * @param {string} crawlId - Crawl ID
+ * @returns {boolean}
+ */
+export function isCrawlActive(crawlId) {
+    return getRegistry().has(crawlId);
+}
+
+/**
+ * Removes a crawl from the registry
+ * @param {string} crawlId - Crawl ID
+ * @returns {void}
+ */
+export function unregisterCrawl(crawlId) {
+    getRegistry().delete(crawlId);
+}
+
+/**
+ * Requires a registered crawl
+ * @param {string} crawlId - Crawl ID
+ * @returns {CrawlEntry}
+ * @throws {Error} If the crawl is not running
+ */
+function requireCrawl(crawlId) {
+    const entry = getCrawl(crawlId);
+    if (!entry) {
+        throw new Error(`Crawl ${crawlId} is not running`);
+    }
+    return entry;
+}
+
+/**
+ * Gracefully stops a crawl. Requests already in flight finish, no new
+ * requests start, and the crawl then finalizes its output as cancelled.
+ * @param {string} crawlId - Crawl ID
+ * @returns {CrawlEntry} Updated registry entry
+ * @throws {Error} If the crawl is not running
+ */
+export function stopCrawl(crawlId) {
+    const entry = requireCrawl(crawlId);
+
+    entry.cancelled = true;
+    entry.crawler?.stop('Crawl cancelled by user.');
+    entry.worker?.stop();
+
+    return entry;
+}
+
+/**
+ * Pauses a crawl, waiting for in-flight requests to finish
+ * @param {string} crawlId - Crawl ID
+ * @returns {Promise<CrawlEntry>} Updated registry entry
+ * @throws {Error} If the crawl is not running or cannot be paused
+ */
+export async function pauseCrawl(crawlId) {
+    const entry = requireCrawl(crawlId);
+    const pool = entry.crawler?.autoscaledPool;
+
+    if (entry.cancelled) {
+        throw new Error(`Crawl ${crawlId} is being cancelled`);
+    }
+    if (!pool && !entry.worker) {
+        throw new Error(`Crawl ${crawlId} has not started processing yet`);
+    }
+    if (entry.state === 'paused') {
+        return entry;
+    }
+
+    entry.state = 'paused';
+    if (entry.worker) {
+        // The worker checks for itself whether its crawler can be paused yet
+        try {
+            await entry.worker.pause();
+        } catch (error) {
+            entry.state = 'running';
+            throw error;
+        }
+    } else {
+        await pool.pause();
+    }
+
+    return entry;
+}
+
+/**
+ * Resumes a paused crawl
+ * @param {string} crawlId - Crawl ID
+ * @returns {Promise<CrawlEntry>} Updated registry entry
+ * @throws {Error} If the crawl is not running or not paused
+ */
+export async function resumeCrawl(crawlId) {
+    const entry = requireCrawl(crawlId);
+    const pool = entry.crawler?.autoscaledPool;
+
+    if (entry.state !== 'paused' || (!pool && !entry.worker)) {
+        throw new Error(`Crawl ${crawlId} is not paused`);
+    }
+
+    entry.state = 'running';
+    if (entry.worker) {
+        await entry.worker.resume();
+    } else {
+        pool.resume();
+    }
+
+    return entry;
+}
+
+export default {
+    registerCrawl,
+    attachCrawler,
+    attachWorker,
+    getCrawl,
+    isCrawlActive,
+    unregisterCrawl,
+    stopCrawl,
+    pauseCrawl,
+    resumeCrawl,
+};
@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDirectory, fileExists } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Crawl State Module
+ * Manages the per-crawl state directory that lets a crawl resume after the
+ * server restarts: Crawlee's persisted request queue and datasets, plus a log
+ * of the page URLs already written to the output.
+ */
+
+const PROCESSED_URLS_FILE = 'processed-urls.txt';
+
+/**
+ * Gets the state directory for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to the state directory
+ */
+export function getStateDir(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'state');
+}
+
+/**
+ * Checks whether a crawl has a persisted request queue to resume from
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {Promise<boolean>}
+ */
+export async function hasResumableState(baseDir, universityName) {
+    return fileExists(path.join(getStateDir(baseDir, universityName), 'request_queues'));
+}
+
+/**
+ * Removes any previous state and creates an empty state directory
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {Promise<string>} Path to the state directory
+ */
+export async function resetState(baseDir, universityName) {
+    const stateDir = getStateDir(baseDir, universityName);
+    await fs.rm(stateDir, { recursive: true, force: true });
+    await ensureDirectory(stateDir);
+    return stateDir;
+}
+
+/**
+ * Loads the (normalized, canonical) URLs of pages already written to the output
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {Promise<Set<string>>} Processed page URLs
+ */
+export async function loadProcessedUrls(baseDir, universityName) {
+    const filePath = path.join(getStateDir(baseDir, universityName), PROCESSED_URLS_FILE);
+
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return new Set(content.split('\n').filter((line) => line.length > 0));
+    } catch {
+        return new Set();
+    }
+}
+
+/**
+ * Records that a page URL has been written to the output
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @param {string} url - Normalized canonical page URL
+ * @returns {Promise<void>}
+ */
+export async function recordProcessedUrl(baseDir, universityName, url) {
+    const stateDir = getStateDir(baseDir, universityName);
+    await ensureDirectory(stateDir);
+    await fs.appendFile(path.join(stateDir, PROCESSED_URLS_FILE), `${url}\n`, 'utf8');
+}
+
+export default {
+    getStateDir,
+    hasResumableState,
+    resetState,
+    loadProcessedUrls,
+    recordProcessedUrl,
+};
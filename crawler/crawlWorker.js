@@ -0,0 +1,109 @@
+import { runCrawlJob } from './crawlJob.js';
+import { registerCrawl, stopCrawl, pauseCrawl, resumeCrawl } from './crawlRegistry.js';
+import { subscribeCrawlEvents } from './crawlEvents.js';
+import { setProgressStatus } from './progressWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Crawl Worker
+ * Entry point of the child process that runs one crawl for the web server
+ * (see workerSupervisor.js). The server sends a 'start' message with the
+ * runCrawlJob options, then 'stop', 'pause' and 'resume' control messages.
+ * The worker forwards every crawl event to the server, sends a heartbeat
+ * every workers.heartbeatIntervalSecs and ends with a 'result' message.
+ * Pauses and resumes are written to progress.json here, in the process that
+ * also writes the crawl's progress, so the two never overwrite each other.
+ *
+ * Messages from the server:
+ *   { type: 'start', options }             - runCrawlJob options (serializable)
+ *   { type: 'stop' }                        - stop the crawl gracefully
+ *   { type: 'pause'|'resume', requestId }   - answered with a 'reply'
+ * Messages to the server:
+ *   { type: 'event', eventType, data }      - crawl event (see crawlEvents.js)
+ *   { type: 'heartbeat' }
+ *   { type: 'reply', requestId, error }     - error is null on success
+ *   { type: 'result', result }              - CrawlJobResult, just before exiting
+ */
+
+let crawlId = null;
+// Where the crawl's progress.json is, once it has started
+let progressOptions = null;
+
+/**
+ * Sends a message to the server while it is still connected
+ * @param {Object} message - Message
+ * @param {Function} [callback] - Called once the message is sent
+ * @returns {void}
+ */
+function send(message, callback) {
+    if (process.connected) {
+        process.send(message, callback);
+    } else {
+        callback?.();
+    }
+}
+
+/**
+ * Runs the crawl and reports its result
+ * @param {Object} options - runCrawlJob options
+ * @param {number} heartbeatIntervalSecs - Seconds between heartbeats
+ * @returns {Promise<void>}
+ */
+async function runWorker(options, heartbeatIntervalSecs) {
+    crawlId = toCrawlId(options.universityName);
+    progressOptions = { baseDir: options.config.output.baseDir, universityName: options.universityName };
+    registerCrawl(crawlId);
+    subscribeCrawlEvents(crawlId, ({ type, data }) => send({ type: 'event', eventType: type, data }));
+
+    const heartbeat = setInterval(() => send({ type: 'heartbeat' }), heartbeatIntervalSecs * 1000);
+    send({ type: 'heartbeat' });
+
+    // runCrawlJob records its own failures and always resolves with a result
+    const result = await runCrawlJob(options);
+
+    clearInterval(heartbeat);
+    send({ type: 'result', result }, () => process.exit(0));
+}
+
+const controls = {
+    stop: async () => {
+        stopCrawl(crawlId);
+    },
+    // A crawl that finished meanwhile keeps its final status
+    pause: async () => {
+        await pauseCrawl(crawlId);
+        await setProgressStatus({ ...progressOptions, status: 'paused', onlyFrom: ['starting', 'running'] });
+    },
+    resume: async () => {
+        await resumeCrawl(crawlId);
+        await setProgressStatus({ ...progressOptions, status: 'running', onlyFrom: ['paused'] });
+    },
+};
+
+process.on('message', async (message) => {
+    if (message.type === 'start') {
+        runWorker(message.options, message.heartbeatIntervalSecs).catch((error) => {
+            console.error(`Failed to run crawl worker: ${error.message}`);
+            process.exit(1);
+        });
+        return;
+    }
+
+    const control = controls[message.type];
+    if (!control) return;
+
+    try {
+        if (!crawlId) throw new Error('The crawl has not started yet');
+        await control();
+        send({ type: 'reply', requestId: message.requestId, error: null });
+    } catch (error) {
+        send({ type: 'reply', requestId: message.requestId, error: error.message });
+    }
+});
+
+// Without the server nobody can control or report on the crawl. Its progress
+// stays active, so crawl recovery resumes it when the server starts again.
+process.on('disconnect', () => {
+    console.error(`Crawl worker${crawlId ? ` for ${crawlId}` : ''} lost its server; exiting`);
+    process.exit(1);
+});
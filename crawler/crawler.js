@@ -1,4 +1,100 @@
-import { PlaywrightCrawler, Configuration } from '@crawlee/playwright';
+import { PlaywrightCrawler, Configuration, ProxyConfiguration } from '@crawlee/playwright';
+import { discoverSitemapUrls } from './sitemap.js';
+import { createScope } from './scope.js';
+import { SUPPORTED_DOCUMENT_TYPES, getDocumentType } from './documents/index.js';
+import { HttpStatusError } from './failureLog.js';
+import { TARGET_SKIP_REASON } from './targetPolicy.js';
+import { startTargetProxy } from './targetProxy.js';
+import { normalizeUrl } from './utils/urlUtils.js';
+
+// Scope reasons not written to the skip log: exclude patterns match assets and
+// anchors on nearly every page, and external links are never part of a crawl,
+// so logging them would drown the other entries
+const UNLOGGED_SCOPE_REASONS = ['excluded', 'external', 'invalid-url'];
+
+// Request label for documents, which are downloaded instead of opened in the browser
+const DOCUMENT_LABEL = 'document';
+
+/**
+ * Sends a page's navigation request with conditional headers. A 304 is
+ * answered with an empty page and flagged on the request (userData.notModified),
+ * because the browser has no cached copy of the page to show.
+ * @param {import('playwright').Page} page - Page about to navigate
+ * @param {Object} request - Crawlee request
+ * @param {Object<string, string>} headers - Conditional request headers
+ * @returns {Promise<void>}
+ */
+async function routeConditionalNavigation(page, request, headers) {
+    await page.route(
+        (url) => url.href === request.url,
+        async (route) => {
+            if (!route.request().isNavigationRequest()) {
+                await route.continue();
+                return;
+            }
+
+            const response = await route.fetch({
+                headers: { ...route.request().headers(), ...headers },
+                maxRedirects: 0,
+            });
+            if (response.status() === 304) {
+                request.userData.notModified = true;
+                await route.fulfill({ status: 200, contentType: 'text/html', body: '' });
+            } else {
+                await route.fulfill({ response });
+            }
+        },
+        { times: 1 }
+    );
+}
+
+/**
+ * Marks document URLs for the document handler. Documents are rejected
+ * silently when ingestion is off, as they were before document ingestion
+ * existed, and when their type is left out of documents.types; with
+ * ingestion on, types the pipeline cannot extract (legacy .doc, .ppt and
+ * .xls files) are recorded as skipped, so their loss is visible.
+ * @param {Object} req - Request options being enqueued
+ * @param {Object} config - Crawler configuration
+ * @param {boolean} documentsEnabled - Whether a document handler is installed
+ * @param {Function} skip - Callback (url, reason) for URLs skipped by policy
+ * @returns {Object|false} The request options, or false if the URL must not be enqueued
+ */
+function routeDocumentRequest(req, config, documentsEnabled, skip) {
+    const documentType = getDocumentType(req.url);
+    if (!documentType) {
+        return req;
+    }
+    if (!documentsEnabled) {
+        return false;
+    }
+    if (!SUPPORTED_DOCUMENT_TYPES.includes(documentType)) {
+        skip(req.url, 'unsupported-document');
+        return false;
+    }
+    if (!config.documents.types.includes(documentType)) {
+        return false;
+    }
+
+    req.label = DOCUMENT_LABEL;
+    req.skipNavigation = true;
+    return req;
+}
+
+/**
+ * Passes a request through the plugins' transformRequest hooks, logging URLs they drop
+ * @param {import('./plugins.js').PluginHost} plugins - Plugins
+ * @param {Object} req - Request options being enqueued
+ * @param {Function} skip - Callback (url, reason) for URLs skipped by policy
+ * @returns {Object|false} The request options, or false if a plugin skipped the URL
+ */
+function transformPluginRequest(plugins, req, skip) {
+    const transformed = plugins.transformRequest(req);
+    if (!transformed) {
+        skip(req.url, 'plugin');
+    }
+    return transformed;
+}
 
 /**
  * Creates and configures the Playwright crawler
@@ -6,20 +102,76 @@ import { PlaywrightCrawler, Configuration } from '@crawlee/playwright';
  * @param {string} options.seedUrl - The starting URL to crawl
  * @param {Object} options.config - Crawler configuration settings
  * @param {Function} options.requestHandler - Function to handle each page
+ * @param {Function} [options.documentHandler] - Function to handle document requests; documents are not crawled without one
  * @param {Function} [options.onQueueUpdate] - Callback when queue size changes
+ * @param {string} [options.stateDir] - Directory for the persisted request queue and datasets
+ * @param {boolean} [options.resume] - Continue from the queue already stored in stateDir
+ * @param {Object} [options.robots] - Robots policy from createRobotsPolicy (seed origin already loaded)
+ * @param {Object} [options.targets] - Target policy from createTargetPolicy
+ * @param {string} [options.proxyUrl] - Proxy the browser connects through (the target proxy)
+ * @param {Function} [options.onSkip] - Callback (url, reason) when a URL is skipped by policy
+ * @param {boolean} [options.followLinks] - Enqueue links found on each page
+ * @param {Object} [options.scope] - Scope checker from createScope
+ * @param {number|null} [options.maxPages] - Maximum pages to crawl
+ * @param {string[]} [options.stripParams] - Query parameters ignored when deduplicating URLs
+ * @param {Function} [options.onAlias] - Callback (uniqueKey, url) when an enqueued URL differs from its normalized form
+ * @param {Function} [options.getConditionalHeaders] - Returns conditional headers (If-None-Match,
+ *   If-Modified-Since) for a request, or null
+ * @param {Function} [options.notModifiedHandler] - Handles a page that answered 304; returns the
+ *   page's known links so they are still followed
+ * @param {Function} [options.onRequestFailed] - Callback (request, error) when a request fails after its retries
+ * @param {import('./plugins.js').PluginHost} [options.plugins] - Plugins with navigation and request hooks
  * @returns {PlaywrightCrawler} Configured crawler instance
  */
-export function createCrawler({ seedUrl, config, requestHandler, onQueueUpdate }) {
-    // Extract the base domain from the seed URL for internal link filtering
-    const seedUrlObj = new URL(seedUrl);
-    const baseDomain = seedUrlObj.hostname;
+export function createCrawler({
+    seedUrl,
+    config,
+    requestHandler,
+    documentHandler,
+    onQueueUpdate,
+    stateDir,
+    resume = false,
+    robots,
+    targets,
+    proxyUrl,
+    onSkip,
+    followLinks = true,
+    scope,
+    maxPages = null,
+    stripParams,
+    onAlias,
+    getConditionalHeaders,
+    notModifiedHandler,
+    onRequestFailed,
+    plugins,
+}) {
+    // Each crawl gets its own storage so concurrent crawls never share a queue.
+    // With a state directory the queue survives restarts; without one it stays in memory.
+    const crawleeConfig = new Configuration({
+        persistStorage: Boolean(stateDir),
+        purgeOnStart: !resume,
+        storageClientOptions: stateDir ? { localDataDirectory: stateDir } : {},
+    });
+
+    // A Crawl-delay on the seed host caps the overall request rate, so the
+    // per-host pacing below rarely has to hold a request for long
+    const crawlDelay = robots?.getCrawlDelay(seedUrl);
+    const maxRequestsPerMinute = crawlDelay
+        ? Math.max(1, Math.min(config.crawler.maxRequestsPerMinute, Math.floor(60 / crawlDelay)))
+        : config.crawler.maxRequestsPerMinute;
 
-    // Configure Crawlee to use local storage
-    Configuration.getGlobalConfig().set('persistStorage', false);
+    const skip = (url, reason) => {
+        if (onSkip) {
+            onSkip(url, reason);
+        }
+    };
 
     const crawler = new PlaywrightCrawler({
         // Rate limiting
-        maxRequestsPerMinute: config.crawler.maxRequestsPerMinute,
+        maxRequestsPerMinute,
+
+        // Page limit (counts pages handled before a resume too)
+        maxRequestsPerCrawl: maxPages ?? undefined,
 
         // Concurrency settings
         maxConcurrency: config.crawler.maxConcurrency,
@@ -30,6 +182,9 @@ export function createCrawler({ seedUrl, config, requestHandler, onQueueUpdate }
         // Retry settings
         maxRequestRetries: config.crawler.maxRequestRetries,
 
+        // Browser traffic goes through the target proxy, if any
+        proxyConfiguration: proxyUrl ? new ProxyConfiguration({ proxyUrls: [proxyUrl] }) : undefined,
+
         // Browser launch options
         launchContext: {
             launchOptions: {
@@ -37,48 +192,156 @@ export function createCrawler({ seedUrl, config, requestHandler, onQueueUpdate }
             },
         },
 
+        preNavigationHooks: [
+            async ({ request, page }) => {
+                // Honor robots.txt Crawl-delay per host
+                if (robots) {
+                    await robots.waitForTurn(request.url);
+                }
+
+                // Ask for pages seen in the previous crawl only if they changed
+                delete request.userData.notModified;
+                const conditionalHeaders = getConditionalHeaders?.(request);
+                if (conditionalHeaders) {
+                    await routeConditionalNavigation(page, request, conditionalHeaders);
+                }
+
+                if (plugins && !request.skipNavigation) {
+                    await plugins.run('beforeNavigation', page, { request });
+                }
+            },
+        ],
+
+        postNavigationHooks: [
+            async ({ request, page, response }) => {
+                if (plugins && !request.skipNavigation) {
+                    await plugins.run('afterNavigation', page, { request, response: response ?? null });
+                }
+            },
+        ],
+
         // Main request handler
         async requestHandler(context) {
-            const { request, page, enqueueLinks, log, crawler } = context;
+            const { request, response, enqueueLinks, log, crawler } = context;
 
             log.info(`Processing: ${request.url}`);
 
+            // Documents are downloaded and extracted; they have no links to follow
+            const isDocument = request.label === DOCUMENT_LABEL;
+
+            // A page that redirected to a host the crawl may not contact is not kept;
+            // the proxy answers blocked hops with a 403, so this comes before the status check
+            const finalUrl = isDocument ? null : response?.url();
+            if (targets && finalUrl && finalUrl !== request.url && !(await targets.check(finalUrl))) {
+                log.info(`Redirected to a target that is not allowed, skipped: ${finalUrl}`);
+                skip(finalUrl, TARGET_SKIP_REASON);
+                return;
+            }
+
+            // Error pages are failures, not content. Client errors will not go away
+            // on a retry; server errors might.
+            const statusCode = isDocument ? null : response?.status();
+            if (statusCode >= 400) {
+                request.noRetry = statusCode < 500;
+                throw new HttpStatusError(statusCode, request.url);
+            }
+
+            // Unchanged pages are not extracted again; their known links are followed instead
+            let knownLinks;
+
             // Call the provided request handler
-            await requestHandler(context);
-
-            // Track queue size before enqueueing
-            const queueBefore = await crawler.requestQueue?.handledCount() || 0;
-
-            // Enqueue only internal links (same domain)
-            const enqueueResult = await enqueueLinks({
-                strategy: 'same-domain',
-                transformRequestFunction: (req) => {
-                    // Skip non-HTTP URLs
-                    if (!req.url.startsWith('http')) {
-                        return false;
-                    }
+            if (isDocument) {
+                await documentHandler(context);
+            } else if (request.userData.notModified) {
+                knownLinks = await notModifiedHandler(context);
+            } else {
+                await requestHandler(context);
+            }
+
+            if (followLinks && !isDocument) {
+                const depth = request.userData.depth ?? 0;
 
-                    // Skip common non-content URLs
-                    const skipPatterns = [
-                        /\.(pdf|doc|docx|xls|xlsx|ppt|pptx|zip|rar|tar|gz)$/i,
-                        /\.(jpg|jpeg|png|gif|svg|webp|ico|bmp)$/i,
-                        /\.(mp3|mp4|avi|mov|wmv|flv|webm)$/i,
-                        /\.(css|js|json|xml)$/i,
-                        /#.*$/,
-                        /\?.*print/i,
-                        /\/feed\/?$/i,
-                        /\/rss\/?$/i,
-                    ];
-
-                    for (const pattern of skipPatterns) {
-                        if (pattern.test(req.url)) {
+                // Links to hosts not resolved yet, or to origins whose robots.txt is
+                // not loaded yet, are held back and checked once that is done
+                const deferredRequests = [];
+
+                // Enqueue only internal links (same domain)
+                await enqueueLinks({
+                    ...(knownLinks ? { urls: knownLinks } : {}),
+                    strategy: 'same-domain',
+                    userData: { depth: depth + 1, referrer: request.url },
+                    transformRequestFunction: (req) => {
+                        // Unsupported documents the scope leaves out are not worth recording
+                        const skipInScope = (url, reason) => {
+                            if (!scope?.check(url, depth + 1)) {
+                                skip(url, reason);
+                            }
+                        };
+                        if (!routeDocumentRequest(req, config, Boolean(documentHandler), skipInScope)) {
                             return false;
                         }
-                    }
 
-                    return req;
-                },
-            });
+                        const outOfScope = scope?.check(req.url, depth + 1);
+                        if (outOfScope) {
+                            if (!UNLOGGED_SCOPE_REASONS.includes(outOfScope)) {
+                                skip(req.url, outOfScope);
+                            }
+                            return false;
+                        }
+
+                        // Variants of the same page (tracking params, index files,
+                        // trailing slashes) share one queue entry
+                        const uniqueKey = normalizeUrl(req.url, { stripParams });
+                        if (uniqueKey) {
+                            req.uniqueKey = uniqueKey;
+                            if (onAlias && uniqueKey !== req.url) {
+                                onAlias(uniqueKey, req.url);
+                            }
+                        }
+
+                        if (targets) {
+                            const allowed = targets.isAllowed(req.url);
+                            if (allowed === null) {
+                                deferredRequests.push(req);
+                                return false;
+                            }
+                            if (!allowed) {
+                                skip(req.url, TARGET_SKIP_REASON);
+                                return false;
+                            }
+                        }
+
+                        if (robots) {
+                            const allowed = robots.isAllowed(req.url);
+                            if (allowed === null) {
+                                deferredRequests.push(req);
+                                return false;
+                            }
+                            if (!allowed) {
+                                skip(req.url, 'robots');
+                                return false;
+                            }
+                        }
+
+                        return plugins ? transformPluginRequest(plugins, req, skip) : req;
+                    },
+                });
+
+                if (deferredRequests.length > 0) {
+                    const allowedRequests = [];
+                    for (const req of deferredRequests) {
+                        if (targets && !(await targets.check(req.url))) {
+                            skip(req.url, TARGET_SKIP_REASON);
+                        } else if (robots && !(await robots.check(req.url))) {
+                            skip(req.url, 'robots');
+                        } else {
+                            const transformed = plugins ? transformPluginRequest(plugins, req, skip) : req;
+                            if (transformed) allowedRequests.push(transformed);
+                        }
+                    }
+                    await crawler.addRequests(allowedRequests);
+                }
+            }
 
             // Notify about queue update if callback provided
             if (onQueueUpdate && crawler.requestQueue) {
@@ -94,30 +357,279 @@ export function createCrawler({ seedUrl, config, requestHandler, onQueueUpdate }
         },
 
         // Handle failed requests
-        failedRequestHandler({ request, log }) {
+        async failedRequestHandler({ request, log }, error) {
             log.error(`Request failed after retries: ${request.url}`);
+            if (onRequestFailed) {
+                await onRequestFailed(request, error);
+            }
         },
-    });
+    }, crawleeConfig);
 
     return crawler;
 }
 
+/**
+ * Builds seed requests from the site's sitemaps, in sitemap priority order
+ * @param {string} seedUrl - The starting URL to crawl
+ * @param {Object} config - Crawler configuration
+ * @param {Object} [robots] - Robots policy
+ * @param {Object} [targets] - Target policy
+ * @param {Object} scope - Scope checker from createScope
+ * @param {string[]} [stripParams] - Query parameters ignored when deduplicating URLs
+ * @param {boolean} documentsEnabled - Whether documents listed in sitemaps are crawled
+ * @param {Function} skip - Callback (url, reason) for URLs skipped by policy
+ * @returns {Promise<Object[]>} Request options for the crawler
+ */
+async function getSitemapRequests(seedUrl, config, robots, targets, scope, stripParams, documentsEnabled, skip) {
+    const entries = await discoverSitemapUrls(seedUrl, {
+        robots,
+        userAgent: config.robots.userAgent,
+        fetchFn: targets?.fetch,
+        maxSitemaps: config.discovery.maxSitemaps,
+        maxUrls: config.discovery.maxSitemapUrls,
+        maxSitemapBytes: config.discovery.maxSitemapBytes,
+        fetchTimeoutSecs: config.discovery.fetchTimeoutSecs,
+    });
+
+    const requests = [];
+    for (const entry of entries) {
+        const outOfScope = scope.check(entry.loc, 0);
+        if (outOfScope) {
+            if (!UNLOGGED_SCOPE_REASONS.includes(outOfScope)) {
+                skip(entry.loc, outOfScope);
+            }
+            continue;
+        }
+        if (targets && !(await targets.check(entry.loc))) {
+            skip(entry.loc, TARGET_SKIP_REASON);
+            continue;
+        }
+        if (robots && !(await robots.check(entry.loc))) {
+            skip(entry.loc, 'robots');
+            continue;
+        }
+        const request = routeDocumentRequest(
+            {
+                url: entry.loc,
+                uniqueKey: normalizeUrl(entry.loc, { stripParams }) ?? entry.loc,
+                userData: { source: 'sitemap', depth: 0, lastmod: entry.lastmod, priority: entry.priority },
+            },
+            config,
+            documentsEnabled,
+            skip
+        );
+        if (request) {
+            requests.push(request);
+        }
+    }
+
+    return requests;
+}
+
 /**
  * Runs the crawler starting from the seed URL
  * @param {Object} options - Run options
  * @param {string} options.seedUrl - The starting URL to crawl
  * @param {Object} options.config - Crawler configuration
  * @param {Function} options.requestHandler - Function to handle each page
+ * @param {Function} [options.documentHandler] - Function to handle document requests; documents are not crawled without one
  * @param {Function} [options.onQueueUpdate] - Callback when queue size changes
- * @returns {Promise<Object>} Crawl statistics
+ * @param {Function} [options.onCrawlerCreated] - Callback receiving the crawler before it runs
+ * @param {string} [options.stateDir] - Directory for the persisted request queue and datasets
+ * @param {boolean} [options.resume] - Continue from the queue already stored in stateDir
+ * @param {Object} [options.robots] - Robots policy from createRobotsPolicy
+ * @param {Object} [options.targets] - Target policy from createTargetPolicy
+ * @param {Function} [options.onSkip] - Callback (url, reason) when a URL is skipped by policy
+ * @param {'links'|'sitemap'|'both'} [options.discoveryMode] - Follow links, seed from sitemaps, or both
+ * @param {import('./scope.js').ScopeOptions} [options.scope] - Effective scope (defaults to config.scope)
+ * @param {string[]} [options.stripParams] - Query parameters ignored when deduplicating URLs
+ * @param {Function} [options.onAlias] - Callback (uniqueKey, url) when an enqueued URL differs from its normalized form
+ * @param {Function} [options.getConditionalHeaders] - Returns conditional headers for a request, or null
+ * @param {Function} [options.notModifiedHandler] - Handles a page that answered 304; returns its known links
+ * @param {Function} [options.onRequestFailed] - Callback (request, error) when a request fails after its retries
+ * @param {string[]} [options.retryUrls] - Crawl only these URLs (failed in an earlier run) instead of the
+ *   seed and sitemaps, without following their links
+ * @param {Function} [options.onLog] - Callback (level, message) for crawl log lines, also written to the console
+ * @param {import('./plugins.js').PluginHost} [options.plugins] - Plugins with navigation and request hooks
+ * @returns {Promise<Object>} Crawl statistics, with limitReached set when a page or time limit ended the crawl
  */
-export async function runCrawler({ seedUrl, config, requestHandler, onQueueUpdate }) {
-    const crawler = createCrawler({ seedUrl, config, requestHandler, onQueueUpdate });
+export async function runCrawler({
+    seedUrl,
+    config,
+    requestHandler,
+    documentHandler,
+    onQueueUpdate,
+    onCrawlerCreated,
+    stateDir,
+    resume = false,
+    robots,
+    targets,
+    onSkip,
+    discoveryMode = 'links',
+    scope = config.scope,
+    stripParams,
+    onAlias,
+    getConditionalHeaders,
+    notModifiedHandler,
+    onRequestFailed,
+    retryUrls,
+    onLog,
+    plugins,
+}) {
+    const log = (message) => {
+        console.log(`\n${message}\n`);
+        if (onLog) {
+            onLog('info', message);
+        }
+    };
+    const scopeChecker = createScope({ seedUrl, scope });
+    const skip = (url, reason) => {
+        if (onSkip) {
+            onSkip(url, reason);
+        }
+    };
+
+    const startRequests = [];
+
+    if (retryUrls) {
+        // Load the seed origin's robots.txt up front so its Crawl-delay shapes the crawler
+        await robots?.check(seedUrl);
+
+        // Failed URLs are requested again as they were; robots.txt may have changed since
+        for (const url of retryUrls) {
+            if (targets && !(await targets.check(url))) {
+                skip(url, TARGET_SKIP_REASON);
+                continue;
+            }
+            if (robots && !(await robots.check(url))) {
+                skip(url, 'robots');
+                continue;
+            }
+            const request = routeDocumentRequest(
+                { url, uniqueKey: normalizeUrl(url, { stripParams }) ?? url, userData: { depth: 0 } },
+                config,
+                Boolean(documentHandler),
+                skip
+            );
+            if (request) {
+                startRequests.push(request);
+            }
+        }
+    } else if (targets && !(await targets.check(seedUrl))) {
+        log(`Seed URL not allowed by the target policy: ${seedUrl} (${await targets.getViolation(seedUrl)})`);
+        skip(seedUrl, TARGET_SKIP_REASON);
+    } else if (robots && !(await robots.check(seedUrl))) {
+        // Load the seed origin's robots.txt up front so its Crawl-delay shapes the crawler
+        log(`Seed URL disallowed by robots.txt: ${seedUrl}`);
+        skip(seedUrl, 'robots');
+    } else {
+        // The seed is always crawled, whatever the include patterns, so its links can be followed
+        startRequests.push({
+            url: seedUrl,
+            uniqueKey: normalizeUrl(seedUrl, { stripParams }) ?? seedUrl,
+            userData: { depth: 0 },
+        });
+    }
+
+    // A resumed crawl already has its sitemap URLs in the stored queue
+    if (discoveryMode !== 'links' && !resume && !retryUrls) {
+        const sitemapRequests = await getSitemapRequests(
+            seedUrl,
+            config,
+            robots,
+            targets,
+            scopeChecker,
+            stripParams,
+            Boolean(documentHandler),
+            skip
+        );
+        startRequests.push(...sitemapRequests);
+    }
+
+    // Plugins see the start requests too
+    if (plugins) {
+        const transformed = startRequests.map((request) => transformPluginRequest(plugins, request, skip));
+        startRequests.splice(0, startRequests.length, ...transformed.filter(Boolean));
+    }
+
+    if (startRequests.length === 0 && !resume) {
+        return { requestsFinished: 0, requestsFailed: 0, requestsRetries: 0, limitReached: null };
+    }
+
+    // The browser follows redirects and loads subresources on its own, out of
+    // reach of the checks above; a local proxy applies the same policy to those,
+    // so assets on hosts outside targets.allowedDomains are refused too
+    const targetProxy = targets
+        ? await startTargetProxy({
+              policy: targets,
+              onBlocked: (url) => skip(url, TARGET_SKIP_REASON),
+          })
+        : null;
+
+    let crawler;
+    try {
+        crawler = createCrawler({
+            seedUrl,
+            config,
+            requestHandler,
+            documentHandler,
+            onQueueUpdate,
+            stateDir,
+            resume,
+            robots,
+            targets,
+            proxyUrl: targetProxy?.url,
+            onSkip,
+            followLinks: discoveryMode !== 'sitemap' && !retryUrls,
+            scope: scopeChecker,
+            maxPages: scope.maxPages,
+            stripParams,
+            onAlias,
+            getConditionalHeaders,
+            notModifiedHandler,
+            onRequestFailed,
+            plugins,
+        });
+    } catch (error) {
+        await targetProxy?.close();
+        throw error;
+    }
+
+    if (onCrawlerCreated) {
+        onCrawlerCreated(crawler);
+    }
+
+    // The time budget applies to each run, so a resumed crawl gets a fresh budget
+    let timeBudgetReached = false;
+    const budgetTimer = scope.timeBudgetMins
+        ? setTimeout(() => {
+              timeBudgetReached = true;
+              log(`Time budget of ${scope.timeBudgetMins} minutes reached, stopping crawl`);
+              crawler.stop(`Time budget of ${scope.timeBudgetMins} minutes reached`);
+          }, scope.timeBudgetMins * 60 * 1000)
+        : null;
+
+    if (retryUrls) {
+        log(`Retrying ${startRequests.length} failed URLs for: ${seedUrl}`);
+    } else {
+        log(`${resume ? 'Resuming' : 'Starting'} crawl from: ${seedUrl} (${discoveryMode} discovery)`);
+    }
 
-    console.log(`\nStarting crawl from: ${seedUrl}\n`);
+    // Run the crawler with the start requests (already handled, and skipped, when resuming)
+    try {
+        await crawler.run(startRequests);
+    } finally {
+        clearTimeout(budgetTimer);
+        await targetProxy?.close();
+    }
 
-    // Run the crawler with the seed URL
-    await crawler.run([seedUrl]);
+    let limitReached = timeBudgetReached ? 'time-budget' : null;
+    if (!limitReached && scope.maxPages && crawler.requestQueue) {
+        const handledCount = await crawler.requestQueue.handledCount();
+        if (handledCount >= scope.maxPages) {
+            limitReached = 'max-pages';
+        }
+    }
 
     // Return crawl statistics
     const stats = crawler.stats;
@@ -125,6 +637,7 @@ export async function runCrawler({ seedUrl, config, requestHandler, onQueueUpdat
         requestsFinished: stats.state.requestsFinished,
         requestsFailed: stats.state.requestsFailed,
         requestsRetries: stats.state.requestsRetries,
+        limitReached,
     };
 }
 
@@ -0,0 +1,213 @@
+import path from 'path';
+import { createPageRecord, assertValidPageRecord } from '../pageRecord.js';
+import { isZipArchive } from '../utils/zipReader.js';
+import { HttpStatusError, ExtractionError } from '../failureLog.js';
+import { TargetPolicyError, TARGET_SKIP_REASON } from '../targetPolicy.js';
+import { isPdf, extractPdf } from './pdfExtractor.js';
+import { detectOoxmlType, extractOoxml } from './ooxmlExtractor.js';
+
+/**
+ * Document Pipeline
+ * Downloads linked PDF and Office documents and turns them into page records
+ */
+
+// File extensions treated as documents rather than web pages
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'];
+
+// Types the pipeline can extract; legacy binary .doc/.ppt/.xls files are not supported
+export const SUPPORTED_DOCUMENT_TYPES = ['pdf', 'docx', 'pptx', 'xlsx'];
+
+/**
+ * Gets the document type of a URL from its file extension
+ * @param {string} url - Candidate URL
+ * @returns {string|null} Lowercase extension (e.g. 'pdf'), or null for non-documents
+ */
+export function getDocumentType(url) {
+    try {
+        const extension = path.posix.extname(new URL(url).pathname).slice(1).toLowerCase();
+        return DOCUMENT_EXTENSIONS.includes(extension) ? extension : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Identifies a downloaded document from its contents
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Supported document type, or null if it cannot be extracted
+ */
+function sniffDocumentType(buffer) {
+    if (isPdf(buffer)) {
+        return 'pdf';
+    }
+    if (isZipArchive(buffer)) {
+        return detectOoxmlType(buffer);
+    }
+    return null;
+}
+
+/**
+ * Downloads a document, giving up once it exceeds the size limit
+ * @param {string} url - Document URL
+ * @param {Object} options - Options object
+ * @param {number} options.maxBytes - Largest document to download
+ * @param {number} options.fetchTimeoutSecs - Download timeout in seconds
+ * @param {string} options.userAgent - User-Agent header
+ * @param {typeof fetch} [options.fetchFn] - Fetch implementation
+ * @returns {Promise<Buffer|null>} Document contents, or null if it is larger than maxBytes
+ * @throws {Error} On HTTP errors and network failures
+ */
+export async function fetchDocument(url, { maxBytes, fetchTimeoutSecs, userAgent, fetchFn = fetch }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), fetchTimeoutSecs * 1000);
+
+    try {
+        const response = await fetchFn(url, {
+            headers: { 'User-Agent': userAgent },
+            signal: controller.signal,
+        });
+        if (!response.ok) {
+            throw new HttpStatusError(response.status, url);
+        }
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            await response.body?.cancel();
+            return null;
+        }
+
+        const chunks = [];
+        let byteSize = 0;
+        for await (const chunk of response.body) {
+            byteSize += chunk.length;
+            // Leaving the loop cancels the rest of the body; aborting the
+            // request here would error the stream outside this function
+            if (byteSize > maxBytes) {
+                return null;
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Derives a fallback title from the document's file name
+ * @param {string} url - Document URL
+ * @returns {string} File name
+ */
+function getFileName(url) {
+    const fileName = path.posix.basename(new URL(url).pathname);
+    try {
+        return decodeURIComponent(fileName);
+    } catch {
+        return fileName;
+    }
+}
+
+/**
+ * Extracts a downloaded document into a page record
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Options object
+ * @param {string} options.url - Document URL
+ * @param {string[]} options.types - Document types to extract
+ * @param {number} options.maxPages - Maximum pages, slides or sheets to extract
+ * @param {number} options.maxTextChars - Maximum characters of text to keep
+ * @returns {Promise<import('../pageRecord.js').PageRecord|null>} Page record, or null if the
+ *   document is not a supported (and enabled) type
+ */
+export async function extractDocument(buffer, { url, types, maxPages, maxTextChars }) {
+    const documentType = sniffDocumentType(buffer);
+    if (!documentType || !types.includes(documentType)) {
+        return null;
+    }
+
+    const document =
+        documentType === 'pdf'
+            ? await extractPdf(buffer, { maxPages })
+            : extractOoxml(buffer, { documentType, maxPages });
+
+    const text = document.text.replace(/\n{3,}/g, '\n\n').trim();
+
+    return assertValidPageRecord(
+        createPageRecord({
+            url,
+            title: document.title || getFileName(url),
+            metaDescription: document.description,
+            language: document.language,
+            headings: document.headings,
+            mainContent: text.substring(0, maxTextChars),
+            documentType,
+            pageCount: document.pageCount,
+            byteSize: buffer.length,
+            contentTruncated: document.truncated || text.length > maxTextChars,
+        })
+    );
+}
+
+/**
+ * Creates a request handler for document requests
+ * @param {Object} options - Handler options
+ * @param {Object} options.config - Crawler configuration
+ * @param {Object} [options.robots] - Robots policy (documents skip navigation, so pacing happens here)
+ * @param {Object} [options.targets] - Target policy; downloads and their redirects are checked against it
+ * @param {Function} options.onPageData - Callback (pageData, { request }) when a document is extracted
+ * @param {Function} [options.onSkip] - Callback (url, reason) when a document is skipped
+ * @returns {Function} Request handler function
+ */
+export function createDocumentHandler({ config, robots, targets, onPageData, onSkip }) {
+    const { maxBytes, fetchTimeoutSecs, types, maxPages, maxTextChars } = config.documents;
+
+    return async function handleDocument(context) {
+        const { request, log } = context;
+
+        if (robots) {
+            await robots.waitForTurn(request.url);
+        }
+
+        let buffer;
+        try {
+            buffer = await fetchDocument(request.url, {
+                maxBytes,
+                fetchTimeoutSecs,
+                userAgent: config.robots.userAgent,
+                fetchFn: targets?.fetch,
+            });
+        } catch (error) {
+            if (!(error instanceof TargetPolicyError)) throw error;
+
+            // The URL may be a redirect; the document that redirected is not kept, as for pages
+            log.info(`Target not allowed, skipped: ${error.url} (${error.reason})`);
+            onSkip?.(error.url, TARGET_SKIP_REASON);
+            return;
+        }
+        if (!buffer) {
+            log.info(`Document larger than ${maxBytes} bytes, skipped: ${request.url}`);
+            onSkip?.(request.url, 'document-too-large');
+            return;
+        }
+
+        let pageData;
+        try {
+            pageData = await extractDocument(buffer, { url: request.url, types, maxPages, maxTextChars });
+        } catch (error) {
+            throw new ExtractionError(error);
+        }
+        if (!pageData) {
+            log.info(`Unsupported document format, skipped: ${request.url}`);
+            onSkip?.(request.url, 'unsupported-document');
+            return;
+        }
+
+        log.info(`Extracted ${pageData.documentType}: ${pageData.title} (${pageData.pageCount ?? '?'} pages)`);
+        await onPageData(pageData, { request });
+    };
+}
+
+export default {
+    SUPPORTED_DOCUMENT_TYPES,
+    getDocumentType,
+    fetchDocument,
+    extractDocument,
+    createDocumentHandler,
+};
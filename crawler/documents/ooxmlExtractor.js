@@ -0,0 +1,288 @@
+import { openZip } from '../utils/zipReader.js';
+
+/**
+ * Office Open XML Extractor
+ * Extracts text, headings and metadata from .docx, .pptx and .xlsx files
+ */
+
+/**
+ * @typedef {Object} ExtractedDocument
+ * @property {string} title - Document title ('' if absent)
+ * @property {string} description - Document subject or description ('' if absent)
+ * @property {string|null} language - Document language
+ * @property {import('../pageRecord.js').PageHeading[]} headings - Heading outline
+ * @property {string} text - Extracted text
+ * @property {number|null} pageCount - Pages, slides or sheets in the document
+ * @property {boolean} truncated - Whether pages, slides or sheets beyond the limit were left out
+ */
+
+/**
+ * Decodes XML character entities
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+        if (named) {
+            return named;
+        }
+        const codePoint = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    });
+}
+
+/**
+ * Parses the attributes of an XML start tag
+ * @param {string} tag - Start tag source
+ * @returns {Object<string, string>} Attributes by qualified name
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+        attributes[name] = decodeXml(value);
+    }
+    return attributes;
+}
+
+/**
+ * Returns the decoded text of the first matching element
+ * @param {string|null} xml - XML source
+ * @param {string} tagName - Qualified element name
+ * @returns {string} Element text ('' if absent)
+ */
+function readElement(xml, tagName) {
+    const match = xml?.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([^<]*)</${tagName}>`));
+    return match ? decodeXml(match[1]).trim() : '';
+}
+
+/**
+ * Concatenates the text runs (<w:t>, <a:t>, <t>) in an XML fragment
+ * @param {string} xml - XML fragment
+ * @param {string} prefix - Namespace prefix of the text elements ('w', 'a' or '')
+ * @returns {string} Text
+ */
+function readRuns(xml, prefix) {
+    const tag = prefix ? `${prefix}:t` : 't';
+    const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>|<${prefix ? `${prefix}:` : ''}(tab|br)\\s*/>`, 'g');
+    let text = '';
+    for (const [, run, breakTag] of xml.matchAll(pattern)) {
+        if (breakTag) {
+            text += breakTag === 'tab' ? '\t' : '\n';
+        } else {
+            text += decodeXml(run);
+        }
+    }
+    return text;
+}
+
+/**
+ * Reads the package's core properties (title, subject, language)
+ * @param {Object} zip - Archive reader from openZip
+ * @returns {{ title: string, description: string, language: string|null }} Core properties
+ */
+function readCoreProperties(zip) {
+    const core = zip.readText('docProps/core.xml');
+    return {
+        title: readElement(core, 'dc:title'),
+        description: readElement(core, 'dc:subject') || readElement(core, 'dc:description'),
+        language: readElement(core, 'dc:language') || null,
+    };
+}
+
+/**
+ * Extracts a Word document
+ * @param {Object} zip - Archive reader from openZip
+ * @returns {ExtractedDocument} Extracted document
+ */
+function extractDocx(zip) {
+    const xml = zip.readText('word/document.xml') || '';
+    const headings = [];
+    const paragraphs = [];
+
+    for (const [paragraph] of xml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+        const text = readRuns(paragraph, 'w').trim();
+        if (!text) continue;
+
+        // Heading1..Heading6 and Title paragraph styles form the outline
+        const style = paragraph.match(/<w:pStyle\s+w:val="([^"]+)"/)?.[1] ?? '';
+        const headingLevel = /^title$/i.test(style) ? 1 : Number(style.match(/^heading\s?(\d)$/i)?.[1]);
+        if (headingLevel >= 1 && headingLevel <= 6) {
+            headings.push({ level: headingLevel, text });
+        }
+        paragraphs.push(text);
+    }
+
+    const pages = Number(readElement(zip.readText('docProps/app.xml'), 'Pages'));
+
+    return {
+        ...readCoreProperties(zip),
+        headings,
+        text: paragraphs.join('\n\n'),
+        pageCount: pages > 0 ? pages : null,
+        truncated: false,
+    };
+}
+
+/**
+ * Lists numbered parts (slide1.xml, sheet2.xml, ...) in numeric order
+ * @param {Object} zip - Archive reader from openZip
+ * @param {RegExp} pattern - Pattern capturing the part number
+ * @returns {string[]} Part names
+ */
+function listNumberedParts(zip, pattern) {
+    return zip.entries
+        .map((entry) => ({ name: entry.name, number: Number(entry.name.match(pattern)?.[1]) }))
+        .filter((part) => part.number > 0)
+        .sort((a, b) => a.number - b.number)
+        .map((part) => part.name);
+}
+
+/**
+ * Extracts a PowerPoint presentation; each slide title becomes a heading
+ * @param {Object} zip - Archive reader from openZip
+ * @param {number} maxPages - Maximum slides to extract
+ * @returns {ExtractedDocument} Extracted document
+ */
+function extractPptx(zip, maxPages) {
+    const slides = listNumberedParts(zip, /^ppt\/slides\/slide(\d+)\.xml$/);
+    const headings = [];
+    const sections = [];
+
+    for (const [index, name] of slides.slice(0, maxPages).entries()) {
+        const xml = zip.readText(name) || '';
+        const lines = [];
+        let title = '';
+
+        for (const [shape] of xml.matchAll(/<p:sp[\s>][\s\S]*?<\/p:sp>/g)) {
+            const shapeLines = [...shape.matchAll(/<a:p>[\s\S]*?<\/a:p>/g)]
+                .map(([paragraph]) => readRuns(paragraph, 'a').trim())
+                .filter(Boolean);
+
+            if (!title && /<p:ph\s[^>]*type="(?:ctrTitle|title)"/.test(shape)) {
+                title = shapeLines.join(' ');
+            } else {
+                lines.push(...shapeLines);
+            }
+        }
+
+        const heading = title || `Slide ${index + 1}`;
+        headings.push({ level: 2, text: heading });
+        sections.push([heading, ...lines].join('\n'));
+    }
+
+    return {
+        ...readCoreProperties(zip),
+        headings,
+        text: sections.join('\n\n'),
+        pageCount: slides.length,
+        truncated: slides.length > maxPages,
+    };
+}
+
+/**
+ * Extracts an Excel workbook as tab-separated rows; each sheet name becomes a heading
+ * @param {Object} zip - Archive reader from openZip
+ * @param {number} maxPages - Maximum sheets to extract
+ * @returns {ExtractedDocument} Extracted document
+ */
+function extractXlsx(zip, maxPages) {
+    const sharedStrings = [...(zip.readText('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+        ([, item]) => readRuns(item, '')
+    );
+
+    // Sheet names come from the workbook; their parts from the workbook relationships
+    const targets = {};
+    for (const [tag] of (zip.readText('xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\s[^>]*>/g)) {
+        const { Id, Target } = parseAttributes(tag);
+        targets[Id] = Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`;
+    }
+    const sheets = [...(zip.readText('xl/workbook.xml') || '').matchAll(/<sheet\s[^>]*>/g)].map(([tag]) => {
+        const attributes = parseAttributes(tag);
+        return { name: attributes.name, part: targets[attributes['r:id']] };
+    });
+
+    const headings = [];
+    const sections = [];
+
+    for (const sheet of sheets.slice(0, maxPages)) {
+        const xml = (sheet.part && zip.readText(sheet.part)) || '';
+        const rows = [];
+
+        for (const [, row] of xml.matchAll(/<row[^>]*>([\s\S]*?)<\/row>/g)) {
+            const cells = [];
+            for (const [, attributes, body = ''] of row.matchAll(/<c(\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const type = parseAttributes(attributes || '').t;
+                const value = decodeXml(body.match(/<v>([^<]*)<\/v>/)?.[1] ?? '');
+
+                if (type === 's') {
+                    cells.push(sharedStrings[Number(value)] ?? '');
+                } else if (type === 'inlineStr') {
+                    cells.push(readRuns(body, ''));
+                } else if (type === 'b') {
+                    cells.push(value === '1' ? 'TRUE' : 'FALSE');
+                } else {
+                    cells.push(value);
+                }
+            }
+            if (cells.some((cell) => cell.trim())) {
+                rows.push(cells.join('\t'));
+            }
+        }
+
+        headings.push({ level: 2, text: sheet.name });
+        sections.push([sheet.name, ...rows].join('\n'));
+    }
+
+    return {
+        ...readCoreProperties(zip),
+        headings,
+        text: sections.join('\n\n'),
+        pageCount: sheets.length,
+        truncated: sheets.length > maxPages,
+    };
+}
+
+/**
+ * Detects which Office format a ZIP package holds
+ * @param {Buffer} buffer - File contents
+ * @returns {'docx'|'pptx'|'xlsx'|null} Document type, or null for other ZIP files
+ */
+export function detectOoxmlType(buffer) {
+    try {
+        const zip = openZip(buffer);
+        if (zip.has('word/document.xml')) return 'docx';
+        if (zip.has('ppt/presentation.xml')) return 'pptx';
+        if (zip.has('xl/workbook.xml')) return 'xlsx';
+    } catch {
+        // Not a readable ZIP archive
+    }
+    return null;
+}
+
+/**
+ * Extracts an Office Open XML document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Options object
+ * @param {'docx'|'pptx'|'xlsx'} options.documentType - Document type
+ * @param {number} options.maxPages - Maximum slides or sheets to extract
+ * @returns {ExtractedDocument} Extracted document
+ */
+export function extractOoxml(buffer, { documentType, maxPages }) {
+    const zip = openZip(buffer);
+
+    switch (documentType) {
+        case 'docx':
+            return extractDocx(zip);
+        case 'pptx':
+            return extractPptx(zip, maxPages);
+        case 'xlsx':
+            return extractXlsx(zip, maxPages);
+        default:
+            throw new Error(`Unsupported Office document type: ${documentType}`);
+    }
+}
+
+export default { detectOoxmlType, extractOoxml };
@@ -0,0 +1,79 @@
+/**
+ * PDF Extractor
+ * Extracts text, outline and metadata from PDF files using unpdf (a
+ * serverless build of PDF.js), loaded on first use
+ */
+
+// Outline (bookmark) levels kept as headings
+const MAX_OUTLINE_DEPTH = 3;
+
+/**
+ * Checks whether a buffer starts with the PDF file signature
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the buffer looks like a PDF
+ */
+export function isPdf(buffer) {
+    return buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+/**
+ * Flattens the PDF outline into headings, one level per nesting depth
+ * @param {Array<{ title: string, items: Array }>|null} outline - Outline from getOutline()
+ * @param {number} [level] - Current heading level
+ * @returns {import('../pageRecord.js').PageHeading[]} Headings
+ */
+function outlineToHeadings(outline, level = 1) {
+    if (!outline || level > MAX_OUTLINE_DEPTH) {
+        return [];
+    }
+    return outline.flatMap((item) => [
+        ...(item.title?.trim() ? [{ level, text: item.title.trim() }] : []),
+        ...outlineToHeadings(item.items, level + 1),
+    ]);
+}
+
+/**
+ * Extracts a PDF document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - Options object
+ * @param {number} options.maxPages - Maximum pages to extract
+ * @returns {Promise<import('./ooxmlExtractor.js').ExtractedDocument>} Extracted document
+ */
+export async function extractPdf(buffer, { maxPages }) {
+    const { getDocumentProxy, getMeta } = await import('unpdf');
+
+    // PDF.js takes ownership of the array it is given, so pass it a copy
+    const pdf = await getDocumentProxy(new Uint8Array(buffer));
+
+    try {
+        const { info } = await getMeta(pdf);
+        const pageLimit = Math.min(pdf.numPages, maxPages);
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= pageLimit; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pages.push(
+                content.items
+                    .map((item) => ('str' in item ? item.str + (item.hasEOL ? '\n' : '') : ''))
+                    .join('')
+                    .trim()
+            );
+            page.cleanup();
+        }
+
+        return {
+            title: typeof info?.Title === 'string' ? info.Title.trim() : '',
+            description: typeof info?.Subject === 'string' ? info.Subject.trim() : '',
+            language: typeof info?.Language === 'string' ? info.Language : null,
+            headings: outlineToHeadings(await pdf.getOutline()),
+            text: pages.filter(Boolean).join('\n\n'),
+            pageCount: pdf.numPages,
+            truncated: pdf.numPages > pageLimit,
+        };
+    } finally {
+        await pdf.loadingTask.destroy();
+    }
+}
+
+export default { isPdf, extractPdf };
@@ -0,0 +1,138 @@
+import path from 'path';
+import { writeJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Entities
+ * Aggregates the schema.org entities found in the JSON-LD and microdata of
+ * every page of a crawl by @type, and writes them to entities.json
+ */
+
+/**
+ * @typedef {Object} CrawlEntity
+ * @property {Object} entity - Entity as found on its first page (JSON-LD @context removed)
+ * @property {'json-ld'|'microdata'} source - Where the entity was found
+ * @property {string[]} pages - URLs of the pages the entity was found on
+ */
+
+/**
+ * Gets the entities file path for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to entities.json
+ */
+export function getEntitiesFilePath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'entities.json');
+}
+
+/**
+ * Shortens a type to its name: 'https://schema.org/Course' becomes 'Course'
+ * @param {*} type - @type value
+ * @returns {string} Type name ('' if it has none)
+ */
+function toTypeName(type) {
+    return typeof type === 'string' ? type.trim().split(/[/#]/).pop() : '';
+}
+
+/**
+ * Lists the top-level typed entities of a JSON-LD value, including the members of an @graph
+ * @param {*} value - Parsed JSON-LD
+ * @returns {Object[]} Entities with an @type
+ */
+function flattenJsonLd(value) {
+    if (Array.isArray(value)) {
+        return value.flatMap(flattenJsonLd);
+    }
+    if (!value || typeof value !== 'object') {
+        return [];
+    }
+    if (Array.isArray(value['@graph'])) {
+        return value['@graph'].flatMap(flattenJsonLd);
+    }
+    return value['@type'] ? [value] : [];
+}
+
+/**
+ * Lists the typed entities in a page's JSON-LD and microdata
+ * @param {import('./pageRecord.js').PageRecord} record - Page record
+ * @returns {{ entity: Object, source: 'json-ld'|'microdata', types: string[] }[]} Entities with
+ *   their type names ('Course' for 'https://schema.org/Course')
+ */
+export function listRecordEntities(record) {
+    if (!record.metadata) {
+        return [];
+    }
+    const withTypes = (entity, source) => ({
+        entity,
+        source,
+        types: [...new Set([].concat(entity['@type']).map(toTypeName))].filter(Boolean),
+    });
+    return [
+        ...flattenJsonLd(record.metadata.jsonLd).map((entity) => withTypes(entity, 'json-ld')),
+        ...record.metadata.microdata.filter((item) => item['@type']).map((item) => withTypes(item, 'microdata')),
+    ];
+}
+
+/**
+ * Groups the entities of a crawl's pages by type. Entities with the same @id,
+ * or with identical content, are listed once with every page they appear on.
+ * @param {import('./pageRecord.js').PageRecord[]} records - Page records
+ * @returns {Object<string, CrawlEntity[]>} Entities keyed by type name, types sorted by name
+ */
+export function collectEntities(records) {
+    const byKey = new Map();
+    const byType = {};
+
+    const add = ({ entity, source, types }, url) => {
+        const { '@context': _context, ...rest } = entity;
+        const key = typeof rest['@id'] === 'string' ? `id:${rest['@id']}` : `json:${JSON.stringify(rest)}`;
+
+        const existing = byKey.get(key);
+        if (existing) {
+            if (!existing.pages.includes(url)) existing.pages.push(url);
+            return;
+        }
+
+        const entry = { entity: rest, source, pages: [url] };
+        byKey.set(key, entry);
+        // An entity with several types is listed under each of them
+        for (const typeName of types) {
+            (byType[typeName] ??= []).push(entry);
+        }
+    };
+
+    for (const record of records) {
+        for (const found of listRecordEntities(record)) {
+            add(found, record.url);
+        }
+    }
+
+    return Object.fromEntries(Object.keys(byType).sort().map((type) => [type, byType[type]]));
+}
+
+/**
+ * Aggregates a crawl's entities and writes entities.json
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.seedUrl - Starting URL
+ * @param {import('./pageRecord.js').PageRecord[]} options.records - Page records of the crawl
+ * @returns {Promise<{ counts: Object<string, number>, entitiesFile: string }>} Entity counts by type
+ *   and the path to entities.json
+ */
+export async function writeEntities({ baseDir, universityName, seedUrl, records }) {
+    const types = collectEntities(records);
+    const counts = Object.fromEntries(Object.entries(types).map(([type, entities]) => [type, entities.length]));
+
+    const entitiesFile = getEntitiesFilePath(baseDir, universityName);
+    await writeJsonFile(entitiesFile, {
+        universityName,
+        seedUrl,
+        generatedAt: new Date().toISOString(),
+        counts,
+        types,
+    });
+    return { counts, entitiesFile };
+}
+
+export default { getEntitiesFilePath, listRecordEntities, collectEntities, writeEntities };
@@ -0,0 +1,106 @@
+import { findDates, findTerm, getContentLines } from './parsers.js';
+
+/**
+ * Admissions Deadline Extractor
+ * Admissions and application deadline pages, one item per dated line or
+ * table row: what is due, the date and the term it applies to
+ */
+
+/**
+ * @typedef {Object} AdmissionsDeadlineFields
+ * @property {string} label - What the date is for ('Early Decision', 'FAFSA priority deadline')
+ * @property {string} date - ISO date, or month and day ('--11-01') when no year is given
+ * @property {string} dateText - Date as written on the page
+ * @property {string|null} term - Term the deadline applies to ('Fall 2026')
+ * @property {string|null} section - Heading the deadline is listed under
+ */
+
+// Words that make a dated line an admissions deadline, in the line or its section heading
+const DEADLINE_CONTEXT_PATTERN =
+    /\b(deadlines?|due|apply|applications?|decision|early action|priority|submit|notification|deposit|admissions?|enrollment|FAFSA|CSS Profile|transcripts?|test scores)\b/i;
+
+// Table columns headed by a term ('Fall', 'Spring 2027')
+const SEASON_PATTERN = /^(Fall|Spring|Summer|Winter|Autumn)\b/i;
+
+/**
+ * Removes the dates and leftover separators from a line, leaving its label
+ * @param {string} text - Line text
+ * @param {import('./parsers.js').FoundDate[]} dates - Dates found in the line
+ * @returns {string} Label
+ */
+function toLabel(text, dates) {
+    let label = text;
+    for (const date of dates) {
+        label = label.replace(date.text, ' ');
+    }
+    return label
+        .replace(/\s+/g, ' ')
+        .replace(/[\s:,;.–(-]+$/, '')
+        .replace(/\s+(?:is|are|by|on|before|until|through)$/i, '')
+        .replace(/^[\s:,;–-]+/, '');
+}
+
+/**
+ * Extracts the admissions deadlines listed on a page
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {AdmissionsDeadlineFields[]} Deadlines, in page order
+ */
+function extract(record) {
+    const deadlines = [];
+    const seen = new Set();
+
+    for (const line of getContentLines(record)) {
+        if (line.headingLevel) continue;
+        if (!DEADLINE_CONTEXT_PATTERN.test(line.text) && !DEADLINE_CONTEXT_PATTERN.test(line.section ?? '')) continue;
+
+        // Table rows are labelled by their first cell without a date, lines by their text around the date
+        const cells = line.cells ?? [line.text];
+        const dates = cells.flatMap((cell) => findDates(cell));
+        if (dates.length === 0) continue;
+
+        const labelCell = line.cells?.find((cell) => cell && findDates(cell).length === 0);
+        const label = labelCell ?? toLabel(line.text, dates);
+        const term = findTerm(line.text) ?? findTerm(line.section ?? '');
+
+        // A row of several dates is one deadline per column (e.g. one column per term)
+        const columns = line.cells && line.tableHeader ? line.cells : null;
+        for (const date of dates) {
+            const column = columns?.findIndex((cell) => cell.includes(date.text)) ?? -1;
+            const columnLabel = column > 0 ? line.tableHeader[column] : null;
+            const columnTerm = columnLabel && SEASON_PATTERN.test(columnLabel) ? findTerm(columnLabel) ?? columnLabel : null;
+            const key = `${label}|${date.date}|${columnLabel}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            deadlines.push({
+                label: label || line.section || '',
+                date: date.date,
+                dateText: date.text,
+                term: columnTerm ?? term,
+                section: line.section,
+            });
+        }
+    }
+
+    return deadlines.filter((deadline) => deadline.label);
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const admissionsDeadlineExtractor = {
+    type: 'admissions-deadline',
+    signals: {
+        urlPatterns: [/\/(admissions?|apply|deadlines?|key-dates|important-dates)(\/|-|$)/],
+        schemaTypes: [],
+        headingPatterns: [/\b(deadlines?|key dates|important dates|dates (and|&) deadlines)\b/i],
+        textPatterns: [
+            /\bdeadlines?\b/i,
+            /\b(early (action|decision)|regular decision|priority (deadline|date)|rolling admissions?)\b/i,
+            /\bapplication\b/i,
+        ],
+    },
+    extract,
+};
+
+export default { admissionsDeadlineExtractor };
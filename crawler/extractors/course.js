@@ -0,0 +1,162 @@
+import { listRecordEntities } from '../entities.js';
+import { findCredits, getContentLines, schemaText } from './parsers.js';
+
+/**
+ * Course Extractor
+ * Course catalog entries, one item per course: code, title, credits,
+ * prerequisites and description. Entries are read from lines and table rows
+ * that start with a course code, and from schema.org Course entities.
+ */
+
+/**
+ * @typedef {Object} CourseFields
+ * @property {string} code - Course code ('BIO 101')
+ * @property {string|null} title - Course title
+ * @property {number|null} credits - Credits (the lower bound of a range)
+ * @property {string|null} prerequisites - Prerequisites as written
+ * @property {string[]} prerequisiteCodes - Course codes named in the prerequisites
+ * @property {string|null} description - Course description
+ */
+
+// Subject prefix and number: 'BIO 101', 'CS-2110', 'MATH 221H'
+const CODE_SOURCE = '\\b([A-Z]{2,5})[ -]?(\\d{3,4}[A-Z]?)\\b';
+const CODE_PATTERN = new RegExp(CODE_SOURCE, 'g');
+
+// A line that starts a catalog entry: code, then the title ('BIO 101 - Introduction to Biology (3 credits)')
+const ENTRY_PATTERN = new RegExp(`^${CODE_SOURCE}\\.?\\s*(?:[-–—:|.]\\s*)?(.*)$`);
+const CELL_CODE_PATTERN = new RegExp(`^${CODE_SOURCE}$`);
+
+const PREREQUISITES_PATTERN = /\bPre-?requisites?(?:\s*\(s\))?\s*:?\s*([^.]+)/i;
+
+// Credit notes written after a title: '(3 credits)', '3 Credits.', '3 cr.'
+const TITLE_CREDITS_PATTERN =
+    /\s*[(.,;–-]?\s*\(?\d{1,3}(?:\.\d)?(?:\s*(?:-|–|to)\s*\d{1,3}(?:\.\d)?)?\s*(?:credits?|credit hours?|units?|cr\.?)\)?\.?.*$/i;
+
+const MAX_DESCRIPTION_CHARS = 1000;
+
+/**
+ * Normalizes a course code to 'SUBJECT NUMBER'
+ * @param {string} subject - Subject prefix
+ * @param {string} number - Course number
+ * @returns {string} Course code
+ */
+function toCode(subject, number) {
+    return `${subject} ${number}`;
+}
+
+/**
+ * Lists the distinct course codes named in a text
+ * @param {string} text - Text to search
+ * @returns {string[]} Course codes
+ */
+function listCodes(text) {
+    return [...new Set(Array.from(text.matchAll(CODE_PATTERN), (match) => toCode(match[1], match[2])))];
+}
+
+/**
+ * Builds a course from its entry line and the lines that follow it
+ * @param {string} code - Course code
+ * @param {string} rest - Entry line after the code
+ * @param {string[]} body - Lines up to the next entry
+ * @returns {CourseFields} Course
+ */
+function buildCourse(code, rest, body) {
+    const text = [rest, ...body].join(' ');
+    const prerequisites = text.match(PREREQUISITES_PATTERN)?.[1].trim() ?? null;
+    const title = rest.replace(TITLE_CREDITS_PATTERN, '').replace(/[\s.]+$/, '');
+    const description = body
+        .filter((line) => !PREREQUISITES_PATTERN.test(line) && findCredits(line).length === 0)
+        .join(' ')
+        .slice(0, MAX_DESCRIPTION_CHARS);
+
+    return {
+        code,
+        title: title || null,
+        credits: findCredits(text)[0] ?? null,
+        prerequisites,
+        prerequisiteCodes: prerequisites ? listCodes(prerequisites) : [],
+        description: description || null,
+    };
+}
+
+/**
+ * Extracts the courses listed on a page
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {CourseFields[]} Courses, in page order
+ */
+function extract(record) {
+    const courses = new Map();
+    let entry = null;
+
+    const closeEntry = () => {
+        if (entry && !courses.has(entry.code)) {
+            courses.set(entry.code, buildCourse(entry.code, entry.rest, entry.body));
+        }
+        entry = null;
+    };
+
+    for (const line of getContentLines(record)) {
+        // Table rows: code in the first cell, title in the next, credits in the column headed so
+        if (line.cells) {
+            const match = line.cells[0].match(CELL_CODE_PATTERN);
+            if (match) {
+                closeEntry();
+                const code = toCode(match[1], match[2]);
+                const creditsColumn = (line.tableHeader ?? []).findIndex((cell) => /credit|units|hours/i.test(cell));
+                const otherCells = line.cells
+                    .slice(2)
+                    .filter((cell, i) => i + 2 !== creditsColumn && !/^[\d.\s–-]*$/.test(cell));
+                const course = buildCourse(code, line.cells[1] ?? '', otherCells);
+                const credits = creditsColumn > 1 ? findCredits(`${line.cells[creditsColumn]} credits`)[0] : undefined;
+                if (!courses.has(code)) courses.set(code, { ...course, credits: credits ?? course.credits });
+            }
+            continue;
+        }
+
+        const match = line.text.match(ENTRY_PATTERN);
+        if (match) {
+            closeEntry();
+            entry = { code: toCode(match[1], match[2]), rest: match[3], body: [] };
+        } else if (line.headingLevel) {
+            closeEntry();
+        } else if (entry) {
+            entry.body.push(line.text);
+        }
+    }
+    closeEntry();
+
+    // schema.org Course entities fill in courses not written as catalog entries
+    for (const { entity, types } of listRecordEntities(record)) {
+        if (!types.includes('Course')) continue;
+        const code = schemaText(entity.courseCode);
+        if (!code || courses.has(code)) continue;
+
+        const prerequisites = schemaText(entity.coursePrerequisites);
+        courses.set(code, {
+            code,
+            title: schemaText(entity.name),
+            credits: Number(schemaText(entity.numberOfCredits)) || null,
+            prerequisites,
+            prerequisiteCodes: prerequisites ? listCodes(prerequisites) : [],
+            description: schemaText(entity.description)?.slice(0, MAX_DESCRIPTION_CHARS) ?? null,
+        });
+    }
+
+    return [...courses.values()];
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const courseExtractor = {
+    type: 'course',
+    signals: {
+        urlPatterns: [/\/(courses?|catalog|course-descriptions?|class(es)?|syllabus)(\/|-|$)/],
+        schemaTypes: ['Course'],
+        headingPatterns: [new RegExp(`^${CODE_SOURCE}`), /\bcourse (descriptions?|catalog|listings?)\b/i],
+        textPatterns: [/\bpre-?requisites?\b/i, /\b\d+(\.\d)?\s*(credits?|credit hours|units)\b/i, /\b[A-Z]{2,5} \d{3}[A-Z]?\b/],
+    },
+    extract,
+};
+
+export default { courseExtractor };
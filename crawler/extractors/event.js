@@ -0,0 +1,120 @@
+import { listRecordEntities } from '../entities.js';
+import { findDates, getContentLines, getPageHeading, schemaText } from './parsers.js';
+
+/**
+ * Event Extractor
+ * Event pages: name, start and end dates, times and location. schema.org
+ * Event entities are used when the page has them (one item per event);
+ * otherwise the page is read as a single event.
+ */
+
+/**
+ * @typedef {Object} EventFields
+ * @property {string} name - Event name
+ * @property {string} startDate - ISO date or date-time (yearless dates as '--MM-DD')
+ * @property {string|null} endDate - ISO date or date-time of the last day
+ * @property {string|null} time - Time as written ('4:00 pm - 6:00 pm')
+ * @property {string|null} location - Venue or address
+ * @property {string|null} url - Event URL given by structured data
+ */
+
+const EVENT_TYPES = [
+    'Event',
+    'BusinessEvent',
+    'EducationEvent',
+    'ExhibitionEvent',
+    'Festival',
+    'MusicEvent',
+    'ScreeningEvent',
+    'SocialEvent',
+    'SportsEvent',
+    'TheaterEvent',
+];
+
+const DATE_LABEL_PATTERN = /^(?:Date|Dates|When)\s*:/i;
+const LOCATION_PATTERN = /^(?:Location|Where|Venue|Place)\s*:\s*(.+)/i;
+const TIME_PATTERN =
+    /\b\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?|noon)(?:\s*(?:-|–|to)\s*\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?|noon))?/i;
+
+// Without a labelled date, the event's date is looked for near the top of the page
+const DATE_SEARCH_LINES = 15;
+
+/**
+ * Reads a schema.org location: a place name with its address, or text
+ * @param {*} location - Event location
+ * @returns {string|null} Location
+ */
+function readLocation(location) {
+    const place = Array.isArray(location) ? location[0] : location;
+    if (!place || typeof place !== 'object') {
+        return schemaText(place);
+    }
+    const address = place.address;
+    const addressText =
+        address && typeof address === 'object' && !Array.isArray(address)
+            ? [address.streetAddress, address.addressLocality, address.addressRegion].map(schemaText).filter(Boolean).join(', ')
+            : schemaText(address);
+    return [schemaText(place.name), addressText].filter(Boolean).join(', ') || schemaText(place.url);
+}
+
+/**
+ * Extracts the events on a page
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {EventFields[]} Events
+ */
+function extract(record) {
+    const structured = listRecordEntities(record)
+        .filter(({ types }) => types.some((type) => EVENT_TYPES.includes(type)))
+        .map(({ entity }) => ({
+            name: schemaText(entity.name),
+            startDate: schemaText(entity.startDate),
+            endDate: schemaText(entity.endDate),
+            time: null,
+            location: readLocation(entity.location),
+            url: schemaText(entity.url),
+        }))
+        .filter((event) => event.name && event.startDate);
+    if (structured.length > 0) {
+        return structured;
+    }
+
+    const lines = getContentLines(record);
+    const dateLine =
+        lines.find((line) => DATE_LABEL_PATTERN.test(line.text) && findDates(line.text).length > 0) ??
+        lines.slice(0, DATE_SEARCH_LINES).find((line) => findDates(line.text).length > 0);
+    const name = getPageHeading(record);
+    if (!dateLine || !name) {
+        return [];
+    }
+
+    const [start, end] = findDates(dateLine.text);
+    const timeLine = [dateLine, ...lines].find((line) => TIME_PATTERN.test(line.text));
+    return [
+        {
+            name,
+            startDate: start.date,
+            endDate: end?.date ?? null,
+            time: timeLine?.text.match(TIME_PATTERN)[0] ?? null,
+            location: lines.map((line) => line.text.match(LOCATION_PATTERN)?.[1]).find(Boolean)?.trim() ?? null,
+            url: null,
+        },
+    ];
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const eventExtractor = {
+    type: 'event',
+    signals: {
+        urlPatterns: [/\/(events?|calendar)(\/|-|$)/],
+        schemaTypes: EVENT_TYPES,
+        headingPatterns: [
+            /\b(event|workshop|seminar|lecture|symposium|conference|open house|webinar|orientation|info(rmation)? session)s?\b/i,
+        ],
+        textPatterns: [/\b(date|when)\s*:/i, /\b(location|where|venue)\s*:/i, /\b(register|rsvp|registration)\b/i],
+    },
+    extract,
+};
+
+export default { eventExtractor };
@@ -0,0 +1,100 @@
+import { listRecordEntities } from '../entities.js';
+import { findDepartment, getContentLines, getPageHeading, getSectionLines, schemaText } from './parsers.js';
+
+/**
+ * Faculty Extractor
+ * Faculty and staff profile pages: name, academic title, department,
+ * email, phone, office and research interests
+ */
+
+/**
+ * @typedef {Object} FacultyFields
+ * @property {string} name - Person's name
+ * @property {string|null} title - Academic or job title ('Associate Professor of Chemistry')
+ * @property {string|null} department - Academic unit
+ * @property {string|null} email - Email address
+ * @property {string|null} phone - Phone number
+ * @property {string|null} office - Office location
+ * @property {string[]} researchInterests - Research interests
+ */
+
+const TITLE_PATTERN =
+    /\b(?:(?:Distinguished|Assistant|Associate|Adjunct|Clinical|Visiting|Research|Teaching|Senior|Full)\s+)*(?:Professor|Lecturer|Instructor|Dean|Chair|Director|Fellow|Researcher)(?:\s+(?:of|in)\s+[A-Z][\w&-]*(?:\s+(?:and\s+)?[A-Z][\w&-]*)*)?(?:\s+Emerit(?:us|a))?/;
+
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/;
+const MAILTO_PATTERN = /\]\(mailto:([^)?]+)/i;
+const TEL_PATTERN = /\]\(tel:([^)]+)/i;
+const OFFICE_PATTERN = /\bOffice(?:\s+Location)?\s*:\s*([^|]+)/i;
+const INTERESTS_PATTERN = /\bResearch\s+(?:Interests|Areas)\s*:\s*(.+)/i;
+const INTERESTS_HEADING_PATTERN = /\bResearch\s+(Interests|Areas)\b/i;
+
+// A heading that reads as a person's name: two to five capitalized words, no digits
+const NAME_PATTERN = /^(?:Dr\.?\s+)?[A-Z][\w'’.-]*(?:\s+[A-Z][\w'’.-]*){1,4}(?:,\s*[A-Z][\w.]*)*$/;
+
+// Title lines are looked for near the top of the profile
+const TITLE_SEARCH_LINES = 20;
+
+/**
+ * Extracts the person a profile page describes
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {FacultyFields[]} The page's person (none if the page heading is not a name)
+ */
+function extract(record) {
+    const person = listRecordEntities(record).find(({ types }) => types.includes('Person'))?.entity;
+    const heading = getPageHeading(record).split(/\s+[|–-]\s+/)[0];
+    const name = schemaText(person?.name) ?? (NAME_PATTERN.test(heading) ? heading : null);
+    if (!name) {
+        return [];
+    }
+
+    const lines = getContentLines(record);
+    const text = record.mainContent;
+    const titleLine = lines.slice(0, TITLE_SEARCH_LINES).find((line) => TITLE_PATTERN.test(line.text));
+    // Only http(s) links are kept in record.links; the Markdown keeps mailto: and tel: links
+    const markdown = record.mainContentMarkdown ?? '';
+    const mailto = markdown.match(MAILTO_PATTERN)?.[1];
+    const tel = markdown.match(TEL_PATTERN)?.[1];
+
+    // Labelled fields are read per line, since mainContent has its line breaks collapsed
+    const findLabelled = (pattern) => lines.map((line) => line.text.match(pattern)?.[1]).find(Boolean) ?? null;
+    const interestsLine = findLabelled(INTERESTS_PATTERN);
+    const researchInterests = interestsLine
+        ? interestsLine.split(/[;,]\s*/)
+        : getSectionLines(lines, INTERESTS_HEADING_PATTERN).flatMap((line) => line.text.split(/;\s*/));
+
+    return [
+        {
+            name,
+            title: schemaText(person?.jobTitle) ?? titleLine?.text.match(TITLE_PATTERN)[0] ?? null,
+            department:
+                schemaText(person?.worksFor) ??
+                schemaText(person?.affiliation) ??
+                lines.map((line) => findDepartment(line.text)).find(Boolean) ??
+                null,
+            email:
+                schemaText(person?.email)?.replace(/^mailto:/, '') ??
+                (mailto ? decodeURIComponent(mailto) : null) ??
+                text.match(EMAIL_PATTERN)?.[0] ??
+                null,
+            phone: schemaText(person?.telephone) ?? (tel ? decodeURIComponent(tel) : null),
+            office: findLabelled(OFFICE_PATTERN)?.trim() ?? null,
+            researchInterests: researchInterests.map((interest) => interest.trim()).filter(Boolean),
+        },
+    ];
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const facultyExtractor = {
+    type: 'faculty',
+    signals: {
+        urlPatterns: [/\/(faculty|people|person|staff|directory|profiles?|experts?)(\/|-|$)/],
+        schemaTypes: ['Person'],
+        headingPatterns: [TITLE_PATTERN, INTERESTS_HEADING_PATTERN, /\b(biography|publications|education)\b/i],
+        textPatterns: [/\bprofessor\b/i, /\boffice hours\b/i, /\b(ph\.?\s?d\.?|doctorate)\b/i, EMAIL_PATTERN],
+    },
+    extract,
+};
+
+export default { facultyExtractor };
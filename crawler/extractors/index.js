@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeOutput } from '../utils/fileWriter.js';
+import { toCrawlId } from '../utils/sanitizer.js';
+import { listRecordEntities } from '../entities.js';
+import { programExtractor } from './program.js';
+import { courseExtractor } from './course.js';
+import { facultyExtractor } from './faculty.js';
+import { eventExtractor } from './event.js';
+import { admissionsDeadlineExtractor } from './admissionsDeadline.js';
+import { tuitionExtractor } from './tuition.js';
+
+/**
+ * Extractors
+ * Classifies crawled pages by URL pattern and page signals (structured data
+ * types, headings and text) and runs the extractor of each page's class,
+ * writing the typed items of every class to extracted/<type>.jsonl
+ */
+
+/**
+ * @typedef {Object} ExtractorSignals
+ * @property {RegExp[]} urlPatterns - Matched against the URL path
+ * @property {string[]} schemaTypes - schema.org types found in the page's JSON-LD or microdata
+ * @property {RegExp[]} headingPatterns - Matched against the page title and its H1-H3 headings
+ * @property {RegExp[]} textPatterns - Matched against the main content, each scoring separately
+ */
+
+/**
+ * @typedef {Object} Extractor
+ * @property {string} type - Page class; also names the output file (lowercase letters, digits and dashes)
+ * @property {ExtractorSignals} signals - What marks a page as this class
+ * @property {(record: import('../pageRecord.js').PageRecord) => Object[]} extract - Typed items found
+ *   on a page of this class (empty if it has none)
+ */
+
+/**
+ * @typedef {Object} ExtractedItem
+ * @property {string} url - Page the item was found on
+ * @property {string} title - Title of that page
+ * @property {number} score - Classification score of the page
+ * @property {Object} fields - Typed fields, as defined by the extractor
+ */
+
+// Points added by each kind of signal; a page needs extractors.minScore points to be classified
+const SIGNAL_POINTS = { url: 2, schemaType: 3, heading: 2, text: 1 };
+
+const TYPE_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Registered extractors by type, in classification order (earlier types win ties)
+ */
+const EXTRACTORS = new Map(
+    [
+        programExtractor,
+        courseExtractor,
+        facultyExtractor,
+        eventExtractor,
+        admissionsDeadlineExtractor,
+        tuitionExtractor,
+    ].map((extractor) => [extractor.type, extractor])
+);
+
+/**
+ * Adds an extractor to the registry
+ * @param {Extractor} extractor - Extractor to add
+ * @returns {void}
+ * @throws {Error} If the extractor is malformed or its type is taken
+ */
+export function registerExtractor(extractor) {
+    if (!TYPE_PATTERN.test(extractor?.type ?? '')) {
+        throw new Error(`Invalid extractor type: ${extractor?.type}`);
+    }
+    if (EXTRACTORS.has(extractor.type)) {
+        throw new Error(`Extractor already registered: ${extractor.type}`);
+    }
+    if (typeof extractor.extract !== 'function' || !extractor.signals) {
+        throw new Error(`Extractor ${extractor.type} needs signals and an extract function`);
+    }
+    EXTRACTORS.set(extractor.type, {
+        ...extractor,
+        signals: { urlPatterns: [], schemaTypes: [], headingPatterns: [], textPatterns: [], ...extractor.signals },
+    });
+}
+
+/**
+ * Lists the registered extractor types
+ * @returns {string[]} Types, in classification order
+ */
+export function getExtractorTypes() {
+    return [...EXTRACTORS.keys()];
+}
+
+/**
+ * Gets the extractors for a list of types
+ * @param {string[]|null} types - Types to run; null runs every registered extractor
+ * @returns {Extractor[]} Extractors, in classification order
+ * @throws {Error} If a type is not registered
+ */
+export function selectExtractors(types) {
+    if (types === null) {
+        return [...EXTRACTORS.values()];
+    }
+    for (const type of types) {
+        if (!EXTRACTORS.has(type)) {
+            throw new Error(`Unknown extractor type: ${type}`);
+        }
+    }
+    return [...EXTRACTORS.values()].filter((extractor) => types.includes(extractor.type));
+}
+
+/**
+ * Scores how well a page matches an extractor's signals
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @param {ExtractorSignals} signals - Extractor signals
+ * @returns {number} Score
+ */
+export function scorePage(record, signals) {
+    let score = 0;
+
+    const pathname = new URL(record.url).pathname.toLowerCase();
+    if (signals.urlPatterns.some((pattern) => pattern.test(pathname))) {
+        score += SIGNAL_POINTS.url;
+    }
+
+    const schemaTypes = new Set(listRecordEntities(record).flatMap(({ types }) => types));
+    if (signals.schemaTypes.some((type) => schemaTypes.has(type))) {
+        score += SIGNAL_POINTS.schemaType;
+    }
+
+    const headings = [record.title, ...record.headings.filter((heading) => heading.level <= 3).map((h) => h.text)];
+    if (signals.headingPatterns.some((pattern) => headings.some((heading) => pattern.test(heading)))) {
+        score += SIGNAL_POINTS.heading;
+    }
+
+    for (const pattern of signals.textPatterns) {
+        if (pattern.test(record.mainContent)) score += SIGNAL_POINTS.text;
+    }
+    return score;
+}
+
+/**
+ * Picks the class of a page: the extractor with the highest score, if it reaches the minimum
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @param {Extractor[]} extractors - Candidate extractors, in classification order
+ * @param {number} minScore - Lowest score that classifies a page
+ * @returns {{ extractor: Extractor, score: number }|null} Best match, or null if none scores enough
+ */
+export function classifyPage(record, extractors, minScore) {
+    let best = null;
+    for (const extractor of extractors) {
+        const score = scorePage(record, extractor.signals);
+        if (score >= minScore && score > (best?.score ?? 0)) {
+            best = { extractor, score };
+        }
+    }
+    return best;
+}
+
+/**
+ * Gets the directory of the per-type extraction files for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to the extracted/ directory
+ */
+export function getExtractedDir(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'extracted');
+}
+
+/**
+ * Classifies a crawl's pages and writes the items of each class to extracted/<type>.jsonl,
+ * replacing the files of an earlier run
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {import('../pageRecord.js').PageRecord[]} options.records - Page records of the crawl
+ * @param {{ types: string[]|null, minScore: number }} options.settings - Extractor settings (config.extractors)
+ * @returns {Promise<{ counts: Object<string, number>, extractedDir: string }>} Item counts by type
+ *   and the path to the extracted/ directory
+ */
+export async function writeExtracted({ baseDir, universityName, records, settings }) {
+    const extractors = selectExtractors(settings.types);
+    const linesByType = Object.fromEntries(extractors.map((extractor) => [extractor.type, []]));
+
+    for (const record of records) {
+        const match = classifyPage(record, extractors, settings.minScore);
+        if (!match) continue;
+
+        const { extractor, score } = match;
+        try {
+            for (const fields of extractor.extract(record)) {
+                /** @type {ExtractedItem} */
+                const item = { url: record.url, title: record.title, score, fields };
+                linesByType[extractor.type].push(JSON.stringify(item));
+            }
+        } catch (error) {
+            console.error(`Failed to extract ${extractor.type} fields from ${record.url}: ${error.message}`);
+        }
+    }
+
+    const extractedDir = getExtractedDir(baseDir, universityName);
+    await fs.rm(extractedDir, { recursive: true, force: true });
+    for (const [type, lines] of Object.entries(linesByType)) {
+        if (lines.length === 0) continue;
+        await writeOutput(path.join(extractedDir, `${type}.jsonl`), `${lines.join('\n')}\n`);
+    }
+
+    const counts = Object.fromEntries(Object.entries(linesByType).map(([type, lines]) => [type, lines.length]));
+    return { counts, extractedDir };
+}
+
+export default {
+    registerExtractor,
+    getExtractorTypes,
+    selectExtractors,
+    scorePage,
+    classifyPage,
+    getExtractedDir,
+    writeExtracted,
+};
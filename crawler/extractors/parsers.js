@@ -0,0 +1,271 @@
+/**
+ * Extractor Parsers
+ * Reads the lines, tables, dates, amounts and other common fields of a page
+ * record for the domain extractors
+ */
+
+/**
+ * @typedef {Object} ContentLine
+ * @property {string} text - Plain text of the line (Markdown syntax removed; table cells joined by spaces)
+ * @property {string[]|null} cells - Cells of a table row, null for other lines
+ * @property {string[]|null} tableHeader - Header cells of the table a row belongs to (null if it has none)
+ * @property {number|null} headingLevel - Level of a heading line, null for other lines
+ * @property {string|null} section - Text of the nearest heading above the line
+ */
+
+/**
+ * @typedef {Object} FoundDate
+ * @property {string} text - Date as written on the page
+ * @property {string} date - ISO date ('2026-11-01'), or month and day ('--11-01') when no year is given
+ * @property {number} index - Position in the searched text
+ */
+
+/**
+ * @typedef {Object} FoundAmount
+ * @property {string} text - Amount as written on the page
+ * @property {number} amount - Amount
+ * @property {string} currency - ISO 4217 currency code
+ */
+
+const MONTH_PATTERN =
+    '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date formats, each with the year, month and day of a match (year may be missing)
+const DATE_FORMATS = [
+    // 2026-11-01
+    { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: (m) => [m[1], m[2], m[3]] },
+    // November 1, 2026 / Nov. 1st / November 1
+    {
+        pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+        parts: (m) => [m[3], MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()) + 1, m[2]],
+    },
+    // 1 November 2026 / 1st Nov
+    {
+        pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4})\\b)?`, 'gi'),
+        parts: (m) => [m[3], MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()) + 1, m[1]],
+    },
+    // 11/1/2026 (month first)
+    { pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: (m) => [m[3], m[1], m[2]] },
+];
+
+// Currency symbols and codes written before an amount
+const CURRENCIES = { $: 'USD', US$: 'USD', C$: 'CAD', A$: 'AUD', '£': 'GBP', '€': 'EUR' };
+const AMOUNT_PATTERN = /(?:(US\$|C\$|A\$|\$|£|€)|\b(USD|CAD|AUD|GBP|EUR)\s?)\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?/g;
+
+const CREDITS_PATTERN =
+    /\b(\d{1,3}(?:\.\d)?)(?:\s*(?:-|–|to)\s*\d{1,3}(?:\.\d)?)?\s*(?:total\s+|semester\s+|quarter\s+)?(?:credits?|credit\s+hours?|units?|cr\.?)(?=\W|$)|\b(?:credits?|credit\s+hours?|units?)\s*:\s*(\d{1,3}(?:\.\d)?)/gi;
+
+const DEPARTMENT_PATTERN =
+    /\b(?:Department|School|College|Faculty|Division) of (?:the )?[A-Z][\w'’-]*(?: (?:and |& |of |for |the )*[A-Z][\w'’-]*)*/;
+
+const TERM_PATTERN = /\b(Fall|Spring|Summer|Winter|Autumn)\s+(?:(?:Semester|Term|Quarter)\s+)?(\d{4})\b/i;
+
+/**
+ * Removes Markdown syntax from a line: heading, quote and list markers, links, emphasis and escapes
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text
+ */
+export function toPlainText(line) {
+    return line
+        .replace(/^\s*#{1,6}\s+/, '')
+        .replace(/^\s*(?:>\s?)+/, '')
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\\(.)|\*\*|\*|`/g, (_, escaped) => escaped ?? '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Splits a Markdown table row into plain-text cells
+ * @param {string} row - Table row ('| a | b |')
+ * @returns {string[]} Cells
+ */
+function splitTableRow(row) {
+    return row
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map((cell) => toPlainText(cell));
+}
+
+/**
+ * Splits a page's content into lines, with the table and heading each line belongs to.
+ * Uses the Markdown content when the record has it, otherwise the plain text (documents).
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {ContentLine[]} Non-empty lines
+ */
+export function getContentLines(record) {
+    const source = record.mainContentMarkdown ?? record.mainContent;
+    const rawLines = source.split('\n');
+    const lines = [];
+    let section = null;
+    let tableHeader = null;
+
+    rawLines.forEach((raw, i) => {
+        const isRow = /^\s*\|.*\|\s*$/.test(raw);
+        if (!isRow) tableHeader = null;
+
+        if (isRow) {
+            const cells = splitTableRow(raw);
+            if (cells.every((cell) => /^:?-{3,}:?$/.test(cell))) return;
+
+            // A row followed by a separator row is the table's header
+            if (/^\s*\|(?:\s*:?-{3,}:?\s*\|)+\s*$/.test(rawLines[i + 1] ?? '')) {
+                tableHeader = cells;
+                lines.push({ text: cells.join(' '), cells, tableHeader: null, headingLevel: null, section });
+                return;
+            }
+            lines.push({ text: cells.join(' '), cells, tableHeader, headingLevel: null, section });
+            return;
+        }
+
+        const text = toPlainText(raw);
+        if (!text) return;
+
+        const heading = raw.match(/^(#{1,6}) /);
+        if (heading) {
+            lines.push({ text, cells: null, tableHeader: null, headingLevel: heading[1].length, section });
+            section = text;
+            return;
+        }
+        lines.push({ text, cells: null, tableHeader: null, headingLevel: null, section });
+    });
+
+    return lines;
+}
+
+/**
+ * Collects the lines under the first heading that matches a pattern, up to the next heading
+ * of the same or a higher level
+ * @param {ContentLine[]} lines - Content lines
+ * @param {RegExp} headingPattern - Pattern matched against heading text
+ * @returns {ContentLine[]} Lines of the section (empty if no heading matches)
+ */
+export function getSectionLines(lines, headingPattern) {
+    const start = lines.findIndex((line) => line.headingLevel && headingPattern.test(line.text));
+    if (start === -1) {
+        return [];
+    }
+    const level = lines[start].headingLevel;
+    const end = lines.findIndex((line, i) => i > start && line.headingLevel && line.headingLevel <= level);
+    return lines.slice(start + 1, end === -1 ? undefined : end);
+}
+
+/**
+ * Gets the text of the page's first H1, falling back to its title
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {string} Page heading ('' if it has neither)
+ */
+export function getPageHeading(record) {
+    return record.headings.find((heading) => heading.level === 1)?.text.trim() || record.title.trim();
+}
+
+/**
+ * Finds the dates written in a text, in order of appearance
+ * @param {string} text - Text to search
+ * @returns {FoundDate[]} Dates
+ */
+export function findDates(text) {
+    const found = [];
+    for (const { pattern, parts } of DATE_FORMATS) {
+        for (const match of text.matchAll(pattern)) {
+            const [year, month, day] = parts(match).map((part) => (part === undefined ? null : Number(part)));
+            if (month < 1 || month > 12 || day < 1) continue;
+
+            // Day 0 of the next month is the last day of this one (2024 allows 29 February without a year)
+            const daysInMonth = new Date(Date.UTC(year ?? 2024, month, 0)).getUTCDate();
+            if (day > daysInMonth || (year !== null && (year < 1900 || year > 2100))) continue;
+
+            const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            found.push({ text: match[0], date: year === null ? `--${monthDay}` : `${year}-${monthDay}`, index: match.index });
+        }
+    }
+
+    // Keep the first of overlapping matches
+    found.sort((a, b) => a.index - b.index);
+    let end = -1;
+    return found.filter((date) => {
+        if (date.index < end) return false;
+        end = date.index + date.text.length;
+        return true;
+    });
+}
+
+/**
+ * Finds the money amounts written in a text, in order of appearance
+ * @param {string} text - Text to search
+ * @returns {FoundAmount[]} Amounts
+ */
+export function findAmounts(text) {
+    return Array.from(text.matchAll(AMOUNT_PATTERN), (match) => ({
+        text: match[0].trim(),
+        amount: Number(`${match[3].replace(/,/g, '')}${match[4] ?? ''}`),
+        currency: match[1] ? CURRENCIES[match[1]] : match[2],
+    }));
+}
+
+/**
+ * Finds the credit counts written in a text ('3 credits', '120 credit hours', 'Credits: 4')
+ * @param {string} text - Text to search
+ * @returns {number[]} Credit counts, in order of appearance (the lower bound of a range)
+ */
+export function findCredits(text) {
+    return Array.from(text.matchAll(CREDITS_PATTERN), (match) => Number(match[1] ?? match[2]));
+}
+
+/**
+ * Finds the first academic unit named in a text ('Department of Biology', 'School of Law')
+ * @param {string} text - Text to search
+ * @returns {string|null} Unit name
+ */
+export function findDepartment(text) {
+    return text.match(DEPARTMENT_PATTERN)?.[0] ?? null;
+}
+
+/**
+ * Finds the first academic term named in a text ('Fall 2026')
+ * @param {string} text - Text to search
+ * @returns {string|null} Term, as season and year
+ */
+export function findTerm(text) {
+    const match = text.match(TERM_PATTERN);
+    return match ? `${match[1][0].toUpperCase()}${match[1].slice(1).toLowerCase()} ${match[2]}` : null;
+}
+
+/**
+ * Reads a schema.org property as text: strings as they are, the first entry of
+ * a list, and the @value, value (QuantitativeValue) or name of an object
+ * @param {*} value - Property value
+ * @returns {string|null} Text, or null if the property is empty
+ */
+export function schemaText(value) {
+    if (Array.isArray(value)) {
+        return value.map(schemaText).find(Boolean) ?? null;
+    }
+    if (typeof value === 'number') {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        return value.trim() || null;
+    }
+    if (value && typeof value === 'object') {
+        return schemaText(value['@value'] ?? value.value ?? value.name);
+    }
+    return null;
+}
+
+export default {
+    toPlainText,
+    getContentLines,
+    getSectionLines,
+    getPageHeading,
+    findDates,
+    findAmounts,
+    findCredits,
+    findDepartment,
+    findTerm,
+    schemaText,
+};
@@ -0,0 +1,95 @@
+import { listRecordEntities } from '../entities.js';
+import { findCredits, findDepartment, getContentLines, getPageHeading, schemaText } from './parsers.js';
+
+/**
+ * Program Extractor
+ * Degree, major, minor and certificate program pages: degree, level, total
+ * credits, duration, delivery formats and department
+ */
+
+/**
+ * @typedef {Object} ProgramFields
+ * @property {string} name - Program name
+ * @property {string|null} degree - Degree as written ('Bachelor of Science', 'M.B.A.')
+ * @property {'associate'|'bachelor'|'master'|'doctorate'|'certificate'|'minor'|null} level - Program level
+ * @property {number|null} credits - Total credits required
+ * @property {string|null} duration - Typical length ('4 years', '18 months')
+ * @property {string[]} formats - Delivery formats: 'on-campus', 'online', 'hybrid'
+ * @property {string|null} department - Academic unit offering the program
+ */
+
+// Long degree names ('Bachelor of Fine Arts'), abbreviations ('B.S.', 'PhD') and other program kinds
+const DEGREE_PATTERN =
+    /\b(?:(?:Associate|Bachelor|Master|Doctor)(?:'?s)?(?: of(?: [A-Z][a-z]+){1,3}| [Dd]egree)?|Doctorate|(?:A\.?A|A\.?S|B\.?A|B\.?S|B\.?F\.?A|B\.?B\.?A|M\.?A|M\.?S|M\.?F\.?A|M\.?B\.?A|M\.?Ed|M\.?P\.?H|Ph\.?D|Ed\.?D|J\.?D|M\.?D)\.?(?![\w.])|(?:Graduate |Undergraduate )?Certificate|Minor)/;
+
+// Levels by the first letters of a degree
+const DEGREE_LEVELS = [
+    [/^(Associate|A\.?[AS]\b)/, 'associate'],
+    [/^(Bachelor|B\.?)/, 'bachelor'],
+    [/^(Master|M\.?[ASFBEP])/, 'master'],
+    [/^(Doctor|Ph\.?D|Ed\.?D|J\.?D|M\.?D)/, 'doctorate'],
+    [/Certificate$/, 'certificate'],
+    [/^Minor$/, 'minor'],
+];
+
+const DURATION_PATTERN =
+    /\b(\d+(?:\.\d)?|one|two|three|four|five|six)[-\s](years?|semesters?|terms?|quarters?|months?)\b/i;
+
+const FORMAT_PATTERNS = [
+    ['on-campus', /\b(on[- ]campus|in[- ]person)\b/i],
+    ['online', /\bonline\b/i],
+    ['hybrid', /\bhybrid\b/i],
+];
+
+// Fewer total credits than this are taken to be course credits
+const MIN_PROGRAM_CREDITS = 12;
+
+/**
+ * Extracts the program described by a page
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {ProgramFields[]} The page's program
+ */
+function extract(record) {
+    const program = listRecordEntities(record).find(({ types }) => types.includes('EducationalOccupationalProgram'));
+    const heading = getPageHeading(record);
+    const name = schemaText(program?.entity.name) ?? heading;
+    if (!name) {
+        return [];
+    }
+
+    const text = record.mainContent;
+    const degree = `${name} ${heading}`.match(DEGREE_PATTERN)?.[0] ?? text.match(DEGREE_PATTERN)?.[0] ?? null;
+    const level = degree ? DEGREE_LEVELS.find(([pattern]) => pattern.test(degree))?.[1] ?? null : null;
+    const duration = schemaText(program?.entity.timeToComplete) ?? text.match(DURATION_PATTERN)?.[0] ?? null;
+
+    return [
+        {
+            name,
+            degree,
+            level,
+            credits: findCredits(text).find((credits) => credits >= MIN_PROGRAM_CREDITS) ?? null,
+            duration,
+            formats: FORMAT_PATTERNS.filter(([, pattern]) => pattern.test(text)).map(([format]) => format),
+            department:
+                schemaText(program?.entity.provider) ??
+                getContentLines(record).map((line) => findDepartment(line.text)).find(Boolean) ??
+                null,
+        },
+    ];
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const programExtractor = {
+    type: 'program',
+    signals: {
+        urlPatterns: [/\/(programs?|degrees?|majors?|minors?|certificates?|areas?-of-study|fields?-of-study)(\/|-|$)/],
+        schemaTypes: ['EducationalOccupationalProgram'],
+        headingPatterns: [DEGREE_PATTERN],
+        textPatterns: [/\b(degree|program|major) requirements\b/i, /\b(learning|career) outcomes\b/i, /\bcurriculum\b/i],
+    },
+    extract,
+};
+
+export default { programExtractor };
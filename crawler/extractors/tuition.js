@@ -0,0 +1,123 @@
+import { findAmounts, getContentLines } from './parsers.js';
+
+/**
+ * Tuition Extractor
+ * Tuition and fee pages, one item per amount: what it is for, the student
+ * category (from table column headings), the amount and the billing period
+ */
+
+/**
+ * @typedef {Object} TuitionFields
+ * @property {string} label - What the amount is for ('Tuition', 'Student activity fee')
+ * @property {string|null} category - Column heading of the amount ('In-State', 'Graduate')
+ * @property {number} amount - Amount
+ * @property {string} currency - ISO 4217 currency code
+ * @property {'credit'|'course'|'month'|'quarter'|'term'|'semester'|'year'|null} period - What the amount
+ *   is charged per
+ * @property {string|null} academicYear - Academic year ('2026-27')
+ * @property {string|null} section - Heading the amount is listed under
+ */
+
+// Periods by the words that name them, most specific first
+const PERIOD_PATTERNS = [
+    ['credit', /\bper\s+(?:credit(?:\s+hour)?|unit)\b|\/\s*credit\b/i],
+    ['course', /\bper\s+course\b/i],
+    ['month', /\bper\s+month\b|\bmonthly\b/i],
+    ['quarter', /\bper\s+quarter\b/i],
+    ['semester', /\bper\s+semester\b|\beach\s+semester\b|\bsemester\b/i],
+    ['term', /\bper\s+term\b|\bterm\b/i],
+    ['year', /\bper\s+(?:academic\s+)?year\b|\bannual(?:ly)?\b|\byearly\b|\bacademic\s+year\b/i],
+];
+
+const ACADEMIC_YEAR_PATTERN = /\b(20\d{2})\s*[-–/]\s*(?:20)?(\d{2})\b/;
+
+// Words that make an amount a tuition figure, in the line or its section heading
+const TUITION_CONTEXT_PATTERN = /\b(tuition|fees?|costs?|charges?|rates?|room|board|housing|meal|expenses?|attendance)\b/i;
+
+/**
+ * Finds the billing period named in any of several texts, the first text taking precedence
+ * @param {...string} texts - Texts to search
+ * @returns {string|null} Period
+ */
+function findPeriod(...texts) {
+    for (const text of texts) {
+        const period = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0];
+        if (period) return period;
+    }
+    return null;
+}
+
+/**
+ * Extracts the tuition and fee amounts listed on a page
+ * @param {import('../pageRecord.js').PageRecord} record - Page record
+ * @returns {TuitionFields[]} Amounts, in page order
+ */
+function extract(record) {
+    const items = [];
+    const pageYear = `${record.title} ${record.headings.map((heading) => heading.text).join(' ')}`.match(
+        ACADEMIC_YEAR_PATTERN
+    );
+
+    for (const line of getContentLines(record)) {
+        if (line.headingLevel) continue;
+        const section = line.section ?? '';
+        if (!TUITION_CONTEXT_PATTERN.test(line.text) && !TUITION_CONTEXT_PATTERN.test(section)) continue;
+
+        const yearMatch = line.text.match(ACADEMIC_YEAR_PATTERN) ?? section.match(ACADEMIC_YEAR_PATTERN) ?? pageYear;
+        const academicYear = yearMatch ? `${yearMatch[1]}-${yearMatch[2]}` : null;
+
+        if (line.cells) {
+            // Table rows: the first cell names the charge, the column heading the student category
+            const label = line.cells[0];
+            line.cells.slice(1).forEach((cell, i) => {
+                const category = line.tableHeader?.[i + 1] || null;
+                for (const found of findAmounts(cell)) {
+                    items.push({
+                        label,
+                        category,
+                        amount: found.amount,
+                        currency: found.currency,
+                        period: findPeriod(cell, category ?? '', label, section),
+                        academicYear,
+                        section: line.section,
+                    });
+                }
+            });
+            continue;
+        }
+
+        // Lines: the text before the first amount names the charge ('Tuition: $12,000 per semester')
+        const amounts = findAmounts(line.text);
+        if (amounts.length === 0) continue;
+        const label = line.text.slice(0, line.text.indexOf(amounts[0].text)).replace(/[\s:–-]+$/, '').trim();
+        for (const found of amounts) {
+            items.push({
+                label: label || line.section || '',
+                category: null,
+                amount: found.amount,
+                currency: found.currency,
+                period: findPeriod(line.text, section),
+                academicYear,
+                section: line.section,
+            });
+        }
+    }
+
+    return items.filter((item) => item.label);
+}
+
+/**
+ * @type {import('./index.js').Extractor}
+ */
+export const tuitionExtractor = {
+    type: 'tuition',
+    signals: {
+        urlPatterns: [/\/(tuition|fees?|costs?|cost-of-attendance|bursar|student-accounts)(\/|-|$)/],
+        schemaTypes: [],
+        headingPatterns: [/\b(tuition|fees|cost of attendance|costs)\b/i],
+        textPatterns: [/\btuition\b/i, /\bfees?\b/i, /(?:\$|£|€)\s?\d/],
+    },
+    extract,
+};
+
+export default { tuitionExtractor };
@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { appendToFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Failure Log
+ * Records requests that failed after their retries in failures.jsonl, with
+ * the HTTP status, an error class, the retry count and the referring page,
+ * and keeps per-class counts for progress
+ */
+
+/**
+ * Error classes, in the order they are reported
+ */
+export const FAILURE_CLASSES = ['timeout', 'dns', '4xx', '5xx', 'navigation', 'extraction'];
+
+/**
+ * @typedef {Object} FailureRecord
+ * @property {string} url - Requested URL
+ * @property {number|null} statusCode - HTTP status, if the server answered
+ * @property {string} errorClass - One of FAILURE_CLASSES
+ * @property {string} error - Error message of the last attempt
+ * @property {number} retries - Retries made before giving up
+ * @property {string|null} referrer - Page the URL was found on (null for seeds and sitemap URLs)
+ * @property {string} failedAt - ISO timestamp
+ */
+
+/**
+ * @typedef {Object} FailureSummary
+ * @property {number} total - Distinct URLs that failed
+ * @property {Object<string, number>} byClass - Failure counts keyed by error class
+ */
+
+/**
+ * Thrown for pages and documents that answer with an HTTP error status
+ */
+export class HttpStatusError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status
+     * @param {string} url - Requested URL
+     */
+    constructor(statusCode, url) {
+        super(`HTTP ${statusCode} for ${url}`);
+        this.name = 'HttpStatusError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Thrown when a loaded page or downloaded document cannot be extracted
+ */
+export class ExtractionError extends Error {
+    /**
+     * @param {Error} cause - Error raised during extraction
+     */
+    constructor(cause) {
+        super(cause.message, { cause });
+        this.name = 'ExtractionError';
+    }
+}
+
+// Network errors reported by Chromium and Node when a host name does not resolve
+const DNS_ERROR_PATTERN = /ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN/;
+const TIMEOUT_ERROR_PATTERN = /timed? ?out/i;
+
+/**
+ * Classifies a failed request
+ * @param {Error} error - Error of the last attempt
+ * @param {number|null} [statusCode] - HTTP status, if known
+ * @returns {string} One of FAILURE_CLASSES
+ */
+export function classifyFailure(error, statusCode = null) {
+    if (statusCode >= 500) return '5xx';
+    if (statusCode >= 400) return '4xx';
+    if (error instanceof ExtractionError) return 'extraction';
+
+    const codes = `${error?.code ?? ''} ${error?.cause?.code ?? ''}`;
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError' || TIMEOUT_ERROR_PATTERN.test(error?.message)) {
+        return 'timeout';
+    }
+    if (DNS_ERROR_PATTERN.test(`${codes} ${error?.message ?? ''}`)) {
+        return 'dns';
+    }
+    return 'navigation';
+}
+
+/**
+ * Gets the failure log path for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to failures.jsonl
+ */
+export function getFailureLogPath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'failures.jsonl');
+}
+
+/**
+ * Reads the failures recorded for a crawl
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {Promise<FailureRecord[]>} Failures, one per URL
+ */
+export async function readFailures(baseDir, universityName) {
+    const content = await fs.readFile(getFailureLogPath(baseDir, universityName), 'utf8').catch(() => '');
+    return content
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Opens the failure log for a crawl
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {boolean} [options.resume] - Keep and count entries from an interrupted run
+ * @param {boolean} [options.retry] - Re-crawl of the logged failures: failures are kept until
+ *   resolved or replaced by a new failure, and the file is rewritten on flush
+ * @returns {Promise<{ record: Function, resolve: Function, summary: Function, flush: Function }>} Failure log
+ */
+export async function openFailureLog({ baseDir, universityName, resume = false, retry = false }) {
+    const filePath = getFailureLogPath(baseDir, universityName);
+
+    // Failure by URL; URLs that failed in this run are not recorded twice
+    const failures = new Map();
+    const failedThisRun = new Set();
+
+    if (resume || retry) {
+        for (const failure of await readFailures(baseDir, universityName)) {
+            failures.set(failure.url, failure);
+            if (!retry) failedThisRun.add(failure.url);
+        }
+    } else {
+        await fs.rm(filePath, { force: true });
+    }
+
+    // Appends are chained so entries land in order even though record() is synchronous
+    let pendingWrite = Promise.resolve();
+
+    return {
+        /**
+         * Records a failed request; repeat failures of the same URL are ignored
+         * @param {Object} request - Crawlee request that failed
+         * @param {Error} error - Error of the last attempt
+         * @returns {FailureRecord|null} The recorded failure, or null if the URL had already failed
+         */
+        record(request, error) {
+            if (failedThisRun.has(request.url)) {
+                return null;
+            }
+            failedThisRun.add(request.url);
+
+            const statusCode = error?.statusCode ?? null;
+            const failure = {
+                url: request.url,
+                statusCode,
+                errorClass: classifyFailure(error, statusCode),
+                error: error?.message ?? 'Unknown error',
+                retries: request.retryCount ?? 0,
+                referrer: request.userData?.referrer ?? failures.get(request.url)?.referrer ?? null,
+                failedAt: new Date().toISOString(),
+            };
+            failures.set(failure.url, failure);
+
+            if (!retry) {
+                pendingWrite = pendingWrite
+                    .then(() => appendToFile(filePath, JSON.stringify(failure) + '\n'))
+                    .catch((err) => console.error(`Failed to record failed URL: ${err.message}`));
+            }
+            return failure;
+        },
+
+        /**
+         * Drops a logged failure whose URL was retried successfully (or is now skipped)
+         * @param {string} url - Requested URL
+         * @returns {void}
+         */
+        resolve(url) {
+            if (retry) {
+                failures.delete(url);
+            }
+        },
+
+        /**
+         * Gets failure counts for progress.json
+         * @returns {FailureSummary}
+         */
+        summary() {
+            const byClass = {};
+            for (const { errorClass } of failures.values()) {
+                byClass[errorClass] = (byClass[errorClass] || 0) + 1;
+            }
+            return { total: failures.size, byClass };
+        },
+
+        /**
+         * Waits for pending writes to finish; a retry run writes its remaining failures here
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            await pendingWrite;
+            if (retry) {
+                const lines = [...failures.values()].map((failure) => JSON.stringify(failure) + '\n');
+                await fs.writeFile(filePath, lines.join(''), 'utf8');
+            }
+        },
+    };
+}
+
+export default {
+    FAILURE_CLASSES,
+    HttpStatusError,
+    ExtractionError,
+    classifyFailure,
+    getFailureLogPath,
+    readFailures,
+    openFailureLog,
+};
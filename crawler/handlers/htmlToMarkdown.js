@@ -0,0 +1,192 @@
+/**
+ * HTML to Markdown
+ * Converts the cleaned main content element of a page to Markdown, keeping
+ * headings, paragraphs, lists, tables, links and emphasis
+ */
+
+/**
+ * Extracts the content of one element of the page as plain text and
+ * Markdown. Runs inside the page via page.evaluate(), so it must not
+ * reference anything outside its own body.
+ * @param {Object} options - Options object
+ * @param {string|null} options.selector - Selector of the content element; null for the page body
+ * @param {string[]} options.excludeSelectors - Selectors removed from the content first
+ * @returns {{ text: string, markdown: string }|null} Content, or null if the element does not exist
+ */
+export function extractContentInPage({ selector, excludeSelectors }) {
+    const root = selector ? document.querySelector(selector) : document.body;
+    if (!root) return null;
+
+    // Clone the element to avoid modifying the page, then remove excluded elements
+    const clone = root.cloneNode(true);
+    excludeSelectors.forEach((excludeSelector) => {
+        clone.querySelectorAll(excludeSelector).forEach((el) => el.remove());
+    });
+
+    const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'img', 'svg', 'iframe', 'button']);
+    const BLOCK_TAGS = new Set([
+        'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+        'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+        'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul',
+    ]);
+    // Stands in for <br> until whitespace has been collapsed
+    const LINE_BREAK = '\uE000';
+
+    const escapeText = (text) => text.replace(/[\\`*_[\]]/g, '\\$&');
+
+    // Collapses whitespace and keeps text from being read as a heading, quote or list marker
+    const clean = (raw, lineBreak = '  \n') =>
+        raw
+            .replace(/\s+/g, ' ')
+            .replace(new RegExp(` ?${LINE_BREAK} ?`, 'g'), LINE_BREAK)
+            .trim()
+            .split(LINE_BREAK)
+            .map((line) => line.replace(/^([#>+-])/, '\\$1').replace(/^(\d+)([.)]) /, '$1\\$2 '))
+            .join(lineBreak)
+            .trim();
+
+    // Wraps text in markers, keeping surrounding spaces outside them
+    const wrap = (text, open, close = open) => {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return match[2] ? `${match[1]}${open}${match[2]}${close}${match[3]}` : text;
+    };
+
+    const inline = (node) => {
+        if (node.nodeType === Node.TEXT_NODE) return escapeText(node.textContent);
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = node.tagName.toLowerCase();
+        if (SKIPPED_TAGS.has(tag)) return '';
+
+        const children = () => Array.from(node.childNodes).map(inline).join('');
+        switch (tag) {
+            case 'br':
+                return LINE_BREAK;
+            case 'a': {
+                const text = children();
+                const href = node.href || '';
+                if (!text.trim() || !/^(https?|mailto|tel):/i.test(href)) return text;
+                const target = href.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+                return wrap(text, '[', `](${target})`);
+            }
+            case 'strong':
+            case 'b':
+                return wrap(children(), '**');
+            case 'em':
+            case 'i':
+                return wrap(children(), '*');
+            case 'code':
+            case 'kbd':
+            case 'samp': {
+                const code = node.textContent.replace(/\s+/g, ' ');
+                return code.trim() ? `\`${code.replace(/`/g, "'")}\`` : '';
+            }
+            default:
+                return children();
+        }
+    };
+
+    const isBlock = (node) =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        (BLOCK_TAGS.has(node.tagName.toLowerCase()) ||
+            Array.from(node.children).some((child) => BLOCK_TAGS.has(child.tagName.toLowerCase())));
+
+    // Converts the children of a container to blocks, gathering runs of inline content into paragraphs
+    const blocks = (parent) => {
+        const result = [];
+        let run = '';
+        const flush = () => {
+            const paragraph = clean(run);
+            if (paragraph) result.push(paragraph);
+            run = '';
+        };
+
+        for (const child of Array.from(parent.childNodes)) {
+            if (child.nodeType === Node.ELEMENT_NODE && SKIPPED_TAGS.has(child.tagName.toLowerCase())) continue;
+            if (isBlock(child)) {
+                flush();
+                result.push(...block(child));
+            } else {
+                run += inline(child);
+            }
+        }
+        flush();
+        return result;
+    };
+
+    const list = (el, ordered) => {
+        let number = Number(el.getAttribute('start')) || 1;
+        const items = [];
+        for (const li of Array.from(el.children)) {
+            if (li.tagName.toLowerCase() !== 'li') continue;
+            const marker = ordered ? `${number++}.` : '-';
+            const indent = ' '.repeat(marker.length + 1);
+            const lines = blocks(li).join('\n').split('\n');
+            if (lines.length === 1 && !lines[0]) continue;
+            items.push(lines.map((line, i) => (i === 0 ? `${marker} ${line}` : line ? indent + line : line)).join('\n'));
+        }
+        return items.join('\n');
+    };
+
+    const table = (el) => {
+        const rows = Array.from(el.rows).map((row) =>
+            Array.from(row.cells).flatMap((cell) => {
+                const text = blocks(cell).join(' ').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+                return [text, ...Array(Math.max(0, (cell.colSpan || 1) - 1)).fill('')];
+            })
+        );
+        const width = Math.max(0, ...rows.map((row) => row.length));
+        if (rows.length === 0 || width === 0) return '';
+
+        const format = (row) => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`;
+        const [header, ...body] = rows;
+        return [format(header), format(Array(width).fill('---')), ...body.map(format)].join('\n');
+    };
+
+    const block = (el) => {
+        const tag = el.tagName.toLowerCase();
+        switch (tag) {
+            case 'h1':
+            case 'h2':
+            case 'h3':
+            case 'h4':
+            case 'h5':
+            case 'h6': {
+                const text = clean(inline(el), ' ');
+                return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+            }
+            case 'ul':
+            case 'ol': {
+                const markdown = list(el, tag === 'ol');
+                return markdown ? [markdown] : [];
+            }
+            case 'table': {
+                const markdown = table(el);
+                return markdown ? [markdown] : [];
+            }
+            case 'pre': {
+                const code = el.textContent.replace(/\n+$/, '');
+                return code.trim() ? ['```\n' + code.replace(/```/g, "'''") + '\n```'] : [];
+            }
+            case 'blockquote': {
+                const quoted = blocks(el).join('\n\n');
+                return quoted ? [quoted.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n')] : [];
+            }
+            case 'hr':
+                return ['---'];
+            case 'dt': {
+                const text = clean(inline(el));
+                return text ? [`**${text}**`] : [];
+            }
+            default:
+                return blocks(el);
+        }
+    };
+
+    return {
+        text: clone.textContent?.replace(/\s+/g, ' ').trim() || '',
+        markdown: blocks(clone).join('\n\n'),
+    };
+}
+
+export default { extractContentInPage };
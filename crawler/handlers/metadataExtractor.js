@@ -0,0 +1,117 @@
+/**
+ * Metadata Extractor
+ * Collects document-level metadata from a page: meta description and
+ * keywords, language, canonical URL, OpenGraph and Twitter card tags,
+ * JSON-LD blocks and microdata items
+ */
+
+/**
+ * Extracts the metadata of the current page. Runs inside the page via
+ * page.evaluate(), so it must not reference anything outside its own body.
+ * @returns {{
+ *   metaDescription: string,
+ *   canonicalUrl: string|null,
+ *   language: string|null,
+ *   metadata: import('../pageRecord.js').PageMetadata
+ * }} Metadata
+ */
+export function extractMetadataInPage() {
+    // Microdata items read per page; pages listing thousands of products are cut off
+    const MAX_MICRODATA_ITEMS = 200;
+
+    const description = document.querySelector('meta[name="description" i]');
+    const keywords = document.querySelector('meta[name="keywords" i]');
+    const canonical = document.querySelector('link[rel~="canonical" i][href]');
+
+    // Collects meta tags with a prefix (og:, twitter:), keyed without it; repeated tags become lists
+    const readMetaTags = (prefix) => {
+        const tags = {};
+        for (const meta of document.querySelectorAll('meta[content]')) {
+            const name = (meta.getAttribute('property') || meta.getAttribute('name') || '').trim().toLowerCase();
+            const content = meta.getAttribute('content').trim();
+            if (!name.startsWith(prefix) || !content) continue;
+
+            const key = name.slice(prefix.length);
+            if (tags[key] === undefined) {
+                tags[key] = content;
+            } else {
+                tags[key] = [].concat(tags[key], content);
+            }
+        }
+        return tags;
+    };
+
+    // JSON-LD blocks that parse; some sites wrap them in HTML comments or CDATA sections
+    const jsonLd = [];
+    for (const script of document.querySelectorAll('script[type="application/ld+json" i]')) {
+        const source = (script.textContent || '')
+            .replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)/, '')
+            .replace(/(-->|\/\/\s*\]\]>)\s*$/, '')
+            .trim();
+        if (!source) continue;
+        try {
+            const value = JSON.parse(source);
+            jsonLd.push(...(Array.isArray(value) ? value : [value]));
+        } catch {
+            // Invalid JSON-LD is left out
+        }
+    }
+
+    // Microdata: value of one itemprop element (https://html.spec.whatwg.org/#values)
+    const readValue = (el) => {
+        if (el.hasAttribute('itemscope')) return readItem(el);
+
+        const tag = el.tagName.toLowerCase();
+        const text = () => (el.textContent || '').replace(/\s+/g, ' ').trim();
+        if (tag === 'meta') return el.getAttribute('content') || '';
+        if (['a', 'area', 'link'].includes(tag)) return el.href || '';
+        if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) return el.src || '';
+        if (tag === 'object') return el.data || '';
+        if (tag === 'time') return el.getAttribute('datetime') || text();
+        if (tag === 'data' || tag === 'meter') return el.getAttribute('value') || text();
+        return text();
+    };
+
+    // Microdata: an itemscope element as a JSON-LD-like object
+    const readItem = (item) => {
+        const result = {};
+        const type = item.getAttribute('itemtype')?.trim();
+        if (type) result['@type'] = type.includes(' ') ? type.split(/\s+/) : type;
+        const id = item.getAttribute('itemid')?.trim();
+        if (id) result['@id'] = id;
+
+        for (const el of item.querySelectorAll('[itemprop]')) {
+            // Properties of nested items belong to those items
+            if (el.parentElement?.closest('[itemscope]') !== item) continue;
+
+            const value = readValue(el);
+            for (const name of el.getAttribute('itemprop').trim().split(/\s+/)) {
+                if (!name) continue;
+                result[name] = result[name] === undefined ? value : [].concat(result[name], value);
+            }
+        }
+        return result;
+    };
+
+    const microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'))
+        .slice(0, MAX_MICRODATA_ITEMS)
+        .map(readItem);
+
+    return {
+        metaDescription: description?.getAttribute('content')?.trim() || '',
+        canonicalUrl: canonical ? canonical.href : null,
+        language: document.documentElement.getAttribute('lang')?.trim() || null,
+        metadata: {
+            keywords: (keywords?.getAttribute('content') || '')
+                .split(',')
+                .map((keyword) => keyword.trim())
+                .filter(Boolean),
+            openGraph: readMetaTags('og:'),
+            twitter: readMetaTags('twitter:'),
+            jsonLd,
+            microdata,
+        },
+    };
+}
+
+export default { extractMetadataInPage };
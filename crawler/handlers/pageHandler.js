@@ -1,141 +1,90 @@
+import { createPageRecord, assertValidPageRecord } from '../pageRecord.js';
+import { isInternalUrl } from '../utils/urlUtils.js';
+import { ExtractionError } from '../failureLog.js';
+import { extractContentInPage } from './htmlToMarkdown.js';
+import { extractMetadataInPage } from './metadataExtractor.js';
+
 /**
  * Page Handler - Extracts structured data from crawled pages
  */
 
 /**
- * Extracts all headings from the page
+ * Extracts the heading outline of the page in document order
  * @param {import('playwright').Page} page - Playwright page instance
- * @returns {Promise<Object>} Object containing arrays of h1, h2, h3 headings
+ * @returns {Promise<import('../pageRecord.js').PageHeading[]>} Headings with their levels
  */
 async function extractHeadings(page) {
-    const headings = {
-        h1: [],
-        h2: [],
-        h3: [],
-    };
-
-    // Extract H1 headings
-    headings.h1 = await page.$$eval('h1', (elements) =>
-        elements
-            .map((el) => el.textContent?.trim())
-            .filter((text) => text && text.length > 0)
-    );
-
-    // Extract H2 headings
-    headings.h2 = await page.$$eval('h2', (elements) =>
+    return page.$$eval('h1, h2, h3, h4, h5, h6', (elements) =>
         elements
-            .map((el) => el.textContent?.trim())
-            .filter((text) => text && text.length > 0)
+            .map((el) => ({
+                level: Number(el.tagName.substring(1)),
+                text: el.textContent?.replace(/\s+/g, ' ').trim() || '',
+            }))
+            .filter((heading) => heading.text.length > 0)
     );
-
-    // Extract H3 headings
-    headings.h3 = await page.$$eval('h3', (elements) =>
-        elements
-            .map((el) => el.textContent?.trim())
-            .filter((text) => text && text.length > 0)
-    );
-
-    return headings;
 }
 
 /**
- * Extracts the main content text from the page
+ * Extracts the main content of the page as plain text and Markdown
  * @param {import('playwright').Page} page - Playwright page instance
  * @param {Object} config - Extraction configuration
- * @returns {Promise<string>} Main content text
+ * @returns {Promise<{ text: string, markdown: string, selector: string|null }>} Main content and the
+ *   selector it was taken from (null when no selector matched enough text and the body was used)
  */
 async function extractMainContent(page, config) {
     const { mainContentSelectors, excludeSelectors } = config.extraction;
 
     // Try each main content selector in order
     for (const selector of mainContentSelectors) {
-        const element = await page.$(selector);
-        if (element) {
-            // Get text content, excluding specified elements
-            const text = await page.evaluate(
-                ({ selector, excludeSelectors }) => {
-                    const mainEl = document.querySelector(selector);
-                    if (!mainEl) return '';
-
-                    // Clone the element to avoid modifying the page
-                    const clone = mainEl.cloneNode(true);
-
-                    // Remove excluded elements
-                    excludeSelectors.forEach((excludeSelector) => {
-                        clone
-                            .querySelectorAll(excludeSelector)
-                            .forEach((el) => el.remove());
-                    });
-
-                    // Get and clean the text content
-                    return clone.textContent
-                        ?.replace(/\s+/g, ' ')
-                        .trim() || '';
-                },
-                { selector, excludeSelectors }
-            );
-
-            if (text && text.length > 100) {
-                return text;
-            }
+        const content = await page.evaluate(extractContentInPage, { selector, excludeSelectors });
+        if (content && content.text.length > 100) {
+            return { ...content, selector };
         }
     }
 
     // Fallback: extract from body, excluding common non-content areas
-    const bodyText = await page.evaluate((excludeSelectors) => {
-        const body = document.body;
-        if (!body) return '';
-
-        const clone = body.cloneNode(true);
-
-        // Remove excluded elements
-        excludeSelectors.forEach((selector) => {
-            clone.querySelectorAll(selector).forEach((el) => el.remove());
-        });
-
-        return clone.textContent
-            ?.replace(/\s+/g, ' ')
-            .trim() || '';
-    }, excludeSelectors);
-
-    return bodyText;
+    const content = await page.evaluate(extractContentInPage, { selector: null, excludeSelectors });
+    return { text: content?.text ?? '', markdown: content?.markdown ?? '', selector: null };
 }
 
 /**
- * Extracts all internal links from the page
+ * Extracts all links from the page
  * @param {import('playwright').Page} page - Playwright page instance
- * @param {string} baseDomain - The base domain for filtering internal links
- * @returns {Promise<string[]>} Array of internal URLs
+ * @param {string} baseDomain - The base domain for flagging internal links
+ * @returns {Promise<import('../pageRecord.js').PageLink[]>} Links with anchor text and rel
  */
-async function extractInternalLinks(page, baseDomain) {
+async function extractLinks(page, baseDomain) {
     const links = await page.$$eval('a[href]', (elements) =>
         elements
-            .map((el) => el.href)
-            .filter((href) => href && href.startsWith('http'))
+            .map((el) => ({
+                href: el.href,
+                text: el.textContent?.replace(/\s+/g, ' ').trim() || '',
+                rel: el.getAttribute('rel')?.trim() || '',
+            }))
+            .filter((link) => link.href && link.href.startsWith('http'))
     );
 
-    // Filter to internal links only
-    const internalLinks = links.filter((url) => {
-        try {
-            const urlObj = new URL(url);
-            return (
-                urlObj.hostname === baseDomain ||
-                urlObj.hostname.endsWith('.' + baseDomain)
-            );
-        } catch {
-            return false;
-        }
-    });
-
-    // Remove duplicates and sort
-    return [...new Set(internalLinks)].sort();
+    // Keep the first occurrence of each URL
+    const seen = new Set();
+    return links
+        .filter((link) => {
+            if (seen.has(link.href)) {
+                return false;
+            }
+            seen.add(link.href);
+            return true;
+        })
+        .map((link) => ({
+            ...link,
+            isInternal: isInternalUrl(link.href, baseDomain),
+        }));
 }
 
 /**
  * Extracts structured data from a page
  * @param {Object} context - Crawlee request handler context
  * @param {Object} config - Extraction configuration
- * @returns {Promise<Object>} Extracted page data
+ * @returns {Promise<import('../pageRecord.js').PageRecord>} Extracted page record
  */
 export async function extractPageData({ page, request }, config) {
     const url = request.url;
@@ -144,54 +93,73 @@ export async function extractPageData({ page, request }, config) {
     // Extract page title
     const title = await page.title();
 
-    // Extract headings
+    // Extract meta description, canonical URL, language and structured metadata
+    const documentMeta = await page.evaluate(extractMetadataInPage);
+
+    // Extract heading outline
     const headings = await extractHeadings(page);
 
     // Extract main content
-    const mainText = await extractMainContent(page, config);
-
-    // Extract internal links
-    const internalLinks = await extractInternalLinks(page, baseDomain);
-
-    return {
-        url,
-        title: title || '',
-        headings,
-        mainText,
-        internalLinks,
-        crawledAt: new Date().toISOString(),
-    };
+    const {
+        text: mainContent,
+        markdown: mainContentMarkdown,
+        selector: contentSelector,
+    } = await extractMainContent(page, config);
+
+    // Extract links
+    const links = await extractLinks(page, baseDomain);
+
+    return assertValidPageRecord(
+        createPageRecord({
+            url,
+            title: title || '',
+            ...documentMeta,
+            headings,
+            mainContent,
+            mainContentMarkdown,
+            contentSelector,
+            links,
+        })
+    );
 }
 
 /**
  * Creates a request handler function for the crawler
  * @param {Object} options - Handler options
  * @param {Object} options.config - Extraction configuration
- * @param {Function} options.onPageData - Callback when page data is extracted
+ * @param {Function} options.onPageData - Callback (pageData, { request, response }) when page data is extracted
+ * @param {import('../plugins.js').PluginHost} [options.plugins] - Plugins whose extract hooks add fields to the record
  * @returns {Function} Request handler function
  */
-export function createPageHandler({ config, onPageData }) {
+export function createPageHandler({ config, onPageData, plugins }) {
     return async function handlePage(context) {
-        const { request, log } = context;
+        const { request, response, log } = context;
 
+        let pageData;
         try {
             // Extract data from the page
-            const pageData = await extractPageData(context, config);
+            pageData = await extractPageData(context, config);
+        } catch (error) {
+            log.error(`Failed to extract data from ${request.url}: ${error.message}`);
+            throw new ExtractionError(error);
+        }
 
-            log.info(`Extracted: ${pageData.title || request.url}`);
-            log.debug(`  - ${pageData.headings.h1.length} H1, ${pageData.headings.h2.length} H2, ${pageData.headings.h3.length} H3`);
-            log.debug(`  - ${pageData.internalLinks.length} internal links`);
+        // Plugin fields are kept apart from the core fields, by plugin name
+        const pluginData = await plugins?.extract(context.page, pageData);
+        if (pluginData && Object.keys(pluginData).length > 0) {
+            pageData.pluginData = pluginData;
+        }
 
-            // Call the callback with extracted data
-            if (onPageData) {
-                await onPageData(pageData);
-            }
+        log.info(`Extracted: ${pageData.title || request.url}`);
+        log.debug(`  - ${pageData.headings.length} headings`);
+        log.debug(`  - ${pageData.links.filter((link) => link.isInternal).length} internal links, ${pageData.links.length} total`);
 
-            return pageData;
-        } catch (error) {
-            log.error(`Failed to extract data from ${request.url}: ${error.message}`);
-            throw error;
+        // Call the callback with extracted data
+        if (onPageData) {
+            await onPageData(pageData, { request, response });
         }
+
+        return pageData;
     };
 }
 
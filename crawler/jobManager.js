@@ -0,0 +1,481 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { readJsonFile, writeJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { mergeConfig, resolveCrawlConfig, toSerializableConfig } from './config.js';
+import { registerCrawl, isCrawlActive, unregisterCrawl } from './crawlRegistry.js';
+import { initProgress, failProgress, readProgress, setProgressStatus } from './progressWriter.js';
+import { runCrawlInWorker } from './workerSupervisor.js';
+import { writeAuditEntry } from './auth/auditLog.js';
+import { TargetPolicyError, checkTarget } from './targetPolicy.js';
+
+/**
+ * Crawl Job Manager
+ * Queues the crawls started from the web server and runs them in priority
+ * order, first come first served within a priority, while staying under
+ * queue.maxConcurrentCrawls running crawls and queue.maxBrowserPages browser
+ * pages shared by all of them. The queue is kept in <baseDir>/queue.json so
+ * queued jobs survive a restart. Each crawl runs in its own worker process.
+ * Every job records who started it, and is written to the audit log.
+ *
+ * Like the crawl registry, the manager lives on globalThis because Next.js
+ * bundles each API route separately.
+ */
+
+const MANAGER_KEY = Symbol.for('infinize-crawler.jobManager');
+
+const QUEUE_FILE = 'queue.json';
+
+// Progress statuses a resumed or retried crawl goes back to when its job is cancelled
+const RESTORABLE_STATUSES = ['completed', 'cancelled', 'failed', 'interrupted', 'crashed'];
+
+/**
+ * @typedef {Object} CrawlJob
+ * @property {string} jobId - Job ID
+ * @property {string} crawlId - Crawl ID
+ * @property {string} universityName - University name
+ * @property {string} seedUrl - Starting URL
+ * @property {'crawl'|'resume'|'retry'} kind - New crawl, resume of an interrupted crawl, or retry of failed URLs
+ * @property {string[]} outputFormats - Output formats to write
+ * @property {number} priority - Higher priorities run first
+ * @property {import('./auth/auditLog.js').Actor} startedBy - Who started the crawl
+ * @property {'queued'|'running'|'done'|'failed'} state - Job state
+ * @property {string} enqueuedAt - ISO timestamp the job was queued
+ * @property {string|null} startedAt - ISO timestamp the crawl started
+ * @property {string|null} finishedAt - ISO timestamp the job ended
+ * @property {number|null} pages - Browser pages given to the crawl when it started
+ * @property {'completed'|'cancelled'|'failed'|'crashed'|null} result - Final status of the crawl
+ * @property {string|null} error - Why the job failed
+ * @property {Object} settings - Crawl settings stored in progress.json (new crawls)
+ * @property {string|null} previousStatus - Progress status before the job was queued (resumes and retries)
+ * @property {Object} config - Serialized crawl configuration
+ */
+
+/**
+ * @typedef {Object} JobQueue
+ * @property {Omit<CrawlJob, 'config'|'settings'>[]} jobs - Running jobs, queued jobs in the order they
+ *   will start (with their position), then finished jobs, most recent first
+ * @property {number} maxConcurrentCrawls - Crawls that may run at the same time
+ * @property {number} maxBrowserPages - Browser pages shared by running crawls
+ * @property {number} pagesInUse - Browser pages held by running crawls
+ */
+
+/**
+ * Gets the process-wide manager state
+ * @returns {{ baseDir: string|null, settings: Object|null, workers: Object|null, targets: Object|null,
+ *   jobs: CrawlJob[], enqueuing: Set<string>, loading: Promise<void>|null, saving: Promise<void> }}
+ */
+function getManager() {
+    if (!globalThis[MANAGER_KEY]) {
+        globalThis[MANAGER_KEY] = {
+            baseDir: null,
+            settings: null,
+            workers: null,
+            targets: null,
+            jobs: [],
+            // Crawl IDs between the duplicate check and the job being added to the queue
+            enqueuing: new Set(),
+            loading: null,
+            saving: Promise.resolve(),
+        };
+    }
+    return globalThis[MANAGER_KEY];
+}
+
+/**
+ * Gets the path of the queue file
+ * @param {string} baseDir - Base output directory
+ * @returns {string} Full path to queue.json
+ */
+export function getQueueFilePath(baseDir) {
+    return path.join(baseDir, QUEUE_FILE);
+}
+
+/**
+ * Loads the queue file on first use. Jobs it lists as running are not running
+ * in this process (the server restarted); they are marked failed and crawl
+ * recovery decides what happens to their crawls.
+ * @param {Object} config - Crawler configuration
+ * @returns {Promise<ReturnType<typeof getManager>>} Manager state
+ */
+async function loadManager(config) {
+    const manager = getManager();
+    manager.settings = config.queue;
+    manager.workers = config.workers;
+    manager.targets = config.targets;
+
+    if (!manager.loading) {
+        manager.baseDir = config.output.baseDir;
+        manager.loading = (async () => {
+            const stored = await readJsonFile(getQueueFilePath(manager.baseDir));
+            const jobs = Array.isArray(stored?.jobs) ? stored.jobs : [];
+
+            for (const job of jobs) {
+                if (job.state === 'running' && !isCrawlActive(job.crawlId)) {
+                    job.state = 'failed';
+                    job.finishedAt = new Date().toISOString();
+                    job.error = 'The server stopped while this job was running';
+                }
+            }
+            manager.jobs = jobs;
+        })();
+    }
+
+    await manager.loading;
+    return manager;
+}
+
+/**
+ * Writes the queue file, keeping the most recent queue.keepFinishedJobs finished jobs
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @returns {Promise<void>}
+ */
+function saveManager(manager) {
+    const finished = manager.jobs.filter((job) => job.state === 'done' || job.state === 'failed');
+    const dropped = new Set(finished.slice(0, Math.max(finished.length - manager.settings.keepFinishedJobs, 0)));
+    manager.jobs = manager.jobs.filter((job) => !dropped.has(job));
+
+    // Writes are chained so an older snapshot never overwrites a newer one
+    const jobs = manager.jobs.map((job) => ({ ...job }));
+    manager.saving = manager.saving
+        .then(() => writeJsonFile(getQueueFilePath(manager.baseDir), { jobs }))
+        .catch((error) => console.error(`Failed to write job queue: ${error.message}`));
+    return manager.saving;
+}
+
+/**
+ * Lists queued jobs in the order they will start: highest priority first, then oldest first
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @returns {CrawlJob[]} Queued jobs
+ */
+function getQueuedJobs(manager) {
+    return manager.jobs
+        .filter((job) => job.state === 'queued')
+        .sort((a, b) => b.priority - a.priority || a.enqueuedAt.localeCompare(b.enqueuedAt));
+}
+
+/**
+ * Counts the browser pages held by running jobs
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @returns {number} Pages in use
+ */
+function countPagesInUse(manager) {
+    return manager.jobs.filter((job) => job.state === 'running').reduce((sum, job) => sum + job.pages, 0);
+}
+
+/**
+ * Drops the stored configuration and settings from a job
+ * @param {CrawlJob} job - Job
+ * @returns {Omit<CrawlJob, 'config'|'settings'>} Job summary
+ */
+function toJobSummary({ config, settings, ...job }) {
+    return job;
+}
+
+/**
+ * Runs a job's crawl to its end, then starts the next queued jobs
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @param {CrawlJob} job - Job that was just marked running
+ * @returns {Promise<void>}
+ */
+async function runJob(manager, job) {
+    const { seedUrl, universityName, crawlId } = job;
+    // Jobs that waited in the queue run under the current target policy
+    const config = mergeConfig(job.config, { crawler: { maxConcurrency: job.pages }, targets: manager.targets });
+
+    let registered = false;
+    try {
+        // Registered before the first await, so the crawl is never neither queued nor active
+        registerCrawl(crawlId);
+        registered = true;
+        if (job.kind === 'crawl') {
+            await initProgress({ baseDir: config.output.baseDir, universityName, seedUrl, settings: job.settings });
+        }
+
+        const result = await runCrawlInWorker(
+            {
+                seedUrl,
+                universityName,
+                outputFormats: job.outputFormats,
+                config,
+                resume: job.kind === 'resume',
+                retryFailed: job.kind === 'retry',
+            },
+            manager.workers
+        );
+
+        job.state = result.status === 'failed' || result.status === 'crashed' ? 'failed' : 'done';
+        job.result = result.status;
+        job.error = result.error;
+    } catch (error) {
+        // The crawl records its own failures and crashes; this only catches errors starting it
+        console.error(`Failed to run crawl job for ${universityName}: ${error.message}`);
+
+        // If registering failed the crawl belongs to another run, whose progress is left alone
+        if (registered) {
+            await failProgress({ baseDir: config.output.baseDir, universityName, error: error.message });
+            unregisterCrawl(crawlId);
+        }
+        job.state = 'failed';
+        job.result = 'failed';
+        job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    dispatchJobs(manager);
+}
+
+/**
+ * Starts queued jobs while a crawl slot and at least one browser page are free.
+ * Each job gets the free pages up to its crawler.maxConcurrency.
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @returns {Promise<void>} Resolves once the queue file is written
+ */
+function dispatchJobs(manager) {
+    const { maxConcurrentCrawls, maxBrowserPages } = manager.settings;
+
+    for (const job of getQueuedJobs(manager)) {
+        const running = manager.jobs.filter((candidate) => candidate.state === 'running').length;
+        const freePages = maxBrowserPages - countPagesInUse(manager);
+        if (running >= maxConcurrentCrawls || freePages < 1) {
+            break;
+        }
+
+        job.state = 'running';
+        job.startedAt = new Date().toISOString();
+        job.pages = Math.min(job.config.crawler.maxConcurrency, freePages);
+        runJob(manager, job);
+    }
+
+    return saveManager(manager);
+}
+
+/**
+ * Gets a job's place in the queue
+ * @param {ReturnType<typeof getManager>} manager - Manager state
+ * @param {CrawlJob} job - Job
+ * @returns {number} 1 for the next job to start, 2 for the one after, ...; 0 once the job has started
+ */
+function getQueuePosition(manager, job) {
+    return getQueuedJobs(manager).indexOf(job) + 1;
+}
+
+/**
+ * Adds a crawl to the queue and starts it at once if the limits allow.
+ * New crawls get a fresh progress.json with status 'queued'; resumed and
+ * retried crawls keep theirs, with the status set to 'queued' until they start.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration (output directory and queue limits)
+ * @param {Object} options.crawlConfig - Configuration the crawl runs with
+ * @param {'crawl'|'resume'|'retry'} [options.kind] - New crawl, resume or retry of failed URLs
+ * @param {string} options.seedUrl - Starting URL
+ * @param {string} options.universityName - University name
+ * @param {string[]} options.outputFormats - Output formats to write
+ * @param {Object} [options.settings] - Crawl settings stored in progress.json (new crawls)
+ * @param {number} [options.priority] - Higher priorities run first (default 0)
+ * @param {import('./auth/auditLog.js').Actor} options.startedBy - Who started the crawl
+ * @returns {Promise<{ job: Omit<CrawlJob, 'config'|'settings'>, position: number }>} The job and its
+ *   queue position (0 if it already started)
+ * @throws {import('./targetPolicy.js').TargetPolicyError} If the target policy does not allow the seed URL
+ * @throws {Error} If the crawl is already running or queued, or the audit log cannot be written
+ */
+export async function enqueueCrawlJob({
+    config,
+    crawlConfig,
+    kind = 'crawl',
+    seedUrl,
+    universityName,
+    outputFormats,
+    settings = {},
+    priority = 0,
+    startedBy,
+}) {
+    const manager = await loadManager(config);
+    const crawlId = toCrawlId(universityName);
+    const baseDir = config.output.baseDir;
+    const progress = kind === 'crawl' ? null : await readProgress({ baseDir, universityName });
+
+    if (isCrawlActive(crawlId)) {
+        throw new Error(`Crawl ${crawlId} is already running`);
+    }
+    if (isCrawlQueued(crawlId)) {
+        throw new Error(`Crawl ${crawlId} is already queued`);
+    }
+
+    /** @type {CrawlJob} */
+    const job = {
+        jobId: randomUUID(),
+        crawlId,
+        universityName,
+        seedUrl,
+        kind,
+        outputFormats,
+        priority,
+        startedBy,
+        state: 'queued',
+        enqueuedAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        pages: null,
+        result: null,
+        error: null,
+        settings,
+        previousStatus: progress?.status ?? null,
+        config: toSerializableConfig(crawlConfig),
+    };
+
+    // Held from the checks above until the job is in the queue, so a concurrent request for the
+    // same crawl fails them instead of adding a second job
+    manager.enqueuing.add(crawlId);
+    try {
+        const violation = await checkTarget(seedUrl, crawlConfig.targets);
+        if (violation) {
+            throw new TargetPolicyError(seedUrl, violation);
+        }
+
+        // A crawl nobody can account for is not started
+        await writeAuditEntry(config.auth.dir, {
+            action: `crawl.${kind}`,
+            actor: startedBy,
+            crawlId,
+            universityName,
+            seedUrl,
+            jobId: job.jobId,
+        });
+        manager.jobs.push(job);
+    } finally {
+        manager.enqueuing.delete(crawlId);
+    }
+
+    if (kind === 'crawl') {
+        await initProgress({ baseDir, universityName, seedUrl, settings, status: 'queued' });
+    } else {
+        await setProgressStatus({ baseDir, universityName, status: 'queued' });
+    }
+
+    await dispatchJobs(manager);
+    return { job: toJobSummary(job), position: getQueuePosition(manager, job) };
+}
+
+/**
+ * Queues a new crawl from per-crawl settings, as sent to POST /api/crawl/start:
+ * the settings are layered onto the configuration and validated, then the
+ * crawl is queued with a fresh progress.json
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @param {string} options.seedUrl - Starting URL
+ * @param {string} options.universityName - University name
+ * @param {Object} [options.overrides] - Per-crawl settings (outputFormats, discoveryMode, scope,
+ *   stripParams, includeDocuments, incremental)
+ * @param {number} [options.priority] - Higher priorities run first (default 0)
+ * @param {import('./auth/auditLog.js').Actor} options.startedBy - Who started the crawl
+ * @returns {Promise<{ job: Omit<CrawlJob, 'config'|'settings'>, position: number }>} The job and its
+ *   queue position (0 if it already started)
+ * @throws {import('./config.js').ConfigError} If a setting is invalid
+ * @throws {import('./targetPolicy.js').TargetPolicyError} If the target policy does not allow the seed URL
+ * @throws {Error} If the crawl is already running or queued, or the audit log cannot be written
+ */
+export async function queueCrawl({ config, seedUrl, universityName, overrides = {}, priority = 0, startedBy }) {
+    const crawlConfig = resolveCrawlConfig(config, overrides);
+    const outputFormats = overrides.outputFormats ?? crawlConfig.output.defaultFormats;
+
+    return enqueueCrawlJob({
+        config,
+        crawlConfig,
+        seedUrl,
+        universityName,
+        outputFormats,
+        priority,
+        startedBy,
+        settings: {
+            outputFormats,
+            discoveryMode: crawlConfig.discovery.mode,
+            scope: overrides.scope ?? {},
+            stripParams: overrides.stripParams ?? null,
+            includeDocuments: crawlConfig.documents.enabled,
+            incremental: crawlConfig.incremental.enabled,
+        },
+    });
+}
+
+/**
+ * Removes a queued crawl from the queue. A new crawl is marked cancelled; a
+ * resumed or retried crawl goes back to the status it had before it was queued.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @param {string} options.crawlId - Crawl ID
+ * @returns {Promise<Omit<CrawlJob, 'config'|'settings'>|null>} The cancelled job, or null if the crawl is not queued
+ */
+export async function cancelQueuedJob({ config, crawlId }) {
+    const manager = await loadManager(config);
+    const job = manager.jobs.find((candidate) => candidate.crawlId === crawlId && candidate.state === 'queued');
+    if (!job) {
+        return null;
+    }
+
+    job.state = 'done';
+    job.result = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    // A crawl that was active when the server stopped is left interrupted
+    const restoredStatus = RESTORABLE_STATUSES.includes(job.previousStatus) ? job.previousStatus : 'interrupted';
+    await setProgressStatus({
+        baseDir: config.output.baseDir,
+        universityName: job.universityName,
+        status: job.kind === 'crawl' ? 'cancelled' : restoredStatus,
+    });
+
+    await saveManager(manager);
+    return toJobSummary(job);
+}
+
+/**
+ * Checks whether a crawl is waiting in the queue, or being added to it
+ * @param {string} crawlId - Crawl ID
+ * @returns {boolean}
+ */
+export function isCrawlQueued(crawlId) {
+    const manager = getManager();
+    return manager.enqueuing.has(crawlId) || manager.jobs.some((job) => job.crawlId === crawlId && job.state === 'queued');
+}
+
+/**
+ * Gets the jobs of the queue with the current limits and usage
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @returns {Promise<JobQueue>} Queue
+ */
+export async function getJobQueue({ config }) {
+    const manager = await loadManager(config);
+    const running = manager.jobs.filter((job) => job.state === 'running');
+    const queued = getQueuedJobs(manager).map((job, i) => ({ ...toJobSummary(job), position: i + 1 }));
+    const finished = manager.jobs.filter((job) => job.state === 'done' || job.state === 'failed').reverse();
+
+    return {
+        jobs: [...running.map(toJobSummary), ...queued, ...finished.map(toJobSummary)],
+        maxConcurrentCrawls: manager.settings.maxConcurrentCrawls,
+        maxBrowserPages: manager.settings.maxBrowserPages,
+        pagesInUse: countPagesInUse(manager),
+    };
+}
+
+/**
+ * Loads the stored queue and starts the jobs that fit the limits; call once at startup
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @returns {Promise<number>} Jobs still queued
+ */
+export async function restoreJobQueue({ config }) {
+    const manager = await loadManager(config);
+    await dispatchJobs(manager);
+    return getQueuedJobs(manager).length;
+}
+
+export default {
+    getQueueFilePath,
+    enqueueCrawlJob,
+    queueCrawl,
+    cancelQueuedJob,
+    isCrawlQueued,
+    getJobQueue,
+    restoreJobQueue,
+};
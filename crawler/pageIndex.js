@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { appendToFile, readJsonFile, writeJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { getStateDir } from './crawlState.js';
+
+/**
+ * Page Index
+ * Per-URL index of the last crawl (content hash, ETag, Last-Modified and the
+ * page record) used by incremental re-crawls to send conditional requests and
+ * detect new, changed, unchanged and removed pages
+ */
+
+const INDEX_JOURNAL_FILE = 'index.jsonl';
+
+/**
+ * @typedef {Object} PageIndexEntry
+ * @property {string} url - Canonical page URL
+ * @property {string} fetchKey - Normalized URL the page was requested with
+ * @property {string} contentHash - SHA-256 of the page's title and main content
+ * @property {string|null} etag - ETag response header
+ * @property {string|null} lastModified - Last-Modified response header
+ * @property {string} crawledAt - ISO timestamp of extraction
+ * @property {import('./pageRecord.js').PageRecord} record - Page record
+ */
+
+/**
+ * @typedef {Object} ChangeCounts
+ * @property {number} unchanged - Pages whose content did not change
+ * @property {number} changed - Pages whose content changed
+ * @property {number} new - Pages not in the previous crawl
+ * @property {number} removed - Pages in the previous crawl that were not found again
+ */
+
+/**
+ * Gets the page index path for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to index.json
+ */
+export function getPageIndexPath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'index.json');
+}
+
+/**
+ * Hashes the parts of a page record that make up its content
+ * @param {import('./pageRecord.js').PageRecord} record - Page record
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashPageContent(record) {
+    return crypto.createHash('sha256').update(`${record.title}\n${record.mainContent}`).digest('hex');
+}
+
+/**
+ * Builds the conditional request headers for a page seen in the previous crawl
+ * @param {PageIndexEntry|undefined} previousEntry - Previous index entry
+ * @returns {Object<string, string>|null} If-None-Match and If-Modified-Since headers, or null if
+ *   the page has no validators
+ */
+export function getConditionalHeaders(previousEntry) {
+    const headers = {};
+    if (previousEntry?.etag) headers['If-None-Match'] = previousEntry.etag;
+    if (previousEntry?.lastModified) headers['If-Modified-Since'] = previousEntry.lastModified;
+    return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Builds the index entry for a page of this crawl. Unchanged pages (304) keep
+ * their previous validators; fetched pages take the response's.
+ * @param {import('./pageRecord.js').PageRecord} record - Page record
+ * @param {Object} options - Options object
+ * @param {string} options.fetchKey - Normalized URL the page was requested with
+ * @param {Object<string, string>} [options.headers] - Response headers, with lower-case names
+ * @param {PageIndexEntry} [options.previousEntry] - Entry from the previous crawl
+ * @param {boolean} [options.notModified] - Whether the page answered 304
+ * @returns {PageIndexEntry} Index entry
+ */
+export function createIndexEntry(record, { fetchKey, headers = {}, previousEntry, notModified = false }) {
+    return {
+        url: record.url,
+        fetchKey,
+        contentHash: hashPageContent(record),
+        etag: notModified ? previousEntry?.etag ?? null : headers.etag ?? null,
+        lastModified: notModified ? previousEntry?.lastModified ?? null : headers['last-modified'] ?? null,
+        crawledAt: record.crawledAt,
+        record,
+    };
+}
+
+/**
+ * Opens the page index for a crawl. The previous crawl's index is read from
+ * index.json; entries for this crawl are journaled to the state directory so an
+ * interrupted crawl keeps them, and written to index.json by finalize().
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {boolean} [options.compare] - Compare against the previous crawl (incremental mode)
+ * @param {boolean} [options.resume] - Keep entries journaled by an interrupted run
+ * @returns {Promise<Object>} Page index
+ */
+export async function openPageIndex({ baseDir, universityName, compare = false, resume = false }) {
+    const indexPath = getPageIndexPath(baseDir, universityName);
+    const journalPath = path.join(getStateDir(baseDir, universityName), INDEX_JOURNAL_FILE);
+
+    const stored = compare ? await readJsonFile(indexPath) : null;
+    const previous = new Map(Object.entries(stored?.pages ?? {}));
+    const previousByFetchKey = new Map([...previous.values()].map((entry) => [entry.fetchKey, entry]));
+
+    const statuses = new Map();
+    if (resume) {
+        const content = await fs.readFile(journalPath, 'utf8').catch(() => '');
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            const { key, status } = JSON.parse(line);
+            statuses.set(key, status);
+        }
+    } else {
+        await fs.rm(journalPath, { force: true });
+    }
+
+    const counts = () => {
+        const result = { unchanged: 0, changed: 0, new: 0, removed: 0 };
+        for (const status of statuses.values()) {
+            result[status]++;
+        }
+        return result;
+    };
+
+    return {
+        /** ISO timestamp of the previous crawl, or null if there is none to compare against */
+        previousCrawlAt: stored?.generatedAt ?? null,
+
+        /**
+         * Finds the previous entry for a page
+         * @param {string} key - Normalized canonical URL
+         * @returns {PageIndexEntry|undefined}
+         */
+        getPrevious(key) {
+            return previous.get(key);
+        },
+
+        /**
+         * Finds the previous entry for a requested URL (before canonical collapsing)
+         * @param {string} fetchKey - Normalized request URL
+         * @returns {PageIndexEntry|undefined}
+         */
+        getPreviousByFetchKey(fetchKey) {
+            return previousByFetchKey.get(fetchKey);
+        },
+
+        /**
+         * Records a page seen in this crawl
+         * @param {string} key - Normalized canonical URL
+         * @param {PageIndexEntry} entry - Index entry
+         * @returns {Promise<'unchanged'|'changed'|'new'>} Change status relative to the previous crawl
+         */
+        async record(key, entry) {
+            const previousEntry = previous.get(key);
+            let status = 'new';
+            if (previousEntry) {
+                status = previousEntry.contentHash === entry.contentHash ? 'unchanged' : 'changed';
+            }
+            statuses.set(key, status);
+            await appendToFile(journalPath, JSON.stringify({ key, status, entry }) + '\n');
+            return status;
+        },
+
+        /**
+         * Gets change counts for progress.json (removed pages are only known after finalize)
+         * @returns {ChangeCounts}
+         */
+        counts,
+
+        /**
+         * Writes index.json for the next crawl and works out removed pages
+         * @param {Object} options - Options object
+         * @param {boolean} options.complete - Whether every page was visited; incomplete crawls
+         *   keep previous entries they did not reach and report nothing as removed
+         * @returns {Promise<{ counts: ChangeCounts, removed: PageIndexEntry[], crawled: PageIndexEntry[] }>} Final
+         *   counts, removed pages and the pages of this crawl in the order they were recorded
+         */
+        async finalize({ complete }) {
+            const pages = {};
+            const content = await fs.readFile(journalPath, 'utf8').catch(() => '');
+            for (const line of content.split('\n')) {
+                if (!line) continue;
+                const { key, entry } = JSON.parse(line);
+                pages[key] = entry;
+            }
+
+            const crawled = Object.values(pages);
+
+            const removed = [];
+            for (const [key, entry] of previous) {
+                if (pages[key]) continue;
+                if (complete) {
+                    removed.push(entry);
+                } else {
+                    pages[key] = entry;
+                }
+            }
+
+            await writeJsonFile(indexPath, {
+                generatedAt: new Date().toISOString(),
+                pageCount: Object.keys(pages).length,
+                pages,
+            });
+
+            return { counts: { ...counts(), removed: removed.length }, removed, crawled };
+        },
+    };
+}
+
+export default { getPageIndexPath, hashPageContent, getConditionalHeaders, createIndexEntry, openPageIndex };
@@ -0,0 +1,254 @@
+/**
+ * Page Record Schema
+ * The versioned shape of a crawled page, produced by the page handler and
+ * consumed by every output writer
+ */
+
+/**
+ * Current page record schema version. Bump when a field is renamed, removed
+ * or changes meaning; adding an optional field does not require a bump.
+ */
+export const PAGE_RECORD_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} PageHeading
+ * @property {number} level - Heading level (1-6)
+ * @property {string} text - Heading text
+ */
+
+/**
+ * @typedef {Object} PageLink
+ * @property {string} href - Absolute link URL
+ * @property {string} text - Anchor text
+ * @property {string} rel - Value of the rel attribute ('' if absent)
+ * @property {boolean} isInternal - Whether the link points to the crawled site
+ */
+
+/**
+ * @typedef {Object} PageMetadata
+ * @property {string[]} keywords - Entries of the meta keywords tag
+ * @property {Object<string, string|string[]>} openGraph - og: meta tags keyed without the prefix
+ *   (e.g. 'title', 'image'); repeated tags are lists
+ * @property {Object<string, string|string[]>} twitter - twitter: meta tags keyed without the prefix
+ * @property {Object[]} jsonLd - Parsed JSON-LD blocks (arrays are flattened)
+ * @property {Object[]} microdata - Top-level microdata items as JSON-LD-like objects ('@type', '@id',
+ *   then one key per itemprop)
+ */
+
+/**
+ * @typedef {Object} PageRecord
+ * @property {number} schemaVersion - Page record schema version
+ * @property {string} url - Page URL (the canonical URL when the page declares a same-site one)
+ * @property {string} title - Page title
+ * @property {string} metaDescription - Meta description ('' if absent)
+ * @property {string|null} canonicalUrl - Target of <link rel="canonical">
+ * @property {string|null} language - Document language (html lang attribute)
+ * @property {PageHeading[]} headings - Heading outline in document order
+ * @property {string} mainContent - Main content text
+ * @property {string} [mainContentMarkdown] - Main content as Markdown, keeping headings, lists, tables,
+ *   links and emphasis (web pages only)
+ * @property {string|null} [contentSelector] - extraction.mainContentSelectors entry the main content came
+ *   from; null when no selector matched enough text and the page body was used (web pages only)
+ * @property {PageLink[]} links - Links found on the page
+ * @property {PageMetadata} [metadata] - Structured metadata (web pages only)
+ * @property {Object<string, Object>} [pluginData] - Fields added by plugin extract hooks, keyed by plugin name
+ * @property {string} crawledAt - ISO timestamp of extraction
+ * @property {string[]} [aliases] - Other URLs that led to this page (tracking-param variants, redirects, non-canonical URLs)
+ * @property {'pdf'|'docx'|'pptx'|'xlsx'} [documentType] - Set when the record comes from a document instead of a web page
+ * @property {number|null} [pageCount] - Pages, slides or sheets in the document
+ * @property {number} [byteSize] - Document size in bytes
+ * @property {boolean} [contentTruncated] - Whether document text was cut at the configured page or character limit
+ */
+
+/**
+ * Creates a page record, filling in defaults for missing fields
+ * @param {Partial<PageRecord> & { url: string }} fields - Record fields
+ * @returns {PageRecord} Page record
+ */
+export function createPageRecord(fields) {
+    return {
+        schemaVersion: PAGE_RECORD_SCHEMA_VERSION,
+        title: '',
+        metaDescription: '',
+        canonicalUrl: null,
+        language: null,
+        headings: [],
+        mainContent: '',
+        links: [],
+        aliases: [],
+        crawledAt: new Date().toISOString(),
+        ...fields,
+    };
+}
+
+/**
+ * Checks that a value is a string or null
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNullableString(value) {
+    return value === null || typeof value === 'string';
+}
+
+/**
+ * Validates a page record against the current schema
+ * @param {*} record - Value to validate
+ * @returns {string[]} Validation errors (empty if the record is valid)
+ */
+export function validatePageRecord(record) {
+    if (!record || typeof record !== 'object') {
+        return ['record must be an object'];
+    }
+
+    const errors = [];
+
+    if (record.schemaVersion !== PAGE_RECORD_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${PAGE_RECORD_SCHEMA_VERSION}, got ${record.schemaVersion}`);
+    }
+    if (typeof record.url !== 'string' || !record.url) {
+        errors.push('url must be a non-empty string');
+    }
+    for (const field of ['title', 'metaDescription', 'mainContent', 'crawledAt']) {
+        if (typeof record[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    for (const field of ['canonicalUrl', 'language']) {
+        if (!isNullableString(record[field])) {
+            errors.push(`${field} must be a string or null`);
+        }
+    }
+
+    if (record.mainContentMarkdown !== undefined && typeof record.mainContentMarkdown !== 'string') {
+        errors.push('mainContentMarkdown must be a string');
+    }
+    if (record.contentSelector !== undefined && !isNullableString(record.contentSelector)) {
+        errors.push('contentSelector must be a string or null');
+    }
+
+    if (record.metadata !== undefined) {
+        const metadata = record.metadata;
+        if (!metadata || typeof metadata !== 'object') {
+            errors.push('metadata must be an object');
+        } else {
+            if (!Array.isArray(metadata.keywords) || metadata.keywords.some((keyword) => typeof keyword !== 'string')) {
+                errors.push('metadata.keywords must be an array of strings');
+            }
+            for (const field of ['openGraph', 'twitter']) {
+                if (!metadata[field] || typeof metadata[field] !== 'object' || Array.isArray(metadata[field])) {
+                    errors.push(`metadata.${field} must be an object`);
+                }
+            }
+            for (const field of ['jsonLd', 'microdata']) {
+                if (!Array.isArray(metadata[field])) {
+                    errors.push(`metadata.${field} must be an array`);
+                }
+            }
+        }
+    }
+
+    if (
+        record.pluginData !== undefined &&
+        (!record.pluginData ||
+            typeof record.pluginData !== 'object' ||
+            Object.values(record.pluginData).some((fields) => !fields || typeof fields !== 'object' || Array.isArray(fields)))
+    ) {
+        errors.push('pluginData must map plugin names to objects');
+    }
+
+    if (
+        record.aliases !== undefined &&
+        (!Array.isArray(record.aliases) || record.aliases.some((alias) => typeof alias !== 'string'))
+    ) {
+        errors.push('aliases must be an array of strings');
+    }
+
+    if (record.documentType !== undefined) {
+        if (typeof record.documentType !== 'string') {
+            errors.push('documentType must be a string');
+        }
+        if (record.pageCount !== null && !Number.isInteger(record.pageCount)) {
+            errors.push('pageCount must be an integer or null');
+        }
+        if (!Number.isInteger(record.byteSize)) {
+            errors.push('byteSize must be an integer');
+        }
+    }
+
+    if (!Array.isArray(record.headings)) {
+        errors.push('headings must be an array');
+    } else {
+        record.headings.forEach((heading, i) => {
+            if (!Number.isInteger(heading?.level) || heading.level < 1 || heading.level > 6) {
+                errors.push(`headings[${i}].level must be an integer from 1 to 6`);
+            }
+            if (typeof heading?.text !== 'string') {
+                errors.push(`headings[${i}].text must be a string`);
+            }
+        });
+    }
+
+    if (!Array.isArray(record.links)) {
+        errors.push('links must be an array');
+    } else {
+        record.links.forEach((link, i) => {
+            for (const field of ['href', 'text', 'rel']) {
+                if (typeof link?.[field] !== 'string') {
+                    errors.push(`links[${i}].${field} must be a string`);
+                }
+            }
+            if (typeof link?.isInternal !== 'boolean') {
+                errors.push(`links[${i}].isInternal must be a boolean`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Describes a document record in one line, e.g. "PDF, 12 pages, 1.4 MB"
+ * @param {PageRecord} record - Page record
+ * @returns {string} Description ('' for web pages)
+ */
+export function describeDocument(record) {
+    if (!record.documentType) {
+        return '';
+    }
+
+    const units = { pdf: 'pages', docx: 'pages', pptx: 'slides', xlsx: 'sheets' };
+    const parts = [record.documentType.toUpperCase()];
+    if (record.pageCount !== null && record.pageCount !== undefined) {
+        const unit = units[record.documentType] ?? 'pages';
+        parts.push(`${record.pageCount} ${record.pageCount === 1 ? unit.slice(0, -1) : unit}`);
+    }
+    parts.push(
+        record.byteSize >= 1024 * 1024
+            ? `${(record.byteSize / (1024 * 1024)).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(record.byteSize / 1024))} KB`
+    );
+
+    return parts.join(', ') + (record.contentTruncated ? ' (text truncated at the configured limit)' : '');
+}
+
+/**
+ * Validates a page record, throwing if it does not match the schema
+ * @param {*} record - Value to validate
+ * @returns {PageRecord} The record, if valid
+ * @throws {Error} If the record is invalid
+ */
+export function assertValidPageRecord(record) {
+    const errors = validatePageRecord(record);
+    if (errors.length > 0) {
+        throw new Error(`Invalid page record for ${record?.url || 'unknown URL'}: ${errors.join('; ')}`);
+    }
+    return record;
+}
+
+export default {
+    PAGE_RECORD_SCHEMA_VERSION,
+    createPageRecord,
+    validatePageRecord,
+    assertValidPageRecord,
+    describeDocument,
+};
@@ -0,0 +1,246 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Plugins
+ * Loads the plugins listed in plugins.modules and calls their hooks around
+ * the crawl lifecycle. Every call into a plugin is isolated: errors, and hooks
+ * that run past plugins.hookTimeoutSecs, are reported and the crawl carries on
+ * without the plugin's result. A plugin is disabled for the rest of the crawl
+ * after plugins.maxErrors errors.
+ */
+
+/**
+ * Lifecycle hooks a plugin can define, in the order they are first called
+ */
+export const PLUGIN_HOOKS = [
+    'beforeCrawl',
+    'transformRequest',
+    'beforeNavigation',
+    'afterNavigation',
+    'extract',
+    'onRecord',
+    'onFailure',
+    'afterCrawl',
+];
+
+/**
+ * @typedef {Object} CrawlPlugin
+ * @property {string} name - Plugin name; also the key of its fields in record.pluginData
+ * @property {(context: { seedUrl: string, universityName: string, config: Object, resume: boolean,
+ *   retryFailed: boolean }) => void|Promise<void>} [beforeCrawl] - Before the crawler starts
+ * @property {(request: { url: string, uniqueKey?: string, userData: Object }) => Object|false|void} [transformRequest]
+ *   - Synchronous; called for every request before it is queued (seed, sitemap URLs and links). Returns
+ *   replacement request options, false to skip the URL, or nothing to keep it as it is.
+ * @property {(page: import('playwright').Page, context: { request: Object }) => void|Promise<void>} [beforeNavigation]
+ *   - Before a page is opened
+ * @property {(page: import('playwright').Page, context: { request: Object, response: Object|null }) =>
+ *   void|Promise<void>} [afterNavigation] - After a page has loaded, before it is extracted
+ * @property {(page: import('playwright').Page, record: import('./pageRecord.js').PageRecord) =>
+ *   Object|void|Promise<Object|void>} [extract] - Returns fields stored in record.pluginData[name]
+ *   (web pages only; the value must survive JSON serialization)
+ * @property {(record: import('./pageRecord.js').PageRecord) => void|Promise<void>} [onRecord] - After a page
+ *   or document record has been written
+ * @property {(failure: import('./failureLog.js').FailureRecord) => void|Promise<void>} [onFailure] - After a
+ *   request has failed for good
+ * @property {(summary: import('./crawlJob.js').CrawlJobResult) => void|Promise<void>} [afterCrawl] - After
+ *   the crawl ends, whatever its status
+ * @property {Object<string, Function>} [writers] - Output writer factories keyed by format, run for every
+ *   crawl beside the requested formats. Each takes the writer context and returns
+ *   { format, init, writePage, finalize } like the built-in writers.
+ */
+
+/**
+ * @typedef {Object} PluginHost
+ * @property {string[]} names - Names of the loaded plugins
+ * @property {Function} run - (hook, ...args) Calls a hook of every plugin in turn; resolves when all are done
+ * @property {Function} transformRequest - (request) Passes request options through every plugin's
+ *   transformRequest; returns the final options, or false if a plugin skipped the URL
+ * @property {Function} extract - (page, record) Collects the extract hook results, keyed by plugin name
+ * @property {Function} getWriterFactories - () Writer factories of every plugin, with isolated methods
+ */
+
+/**
+ * Resolves a plugin module specifier: paths are relative to the working directory,
+ * anything else is a package name
+ * @param {string} specifier - Module path or package name
+ * @returns {string} Import specifier
+ */
+function resolveSpecifier(specifier) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+        return pathToFileURL(path.resolve(process.cwd(), specifier)).href;
+    }
+    return specifier;
+}
+
+/**
+ * Imports a plugin module and checks its shape. The default export is a plugin
+ * object, or a function that receives { config } and returns one.
+ * @param {string} specifier - Module path or package name
+ * @param {Object} config - Crawler configuration
+ * @returns {Promise<CrawlPlugin>} Plugin
+ * @throws {Error} If the module cannot be loaded or is not a plugin
+ */
+async function importPlugin(specifier, config) {
+    const imported = await import(/* webpackIgnore: true */ resolveSpecifier(specifier));
+    const exported = imported.default ?? imported;
+    const plugin = typeof exported === 'function' ? await exported({ config }) : exported;
+
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new Error('must export a plugin object with a name');
+    }
+    for (const hook of PLUGIN_HOOKS) {
+        if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+            throw new Error(`${hook} must be a function`);
+        }
+    }
+    const { writers } = plugin;
+    if (
+        writers !== undefined &&
+        (!writers || typeof writers !== 'object' || Object.values(writers).some((factory) => typeof factory !== 'function'))
+    ) {
+        throw new Error('writers must map formats to writer factories');
+    }
+    return plugin;
+}
+
+/**
+ * Loads the configured plugins. Modules that fail to load are reported and left out.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Crawler configuration (plugins section and the rest, passed to plugin factories)
+ * @param {Function} [options.onError] - Callback (pluginName, hook, error) for plugin errors, also
+ *   written to the console
+ * @returns {Promise<PluginHost>} Plugin host
+ */
+export async function loadPlugins({ config, onError }) {
+    const { modules, hookTimeoutSecs, maxErrors } = config.plugins;
+    const report = (name, hook, error) => {
+        console.error(`Plugin ${name} failed in ${hook}: ${error.message}`);
+        onError?.(name, hook, error);
+    };
+
+    const plugins = [];
+    for (const specifier of modules) {
+        try {
+            const plugin = await importPlugin(specifier, config);
+            if (plugins.some((loaded) => loaded.name === plugin.name)) {
+                throw new Error(`another plugin is already named ${plugin.name}`);
+            }
+            plugins.push(plugin);
+        } catch (error) {
+            report(specifier, 'load', error);
+        }
+    }
+
+    // Errors per plugin; plugins that reach maxErrors are skipped from then on
+    const errorCounts = new Map();
+    const isEnabled = (plugin) => (errorCounts.get(plugin.name) ?? 0) < maxErrors;
+    const fail = (plugin, hook, error) => {
+        const count = (errorCounts.get(plugin.name) ?? 0) + 1;
+        errorCounts.set(plugin.name, count);
+        report(plugin.name, hook, error);
+        if (count === maxErrors) {
+            report(plugin.name, hook, new Error(`disabled after ${maxErrors} errors`));
+        }
+    };
+
+    /**
+     * Calls into a plugin, resolving to a fallback if it throws or runs too long
+     * @param {CrawlPlugin} plugin - Plugin called
+     * @param {string} hook - Hook name, for reporting
+     * @param {Function} call - Function making the call
+     * @param {*} [fallback] - Result used when the call fails
+     * @returns {Promise<*>} Result of the call, or the fallback
+     */
+    const callIsolated = async (plugin, hook, call, fallback) => {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${hookTimeoutSecs}s`)), hookTimeoutSecs * 1000);
+        });
+        try {
+            return await Promise.race([Promise.resolve().then(call), timeout]);
+        } catch (error) {
+            fail(plugin, hook, error);
+            return fallback;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    return {
+        names: plugins.map((plugin) => plugin.name),
+
+        async run(hook, ...args) {
+            for (const plugin of plugins) {
+                if (!plugin[hook] || !isEnabled(plugin)) continue;
+                await callIsolated(plugin, hook, () => plugin[hook](...args));
+            }
+        },
+
+        transformRequest(request) {
+            let current = request;
+            for (const plugin of plugins) {
+                if (!plugin.transformRequest || !isEnabled(plugin)) continue;
+                try {
+                    const result = plugin.transformRequest(current);
+                    if (result === false) return false;
+                    if (result && typeof result === 'object' && typeof result.url === 'string') {
+                        current = result;
+                    } else if (result !== undefined) {
+                        throw new Error('must return request options, false or nothing');
+                    }
+                } catch (error) {
+                    fail(plugin, 'transformRequest', error);
+                }
+            }
+            return current;
+        },
+
+        async extract(page, record) {
+            const pluginData = {};
+            for (const plugin of plugins) {
+                if (!plugin.extract || !isEnabled(plugin)) continue;
+                const fields = await callIsolated(plugin, 'extract', async () => {
+                    const result = await plugin.extract(page, record);
+                    if (result === undefined) return undefined;
+                    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+                        throw new Error('must return an object of fields');
+                    }
+                    // Records are stored as JSON; values that do not survive it are caught here
+                    return JSON.parse(JSON.stringify(result));
+                });
+                if (fields) pluginData[plugin.name] = fields;
+            }
+            return pluginData;
+        },
+
+        getWriterFactories() {
+            return plugins.flatMap((plugin) =>
+                Object.entries(plugin.writers ?? {}).map(([format, factory]) => (context) => {
+                    let writer = null;
+                    try {
+                        writer = factory(context);
+                    } catch (error) {
+                        fail(plugin, `writers.${format}`, error);
+                    }
+
+                    // Writer methods are isolated like hooks; a writer that failed to start does nothing
+                    const call = async (method, args, fallback) =>
+                        writer && isEnabled(plugin)
+                            ? callIsolated(plugin, `writers.${format}.${method}`, () => writer[method](...args), fallback)
+                            : fallback;
+                    const asList = (value) => (Array.isArray(value) ? value : []);
+
+                    return {
+                        format,
+                        init: async (options) => asList(await call('init', [options], [])),
+                        writePage: (record, filename) => call('writePage', [record, filename]),
+                        finalize: async (summary) => asList(await call('finalize', [summary], [])),
+                    };
+                })
+            );
+        },
+    };
+}
+
+export default { PLUGIN_HOOKS, loadPlugins };
@@ -1,12 +1,90 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { ensureDirectory } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { publishCrawlEvent, resetCrawlEvents } from './crawlEvents.js';
 
 /**
  * Progress Writer Module
- * Manages progress.json file for tracking crawl status
+ * Manages progress.json file for tracking crawl status, and publishes every
+ * status transition on the crawl event bus
  */
 
+/**
+ * @typedef {Object} CrawlProgress
+ * @property {string} status - queued, starting, running, paused, completed, cancelled, failed, interrupted or crashed
+ * @property {number} pagesProcessed - Pages written to the output
+ * @property {number} totalEnqueued - Total URLs in queue
+ * @property {string} currentUrl - URL being processed
+ * @property {string} startTime - ISO start timestamp
+ * @property {string|null} endTime - ISO end timestamp
+ * @property {string} seedUrl - Starting URL
+ * @property {string} universityName - University name
+ * @property {string|null} error - Error message for failed, interrupted or crashed crawls
+ * @property {string|null} outputFile - Primary output file
+ * @property {string[]} [outputFormats] - Requested output formats
+ * @property {string} [discoveryMode] - URL discovery mode (links, sitemap or both)
+ * @property {string|null} [manifestFile] - Output manifest file
+ * @property {string} [resumedAt] - ISO timestamp of the last resume
+ * @property {SkippedSummary} [skipped] - URLs skipped by crawl policy
+ * @property {import('./failureLog.js').FailureSummary} [failed] - Requests that failed after their retries, by error class
+ * @property {string} [retriedAt] - ISO timestamp of the last retry of failed URLs
+ * @property {Object} [scope] - Per-crawl scope overrides (maxDepth, maxPages, patterns, ...)
+ * @property {string[]|null} [stripParams] - Query parameters ignored when deduplicating (null for the defaults)
+ * @property {boolean} [includeDocuments] - Whether linked documents are downloaded and extracted
+ * @property {boolean} [incremental] - Whether the crawl is compared with the previous one
+ * @property {import('./pageIndex.js').ChangeCounts} [changes] - Unchanged/changed/new/removed page counts (incremental crawls)
+ * @property {string|null} [changeReportFile] - Change report (incremental crawls)
+ * @property {import('./qualityReport.js').QualitySummary} [quality] - Content quality issues found when the output was finalized
+ * @property {string|null} [qualityReportFile] - Quality report (report.html)
+ * @property {string|null} [entitiesFile] - Structured-data entities of the crawl, by type (entities.json)
+ * @property {Object<string, number>|null} [extracted] - Items written to extracted/<type>.jsonl, counted by type
+ * @property {string|null} [limitReached] - Scope limit that ended the crawl ('max-pages' or 'time-budget')
+ */
+
+/**
+ * @typedef {Object} SkippedSummary
+ * @property {number} total - Distinct URLs skipped
+ * @property {Object<string, number>} byReason - Skipped URL counts keyed by reason (e.g. 'robots')
+ */
+
+const PROGRESS_WRITES_KEY = Symbol.for('infinize-crawler.progressWrites');
+
+/**
+ * Gets the process-wide write chains, by progress file path
+ * @returns {Map<string, Promise<void>>}
+ */
+function getWriteChains() {
+    if (!globalThis[PROGRESS_WRITES_KEY]) {
+        globalThis[PROGRESS_WRITES_KEY] = new Map();
+    }
+    return globalThis[PROGRESS_WRITES_KEY];
+}
+
+/**
+ * Runs a read-modify-write of a progress file after the ones already started
+ * on it in this process, so a status change made while the crawl runs is not
+ * overwritten by a progress update that read the file before it
+ * @param {string} progressPath - Path to progress.json
+ * @param {() => Promise<void>} task - Async function to run
+ * @returns {Promise<void>}
+ */
+function withProgressLock(progressPath, task) {
+    const chains = getWriteChains();
+    const result = (chains.get(progressPath) ?? Promise.resolve()).then(task);
+    const chain = result.then(
+        () => {},
+        () => {}
+    );
+    chains.set(progressPath, chain);
+
+    // Drop the chain once it is idle, so finished crawls do not accumulate
+    chain.then(() => {
+        if (chains.get(progressPath) === chain) chains.delete(progressPath);
+    });
+    return result;
+}
+
 /**
  * Gets the progress file path for a university
  * @param {string} baseDir - Base output directory
@@ -14,26 +92,38 @@ import { ensureDirectory } from './utils/fileWriter.js';
  * @returns {string} Full path to progress.json
  */
 export function getProgressFilePath(baseDir, universityName) {
-    const sanitized = universityName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    const sanitized = toCrawlId(universityName);
     return path.join(baseDir, sanitized, 'progress.json');
 }
 
+/**
+ * Publishes a status transition with the progress it was written with
+ * @param {string} universityName - University name
+ * @param {CrawlProgress} progress - Progress as written
+ * @returns {void}
+ */
+function publishStatus(universityName, progress) {
+    publishCrawlEvent(toCrawlId(universityName), 'status', progress);
+}
+
 /**
  * Initializes progress tracking for a new crawl
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
  * @param {string} options.seedUrl - Starting URL
+ * @param {Object} [options.settings] - Crawl settings stored for resuming (outputFormats, scope, ...)
+ * @param {'queued'|'starting'} [options.status] - Initial status ('queued' while the crawl waits in the job queue)
  * @returns {Promise<string>} Path to progress file
  */
-export async function initProgress({ baseDir, universityName, seedUrl }) {
+export async function initProgress({ baseDir, universityName, seedUrl, settings = {}, status = 'starting' }) {
     const progressPath = getProgressFilePath(baseDir, universityName);
     const dirPath = path.dirname(progressPath);
 
     await ensureDirectory(dirPath);
 
     const progress = {
-        status: 'starting',
+        status,
         pagesProcessed: 0,
         totalEnqueued: 0,
         currentUrl: seedUrl,
@@ -43,9 +133,15 @@ export async function initProgress({ baseDir, universityName, seedUrl }) {
         universityName,
         error: null,
         outputFile: null,
+        ...settings,
+        manifestFile: null,
     };
 
     await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+
+    // Events from a previous run of this crawl must not be replayed to new subscribers
+    resetCrawlEvents(toCrawlId(universityName));
+    publishStatus(universityName, progress);
     return progressPath;
 }
 
@@ -57,9 +153,286 @@ export async function initProgress({ baseDir, universityName, seedUrl }) {
  * @param {number} options.pagesProcessed - Number of pages processed
  * @param {number} options.totalEnqueued - Total URLs in queue
  * @param {string} options.currentUrl - Current URL being processed
+ * @param {SkippedSummary} [options.skipped] - URLs skipped so far, by reason
+ * @param {import('./failureLog.js').FailureSummary} [options.failed] - Failed requests so far, by error class
+ * @param {import('./pageIndex.js').ChangeCounts} [options.changes] - Change counts so far (incremental crawls)
+ * @returns {Promise<void>}
+ */
+export async function updateProgress({
+    baseDir,
+    universityName,
+    pagesProcessed,
+    totalEnqueued,
+    currentUrl,
+    skipped,
+    failed,
+    changes,
+}) {
+    const progressPath = getProgressFilePath(baseDir, universityName);
+
+    return withProgressLock(progressPath, async () => {
+        try {
+            const content = await fs.readFile(progressPath, 'utf8');
+            const progress = JSON.parse(content);
+
+            // Only the first page moves the crawl out of 'starting'; pages still in
+            // flight when a pause or stop was requested must not flip it back
+            const started = progress.status === 'starting';
+            if (started) {
+                progress.status = 'running';
+            }
+            progress.pagesProcessed = pagesProcessed;
+            progress.totalEnqueued = totalEnqueued;
+            progress.currentUrl = currentUrl;
+            if (skipped) {
+                progress.skipped = skipped;
+            }
+            if (failed) {
+                progress.failed = failed;
+            }
+            if (changes) {
+                progress.changes = changes;
+            }
+
+            await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+            if (started) {
+                publishStatus(universityName, progress);
+            }
+        } catch (error) {
+            console.error(`Failed to update progress: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Creates a throttled progress updater for a running crawl. Updates are
+ * coalesced and written at most once per interval (the first one right away),
+ * so progress.json is not rewritten after every page; live counts reach the
+ * admin UI through the crawl event bus instead.
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {number} options.intervalMs - Minimum time between writes
+ * @returns {{ update: Function, flush: Function }} Updater; update() takes the updateProgress fields
+ *   other than baseDir and universityName, flush() writes any pending update
+ */
+export function createProgressUpdater({ baseDir, universityName, intervalMs }) {
+    let pending = null;
+    let timer = null;
+    let lastWriteAt = 0;
+    let writing = Promise.resolve();
+
+    const write = () => {
+        timer = null;
+        const fields = pending;
+        pending = null;
+        lastWriteAt = Date.now();
+        writing = writing.then(() => updateProgress({ baseDir, universityName, ...fields }));
+        return writing;
+    };
+
+    return {
+        /**
+         * Schedules a progress write with the latest counts
+         * @param {Object} fields - pagesProcessed, totalEnqueued, currentUrl, skipped, failed, changes
+         * @returns {void}
+         */
+        update(fields) {
+            pending = fields;
+            if (!timer) {
+                timer = setTimeout(write, Math.max(0, lastWriteAt + intervalMs - Date.now()));
+            }
+        },
+
+        /**
+         * Writes any pending update; call before writing the crawl's final state
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            clearTimeout(timer);
+            timer = null;
+            if (pending) {
+                write();
+            }
+            await writing;
+        },
+    };
+}
+
+/**
+ * Writes the final state of a crawl that finished with output
+ * @param {string} status - Final status ('completed' or 'cancelled')
+ * @param {Object} options - Options object (see completeProgress)
+ * @returns {Promise<void>}
+ */
+async function finishProgress(
+    status,
+    {
+        baseDir,
+        universityName,
+        pagesProcessed,
+        outputFile,
+        manifestFile = null,
+        skipped,
+        failed,
+        limitReached = null,
+        changes,
+        changeReportFile,
+        quality,
+        qualityReportFile,
+        entitiesFile = null,
+        extracted = null,
+    }
+) {
+    const progressPath = getProgressFilePath(baseDir, universityName);
+
+    return withProgressLock(progressPath, async () => {
+        try {
+            const content = await fs.readFile(progressPath, 'utf8');
+            const progress = JSON.parse(content);
+
+            progress.status = status;
+            progress.pagesProcessed = pagesProcessed;
+            progress.totalEnqueued = status === 'completed' ? pagesProcessed : progress.totalEnqueued;
+            progress.endTime = new Date().toISOString();
+            progress.outputFile = outputFile;
+            progress.manifestFile = manifestFile;
+            progress.currentUrl = '';
+            progress.limitReached = limitReached;
+            progress.entitiesFile = entitiesFile;
+            progress.extracted = extracted;
+            if (skipped) {
+                progress.skipped = skipped;
+            }
+            if (failed) {
+                progress.failed = failed;
+            }
+            if (changes) {
+                progress.changes = changes;
+                progress.changeReportFile = changeReportFile ?? null;
+            }
+            if (quality) {
+                progress.quality = quality;
+                progress.qualityReportFile = qualityReportFile ?? null;
+            }
+
+            await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+            publishStatus(universityName, progress);
+        } catch (error) {
+            console.error(`Failed to write ${status} progress: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Marks the crawl as completed
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {number} options.pagesProcessed - Final page count
+ * @param {string} options.outputFile - Path to output file
+ * @param {string} [options.manifestFile] - Path to the output manifest
+ * @param {SkippedSummary} [options.skipped] - URLs skipped, by reason
+ * @param {import('./failureLog.js').FailureSummary} [options.failed] - Failed requests, by error class
+ * @param {string|null} [options.limitReached] - Scope limit that ended the crawl early
+ * @param {import('./pageIndex.js').ChangeCounts} [options.changes] - Final change counts (incremental crawls)
+ * @param {string} [options.changeReportFile] - Path to the change report (incremental crawls)
+ * @param {import('./qualityReport.js').QualitySummary} [options.quality] - Content quality issues
+ * @param {string} [options.qualityReportFile] - Path to the quality report
+ * @param {string} [options.entitiesFile] - Path to entities.json
+ * @param {Object<string, number>} [options.extracted] - Domain extractor item counts by type
+ * @returns {Promise<void>}
+ */
+export async function completeProgress(options) {
+    await finishProgress('completed', options);
+}
+
+/**
+ * Marks the crawl as cancelled, keeping the output collected so far
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {number} options.pagesProcessed - Pages processed before cancellation
+ * @param {string} options.outputFile - Path to output file
+ * @param {string} [options.manifestFile] - Path to the output manifest
+ * @param {SkippedSummary} [options.skipped] - URLs skipped, by reason
+ * @param {import('./failureLog.js').FailureSummary} [options.failed] - Failed requests, by error class
+ * @param {import('./pageIndex.js').ChangeCounts} [options.changes] - Change counts (incremental crawls)
+ * @param {string} [options.changeReportFile] - Path to the change report (incremental crawls)
+ * @param {import('./qualityReport.js').QualitySummary} [options.quality] - Content quality issues
+ * @param {string} [options.qualityReportFile] - Path to the quality report
+ * @param {string} [options.entitiesFile] - Path to entities.json
+ * @param {Object<string, number>} [options.extracted] - Domain extractor item counts by type
+ * @returns {Promise<void>}
+ */
+export async function cancelProgress(options) {
+    await finishProgress('cancelled', options);
+}
+
+/**
+ * Sets the status of a crawl (e.g. 'queued', or 'paused' and 'running' from the worker running it)
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.status - New status
+ * @param {string[]} [options.onlyFrom] - Statuses the change applies to; any other status is kept
  * @returns {Promise<void>}
  */
-export async function updateProgress({ baseDir, universityName, pagesProcessed, totalEnqueued, currentUrl }) {
+export async function setProgressStatus({ baseDir, universityName, status, onlyFrom = null }) {
+    const progressPath = getProgressFilePath(baseDir, universityName);
+
+    return withProgressLock(progressPath, async () => {
+        try {
+            const content = await fs.readFile(progressPath, 'utf8');
+            const progress = JSON.parse(content);
+            if (onlyFrom && !onlyFrom.includes(progress.status)) {
+                return;
+            }
+
+            progress.status = status;
+
+            await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+            publishStatus(universityName, progress);
+        } catch (error) {
+            console.error(`Failed to set progress status: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Marks the crawl as failed
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.error - Error message
+ * @returns {Promise<void>}
+ */
+export async function failProgress({ baseDir, universityName, error }) {
+    const progressPath = getProgressFilePath(baseDir, universityName);
+
+    try {
+        const content = await fs.readFile(progressPath, 'utf8');
+        const progress = JSON.parse(content);
+
+        progress.status = 'failed';
+        progress.endTime = new Date().toISOString();
+        progress.error = error;
+
+        await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+        publishStatus(universityName, progress);
+    } catch (err) {
+        console.error(`Failed to write failure progress: ${err.message}`);
+    }
+}
+
+/**
+ * Marks an interrupted crawl as running again
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @returns {Promise<void>}
+ */
+export async function resumeProgress({ baseDir, universityName }) {
     const progressPath = getProgressFilePath(baseDir, universityName);
 
     try {
@@ -67,67 +440,96 @@ export async function updateProgress({ baseDir, universityName, pagesProcessed,
         const progress = JSON.parse(content);
 
         progress.status = 'running';
-        progress.pagesProcessed = pagesProcessed;
-        progress.totalEnqueued = totalEnqueued;
-        progress.currentUrl = currentUrl;
+        progress.endTime = null;
+        progress.error = null;
+        progress.resumedAt = new Date().toISOString();
 
         await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+        resetCrawlEvents(toCrawlId(universityName));
+        publishStatus(universityName, progress);
     } catch (error) {
-        console.error(`Failed to update progress: ${error.message}`);
+        console.error(`Failed to write resumed progress: ${error.message}`);
     }
 }
 
 /**
- * Marks the crawl as completed
+ * Marks a finished crawl as running again to retry its failed URLs
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
- * @param {number} options.pagesProcessed - Final page count
- * @param {string} options.outputFile - Path to output file
  * @returns {Promise<void>}
  */
-export async function completeProgress({ baseDir, universityName, pagesProcessed, outputFile }) {
+export async function retryProgress({ baseDir, universityName }) {
+    const progressPath = getProgressFilePath(baseDir, universityName);
+
+    try {
+        const content = await fs.readFile(progressPath, 'utf8');
+        const progress = JSON.parse(content);
+
+        progress.status = 'running';
+        progress.endTime = null;
+        progress.error = null;
+        progress.retriedAt = new Date().toISOString();
+
+        await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+        resetCrawlEvents(toCrawlId(universityName));
+        publishStatus(universityName, progress);
+    } catch (error) {
+        console.error(`Failed to write retry progress: ${error.message}`);
+    }
+}
+
+/**
+ * Marks a crawl as interrupted, e.g. when the server restarted mid-crawl
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.reason - Why the crawl could not continue
+ * @returns {Promise<void>}
+ */
+export async function interruptProgress({ baseDir, universityName, reason }) {
     const progressPath = getProgressFilePath(baseDir, universityName);
 
     try {
         const content = await fs.readFile(progressPath, 'utf8');
         const progress = JSON.parse(content);
 
-        progress.status = 'completed';
-        progress.pagesProcessed = pagesProcessed;
-        progress.totalEnqueued = pagesProcessed;
+        progress.status = 'interrupted';
         progress.endTime = new Date().toISOString();
-        progress.outputFile = outputFile;
+        progress.error = reason;
         progress.currentUrl = '';
 
         await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+        publishStatus(universityName, progress);
     } catch (error) {
-        console.error(`Failed to complete progress: ${error.message}`);
+        console.error(`Failed to write interrupted progress: ${error.message}`);
     }
 }
 
 /**
- * Marks the crawl as failed
+ * Marks a crawl as crashed, when the worker process running it exited without finishing it
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
- * @param {string} options.error - Error message
+ * @param {string} options.reason - How the worker ended
  * @returns {Promise<void>}
  */
-export async function failProgress({ baseDir, universityName, error }) {
+export async function crashProgress({ baseDir, universityName, reason }) {
     const progressPath = getProgressFilePath(baseDir, universityName);
 
     try {
         const content = await fs.readFile(progressPath, 'utf8');
         const progress = JSON.parse(content);
 
-        progress.status = 'failed';
+        progress.status = 'crashed';
         progress.endTime = new Date().toISOString();
-        progress.error = error;
+        progress.error = reason;
+        progress.currentUrl = '';
 
         await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
-    } catch (err) {
-        console.error(`Failed to write failure progress: ${err.message}`);
+        publishStatus(universityName, progress);
+    } catch (error) {
+        console.error(`Failed to write crashed progress: ${error.message}`);
     }
 }
 
@@ -136,7 +538,7 @@ export async function failProgress({ baseDir, universityName, error }) {
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
- * @returns {Promise<Object|null>} Progress object or null if not found
+ * @returns {Promise<CrawlProgress|null>} Progress object or null if not found
  */
 export async function readProgress({ baseDir, universityName }) {
     const progressPath = getProgressFilePath(baseDir, universityName);
@@ -153,7 +555,14 @@ export default {
     getProgressFilePath,
     initProgress,
     updateProgress,
+    createProgressUpdater,
     completeProgress,
+    cancelProgress,
+    setProgressStatus,
     failProgress,
+    resumeProgress,
+    retryProgress,
+    interruptProgress,
+    crashProgress,
     readProgress,
 };
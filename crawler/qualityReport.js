@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import path from 'path';
+import { writeJsonFile, writeOutput } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { escapeHtml } from './writers/htmlWriter.js';
+
+/**
+ * Quality Report
+ * Checks the extracted content of a crawl when its output is finalized and
+ * writes report.json and report.html: thin pages, exact and near-duplicate
+ * text (simhash over word shingles), missing titles and H1s, soft 404s and
+ * pages whose content came from the body fallback instead of a
+ * mainContentSelectors match
+ */
+
+/**
+ * Issues, in the order they are reported
+ */
+export const QUALITY_ISSUES = [
+    'thin',
+    'duplicate',
+    'near-duplicate',
+    'missing-title',
+    'missing-h1',
+    'soft-404',
+    'body-fallback',
+];
+
+const ISSUE_LABELS = {
+    thin: 'Thin content',
+    duplicate: 'Duplicate text',
+    'near-duplicate': 'Near-duplicate text',
+    'missing-title': 'Missing title',
+    'missing-h1': 'Missing H1',
+    'soft-404': 'Soft 404',
+    'body-fallback': 'Body fallback',
+};
+
+// Words per shingle hashed into a page's simhash
+const SHINGLE_WORDS = 3;
+
+/**
+ * @typedef {Object} QualitySummary
+ * @property {number} pagesAnalyzed - Pages and documents checked
+ * @property {number} pagesWithIssues - Pages with at least one issue
+ * @property {Object<string, number>} byIssue - Flagged page counts keyed by issue
+ */
+
+/**
+ * @typedef {Object} FlaggedPage
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {number} words - Words of main content
+ * @property {string[]} issues - Issues found, from QUALITY_ISSUES
+ * @property {string} [duplicateOf] - First page with the same (or nearly the same) text
+ */
+
+/**
+ * Gets the quality report paths for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {{ json: string, html: string }} Full paths to report.json and report.html
+ */
+export function getQualityReportPaths(baseDir, universityName) {
+    const dir = path.join(baseDir, toCrawlId(universityName));
+    return { json: path.join(dir, 'report.json'), html: path.join(dir, 'report.html') };
+}
+
+// ============================================================================
+// Simhash
+// ============================================================================
+
+/**
+ * Hashes a string to 32 bits (FNV-1a with a murmur3 finalizer)
+ * @param {string} text - Text to hash
+ * @param {number} seed - Offset basis; different seeds give independent hashes
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hash32(text, seed) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Computes the 64-bit simhash of a list of words over overlapping shingles
+ * @param {string[]} words - Normalized words
+ * @returns {string} Simhash as 16 hex digits
+ */
+export function simhash(words) {
+    const weights = new Array(64).fill(0);
+    const shingleCount = Math.max(1, words.length - SHINGLE_WORDS + 1);
+
+    for (let i = 0; i < shingleCount; i++) {
+        const shingle = words.slice(i, i + SHINGLE_WORDS).join(' ');
+        const halves = [hash32(shingle, 0x811c9dc5), hash32(shingle, 0x050c5d1f)];
+        for (let bit = 0; bit < 64; bit++) {
+            weights[bit] += (halves[bit >> 5] >>> (31 - (bit & 31))) & 1 ? 1 : -1;
+        }
+    }
+
+    const halves = [0, 0];
+    for (let bit = 0; bit < 64; bit++) {
+        if (weights[bit] > 0) {
+            halves[bit >> 5] |= 1 << (31 - (bit & 31));
+        }
+    }
+    return halves.map((half) => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Counts the bits that differ between two simhashes
+ * @param {string} a - Simhash as 16 hex digits
+ * @param {string} b - Simhash as 16 hex digits
+ * @returns {number} Hamming distance (0-64)
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (const offset of [0, 8]) {
+        let diff = (parseInt(a.slice(offset, offset + 8), 16) ^ parseInt(b.slice(offset, offset + 8), 16)) >>> 0;
+        while (diff) {
+            diff &= diff - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Groups near-duplicate pages. Simhashes are split into maxDistance + 1
+ * bands: hashes within maxDistance bits share at least one band, so only
+ * pages sharing a band are compared.
+ * @param {Array<{ simhash: string }>} pages - Pages to group
+ * @param {number} maxDistance - Largest Hamming distance between near duplicates (0-15)
+ * @returns {number[][]} Groups of two or more page indexes, each in page order
+ */
+function groupNearDuplicates(pages, maxDistance) {
+    const parent = pages.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    const bandCount = maxDistance + 1;
+    for (let band = 0; band < bandCount; band++) {
+        const start = Math.floor((band * 16) / bandCount);
+        const end = Math.floor(((band + 1) * 16) / bandCount);
+
+        const buckets = new Map();
+        pages.forEach((page, i) => {
+            const key = page.simhash.slice(start, end);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(i);
+        });
+
+        for (const members of buckets.values()) {
+            for (let a = 0; a < members.length; a++) {
+                for (let b = a + 1; b < members.length; b++) {
+                    const [i, j] = [members[a], members[b]];
+                    if (find(i) !== find(j) && hammingDistance(pages[i].simhash, pages[j].simhash) <= maxDistance) {
+                        parent[Math.max(find(i), find(j))] = Math.min(find(i), find(j));
+                    }
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    pages.forEach((_, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(i);
+    });
+    return [...groups.values()].filter((group) => group.length > 1);
+}
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/**
+ * Builds a matcher for soft-404 phrases
+ * @param {string[]} phrases - Phrases matched as whole words, ignoring case
+ * @returns {(text: string) => boolean} Matcher
+ */
+function createPhraseMatcher(phrases) {
+    if (phrases.length === 0) {
+        return () => false;
+    }
+    const escaped = phrases.map((phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(^|\\W)(${escaped.join('|')})(?=\\W|$)`, 'i');
+    return (text) => pattern.test(text);
+}
+
+/**
+ * Checks one page record on its own (duplicates are found across pages later)
+ * @param {import('./pageRecord.js').PageRecord} record - Page record
+ * @param {Object} options - Options object
+ * @param {number} options.minWords - Pages with fewer words are thin
+ * @param {(text: string) => boolean} options.isSoft404Text - Soft-404 phrase matcher
+ * @returns {{ words: string[], issues: string[] }} Normalized words and issues found
+ */
+function checkPage(record, { minWords, isSoft404Text }) {
+    const words = record.mainContent.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+    const issues = [];
+    const thin = words.length < minWords;
+
+    if (thin) {
+        issues.push('thin');
+    }
+    if (!record.title.trim()) {
+        issues.push('missing-title');
+    }
+
+    // Documents have no H1 or selector match, and an error status would have failed their download
+    if (!record.documentType) {
+        const h1s = record.headings.filter((heading) => heading.level === 1).map((heading) => heading.text);
+        if (h1s.length === 0) {
+            issues.push('missing-h1');
+        }
+        if ([record.title, ...h1s].some(isSoft404Text) || (thin && isSoft404Text(record.mainContent))) {
+            issues.push('soft-404');
+        }
+        if (record.contentSelector === null) {
+            issues.push('body-fallback');
+        }
+    }
+
+    return { words, issues };
+}
+
+/**
+ * Checks the pages of a crawl
+ * @param {import('./pageRecord.js').PageRecord[]} records - Page records, in crawl order
+ * @param {Object} options - Quality settings (config.quality)
+ * @param {number} options.minWords - Pages with fewer words are thin
+ * @param {number} options.nearDuplicateDistance - Largest simhash distance between near duplicates
+ * @param {string[]} options.soft404Phrases - Title/H1 phrases that mark a soft 404
+ * @returns {{ summary: QualitySummary, pages: FlaggedPage[], duplicateGroups: Array<{ kind: string, urls: string[] }> }}
+ *   Summary, flagged pages and duplicate groups
+ */
+export function analyzePages(records, { minWords, nearDuplicateDistance, soft404Phrases }) {
+    const isSoft404Text = createPhraseMatcher(soft404Phrases);
+
+    const pages = records.map((record) => {
+        const { words, issues } = checkPage(record, { minWords, isSoft404Text });
+        return { url: record.url, title: record.title, words, issues, duplicateOf: undefined };
+    });
+
+    const duplicateGroups = [];
+    const markGroup = (kind, members) => {
+        const [first, ...rest] = members;
+        for (const page of rest) {
+            page.issues.push(kind);
+            page.duplicateOf = first.url;
+        }
+        duplicateGroups.push({ kind, urls: members.map((page) => page.url) });
+    };
+
+    // Exact duplicates: identical normalized text
+    const byText = new Map();
+    for (const page of pages) {
+        if (page.words.length === 0) continue;
+        const hash = crypto.createHash('sha1').update(page.words.join(' ')).digest('hex');
+        if (!byText.has(hash)) byText.set(hash, []);
+        byText.get(hash).push(page);
+    }
+    for (const members of byText.values()) {
+        if (members.length > 1) markGroup('duplicate', members);
+    }
+
+    // Near duplicates among the remaining pages with enough text to compare
+    const candidates = pages
+        .filter((page) => !page.duplicateOf && page.words.length >= Math.max(minWords, SHINGLE_WORDS))
+        .map((page) => ({ page, simhash: simhash(page.words) }));
+    for (const group of groupNearDuplicates(candidates, nearDuplicateDistance)) {
+        markGroup(
+            'near-duplicate',
+            group.map((i) => candidates[i].page)
+        );
+    }
+
+    const byIssue = Object.fromEntries(QUALITY_ISSUES.map((issue) => [issue, 0]));
+    const flagged = [];
+    for (const page of pages) {
+        if (page.issues.length === 0) continue;
+        page.issues.sort((a, b) => QUALITY_ISSUES.indexOf(a) - QUALITY_ISSUES.indexOf(b));
+        page.issues.forEach((issue) => byIssue[issue]++);
+        flagged.push({
+            url: page.url,
+            title: page.title,
+            words: page.words.length,
+            issues: page.issues,
+            ...(page.duplicateOf && { duplicateOf: page.duplicateOf }),
+        });
+    }
+
+    return {
+        summary: { pagesAnalyzed: pages.length, pagesWithIssues: flagged.length, byIssue },
+        pages: flagged,
+        duplicateGroups,
+    };
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f9fafb; color: #111827; }
+    main { max-width: 1000px; margin: 2rem auto; padding: 2rem; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+    h1 { margin-top: 0; font-size: 1.75rem; }
+    h2 { font-size: 1.125rem; margin-top: 2rem; padding-bottom: 0.25rem; border-bottom: 1px solid #e5e7eb; }
+    .meta { color: #6b7280; font-size: 0.875rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+    th, td { text-align: left; padding: 0.375rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    th { background: #f9fafb; }
+    td a { color: #2563eb; word-break: break-all; }
+    .headline td { font-size: 1.25rem; font-weight: 600; }
+    .small { color: #6b7280; font-size: 0.75rem; word-break: break-all; }
+`;
+
+/**
+ * Renders the quality report as a standalone HTML document
+ * @param {Object} report - Report data (as written to report.json)
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+    const { summary } = report;
+    const link = (url, title) => `<a href="${escapeHtml(url)}">${escapeHtml(title || url)}</a>`;
+
+    const sections = QUALITY_ISSUES.filter((issue) => summary.byIssue[issue] > 0).map((issue) => {
+        const rows = report.pages
+            .filter((page) => page.issues.includes(issue))
+            .map(
+                (page) => `<tr>
+  <td>${link(page.url, page.title)}<div class="small">${escapeHtml(page.url)}</div></td>
+  <td>${page.words}</td>
+  <td>${page.duplicateOf && issue.endsWith('duplicate') ? link(page.duplicateOf) : escapeHtml(page.issues.join(', '))}</td>
+</tr>`
+            );
+        const lastColumn = issue.endsWith('duplicate') ? 'Duplicate of' : 'Issues';
+        return `<h2>${escapeHtml(ISSUE_LABELS[issue])} (${summary.byIssue[issue]})</h2>
+<table>
+<tr><th>Page</th><th>Words</th><th>${lastColumn}</th></tr>
+${rows.join('\n')}
+</table>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Quality Report | ${escapeHtml(report.universityName)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>Quality Report: ${escapeHtml(report.universityName)}</h1>
+<p class="meta">
+  Seed URL: ${link(report.seedUrl)}<br>
+  Generated ${escapeHtml(report.generatedAt)}<br>
+  ${summary.pagesWithIssues} of ${summary.pagesAnalyzed} pages flagged (thin: fewer than ${report.settings.minWords} words;
+  near duplicates: simhash within ${report.settings.nearDuplicateDistance} bits)
+</p>
+<table class="headline">
+<tr>${QUALITY_ISSUES.map((issue) => `<th>${escapeHtml(ISSUE_LABELS[issue])}</th>`).join('')}</tr>
+<tr>${QUALITY_ISSUES.map((issue) => `<td>${summary.byIssue[issue]}</td>`).join('')}</tr>
+</table>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Checks a crawl's pages and writes report.json and report.html
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.seedUrl - Starting URL
+ * @param {import('./pageRecord.js').PageRecord[]} options.records - Page records of the crawl
+ * @param {Object} options.settings - Quality settings (config.quality)
+ * @returns {Promise<{ summary: QualitySummary, reportFile: string }>} Summary and the path to report.html
+ */
+export async function writeQualityReport({ baseDir, universityName, seedUrl, records, settings }) {
+    const { summary, pages, duplicateGroups } = analyzePages(records, settings);
+
+    const report = {
+        universityName,
+        seedUrl,
+        generatedAt: new Date().toISOString(),
+        settings: { minWords: settings.minWords, nearDuplicateDistance: settings.nearDuplicateDistance },
+        summary,
+        pages,
+        duplicateGroups,
+    };
+
+    const paths = getQualityReportPaths(baseDir, universityName);
+    await writeJsonFile(paths.json, report);
+    await writeOutput(paths.html, renderHtml(report));
+    return { summary, reportFile: paths.html };
+}
+
+export default {
+    QUALITY_ISSUES,
+    getQualityReportPaths,
+    simhash,
+    hammingDistance,
+    analyzePages,
+    writeQualityReport,
+};
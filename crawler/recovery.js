@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile } from './utils/fileWriter.js';
+import { interruptProgress } from './progressWriter.js';
+import { hasResumableState } from './crawlState.js';
+import { readFailures } from './failureLog.js';
+import { isCrawlActive } from './crawlRegistry.js';
+import { enqueueCrawlJob, isCrawlQueued } from './jobManager.js';
+import { applyCrawlOverrides, mergeConfig, readEffectiveConfig } from './config.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Crawl Recovery
+ * Finds crawls left in an active state by a server restart and either resumes
+ * them from their persisted queue or marks them interrupted. Also restarts
+ * finished crawls to retry the URLs that failed. Resumes and retries go
+ * through the job queue like new crawls.
+ */
+
+// Statuses that mean a crawl was still in progress when the server stopped
+const ACTIVE_STATUSES = ['starting', 'running', 'paused'];
+
+// Statuses of finished crawls whose output a retry of failed URLs can add to
+const RETRYABLE_STATUSES = ['completed', 'cancelled'];
+
+// Recorded in the audit log as the starter of crawls resumed at startup
+const RECOVERY_ACTOR = { name: 'system', via: 'recovery' };
+
+/**
+ * Lists crawls whose progress says they are active but which have no live crawler,
+ * and crawls marked queued that the job queue no longer holds
+ * @param {string} baseDir - Base output directory
+ * @returns {Promise<Object[]>} Progress objects of orphaned crawls
+ */
+export async function findOrphanedCrawls(baseDir) {
+    const entries = await fs.readdir(baseDir, { withFileTypes: true }).catch(() => []);
+    const orphaned = [];
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || isCrawlActive(entry.name) || isCrawlQueued(entry.name)) {
+            continue;
+        }
+
+        const progress = await readJsonFile(path.join(baseDir, entry.name, 'progress.json'));
+        if (progress && (ACTIVE_STATUSES.includes(progress.status) || progress.status === 'queued')) {
+            orphaned.push(progress);
+        }
+    }
+
+    return orphaned;
+}
+
+/**
+ * Rebuilds the config a stored crawl was started with: its saved config, or
+ * for crawls that predate saved configs, one rebuilt from its progress
+ * @param {Object} config - Crawler configuration
+ * @param {Object} progress - Stored progress of the crawl
+ * @returns {Promise<import('./config.js').CrawlerConfig>} Crawl configuration
+ */
+async function getStoredCrawlConfig(config, progress) {
+    const baseDir = config.output.baseDir;
+
+    // The crawl keeps writing where it was found, even if the output directory setting moved,
+    // and is held to the current target policy rather than the one it started with
+    const savedConfig = await readEffectiveConfig(baseDir, progress.universityName);
+    return savedConfig
+        ? mergeConfig(savedConfig, { output: { baseDir }, targets: config.targets })
+        : applyCrawlOverrides(config, {
+            discoveryMode: progress.discoveryMode,
+            scope: progress.scope,
+            stripParams: progress.stripParams,
+            includeDocuments: progress.includeDocuments,
+            incremental: progress.incremental,
+        });
+}
+
+/**
+ * Queues a stored crawl to continue from its persisted request queue, with
+ * the config it was started with. The job runs in the background; this
+ * resolves once it is queued.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Crawler configuration
+ * @param {Object} options.progress - Stored progress of the crawl
+ * @param {import('./auth/auditLog.js').Actor} options.startedBy - Who resumed the crawl
+ * @returns {Promise<number>} Queue position of the job (0 if it already started)
+ * @throws {Error} If the crawl is already running or queued, or has no stored queue
+ */
+export async function resumeStoredCrawl({ config, progress, startedBy }) {
+    const { seedUrl, universityName } = progress;
+
+    if (!(await hasResumableState(config.output.baseDir, universityName))) {
+        throw new Error(`No stored queue to resume for ${universityName}`);
+    }
+    const crawlConfig = await getStoredCrawlConfig(config, progress);
+
+    const { position } = await enqueueCrawlJob({
+        config,
+        crawlConfig,
+        kind: 'resume',
+        seedUrl,
+        universityName,
+        outputFormats: progress.outputFormats || crawlConfig.output.defaultFormats,
+        startedBy,
+    });
+    return position;
+}
+
+/**
+ * Queues a re-crawl of the failed URLs of a finished crawl with the config it
+ * was started with, merging the pages that now succeed into its output. The
+ * job runs in the background; this resolves once it is queued.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Crawler configuration
+ * @param {Object} options.progress - Stored progress of the crawl
+ * @param {import('./auth/auditLog.js').Actor} options.startedBy - Who started the retry
+ * @returns {Promise<{ retrying: number, position: number }>} Number of URLs being retried and the queue
+ *   position of the job (0 if it already started)
+ * @throws {Error} If the crawl is running or queued, did not finish, or has no failed URLs
+ */
+export async function retryFailedUrls({ config, progress, startedBy }) {
+    const { seedUrl, universityName } = progress;
+
+    if (isCrawlActive(toCrawlId(universityName))) {
+        throw new Error(`Crawl ${toCrawlId(universityName)} is already running`);
+    }
+    if (!RETRYABLE_STATUSES.includes(progress.status)) {
+        throw new Error(`Only completed or cancelled crawls can retry failed URLs (status: ${progress.status})`);
+    }
+    const failures = await readFailures(config.output.baseDir, universityName);
+    if (failures.length === 0) {
+        throw new Error(`No failed URLs to retry for ${universityName}`);
+    }
+    const crawlConfig = await getStoredCrawlConfig(config, progress);
+
+    const { position } = await enqueueCrawlJob({
+        config,
+        crawlConfig,
+        kind: 'retry',
+        seedUrl,
+        universityName,
+        outputFormats: progress.outputFormats || crawlConfig.output.defaultFormats,
+        startedBy,
+    });
+    return { retrying: failures.length, position };
+}
+
+/**
+ * Recovers every orphaned crawl: resumes it when auto-resume is enabled and
+ * its queue was persisted, otherwise marks it interrupted
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Crawler configuration
+ * @returns {Promise<{ resumed: string[], interrupted: string[] }>} Names of recovered crawls
+ */
+export async function recoverInterruptedCrawls({ config }) {
+    const baseDir = config.output.baseDir;
+    const resumed = [];
+    const interrupted = [];
+
+    for (const progress of await findOrphanedCrawls(baseDir)) {
+        const { universityName } = progress;
+        const wasQueued = progress.status === 'queued';
+
+        // A crawl that never left the queue has no queue of its own to resume
+        if (config.recovery.autoResume && !wasQueued) {
+            try {
+                await resumeStoredCrawl({ config, progress, startedBy: RECOVERY_ACTOR });
+                resumed.push(universityName);
+                console.log(`Queued interrupted crawl for ${universityName} to resume`);
+                continue;
+            } catch (error) {
+                console.error(`Could not resume crawl for ${universityName}: ${error.message}`);
+            }
+        }
+
+        await interruptProgress({
+            baseDir,
+            universityName,
+            reason: wasQueued
+                ? 'The job queue no longer holds this crawl'
+                : 'The server stopped while this crawl was running',
+        });
+        interrupted.push(universityName);
+    }
+
+    return { resumed, interrupted };
+}
+
+export default { findOrphanedCrawls, resumeStoredCrawl, retryFailedUrls, recoverInterruptedCrawls };
@@ -0,0 +1,304 @@
+/**
+ * Robots Module
+ * Fetches, caches and applies robots.txt rules (RFC 9309) per origin,
+ * including Crawl-delay pacing and Sitemap declarations
+ */
+
+/**
+ * @typedef {Object} RobotsRule
+ * @property {boolean} allow - Whether the rule allows (true) or disallows (false)
+ * @property {string} path - Path pattern (may contain * and a trailing $)
+ * @property {RegExp} pattern - Compiled path pattern
+ */
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string[]} userAgents - Lowercased user-agent tokens of the group
+ * @property {RobotsRule[]} rules - Allow/Disallow rules
+ * @property {number|null} crawlDelay - Crawl-delay in seconds
+ */
+
+/**
+ * @typedef {Object} ParsedRobots
+ * @property {RobotsGroup[]} groups - Rule groups
+ * @property {string[]} sitemaps - Sitemap URLs declared in the file
+ */
+
+/** Rules used when robots.txt is missing (4xx): everything is allowed */
+const ALLOW_ALL = { groups: [], sitemaps: [] };
+
+/** Rules used when robots.txt is unreachable (5xx or network error): nothing is allowed */
+const DISALLOW_ALL = {
+    groups: [{ userAgents: ['*'], rules: [compileRule(false, '/')], crawlDelay: null }],
+    sitemaps: [],
+};
+
+/**
+ * Compiles a robots.txt path pattern into a rule
+ * @param {boolean} allow - Allow or disallow
+ * @param {string} path - Path pattern
+ * @returns {RobotsRule}
+ */
+function compileRule(allow, path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path)
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return { allow, path, pattern: new RegExp(`^${body}${anchored ? '$' : ''}`) };
+}
+
+/**
+ * Parses robots.txt content
+ * @param {string} content - robots.txt body
+ * @returns {ParsedRobots} Parsed groups and sitemaps
+ */
+export function parseRobotsTxt(content) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasUserAgent = false;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasUserAgent) {
+                current = { userAgents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.userAgents.push(value.toLowerCase());
+            lastWasUserAgent = true;
+            continue;
+        }
+
+        lastWasUserAgent = false;
+
+        if (field === 'sitemap') {
+            if (value) {
+                sitemaps.push(value);
+            }
+        } else if (!current) {
+            // Rules before any user-agent line are ignored
+            continue;
+        } else if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) {
+                current.rules.push(compileRule(field === 'allow', value));
+            }
+        } else if (field === 'crawl-delay') {
+            const delay = Number.parseFloat(value);
+            if (Number.isFinite(delay) && delay >= 0) {
+                current.crawlDelay = delay;
+            }
+        }
+    }
+
+    return { groups, sitemaps };
+}
+
+/**
+ * Selects the groups that apply to a user-agent, falling back to '*'
+ * @param {ParsedRobots} robots - Parsed robots.txt
+ * @param {string} userAgent - Crawler user-agent token
+ * @returns {RobotsGroup[]} Matching groups
+ */
+function selectGroups(robots, userAgent) {
+    const token = userAgent.toLowerCase().split('/')[0];
+    const specific = robots.groups.filter((group) => group.userAgents.includes(token));
+    if (specific.length > 0) {
+        return specific;
+    }
+    return robots.groups.filter((group) => group.userAgents.includes('*'));
+}
+
+/**
+ * Checks whether a URL path is allowed. The longest matching rule wins;
+ * on a tie, Allow wins.
+ * @param {ParsedRobots} robots - Parsed robots.txt
+ * @param {string} userAgent - Crawler user-agent token
+ * @param {string} pathAndQuery - URL path including the query string
+ * @returns {boolean} True if allowed
+ */
+export function isPathAllowed(robots, userAgent, pathAndQuery) {
+    let best = null;
+
+    for (const group of selectGroups(robots, userAgent)) {
+        for (const rule of group.rules) {
+            if (!rule.pattern.test(pathAndQuery)) {
+                continue;
+            }
+            if (
+                !best ||
+                rule.path.length > best.path.length ||
+                (rule.path.length === best.path.length && rule.allow)
+            ) {
+                best = rule;
+            }
+        }
+    }
+
+    return best ? best.allow : true;
+}
+
+/**
+ * Gets the Crawl-delay that applies to a user-agent
+ * @param {ParsedRobots} robots - Parsed robots.txt
+ * @param {string} userAgent - Crawler user-agent token
+ * @returns {number|null} Delay in seconds, or null if none is set
+ */
+export function getCrawlDelay(robots, userAgent) {
+    const delays = selectGroups(robots, userAgent)
+        .map((group) => group.crawlDelay)
+        .filter((delay) => delay !== null);
+    return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+/**
+ * Fetches and parses robots.txt for an origin
+ * @param {string} origin - URL origin (protocol + host)
+ * @param {Object} options - Fetch options
+ * @param {string} options.userAgent - User-agent header to send
+ * @param {number} options.fetchTimeoutSecs - Request timeout
+ * @param {typeof fetch} options.fetchFn - Fetch implementation
+ * @returns {Promise<ParsedRobots>} Parsed rules
+ */
+async function fetchRobots(origin, { userAgent, fetchTimeoutSecs, fetchFn }) {
+    try {
+        const response = await fetchFn(`${origin}/robots.txt`, {
+            headers: { 'User-Agent': userAgent },
+            signal: AbortSignal.timeout(fetchTimeoutSecs * 1000),
+        });
+
+        if (response.ok) {
+            return parseRobotsTxt(await response.text());
+        }
+        // A missing robots.txt means no restrictions; a server error means stay away
+        return response.status >= 400 && response.status < 500 ? ALLOW_ALL : DISALLOW_ALL;
+    } catch (error) {
+        console.error(`Failed to fetch robots.txt for ${origin}: ${error.message}`);
+        return DISALLOW_ALL;
+    }
+}
+
+/**
+ * Creates a robots.txt policy that caches rules per origin and paces
+ * requests per host according to Crawl-delay
+ * @param {Object} options - Policy options
+ * @param {string} options.userAgent - User-agent token to match in robots.txt
+ * @param {number} [options.maxCrawlDelaySecs] - Upper bound on an honored Crawl-delay
+ * @param {number} [options.fetchTimeoutSecs] - Timeout for fetching robots.txt
+ * @param {typeof fetch} [options.fetchFn] - Fetch implementation (injectable for tests)
+ * @returns {Object} Robots policy
+ */
+export function createRobotsPolicy({ userAgent, maxCrawlDelaySecs = 30, fetchTimeoutSecs = 10, fetchFn = fetch }) {
+    // Origin -> Promise<ParsedRobots>
+    const pending = new Map();
+    // Origin -> ParsedRobots, once loaded
+    const loaded = new Map();
+    // Host -> timestamp (ms) of the next allowed request
+    const nextSlot = new Map();
+
+    const originOf = (url) => new URL(url).origin;
+
+    const policy = {
+        /**
+         * Loads robots.txt for the origin of a URL (fetched once per origin)
+         * @param {string} url - Any URL on the origin
+         * @returns {Promise<ParsedRobots>}
+         */
+        async load(url) {
+            const origin = originOf(url);
+            if (!pending.has(origin)) {
+                pending.set(
+                    origin,
+                    fetchRobots(origin, { userAgent, fetchTimeoutSecs, fetchFn }).then((robots) => {
+                        loaded.set(origin, robots);
+                        return robots;
+                    })
+                );
+            }
+            return pending.get(origin);
+        },
+
+        /**
+         * Checks a URL against already-loaded rules, without fetching
+         * @param {string} url - URL to check
+         * @returns {boolean|null} Allowed, disallowed, or null if the origin is not loaded yet
+         */
+        isAllowed(url) {
+            const urlObj = new URL(url);
+            const robots = loaded.get(urlObj.origin);
+            if (!robots) {
+                return null;
+            }
+            return isPathAllowed(robots, userAgent, urlObj.pathname + urlObj.search);
+        },
+
+        /**
+         * Checks a URL, loading its origin's rules if needed
+         * @param {string} url - URL to check
+         * @returns {Promise<boolean>} True if allowed
+         */
+        async check(url) {
+            await policy.load(url);
+            return policy.isAllowed(url);
+        },
+
+        /**
+         * Gets the Crawl-delay for a URL's origin from already-loaded rules
+         * @param {string} url - Any URL on the origin
+         * @returns {number|null} Delay in seconds (capped), or null if none
+         */
+        getCrawlDelay(url) {
+            const robots = loaded.get(originOf(url));
+            const delay = robots ? getCrawlDelay(robots, userAgent) : null;
+            return delay === null ? null : Math.min(delay, maxCrawlDelaySecs);
+        },
+
+        /**
+         * Gets the sitemaps declared in an origin's robots.txt
+         * @param {string} url - Any URL on the origin
+         * @returns {Promise<string[]>} Sitemap URLs
+         */
+        async getSitemaps(url) {
+            const robots = await policy.load(url);
+            return robots.sitemaps;
+        },
+
+        /**
+         * Waits until the host of a URL may be requested again under its
+         * Crawl-delay. Concurrent callers are given consecutive slots.
+         * @param {string} url - URL about to be requested
+         * @returns {Promise<void>}
+         */
+        async waitForTurn(url) {
+            const delay = policy.getCrawlDelay(url);
+            if (!delay) {
+                return;
+            }
+
+            const host = new URL(url).host;
+            const now = Date.now();
+            const slot = Math.max(now, nextSlot.get(host) || 0);
+            nextSlot.set(host, slot + delay * 1000);
+
+            if (slot > now) {
+                await new Promise((resolve) => setTimeout(resolve, slot - now));
+            }
+        },
+    };
+
+    return policy;
+}
+
+export default { parseRobotsTxt, isPathAllowed, getCrawlDelay, createRobotsPolicy };
@@ -0,0 +1,149 @@
+import { toCrawlId } from './utils/sanitizer.js';
+import { isCrawlActive } from './crawlRegistry.js';
+import { getJobQueue, isCrawlQueued, queueCrawl } from './jobManager.js';
+import { getNextRunAt, listSchedules, updateSchedule } from './schedules.js';
+
+/**
+ * Crawl Scheduler
+ * Runs the stored schedules from the web server process. Every
+ * schedules.checkIntervalSecs it queues a crawl for each enabled schedule that
+ * is due, the same way POST /api/crawl/start does. A run is skipped when the
+ * university is still being crawled or waiting in the queue. Times missed
+ * while the server was down are caught up with a single run.
+ *
+ * Like the job manager, the scheduler lives on globalThis so it is started
+ * only once per process.
+ */
+
+const SCHEDULER_KEY = Symbol.for('infinize-crawler.scheduler');
+
+/**
+ * Fills in the result of a schedule's latest queued run once its job has finished
+ * @param {import('./schedules.js').Schedule} schedule - Schedule
+ * @param {Map<string, Object>} jobs - Queue jobs by job ID
+ * @returns {import('./schedules.js').ScheduleRun|null} The run with its result, or null if there is none to fill in
+ */
+function findFinishedRun(schedule, jobs) {
+    const run = schedule.runs.find((entry) => entry.outcome === 'queued');
+    if (!run || run.result) {
+        return null;
+    }
+
+    const job = jobs.get(run.jobId);
+    if (job?.state === 'done') {
+        return { ...run, result: job.result };
+    }
+    // Jobs that failed to start, or were running when the server stopped, have no result
+    if (job?.state === 'failed') {
+        return { ...run, result: job.result ?? 'failed' };
+    }
+    return null;
+}
+
+/**
+ * Queues the crawl for a due schedule, or records why it was skipped
+ * @param {Object} config - Server configuration
+ * @param {import('./schedules.js').Schedule} schedule - Schedule
+ * @returns {Promise<import('./schedules.js').ScheduleRun>} Run record
+ */
+async function startRun(config, schedule) {
+    const run = { at: schedule.nextRunAt, outcome: 'queued', jobId: null, reason: null, result: null };
+    const crawlId = toCrawlId(schedule.universityName);
+
+    if (isCrawlActive(crawlId) || isCrawlQueued(crawlId)) {
+        return { ...run, outcome: 'skipped', reason: 'The previous crawl of this university is still in progress' };
+    }
+
+    try {
+        const { job } = await queueCrawl({
+            config,
+            seedUrl: schedule.seedUrl,
+            universityName: schedule.universityName,
+            overrides: schedule.settings,
+            priority: schedule.priority,
+            startedBy: { name: schedule.createdBy ?? 'unknown', via: 'schedule', scheduleId: schedule.scheduleId },
+        });
+        console.log(`Schedule ${schedule.scheduleId} queued crawl of ${schedule.universityName}`);
+        return { ...run, jobId: job.jobId };
+    } catch (error) {
+        console.error(`Failed to run schedule ${schedule.scheduleId}: ${error.message}`);
+        return { ...run, outcome: 'failed', reason: error.message };
+    }
+}
+
+/**
+ * Runs the schedules that are due and records the results of earlier runs
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @param {Date} [options.now] - Time of the check (defaults to now)
+ * @returns {Promise<import('./schedules.js').ScheduleRun[]>} Runs started by this check
+ */
+export async function runDueSchedules({ config, now = new Date() }) {
+    const { baseDir } = config.output;
+    const { keepRuns } = config.schedules;
+    const schedules = await listSchedules(baseDir);
+    const { jobs } = await getJobQueue({ config });
+    const jobsById = new Map(jobs.map((job) => [job.jobId, job]));
+    const started = [];
+
+    for (const schedule of schedules) {
+        const finished = findFinishedRun(schedule, jobsById);
+        if (finished) {
+            await updateSchedule(baseDir, schedule.scheduleId, (stored) => {
+                const run = stored.runs.find((entry) => entry.jobId === finished.jobId);
+                if (run) run.result = finished.result;
+            });
+        }
+
+        if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+        const run = await startRun(config, schedule);
+        started.push(run);
+
+        // Read back under the write lock; the schedule may have been paused or deleted meanwhile
+        await updateSchedule(baseDir, schedule.scheduleId, (stored) => {
+            stored.runs = [run, ...stored.runs].slice(0, keepRuns);
+            stored.lastRunAt = now.toISOString();
+            if (stored.enabled) {
+                stored.nextRunAt = getNextRunAt(stored, now);
+            }
+        });
+    }
+
+    return started;
+}
+
+/**
+ * Starts checking the schedules every schedules.checkIntervalSecs; call once at startup.
+ * Later calls do nothing.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @returns {boolean} True if the scheduler was started by this call
+ */
+export function startScheduler({ config }) {
+    if (globalThis[SCHEDULER_KEY]) {
+        return false;
+    }
+
+    // A check that is still running when the next one is due makes that one do nothing
+    let checking = false;
+    const check = async () => {
+        if (checking) return;
+        checking = true;
+        try {
+            await runDueSchedules({ config });
+        } catch (error) {
+            console.error(`Failed to run schedules: ${error.message}`);
+        } finally {
+            checking = false;
+        }
+    };
+
+    const timer = setInterval(check, config.schedules.checkIntervalSecs * 1000);
+    timer.unref?.();
+    globalThis[SCHEDULER_KEY] = { timer };
+    check();
+    return true;
+}
+
+export default { runDueSchedules, startScheduler };
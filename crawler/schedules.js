@@ -0,0 +1,327 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { readJsonFile, writeJsonFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { getNextCronTime, parseCron } from './utils/cron.js';
+import { ConfigError, resolveCrawlConfig } from './config.js';
+
+/**
+ * Crawl Schedules
+ * Stores recurring crawl definitions as one JSON file each under
+ * <baseDir>/_schedules. A schedule runs on a cron expression or every so many
+ * minutes, and keeps the history of its recent runs. The scheduler
+ * (scheduler.js) decides when they run.
+ *
+ * Writes go through a process-wide chain kept on globalThis, so the scheduler
+ * and the API routes never overwrite each other's changes.
+ */
+
+const SCHEDULES_KEY = Symbol.for('infinize-crawler.schedules');
+
+// Starts with an underscore, which crawl IDs never contain, so it cannot clash with a crawl directory
+const SCHEDULES_DIR = '_schedules';
+
+// Per-crawl settings a schedule can carry, as accepted by POST /api/crawl/start
+const SETTING_KEYS = ['outputFormats', 'discoveryMode', 'scope', 'stripParams', 'includeDocuments', 'incremental'];
+
+/**
+ * @typedef {Object} ScheduleRun
+ * @property {string} at - ISO timestamp the run was due
+ * @property {'queued'|'skipped'|'failed'} outcome - Whether a crawl was queued
+ * @property {string|null} jobId - Job of the queued crawl
+ * @property {string|null} reason - Why the run was skipped or failed
+ * @property {'completed'|'cancelled'|'failed'|'crashed'|null} result - Final status of the queued crawl, once known
+ */
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} scheduleId - Schedule ID
+ * @property {string} universityName - University name
+ * @property {string} seedUrl - Starting URL
+ * @property {string|null} cron - Cron expression (exclusive with intervalMins)
+ * @property {number|null} intervalMins - Minutes between runs (exclusive with cron)
+ * @property {Object} settings - Per-crawl settings (outputFormats, discoveryMode, scope, stripParams,
+ *   includeDocuments, incremental)
+ * @property {number} priority - Queue priority of the crawls
+ * @property {boolean} enabled - Whether the schedule runs; false while paused
+ * @property {string|null} createdBy - User or API token that created the schedule; its crawls are
+ *   audit-logged as started by the schedule on their behalf
+ * @property {string} createdAt - ISO timestamp the schedule was created
+ * @property {string} updatedAt - ISO timestamp of the last change
+ * @property {string|null} lastRunAt - ISO timestamp of the last run
+ * @property {string|null} nextRunAt - ISO timestamp of the next run (null while paused or when a cron
+ *   expression never matches again)
+ * @property {ScheduleRun[]} runs - Recent runs, most recent first
+ */
+
+/**
+ * Gets the process-wide write chain
+ * @returns {{ writing: Promise<void> }}
+ */
+function getState() {
+    if (!globalThis[SCHEDULES_KEY]) {
+        globalThis[SCHEDULES_KEY] = { writing: Promise.resolve() };
+    }
+    return globalThis[SCHEDULES_KEY];
+}
+
+/**
+ * Runs a read-modify-write of schedule files after the ones already started
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Result of the task
+ */
+function withWriteLock(task) {
+    const state = getState();
+    const result = state.writing.then(task);
+    state.writing = result.then(
+        () => {},
+        () => {}
+    );
+    return result;
+}
+
+/**
+ * Gets the directory holding the schedule files
+ * @param {string} baseDir - Base output directory
+ * @returns {string} Full directory path
+ */
+export function getSchedulesDir(baseDir) {
+    return path.join(baseDir, SCHEDULES_DIR);
+}
+
+/**
+ * Gets the path of a schedule file
+ * @param {string} baseDir - Base output directory
+ * @param {string} scheduleId - Schedule ID
+ * @returns {string} Full path to the schedule's JSON file
+ */
+function getScheduleFilePath(baseDir, scheduleId) {
+    return path.join(getSchedulesDir(baseDir), `${scheduleId}.json`);
+}
+
+/**
+ * Checks that a schedule ID is safe to use as a file name
+ * @param {string} scheduleId - Schedule ID
+ * @returns {boolean}
+ */
+export function isValidScheduleId(scheduleId) {
+    return typeof scheduleId === 'string' && /^[a-z0-9-]+$/.test(scheduleId);
+}
+
+/**
+ * Works out when a schedule runs next
+ * @param {Pick<Schedule, 'cron'|'intervalMins'>} schedule - Schedule
+ * @param {Date} after - Time of the last run, or the time the schedule was created or resumed
+ * @returns {string|null} ISO timestamp, or null if the cron expression never matches again
+ */
+export function getNextRunAt(schedule, after) {
+    if (schedule.cron) {
+        return getNextCronTime(schedule.cron, after)?.toISOString() ?? null;
+    }
+    return new Date(after.getTime() + schedule.intervalMins * 60 * 1000).toISOString();
+}
+
+/**
+ * Validates a new schedule. The per-crawl settings are checked by layering
+ * them onto the configuration, as a crawl started from them would be.
+ * @param {Object} options - Options object
+ * @param {Object} options.config - Server configuration
+ * @param {Object} options.input - Schedule fields (seedUrl, universityName, cron or intervalMins,
+ *   and optional settings and priority)
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateSchedule({ config, input }) {
+    const { seedUrl, universityName, cron, intervalMins, settings, priority } = input;
+    const errors = [];
+
+    let url = null;
+    try {
+        url = new URL(seedUrl);
+    } catch {
+        // Reported below
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        errors.push('seedUrl must be an http or https URL');
+    }
+    if (typeof universityName !== 'string' || !toCrawlId(universityName)) {
+        errors.push('universityName is required');
+    }
+
+    const hasCron = cron !== undefined && cron !== null;
+    const hasInterval = intervalMins !== undefined && intervalMins !== null;
+    if (hasCron === hasInterval) {
+        errors.push('Exactly one of cron or intervalMins is required');
+    } else if (hasCron) {
+        try {
+            if (typeof cron !== 'string') throw new Error('cron must be a string');
+            if (!getNextCronTime(parseCron(cron))) throw new Error(`Cron expression never matches: ${cron}`);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    } else if (!Number.isInteger(intervalMins) || intervalMins < 1) {
+        errors.push('intervalMins must be a whole number of minutes, at least 1');
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+        errors.push('priority must be an integer');
+    }
+
+    if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+        errors.push('settings must be an object');
+    } else if (settings) {
+        const unknown = Object.keys(settings).filter((key) => !SETTING_KEYS.includes(key));
+        if (unknown.length > 0) {
+            errors.push(`Unknown settings: ${unknown.join(', ')}`);
+        }
+        try {
+            resolveCrawlConfig(config, settings);
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            errors.push(...error.errors);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Lists the stored schedules
+ * @param {string} baseDir - Base output directory
+ * @returns {Promise<Schedule[]>} Schedules, by university name
+ */
+export async function listSchedules(baseDir) {
+    const dir = getSchedulesDir(baseDir);
+    const entries = await fs.readdir(dir).catch(() => []);
+    const schedules = [];
+
+    for (const entry of entries) {
+        if (!entry.endsWith('.json')) continue;
+        const schedule = await readJsonFile(path.join(dir, entry));
+        if (schedule?.scheduleId) {
+            schedules.push(schedule);
+        }
+    }
+
+    return schedules.sort(
+        (a, b) => a.universityName.localeCompare(b.universityName) || a.createdAt.localeCompare(b.createdAt)
+    );
+}
+
+/**
+ * Reads a schedule
+ * @param {string} baseDir - Base output directory
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Schedule|null>} Schedule, or null if it does not exist
+ */
+export async function readSchedule(baseDir, scheduleId) {
+    if (!isValidScheduleId(scheduleId)) {
+        return null;
+    }
+    return readJsonFile(getScheduleFilePath(baseDir, scheduleId));
+}
+
+/**
+ * Creates a schedule from validated input (see validateSchedule)
+ * @param {string} baseDir - Base output directory
+ * @param {Object} input - Schedule fields
+ * @param {string} createdBy - User or API token creating the schedule
+ * @returns {Promise<Schedule>} Created schedule
+ */
+export async function createSchedule(baseDir, input, createdBy) {
+    const now = new Date();
+    const schedule = {
+        scheduleId: `${toCrawlId(input.universityName)}-${randomUUID().slice(0, 8)}`,
+        universityName: input.universityName,
+        seedUrl: input.seedUrl,
+        cron: input.cron ?? null,
+        intervalMins: input.intervalMins ?? null,
+        settings: input.settings ?? {},
+        priority: input.priority ?? 0,
+        enabled: input.enabled ?? true,
+        createdBy,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        lastRunAt: null,
+        nextRunAt: null,
+        runs: [],
+    };
+    if (schedule.enabled) {
+        schedule.nextRunAt = getNextRunAt(schedule, now);
+    }
+
+    await withWriteLock(() => writeJsonFile(getScheduleFilePath(baseDir, schedule.scheduleId), schedule));
+    return schedule;
+}
+
+/**
+ * Changes a stored schedule
+ * @param {string} baseDir - Base output directory
+ * @param {string} scheduleId - Schedule ID
+ * @param {(schedule: Schedule) => void} update - Changes the schedule in place
+ * @returns {Promise<Schedule|null>} Updated schedule, or null if it does not exist
+ */
+export function updateSchedule(baseDir, scheduleId, update) {
+    return withWriteLock(async () => {
+        const schedule = await readSchedule(baseDir, scheduleId);
+        if (!schedule) {
+            return null;
+        }
+
+        update(schedule);
+        schedule.updatedAt = new Date().toISOString();
+        await writeJsonFile(getScheduleFilePath(baseDir, scheduleId), schedule);
+        return schedule;
+    });
+}
+
+/**
+ * Pauses or resumes a schedule. A resumed schedule next runs one interval (or
+ * the next cron match) from now, not at the times it missed while paused.
+ * @param {string} baseDir - Base output directory
+ * @param {string} scheduleId - Schedule ID
+ * @param {boolean} enabled - Whether the schedule runs
+ * @returns {Promise<Schedule|null>} Updated schedule, or null if it does not exist
+ */
+export function setScheduleEnabled(baseDir, scheduleId, enabled) {
+    return updateSchedule(baseDir, scheduleId, (schedule) => {
+        if (schedule.enabled === enabled) return;
+        schedule.enabled = enabled;
+        schedule.nextRunAt = enabled ? getNextRunAt(schedule, new Date()) : null;
+    });
+}
+
+/**
+ * Deletes a schedule. Crawls it already queued are not affected.
+ * @param {string} baseDir - Base output directory
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<boolean>} True if deleted, false if it did not exist
+ */
+export function deleteSchedule(baseDir, scheduleId) {
+    if (!isValidScheduleId(scheduleId)) {
+        return Promise.resolve(false);
+    }
+
+    return withWriteLock(async () => {
+        try {
+            await fs.unlink(getScheduleFilePath(baseDir, scheduleId));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    });
+}
+
+export default {
+    getSchedulesDir,
+    isValidScheduleId,
+    getNextRunAt,
+    validateSchedule,
+    listSchedules,
+    readSchedule,
+    createSchedule,
+    updateSchedule,
+    setScheduleEnabled,
+    deleteSchedule,
+};
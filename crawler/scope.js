@@ -0,0 +1,219 @@
+/**
+ * Crawl Scope
+ * Decides which URLs belong to a crawl: include/exclude patterns, allowed
+ * subdomains and maximum link depth. Page and time limits are applied by
+ * the crawler itself (see runCrawler).
+ */
+
+/**
+ * @typedef {Object} ScopeOptions
+ * @property {number|null} maxDepth - Maximum link depth from the seed (seed is 0)
+ * @property {number|null} maxPages - Maximum pages to crawl
+ * @property {number|null} timeBudgetMins - Wall-clock budget in minutes
+ * @property {Array<string|RegExp>} includePatterns - URLs must match one of these (if any are given)
+ * @property {Array<string|RegExp>} excludePatterns - URLs matching any of these are skipped
+ * @property {string[]|null} allowedSubdomains - Extra hosts beside the seed host; null allows every subdomain
+ */
+
+// Marks a pattern string as a regular expression literal, re:/source/flags
+const REGEX_PREFIX = 're:';
+
+// Flags a regex pattern may use; g and y would make repeated tests stateful
+const REGEX_LITERAL = /^\/(.+)\/([dimsu]*)$/;
+
+/**
+ * Converts a glob to a regular expression. ** matches across path
+ * segments, * within one segment and ? a single character. A trailing
+ * /** also matches the bare prefix, so /admissions/** covers /admissions.
+ * @param {string} glob - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function globToRegexSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '/' && glob.slice(i + 1) === '**') {
+            source += '(?:/.*)?';
+            break;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '.';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Compiles a scope pattern into a matcher.
+ * - RegExp objects and "re:/source/flags" strings are tested against the full URL
+ * - Globs starting with "/" are matched against the URL path and query
+ * - Other globs are matched against the full URL
+ * @param {string|RegExp} pattern - Pattern to compile
+ * @returns {(url: URL) => boolean} Matcher
+ * @throws {Error} If a regex string is invalid
+ */
+export function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return (url) => pattern.test(url.href);
+    }
+
+    if (pattern.startsWith(REGEX_PREFIX)) {
+        const regexMatch = pattern.slice(REGEX_PREFIX.length).match(REGEX_LITERAL);
+        if (!regexMatch) {
+            throw new Error('Regex patterns are written re:/source/flags, with flags from d, i, m, s and u');
+        }
+        const regex = new RegExp(regexMatch[1], regexMatch[2]);
+        return (url) => regex.test(url.href);
+    }
+
+    const regex = new RegExp(`^${globToRegexSource(pattern)}$`, 'i');
+    if (pattern.startsWith('/')) {
+        return (url) => regex.test(url.pathname) || regex.test(url.pathname + url.search);
+    }
+    return (url) => regex.test(url.href);
+}
+
+/**
+ * Writes a RegExp as a pattern string that compilePattern() reads back
+ * @param {RegExp} regex - Regular expression
+ * @returns {string} "re:/source/flags" string
+ */
+export function toPatternString(regex) {
+    return `${REGEX_PREFIX}/${regex.source}/${regex.flags.replace(/[gy]/g, '')}`;
+}
+
+/**
+ * Validates scope options supplied with a crawl request
+ * @param {*} scope - Scope options to validate
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateScopeOptions(scope) {
+    if (scope === undefined || scope === null) {
+        return [];
+    }
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+        return ['scope must be an object'];
+    }
+
+    const errors = [];
+
+    for (const field of ['maxDepth', 'maxPages', 'timeBudgetMins']) {
+        const value = scope[field];
+        if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= (field === 'maxDepth' ? 0 : 1))) {
+            errors.push(`scope.${field} must be a ${field === 'maxDepth' ? 'non-negative' : 'positive'} integer`);
+        }
+    }
+
+    for (const field of ['includePatterns', 'excludePatterns', 'allowedSubdomains']) {
+        const value = scope[field];
+        if (value === undefined || value === null) continue;
+
+        if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || !item.trim())) {
+            errors.push(`scope.${field} must be a list of non-empty strings`);
+            continue;
+        }
+        if (field !== 'allowedSubdomains') {
+            for (const pattern of value) {
+                try {
+                    compilePattern(pattern);
+                } catch (error) {
+                    errors.push(`scope.${field} has an invalid pattern "${pattern}": ${error.message}`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Merges per-crawl scope overrides onto the configured scope. Request
+ * exclude patterns are added to the configured ones rather than replacing them.
+ * @param {ScopeOptions} baseScope - Configured scope
+ * @param {Partial<ScopeOptions>} [overrides] - Per-crawl overrides
+ * @returns {ScopeOptions} Effective scope
+ */
+export function mergeScope(baseScope, overrides = {}) {
+    const defined = Object.fromEntries(
+        Object.entries(overrides || {}).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    return {
+        ...baseScope,
+        ...defined,
+        excludePatterns: [...baseScope.excludePatterns, ...(defined.excludePatterns || [])],
+    };
+}
+
+/**
+ * Creates the scope checker for a crawl
+ * @param {Object} options - Options object
+ * @param {string} options.seedUrl - The starting URL
+ * @param {ScopeOptions} options.scope - Effective scope
+ * @returns {{ check: (url: string, depth?: number) => string|null }} Scope checker
+ */
+export function createScope({ seedUrl, scope }) {
+    const seedHost = new URL(seedUrl).hostname.toLowerCase();
+    const rootDomain = seedHost.replace(/^www\./, '');
+    const includes = scope.includePatterns.map(compilePattern);
+    const excludes = scope.excludePatterns.map(compilePattern);
+
+    // Subdomain labels are expanded against the seed's root domain
+    const allowedHosts = scope.allowedSubdomains
+        ? new Set([
+              seedHost,
+              rootDomain,
+              ...scope.allowedSubdomains.map((entry) => {
+                  const host = entry.toLowerCase();
+                  return host.includes('.') ? host : `${host}.${rootDomain}`;
+              }),
+          ])
+        : null;
+
+    return {
+        /**
+         * Checks whether a URL is in scope
+         * @param {string} url - Candidate URL
+         * @param {number} [depth] - Link depth the URL would be crawled at
+         * @returns {string|null} Reason the URL is out of scope ('invalid-url', 'external',
+         *   'subdomain', 'max-depth', 'excluded' or 'not-included'), or null if in scope
+         */
+        check(url, depth = 0) {
+            let urlObj;
+            try {
+                urlObj = new URL(url);
+            } catch {
+                return 'invalid-url';
+            }
+
+            if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+                return 'invalid-url';
+            }
+            const host = urlObj.hostname.toLowerCase();
+            if (host !== rootDomain && !host.endsWith(`.${rootDomain}`)) {
+                return 'external';
+            }
+            if (allowedHosts && !allowedHosts.has(host)) {
+                return 'subdomain';
+            }
+            if (scope.maxDepth !== null && depth > scope.maxDepth) {
+                return 'max-depth';
+            }
+            if (excludes.some((matches) => matches(urlObj))) {
+                return 'excluded';
+            }
+            if (includes.length > 0 && !includes.some((matches) => matches(urlObj))) {
+                return 'not-included';
+            }
+            return null;
+        },
+    };
+}
+
+export default { compilePattern, toPatternString, validateScopeOptions, mergeScope, createScope };
@@ -1,12 +1,24 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { ensureDirectory } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+import { describeDocument } from './pageRecord.js';
+import { truncateMarkdown, nestHeadings } from './utils/markdown.js';
 
 /**
  * Single File Markdown Formatter
  * Consolidates all crawled pages into a single markdown file per university
  */
 
+// The header ends with this marker so it can be found and replaced on every finalization
+const HEADER_END = '<!-- END HEADER -->';
+
+// The header at the start of the file: the current one, the placeholder written by earlier
+// versions before finalization, or a header they finalized (which has no end marker)
+const HEADER_PATTERN = new RegExp(
+    `^(?:[\\s\\S]*?${HEADER_END}\\n\\n|<!-- TEMP_HEADER:.*?-->\\n\\n|# .*\\n\\n\\*\\*Seed URL:\\*\\*[\\s\\S]*?\\n---\\n\\n)`
+);
+
 /**
  * Gets the single file output path for a university
  * @param {string} baseDir - Base output directory
@@ -14,7 +26,7 @@ import { ensureDirectory } from './utils/fileWriter.js';
  * @returns {string} Full path to the output file
  */
 export function getSingleFilePath(baseDir, universityName) {
-    const sanitized = universityName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    const sanitized = toCrawlId(universityName);
     return path.join(baseDir, sanitized, `${sanitized}.md`);
 }
 
@@ -32,10 +44,10 @@ export async function initSingleFile({ baseDir, universityName, seedUrl }) {
 
     await ensureDirectory(dirPath);
 
-    // Create file with temporary header (will be replaced during finalization)
-    const tempHeader = `<!-- TEMP_HEADER: This will be replaced with final stats -->\n\n`;
+    // Start with a header for an empty crawl; finalization replaces it with the final stats
+    const header = createHeader({ universityName, seedUrl, pagesProcessed: 0, generatedAt: new Date().toISOString() });
 
-    await fs.writeFile(filePath, tempHeader, 'utf8');
+    await fs.writeFile(filePath, header, 'utf8');
     return filePath;
 }
 
@@ -44,25 +56,31 @@ export async function initSingleFile({ baseDir, universityName, seedUrl }) {
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
- * @param {Object} options.pageData - Page data to append
+ * @param {import('./pageRecord.js').PageRecord} options.pageData - Page record to append
+ * @param {{ maxContentChars: number|null, truncateAt: string }} options.settings - Content truncation
+ *   settings (config.markdown)
  * @returns {Promise<void>}
  */
-export async function appendToSingleFile({ baseDir, universityName, pageData }) {
+export async function appendToSingleFile({ baseDir, universityName, pageData, settings }) {
     const filePath = getSingleFilePath(baseDir, universityName);
 
     // Format the page content
-    const pageSection = formatPageSection(pageData);
+    const pageSection = formatPageSection(pageData, settings);
 
     // Append to file
     await fs.appendFile(filePath, pageSection, 'utf8');
 }
 
 /**
- * Formats a single page as a markdown section
- * @param {Object} pageData - Page data
+ * Formats a single page as a markdown section. The page's Markdown content is
+ * written with its headings nested under the page heading; records without
+ * Markdown (documents, pages from older crawls) get a heading outline and
+ * their plain text.
+ * @param {import('./pageRecord.js').PageRecord} pageData - Page record
+ * @param {{ maxContentChars: number|null, truncateAt: string }} settings - Content truncation settings
  * @returns {string} Formatted markdown section
  */
-function formatPageSection(pageData) {
+function formatPageSection(pageData, { maxContentChars, truncateAt }) {
     const lines = [];
 
     // Page header
@@ -72,6 +90,9 @@ function formatPageSection(pageData) {
     lines.push('');
     lines.push(`**URL:** ${pageData.url}`);
     lines.push(`**Crawled:** ${pageData.crawledAt}`);
+    if (pageData.documentType) {
+        lines.push(`**Document:** ${describeDocument(pageData)}`);
+    }
     lines.push('');
 
     // Meta description if available
@@ -80,8 +101,8 @@ function formatPageSection(pageData) {
         lines.push('');
     }
 
-    // Headings
-    if (pageData.headings && pageData.headings.length > 0) {
+    // Heading outline, for content without headings of its own
+    if (!pageData.mainContentMarkdown && pageData.headings && pageData.headings.length > 0) {
         lines.push('### Headings');
         lines.push('');
         for (const heading of pageData.headings.slice(0, 10)) {
@@ -94,16 +115,23 @@ function formatPageSection(pageData) {
         lines.push('');
     }
 
-    // Main content
-    if (pageData.mainContent) {
-        lines.push('### Content');
-        lines.push('');
-        // Limit content length to prevent huge files
-        const content = pageData.mainContent.substring(0, 5000);
-        lines.push(content);
-        if (pageData.mainContent.length > 5000) {
+    // Main content, limited to keep the file manageable
+    const content = pageData.mainContentMarkdown
+        ? nestHeadings(pageData.mainContentMarkdown, 2)
+        : pageData.mainContent;
+    if (content) {
+        if (!pageData.mainContentMarkdown) {
+            lines.push('### Content');
             lines.push('');
-            lines.push('*[Content truncated...]*');
+        }
+        const { markdown, truncated } = truncateMarkdown(content, {
+            maxChars: maxContentChars,
+            boundary: truncateAt,
+        });
+        lines.push(markdown);
+        if (truncated) {
+            lines.push('');
+            lines.push(`*[Content truncated: ${markdown.length} of ${content.length} characters shown]*`);
         }
         lines.push('');
     }
@@ -130,7 +158,9 @@ function formatPageSection(pageData) {
 }
 
 /**
- * Finalizes the single file by prepending a header with stats
+ * Finalizes the single file by writing a header with stats. The header is
+ * regenerated on every call, so a re-finalized crawl (after retrying failed
+ * pages or resuming) shows its current stats.
  * @param {Object} options - Options object
  * @param {string} options.baseDir - Base output directory
  * @param {string} options.universityName - University name
@@ -153,8 +183,8 @@ export async function finalizeSingleFile({ baseDir, universityName, pagesProcess
             generatedAt: new Date().toISOString(),
         });
 
-        // Replace temp header with final header
-        content = content.replace(/<!-- TEMP_HEADER:.*?-->\n\n/s, header);
+        // Replace the existing header, or add one if the file has none
+        content = HEADER_PATTERN.test(content) ? content.replace(HEADER_PATTERN, () => header) : header + content;
 
         // Write back
         await fs.writeFile(filePath, content, 'utf8');
@@ -179,6 +209,9 @@ function createHeader({ universityName, seedUrl, pagesProcessed, generatedAt })
     lines.push('');
     lines.push('---');
     lines.push('');
+    lines.push(HEADER_END);
+    lines.push('');
+    lines.push('');
 
     return lines.join('\n');
 }
@@ -0,0 +1,217 @@
+import zlib from 'zlib';
+
+/**
+ * Sitemap Module
+ * Discovers sitemaps from robots.txt and the standard locations, expands
+ * sitemap indexes and gzip sitemaps, and orders the listed URLs for seeding
+ */
+
+/** Sitemap locations tried when robots.txt declares none */
+const STANDARD_LOCATIONS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+/** Priority assumed for entries without one (sitemaps.org default) */
+const DEFAULT_PRIORITY = 0.5;
+
+/** Largest sitemap allowed by sitemaps.org, uncompressed */
+const DEFAULT_MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc - URL listed in the sitemap
+ * @property {string|null} lastmod - Last modification date as written in the sitemap
+ * @property {number} priority - Priority from 0.0 to 1.0
+ */
+
+/**
+ * Decodes XML entities and unwraps CDATA in element text
+ * @param {string} text - Raw element text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+    return text
+        .replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Reads the text of a child element (namespace prefixes are ignored)
+ * @param {string} block - XML of the parent element
+ * @param {string} tag - Child tag name
+ * @returns {string|null} Decoded text or null if absent
+ */
+function readTag(block, tag) {
+    const match = block.match(new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+    return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Parses a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {{ type: 'index'|'urlset', entries: SitemapEntry[] }} Parsed sitemap
+ */
+export function parseSitemap(xml) {
+    const isIndex = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml);
+    const blockTag = isIndex ? 'sitemap' : 'url';
+    const blockPattern = new RegExp(`<(?:\\w+:)?${blockTag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${blockTag}>`, 'gi');
+
+    const entries = [];
+    for (const [, block] of xml.matchAll(blockPattern)) {
+        const loc = readTag(block, 'loc');
+        if (!loc) continue;
+
+        const priority = Number.parseFloat(readTag(block, 'priority') ?? '');
+        entries.push({
+            loc,
+            lastmod: readTag(block, 'lastmod'),
+            priority: Number.isFinite(priority) ? priority : DEFAULT_PRIORITY,
+        });
+    }
+
+    return { type: isIndex ? 'index' : 'urlset', entries };
+}
+
+/**
+ * Orders sitemap entries for crawling: highest priority first, then most
+ * recently modified
+ * @param {SitemapEntry[]} entries - Sitemap entries
+ * @returns {SitemapEntry[]} Sorted copy
+ */
+export function orderSitemapEntries(entries) {
+    const time = (entry) => {
+        const parsed = entry.lastmod ? Date.parse(entry.lastmod) : NaN;
+        return Number.isNaN(parsed) ? 0 : parsed;
+    };
+
+    return [...entries].sort((a, b) => b.priority - a.priority || time(b) - time(a));
+}
+
+/**
+ * Reads a response body, giving up once it exceeds a size
+ * @param {Response} response - Response
+ * @param {number} maxBytes - Largest body read
+ * @returns {Promise<Buffer|null>} Body, or null if it is larger than maxBytes
+ */
+async function readLimitedBody(response, maxBytes) {
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+        await response.body?.cancel();
+        return null;
+    }
+
+    const chunks = [];
+    let byteSize = 0;
+    for await (const chunk of response.body ?? []) {
+        byteSize += chunk.length;
+        // Leaving the loop cancels the rest of the body
+        if (byteSize > maxBytes) {
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Fetches a sitemap, transparently gunzipping compressed ones
+ * @param {string} url - Sitemap URL
+ * @param {Object} options - Fetch options
+ * @param {string} options.userAgent - User-agent header to send
+ * @param {number} options.fetchTimeoutSecs - Request timeout
+ * @param {number} options.maxBytes - Largest sitemap read, compressed or not
+ * @param {typeof fetch} options.fetchFn - Fetch implementation
+ * @returns {Promise<string|null>} Sitemap XML, or null if unavailable or too large
+ */
+async function fetchSitemap(url, { userAgent, fetchTimeoutSecs, maxBytes, fetchFn }) {
+    try {
+        const response = await fetchFn(url, {
+            headers: { 'User-Agent': userAgent },
+            signal: AbortSignal.timeout(fetchTimeoutSecs * 1000),
+        });
+        if (!response.ok) {
+            await response.body?.cancel();
+            return null;
+        }
+
+        const body = await readLimitedBody(response, maxBytes);
+        if (!body) {
+            console.error(`Skipped sitemap ${url}: larger than ${maxBytes} bytes`);
+            return null;
+        }
+
+        // Detect gzip by its magic bytes; servers label .xml.gz inconsistently.
+        // maxOutputLength stops archives that expand far beyond their size.
+        if (body[0] === 0x1f && body[1] === 0x8b) {
+            return zlib.gunzipSync(body, { maxOutputLength: maxBytes }).toString('utf8');
+        }
+        return body.toString('utf8');
+    } catch (error) {
+        console.error(`Failed to fetch sitemap ${url}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Discovers and expands the sitemaps of a site
+ * @param {string} seedUrl - Starting URL of the crawl
+ * @param {Object} options - Discovery options
+ * @param {Object} [options.robots] - Robots policy, for Sitemap: declarations
+ * @param {string} options.userAgent - User-agent header to send
+ * @param {number} [options.maxSitemaps] - Maximum sitemap files to fetch
+ * @param {number} [options.maxUrls] - Maximum URLs to collect
+ * @param {number} [options.fetchTimeoutSecs] - Timeout per sitemap fetch
+ * @param {number} [options.maxSitemapBytes] - Largest sitemap read, before and after gunzipping
+ * @param {typeof fetch} [options.fetchFn] - Fetch implementation (injectable for tests)
+ * @returns {Promise<SitemapEntry[]>} Page entries, ordered for crawling
+ */
+export async function discoverSitemapUrls(seedUrl, {
+    robots,
+    userAgent,
+    maxSitemaps = 50,
+    maxUrls = 10000,
+    fetchTimeoutSecs = 15,
+    maxSitemapBytes = DEFAULT_MAX_SITEMAP_BYTES,
+    fetchFn = fetch,
+}) {
+    const origin = new URL(seedUrl).origin;
+    const declared = robots ? await robots.getSitemaps(seedUrl) : [];
+    const queue = declared.length > 0 ? [...declared] : STANDARD_LOCATIONS.map((location) => origin + location);
+
+    const visited = new Set();
+    const pages = new Map();
+
+    while (queue.length > 0 && visited.size < maxSitemaps && pages.size < maxUrls) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        const xml = await fetchSitemap(sitemapUrl, {
+            userAgent,
+            fetchTimeoutSecs,
+            maxBytes: maxSitemapBytes,
+            fetchFn,
+        });
+        if (!xml) continue;
+
+        const { type, entries } = parseSitemap(xml);
+        if (type === 'index') {
+            queue.push(...entries.map((entry) => entry.loc));
+            continue;
+        }
+
+        for (const entry of entries) {
+            if (pages.size >= maxUrls) break;
+            if (!pages.has(entry.loc)) {
+                pages.set(entry.loc, entry);
+            }
+        }
+    }
+
+    console.log(`Sitemaps: ${visited.size} fetched, ${pages.size} URLs found`);
+    return orderSitemapEntries([...pages.values()]);
+}
+
+export default { parseSitemap, orderSitemapEntries, discoverSitemapUrls };
@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { appendToFile } from './utils/fileWriter.js';
+import { toCrawlId } from './utils/sanitizer.js';
+
+/**
+ * Skip Log
+ * Records URLs the crawler deliberately did not fetch (robots.txt, scope and
+ * similar policies) in skipped.jsonl and keeps per-reason counts for progress
+ */
+
+/**
+ * Gets the skip log path for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to skipped.jsonl
+ */
+export function getSkipLogPath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'skipped.jsonl');
+}
+
+/**
+ * Opens the skip log for a crawl
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {boolean} [options.resume] - Keep and count entries from an interrupted run
+ * @returns {Promise<{ record: Function, summary: Function, flush: Function }>} Skip log
+ */
+export async function openSkipLog({ baseDir, universityName, resume = false }) {
+    const filePath = getSkipLogPath(baseDir, universityName);
+    const skippedUrls = new Set();
+    const byReason = {};
+
+    if (resume) {
+        const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+        for (const line of content.split('\n')) {
+            if (!line) continue;
+            const { url, reason } = JSON.parse(line);
+            skippedUrls.add(url);
+            byReason[reason] = (byReason[reason] || 0) + 1;
+        }
+    } else {
+        await fs.rm(filePath, { force: true });
+    }
+
+    // Appends are chained so entries land in order even though record() is synchronous
+    let pendingWrite = Promise.resolve();
+
+    return {
+        /**
+         * Records a skipped URL; repeat skips of the same URL are ignored
+         * @param {string} url - Skipped URL
+         * @param {string} reason - Why it was skipped (e.g. 'robots')
+         * @returns {void}
+         */
+        record(url, reason) {
+            if (skippedUrls.has(url)) {
+                return;
+            }
+            skippedUrls.add(url);
+            byReason[reason] = (byReason[reason] || 0) + 1;
+
+            const line = JSON.stringify({ url, reason, skippedAt: new Date().toISOString() }) + '\n';
+            pendingWrite = pendingWrite
+                .then(() => appendToFile(filePath, line))
+                .catch((error) => console.error(`Failed to record skipped URL: ${error.message}`));
+        },
+
+        /**
+         * Gets skip counts for progress.json
+         * @returns {import('./progressWriter.js').SkippedSummary}
+         */
+        summary() {
+            return { total: skippedUrls.size, byReason: { ...byReason } };
+        },
+
+        /**
+         * Waits for pending writes to finish
+         * @returns {Promise<void>}
+         */
+        async flush() {
+            await pendingWrite;
+        },
+    };
+}
+
+export default { getSkipLogPath, openSkipLog };
@@ -0,0 +1,398 @@
+import dns from 'dns';
+import net from 'net';
+import { Agent, fetch as undiciFetch } from 'undici';
+
+/**
+ * Target Policy
+ * Decides which hosts a crawl may contact, so a seed URL, a link, a sitemap
+ * entry or a redirect cannot point the crawler at the server's own network:
+ * loopback, private, link-local (cloud metadata) and other non-public
+ * addresses are blocked unless targets.blockPrivateAddresses is false, and
+ * when targets.allowedDomains is set only hosts matching one of its patterns
+ * (example.edu, *.edu) are allowed.
+ *
+ * Host names are resolved once per crawl and cached. Hosts that do not
+ * resolve are refused, and looked up again the next time they are checked.
+ * The checks can only see what a host resolved to when it was checked, so
+ * connections are made through policy.lookup, which resolves the host again
+ * and fails for blocked addresses: policy.fetch() and the browser's proxy
+ * both connect that way.
+ */
+
+/**
+ * Skip log reason of URLs the policy blocks
+ */
+export const TARGET_SKIP_REASON = 'target-policy';
+
+// Redirects followed by policy.fetch(), as fetch() does by default
+const MAX_REDIRECTS = 20;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses that are not on the public internet
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'], // "This" network
+    ['10.0.0.0', 8, 'ipv4'], // Private
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'], // Loopback
+    ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'], // Private
+    ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+    ['192.0.2.0', 24, 'ipv4'], // Documentation (TEST-NET-1)
+    ['192.168.0.0', 16, 'ipv4'], // Private
+    ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+    ['198.51.100.0', 24, 'ipv4'], // Documentation (TEST-NET-2)
+    ['203.0.113.0', 24, 'ipv4'], // Documentation (TEST-NET-3)
+    ['224.0.0.0', 4, 'ipv4'], // Multicast
+    ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+    ['::', 128, 'ipv6'], // Unspecified
+    ['::1', 128, 'ipv6'], // Loopback
+    ['2001:db8::', 32, 'ipv6'], // Documentation
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'], // Link-local
+    ['fec0::', 10, 'ipv6'], // Site-local (deprecated, still routed on some networks)
+    ['ff00::', 8, 'ipv6'], // Multicast
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+    blockList.addSubnet(address, prefix, type);
+}
+
+// A host name, or *. followed by one, in lowercase
+const DOMAIN_PATTERN = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+/**
+ * Thrown when a request or redirect leads to a host the target policy blocks
+ */
+export class TargetPolicyError extends Error {
+    /**
+     * @param {string} url - Blocked URL
+     * @param {string} reason - Why it is blocked
+     */
+    constructor(url, reason) {
+        super(`Target not allowed: ${reason}`);
+        this.name = 'TargetPolicyError';
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Expands an IPv6 address to its eight 16-bit groups
+ * @param {string} address - IPv6 address
+ * @returns {number[]} Groups
+ */
+function toIPv6Groups(address) {
+    let text = address;
+    // A trailing dotted quad stands for the last two groups
+    const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (quad) {
+        const [a, b, c, d] = quad.slice(1).map(Number);
+        text = text.slice(0, quad.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map((group) => parseInt(group, 16));
+}
+
+/**
+ * Formats two 16-bit groups as a dotted quad
+ * @param {number} high - Group with the first two bytes
+ * @param {number} low - Group with the last two bytes
+ * @returns {string} IPv4 address
+ */
+function toIPv4(high, low) {
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Gets the IPv4 address carried in an IPv4-mapped (::ffff:0:0/96), IPv4-compatible
+ * (::/96), NAT64 (64:ff9b::/96) or 6to4 (2002::/16) IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null} IPv4 address, or null if the address carries none
+ */
+function getEmbeddedIPv4(address) {
+    const groups = toIPv6Groups(address);
+    // 6to4 carries the IPv4 address of its gateway right after the prefix
+    if (groups[0] === 0x2002) {
+        return toIPv4(groups[1], groups[2]);
+    }
+
+    const prefix = groups.slice(0, 6);
+    const mapped = prefix.slice(0, 5).every((group) => group === 0) && (prefix[5] === 0xffff || prefix[5] === 0);
+    const nat64 = groups[0] === 0x64 && groups[1] === 0xff9b && prefix.slice(2).every((group) => group === 0);
+    if (!mapped && !nat64) {
+        return null;
+    }
+    return toIPv4(groups[6], groups[7]);
+}
+
+/**
+ * Checks whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+    const type = net.isIP(address);
+    if (type === 4) {
+        return blockList.check(address, 'ipv4');
+    }
+    if (type !== 6) {
+        return false;
+    }
+
+    const embedded = getEmbeddedIPv4(address);
+    // ::1 and :: also look IPv4-compatible; the IPv6 ranges cover them
+    if (embedded && embedded !== '0.0.0.1' && embedded !== '0.0.0.0') {
+        return blockList.check(embedded, 'ipv4');
+    }
+    return blockList.check(address, 'ipv6');
+}
+
+/**
+ * Checks an allowedDomains pattern
+ * @param {string} pattern - Pattern
+ * @returns {boolean} True if it is a host name or *. followed by one, in lowercase
+ */
+export function isValidDomainPattern(pattern) {
+    return DOMAIN_PATTERN.test(pattern);
+}
+
+/**
+ * Checks a host name against allowedDomains patterns. A host name matches
+ * itself only; *.edu matches every host under .edu, but not "edu".
+ * @param {string} hostname - Host name (lowercase, as in URL.hostname)
+ * @param {string[]} patterns - Patterns
+ * @returns {boolean}
+ */
+export function matchesDomainPatterns(hostname, patterns) {
+    const host = hostname.replace(/\.$/, '');
+    return patterns.some((pattern) =>
+        pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+    );
+}
+
+/**
+ * Strips the brackets URL.hostname keeps around IPv6 addresses
+ * @param {string} hostname - Host name
+ * @returns {string}
+ */
+function unbracket(hostname) {
+    return hostname.startsWith('[') ? hostname.slice(1, -1) : hostname;
+}
+
+/**
+ * Creates a target policy that caches host lookups for one crawl
+ * @param {Object} options - Policy options (the targets config section)
+ * @param {string[]} [options.allowedDomains] - Allowed host patterns; empty allows every public host
+ * @param {boolean} [options.blockPrivateAddresses] - Block loopback, private and link-local addresses
+ * @param {Function} [options.lookupFn] - dns.promises.lookup implementation (injectable for tests)
+ * @param {typeof fetch} [options.fetchFn] - Fetch implementation used by policy.fetch(); it is passed
+ *   an undici dispatcher that connects through policy.lookup
+ * @returns {Object} Target policy
+ */
+export function createTargetPolicy({
+    allowedDomains = [],
+    blockPrivateAddresses = true,
+    lookupFn = dns.promises.lookup,
+    fetchFn = undiciFetch,
+}) {
+    // Host -> Promise<string|null> (reason it is blocked)
+    const pending = new Map();
+    // Host -> reason it is blocked, or null, once resolved
+    const resolved = new Map();
+
+    /**
+     * Works out why a host's addresses are blocked
+     * @param {string} hostname - Host name or IP address
+     * @returns {Promise<string|null>} Reason, or null if allowed
+     */
+    const resolveHost = (hostname) => {
+        if (!pending.has(hostname)) {
+            pending.set(
+                hostname,
+                lookupFn(hostname, { all: true })
+                    .then((addresses) => {
+                        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+                        return blocked
+                            ? `${hostname} resolves to a private, loopback or link-local address (${blocked.address})`
+                            : null;
+                    })
+                    .then((reason) => {
+                        resolved.set(hostname, reason);
+                        return reason;
+                    })
+                    .catch(() => {
+                        // Not cached: the lookup may work the next time
+                        pending.delete(hostname);
+                        return `${hostname} could not be resolved`;
+                    })
+            );
+        }
+        return pending.get(hostname);
+    };
+
+    // Created on first use: most policies are only used to check URLs
+    let dispatcher = null;
+
+    /**
+     * Checks the parts of a URL that need no lookup
+     * @param {string} url - URL
+     * @returns {{ reason: string|null, hostname: string|null }} Reason it is blocked, or the host to
+     *   resolve (null when nothing is left to check)
+     */
+    const checkStatic = (url) => {
+        let urlObj;
+        try {
+            urlObj = new URL(url);
+        } catch {
+            return { reason: `Invalid URL: ${url}`, hostname: null };
+        }
+        if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+            return { reason: `Only http and https URLs can be crawled (${urlObj.protocol})`, hostname: null };
+        }
+
+        const hostname = unbracket(urlObj.hostname);
+        if (allowedDomains.length > 0 && !matchesDomainPatterns(hostname, allowedDomains)) {
+            return { reason: `${hostname} is not in targets.allowedDomains`, hostname: null };
+        }
+        if (!blockPrivateAddresses) {
+            return { reason: null, hostname: null };
+        }
+        if (net.isIP(hostname)) {
+            const reason = isBlockedAddress(hostname)
+                ? `${hostname} is a private, loopback or link-local address`
+                : null;
+            return { reason, hostname: null };
+        }
+        return { reason: null, hostname };
+    };
+
+    const policy = {
+        /**
+         * Works out why a URL may not be requested, resolving its host if needed
+         * @param {string} url - URL to check
+         * @returns {Promise<string|null>} Reason, or null if allowed
+         */
+        async getViolation(url) {
+            const { reason, hostname } = checkStatic(url);
+            return reason ?? (hostname ? resolveHost(hostname) : null);
+        },
+
+        /**
+         * Checks a URL, resolving its host if needed
+         * @param {string} url - URL to check
+         * @returns {Promise<boolean>} True if allowed
+         */
+        async check(url) {
+            return !(await policy.getViolation(url));
+        },
+
+        /**
+         * Checks a URL against hosts already resolved, without a lookup
+         * @param {string} url - URL to check
+         * @returns {boolean|null} Allowed, blocked, or null if its host is not resolved yet
+         */
+        isAllowed(url) {
+            const { reason, hostname } = checkStatic(url);
+            if (reason) return false;
+            if (!hostname) return true;
+            return resolved.has(hostname) ? !resolved.get(hostname) : null;
+        },
+
+        /**
+         * dns.lookup() replacement for sockets: fails for hosts that resolve to a
+         * blocked address, so a host cannot switch to one after it was checked
+         * @param {string} hostname - Host name
+         * @param {Object} options - dns.lookup() options
+         * @param {Function} callback - dns.lookup() callback
+         * @returns {void}
+         */
+        lookup(hostname, options, callback) {
+            dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+                if (error) {
+                    callback(error);
+                    return;
+                }
+                const blocked = blockPrivateAddresses && addresses.find(({ address }) => isBlockedAddress(address));
+                if (blocked) {
+                    const blockedError = new TargetPolicyError(
+                        hostname,
+                        `${hostname} resolves to a private, loopback or link-local address (${blocked.address})`
+                    );
+                    blockedError.code = 'ETARGETBLOCKED';
+                    callback(blockedError);
+                } else if (options.all) {
+                    callback(null, addresses);
+                } else {
+                    callback(null, addresses[0].address, addresses[0].family);
+                }
+            });
+        },
+
+        /**
+         * fetch() that checks the URL and every redirect before requesting it, and
+         * connects through policy.lookup
+         * @param {string} url - URL
+         * @param {RequestInit} [init] - fetch() options (GET requests)
+         * @returns {Promise<Response>} Final response
+         * @throws {TargetPolicyError} If the URL or a redirect leads to a blocked host
+         */
+        async fetch(url, init = {}) {
+            let current = url;
+            for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+                const reason = await policy.getViolation(current);
+                if (reason) {
+                    throw new TargetPolicyError(current, reason);
+                }
+
+                // Connects through policy.lookup, so the host cannot resolve elsewhere after the check above
+                dispatcher ??= new Agent({ connect: { lookup: policy.lookup } });
+                const response = await fetchFn(current, { ...init, redirect: 'manual', dispatcher });
+                const location = response.headers.get('location');
+                if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+                    return response;
+                }
+                await response.body?.cancel();
+                current = new URL(location, current).href;
+            }
+            throw new Error(`Too many redirects for ${url}`);
+        },
+    };
+
+    return policy;
+}
+
+/**
+ * Checks whether the target policy restricts anything
+ * @param {Object} targets - targets config section
+ * @returns {boolean}
+ */
+export function isTargetPolicyActive(targets) {
+    return targets.blockPrivateAddresses || targets.allowedDomains.length > 0;
+}
+
+/**
+ * Checks a seed URL against the target policy
+ * @param {string} url - URL to check
+ * @param {Object} targets - targets config section
+ * @returns {Promise<string|null>} Reason it is blocked, or null if allowed
+ */
+export function checkTarget(url, targets) {
+    return createTargetPolicy(targets).getViolation(url);
+}
+
+export default {
+    TARGET_SKIP_REASON,
+    TargetPolicyError,
+    isBlockedAddress,
+    isValidDomainPattern,
+    matchesDomainPatterns,
+    createTargetPolicy,
+    isTargetPolicyActive,
+    checkTarget,
+};
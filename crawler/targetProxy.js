@@ -0,0 +1,144 @@
+import http from 'http';
+import net from 'net';
+
+/**
+ * Target Proxy
+ * Forward proxy the crawl's browser is pointed at, so the target policy also
+ * applies to what the browser requests on its own: redirect hops, which
+ * Playwright's request routing never sees, as well as scripts, frames and
+ * other subresources. Plain HTTP requests are checked by URL and HTTPS
+ * tunnels (CONNECT) by host; both connect through policy.lookup so a host
+ * cannot resolve to a blocked address after it was checked.
+ *
+ * It listens on 127.0.0.1 only, for the lifetime of one crawl.
+ */
+
+// Headers meant for the proxy, not the target
+const PROXY_HEADERS = ['proxy-authorization', 'proxy-connection', 'connection', 'keep-alive'];
+
+/**
+ * Writes a 403 answer to a socket whose request the proxy refuses
+ * @param {import('net').Socket} socket - Client socket
+ * @param {string} reason - Why the target is blocked
+ */
+function refuseSocket(socket, reason) {
+    const body = `Blocked by the crawl's target policy: ${reason}\n`;
+    socket.end(
+        'HTTP/1.1 403 Forbidden\r\n' +
+            'Content-Type: text/plain; charset=utf-8\r\n' +
+            `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+            'Connection: close\r\n\r\n' +
+            body
+    );
+}
+
+/**
+ * Starts a target policy proxy
+ * @param {Object} options - Options object
+ * @param {Object} options.policy - Target policy from createTargetPolicy()
+ * @param {Function} [options.onBlocked] - Called with (url, reason) for each refused request
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>} Proxy URL and a function that stops it
+ */
+export async function startTargetProxy({ policy, onBlocked }) {
+    const sockets = new Set();
+
+    const blocked = (url, reason) => {
+        try {
+            onBlocked?.(url, reason);
+        } catch (error) {
+            console.error(`Failed to record blocked target ${url}: ${error.message}`);
+        }
+    };
+
+    // Plain HTTP: the browser sends the absolute URL
+    const server = http.createServer(async (req, res) => {
+        const url = req.url;
+        const reason = await policy.getViolation(url);
+        if (reason) {
+            blocked(url, reason);
+            res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(`Blocked by the crawl's target policy: ${reason}\n`);
+            return;
+        }
+
+        const headers = { ...req.headers };
+        for (const header of PROXY_HEADERS) {
+            delete headers[header];
+        }
+
+        const upstream = http.request(url, { method: req.method, headers, lookup: policy.lookup }, (upstreamRes) => {
+            res.writeHead(upstreamRes.statusCode ?? 502, upstreamRes.statusMessage, upstreamRes.rawHeaders);
+            upstreamRes.pipe(res);
+        });
+        upstream.on('error', (error) => {
+            if (error.code === 'ETARGETBLOCKED') {
+                blocked(url, error.reason);
+            }
+            if (!res.headersSent) {
+                res.writeHead(error.code === 'ETARGETBLOCKED' ? 403 : 502, { 'Content-Type': 'text/plain; charset=utf-8' });
+            }
+            res.end(`${error.message}\n`);
+        });
+        req.pipe(upstream);
+    });
+
+    // HTTPS: the browser asks for a tunnel to host:port
+    server.on('connect', async (req, clientSocket, head) => {
+        clientSocket.on('error', () => {});
+        const [, host, port] = req.url?.match(/^\[?([^\]]+?)\]?:(\d+)$/) ?? [];
+        if (!host) {
+            clientSocket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        const url = `https://${net.isIPv6(host) ? `[${host}]` : host}${port === '443' ? '' : `:${port}`}/`;
+        const reason = await policy.getViolation(url);
+        if (reason) {
+            blocked(url, reason);
+            refuseSocket(clientSocket, reason);
+            return;
+        }
+
+        const upstream = net.connect({ host, port: Number(port), lookup: policy.lookup }, () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            if (head?.length) {
+                upstream.write(head);
+            }
+            upstream.pipe(clientSocket);
+            clientSocket.pipe(upstream);
+        });
+        upstream.on('error', (error) => {
+            if (error.code === 'ETARGETBLOCKED') {
+                blocked(url, error.reason);
+                refuseSocket(clientSocket, error.reason);
+            } else {
+                clientSocket.destroy();
+            }
+        });
+        clientSocket.on('close', () => upstream.destroy());
+    });
+
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        close: () =>
+            new Promise((resolve) => {
+                for (const socket of sockets) {
+                    socket.destroy();
+                }
+                server.close(() => resolve());
+            }),
+    };
+}
+
+export default { startTargetProxy };
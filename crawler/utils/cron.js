@@ -0,0 +1,177 @@
+/**
+ * Cron Expressions
+ * Parses five-field cron expressions (minute hour day-of-month month
+ * day-of-week) and finds the next time they match, in the server's local time.
+ * Fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*\/15, 1-30/5);
+ * months and weekdays also accept three-letter names (jan, mon). As in standard
+ * cron, when both day fields are restricted a day matching either one matches.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// Shorthands and the expressions they stand for
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+};
+
+// Longest search for a matching time before an expression is taken to never match (e.g. Feb 30)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes - Matching minutes
+ * @property {Set<number>} hours - Matching hours
+ * @property {Set<number>} days - Matching days of the month
+ * @property {Set<number>} months - Matching months (1-12)
+ * @property {Set<number>} weekdays - Matching days of the week (0 = Sunday)
+ * @property {boolean} anyDay - Whether the day-of-month field starts with *
+ * @property {boolean} anyWeekday - Whether the day-of-week field starts with *
+ */
+
+/**
+ * Parses one value of a field, a number or a name
+ * @param {string} value - Value
+ * @param {Object} field - Field definition
+ * @returns {number} Value as a number
+ * @throws {Error} If the value is not valid for the field
+ */
+function parseValue(value, field) {
+    const nameIndex = field.names?.indexOf(value.toLowerCase()) ?? -1;
+    if (nameIndex !== -1) {
+        return nameIndex + (field.name === 'month' ? 1 : 0);
+    }
+    const number = /^\d+$/.test(value) ? Number(value) : NaN;
+    if (!(number >= field.min && number <= field.max)) {
+        throw new Error(`Invalid ${field.name} in cron expression: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Parses one field of an expression into the values it matches
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ * @throws {Error} If the field is malformed
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in cron expression: ${part}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else {
+            const [from, to, rest] = range.split('-');
+            if (rest !== undefined || !from) {
+                throw new Error(`Invalid ${field.name} in cron expression: ${part}`);
+            }
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+            if (end < start) {
+                throw new Error(`Invalid range in cron expression: ${part}`);
+            }
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field expression or a macro such as '@weekly'
+ * @returns {CronSchedule} Parsed schedule
+ * @throws {Error} If the expression is malformed
+ */
+export function parseCron(expression) {
+    const text = MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression must have ${FIELDS.length} fields: ${expression}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // Sunday is both 0 and 7
+    if (weekdays.delete(7)) {
+        weekdays.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2].startsWith('*'),
+        anyWeekday: parts[4].startsWith('*'),
+    };
+}
+
+/**
+ * Checks whether a date's day matches a schedule's month and day fields
+ * @param {CronSchedule} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+        return false;
+    }
+    const dayMatches = schedule.days.has(date.getDate());
+    const weekdayMatches = schedule.weekdays.has(date.getDay());
+    if (schedule.anyDay || schedule.anyWeekday) {
+        return dayMatches && weekdayMatches;
+    }
+    return dayMatches || weekdayMatches;
+}
+
+/**
+ * Finds the next time a cron expression matches, strictly after a given time
+ * @param {string|CronSchedule} expression - Cron expression or parsed schedule
+ * @param {Date} [after] - Time to search from (defaults to now)
+ * @returns {Date|null} Next matching time (whole minute), or null if none within five years
+ */
+export function getNextCronTime(expression, after = new Date()) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!matchesDay(schedule, date)) {
+            date.setHours(24, 0, 0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+export default { parseCron, getNextCronTime };
@@ -0,0 +1,89 @@
+/**
+ * Markdown Utilities
+ * Truncation and heading nesting for Markdown written to the crawl output
+ */
+
+/**
+ * Where over-long content is cut: before the last heading that fits, after
+ * the last block (paragraph, list, table) that fits, or at the character limit
+ */
+export const TRUNCATE_BOUNDARIES = ['section', 'block', 'char'];
+
+// Line breaks before a heading, and between blocks
+const HEADING_PATTERN = /\n(?=#{1,6} )/g;
+const BLOCK_PATTERN = /\n\n/g;
+
+/**
+ * Finds the last match of a pattern that starts within a length
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @param {number} maxLength - Largest allowed match position
+ * @returns {number} Match position, or -1 if none fits
+ */
+function lastMatchBefore(text, pattern, maxLength) {
+    let position = -1;
+    for (const match of text.matchAll(pattern)) {
+        if (match.index > maxLength) break;
+        position = match.index;
+    }
+    return position;
+}
+
+/**
+ * Shortens Markdown to a character limit, cutting at the chosen boundary.
+ * Falls back to the next finer boundary when no coarser one fits.
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Options object
+ * @param {number|null} options.maxChars - Largest length kept; null keeps everything
+ * @param {'section'|'block'|'char'} [options.boundary] - Where to cut (see TRUNCATE_BOUNDARIES)
+ * @returns {{ markdown: string, truncated: boolean }} Kept Markdown and whether anything was cut
+ */
+export function truncateMarkdown(markdown, { maxChars, boundary = 'section' }) {
+    if (maxChars === null || markdown.length <= maxChars) {
+        return { markdown, truncated: false };
+    }
+
+    let cut = -1;
+    if (boundary === 'section') {
+        cut = lastMatchBefore(markdown, HEADING_PATTERN, maxChars);
+    }
+    if (cut <= 0 && boundary !== 'char') {
+        cut = lastMatchBefore(markdown, BLOCK_PATTERN, maxChars);
+    }
+    if (cut <= 0) {
+        // Cut at the last space so words are not split
+        const space = markdown.lastIndexOf(' ', maxChars);
+        cut = space > maxChars / 2 ? space : maxChars;
+    }
+
+    let kept = markdown.slice(0, cut).trimEnd();
+    // Close a code block left open by the cut
+    if ((kept.match(/^```/gm) ?? []).length % 2 === 1) {
+        kept += '\n```';
+    }
+    return { markdown: kept, truncated: true };
+}
+
+/**
+ * Moves every heading down a number of levels, so a page's headings nest
+ * under the section it is written in (levels past 6 stay at 6)
+ * @param {string} markdown - Markdown text
+ * @param {number} levels - Levels to move down
+ * @returns {string} Markdown with nested headings
+ */
+export function nestHeadings(markdown, levels) {
+    let inCodeBlock = false;
+    return markdown
+        .split('\n')
+        .map((line) => {
+            if (line.startsWith('```')) {
+                inCodeBlock = !inCodeBlock;
+                return line;
+            }
+            if (inCodeBlock) return line;
+            return line.replace(/^(#{1,6}) /, (_, hashes) => `${'#'.repeat(Math.min(6, hashes.length + levels))} `);
+        })
+        .join('\n');
+}
+
+export default { TRUNCATE_BOUNDARIES, truncateMarkdown, nestHeadings };
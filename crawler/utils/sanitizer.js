@@ -96,6 +96,15 @@ export function sanitizeUniversityName(name) {
     return sanitized;
 }
 
+/**
+ * Converts a university name to the crawl ID used for its output directory
+ * @param {string} universityName - The university name
+ * @returns {string} Crawl ID (lowercase, hyphenated)
+ */
+export function toCrawlId(universityName) {
+    return universityName.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+}
+
 /**
  * Creates a simple hash from a string
  * @param {string} str - Input string
@@ -111,4 +120,4 @@ function simpleHash(str) {
     return Math.abs(hash).toString(36).substring(0, 8);
 }
 
-export default { sanitizeFilename, sanitizeUniversityName };
+export default { sanitizeFilename, sanitizeUniversityName, toCrawlId };
@@ -0,0 +1,109 @@
+/**
+ * Text Diff
+ * Line-based diffs for change reports
+ */
+
+/**
+ * @typedef {Object} DiffLine
+ * @property {' '|'+'|'-'} type - Unchanged, added or removed
+ * @property {string} text - Line text
+ */
+
+/**
+ * Diffs two texts line by line (longest common subsequence)
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {Object} [options] - Options object
+ * @param {number} [options.maxLines] - Largest number of differing lines per side to diff
+ * @returns {DiffLine[]|null} Diff lines, or null if the texts are too large to diff
+ */
+export function diffLines(oldText, newText, { maxLines = 2000 } = {}) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    // Common leading and trailing lines need no table
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    if (a.length > maxLines || b.length > maxLines) {
+        return null;
+    }
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..], stored row-major
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] =
+                a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const result = oldLines.slice(0, start).map((text) => ({ type: ' ', text }));
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: ' ', text: a[i] });
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            result.push({ type: '-', text: a[i++] });
+        } else {
+            result.push({ type: '+', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: '-', text: a[i++] });
+    while (j < b.length) result.push({ type: '+', text: b[j++] });
+    result.push(...oldLines.slice(oldEnd).map((text) => ({ type: ' ', text })));
+
+    return result;
+}
+
+/**
+ * Formats diff lines as a unified-style diff, keeping a few unchanged
+ * lines around each change and eliding the rest
+ * @param {DiffLine[]} lines - Diff lines from diffLines()
+ * @param {Object} [options] - Options object
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string} Diff text ('' if nothing changed)
+ */
+export function formatDiff(lines, { context = 2 } = {}) {
+    const changed = lines.map((line) => line.type !== ' ');
+    const visible = lines.map((_, index) => {
+        for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+            if (changed[k]) return true;
+        }
+        return false;
+    });
+
+    const output = [];
+    let elided = false;
+    lines.forEach((line, index) => {
+        if (!visible[index]) {
+            elided = true;
+            return;
+        }
+        if (elided && output.length > 0) {
+            output.push('@@');
+        }
+        elided = false;
+        output.push(`${line.type} ${line.text}`);
+    });
+
+    return output.join('\n');
+}
+
+export default { diffLines, formatDiff };
@@ -19,7 +19,7 @@ export function extractDomain(url) {
 /**
  * Common tracking parameters to remove from URLs
  */
-const TRACKING_PARAMS = [
+export const TRACKING_PARAMS = [
     'utm_source',
     'utm_medium',
     'utm_campaign',
@@ -54,9 +54,11 @@ const TRACKING_PARAMS = [
 /**
  * Normalizes a URL by removing fragments, trailing slashes, tracking params, and standardizing protocol
  * @param {string} url - The URL to normalize
+ * @param {Object} [options] - Options object
+ * @param {string[]} [options.stripParams] - Query parameters to remove (defaults to TRACKING_PARAMS)
  * @returns {string|null} Normalized URL or null if invalid
  */
-export function normalizeUrl(url) {
+export function normalizeUrl(url, { stripParams = TRACKING_PARAMS } = {}) {
     try {
         const urlObj = new URL(url);
 
@@ -76,7 +78,7 @@ export function normalizeUrl(url) {
 
         // Remove tracking parameters
         const params = new URLSearchParams(urlObj.search);
-        for (const param of TRACKING_PARAMS) {
+        for (const param of stripParams) {
             params.delete(param);
         }
 
@@ -165,6 +167,7 @@ export function getBaseUrl(url) {
 }
 
 export default {
+    TRACKING_PARAMS,
     extractDomain,
     normalizeUrl,
     isValidUrl,
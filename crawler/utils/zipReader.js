@@ -0,0 +1,132 @@
+import zlib from 'zlib';
+
+/**
+ * Zip Reader
+ * Minimal reader for ZIP archives (as used by .docx, .pptx and .xlsx files).
+ * Supports stored and deflated entries; no encryption, no ZIP64.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// The end record sits within the last 22 bytes plus an optional comment of up to 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Entry path inside the archive
+ * @property {number} method - Compression method (0 stored, 8 deflated)
+ * @property {number} compressedSize - Compressed size in bytes
+ * @property {number} size - Uncompressed size in bytes
+ * @property {number} localHeaderOffset - Offset of the entry's local file header
+ */
+
+/**
+ * Checks whether a buffer starts with a ZIP local file header
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the buffer looks like a ZIP archive
+ */
+export function isZipArchive(buffer) {
+    return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Opens a ZIP archive held in memory
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} [options] - Options object
+ * @param {number} [options.maxEntryBytes] - Largest uncompressed entry that may be read
+ * @returns {{ entries: ZipEntry[], has: (name: string) => boolean, read: (name: string) => Buffer|null, readText: (name: string) => string|null }} Archive reader
+ * @throws {Error} If the buffer is not a readable ZIP archive
+ */
+export function openZip(buffer, { maxEntryBytes = 50 * 1024 * 1024 } = {}) {
+    const entries = readCentralDirectory(buffer);
+    const byName = new Map(entries.map((entry) => [entry.name, entry]));
+
+    /**
+     * Reads an entry's uncompressed contents
+     * @param {string} name - Entry path
+     * @returns {Buffer|null} Contents, or null if the entry does not exist
+     */
+    function read(name) {
+        const entry = byName.get(name);
+        if (!entry) {
+            return null;
+        }
+        if (entry.size > maxEntryBytes) {
+            throw new Error(`Zip entry ${name} is too large (${entry.size} bytes)`);
+        }
+
+        const offset = entry.localHeaderOffset;
+        if (buffer.readUInt32LE(offset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Invalid local header for zip entry ${name}`);
+        }
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const dataStart = offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data;
+        }
+        if (entry.method === 8) {
+            // maxOutputLength guards against entries that lie about their size
+            return zlib.inflateRawSync(data, { maxOutputLength: maxEntryBytes });
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for zip entry ${name}`);
+    }
+
+    return {
+        entries,
+        has: (name) => byName.has(name),
+        read,
+        readText: (name) => read(name)?.toString('utf8') ?? null,
+    };
+}
+
+/**
+ * Reads the central directory listing every entry in the archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {ZipEntry[]} Archive entries
+ * @throws {Error} If no valid central directory is found
+ */
+function readCentralDirectory(buffer) {
+    const searchStart = Math.max(0, buffer.length - MAX_END_RECORD_SEARCH);
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= searchStart; i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a zip archive: end of central directory not found');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Corrupt zip archive: invalid central directory entry');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+
+        entries.push({
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42),
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+export default { isZipArchive, openZip };
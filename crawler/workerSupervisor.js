@@ -0,0 +1,171 @@
+import path from 'path';
+import { fork } from 'child_process';
+import { randomUUID } from 'crypto';
+import { toCrawlId } from './utils/sanitizer.js';
+import { toSerializableConfig } from './config.js';
+import { attachWorker, unregisterCrawl } from './crawlRegistry.js';
+import { publishCrawlEvent, publishCrawlLog, resetCrawlEvents } from './crawlEvents.js';
+import { crashProgress, readProgress } from './progressWriter.js';
+
+/**
+ * Worker Supervisor
+ * Runs a crawl in its own child process (crawlWorker.js) so it shares neither
+ * memory nor the event loop with the web server and survives dev-server
+ * reloads. Control requests from the crawl registry and the worker's crawl
+ * events travel over IPC; events are republished on this process's event
+ * bus, so the SSE route streams them as before. A worker that exits without
+ * reporting a result, or misses heartbeats for workers.heartbeatTimeoutSecs,
+ * has its crawl marked crashed.
+ */
+
+// Resolved from the working directory, like project config files: the server
+// bundle does not contain the crawler's source files at their own paths
+const WORKER_SCRIPT = path.join('crawler', 'crawlWorker.js');
+
+/**
+ * Gets the path of the worker entry point
+ * @returns {string} Full path to crawlWorker.js
+ */
+function getWorkerPath() {
+    return path.resolve(process.cwd(), WORKER_SCRIPT);
+}
+
+/**
+ * Result of a crawl whose worker crashed
+ * @param {string} reason - How the worker ended
+ * @param {number} pagesProcessed - Pages written before the crash
+ * @returns {import('./crawlJob.js').CrawlJobResult}
+ */
+function toCrashedResult(reason, pagesProcessed) {
+    return {
+        status: 'crashed',
+        pagesProcessed,
+        stats: null,
+        limitReached: null,
+        outputFile: null,
+        manifestFile: null,
+        skipped: null,
+        failed: null,
+        changes: null,
+        quality: null,
+        entities: null,
+        extracted: null,
+        error: reason,
+    };
+}
+
+/**
+ * Runs a crawl in a worker process. Takes the runCrawlJob options other than
+ * callbacks; the config is sent in its serializable form. The caller must have
+ * registered the crawl with registerCrawl() first; it is unregistered when the
+ * worker ends.
+ * @param {Object} options - runCrawlJob options (seedUrl, universityName, outputFormats, config, resume,
+ *   retryFailed, ...)
+ * @param {Object} workers - Server's workers settings (heartbeatIntervalSecs, heartbeatTimeoutSecs)
+ * @returns {Promise<import('./crawlJob.js').CrawlJobResult>} Final status and statistics
+ */
+export function runCrawlInWorker(options, workers) {
+    const { universityName, config } = options;
+    const { heartbeatIntervalSecs, heartbeatTimeoutSecs } = workers;
+    const crawlId = toCrawlId(universityName);
+    const baseDir = config.output.baseDir;
+
+    // The worker starts resumes and retries with a clean backlog on its own bus; this bus must match
+    if (options.resume || options.retryFailed) {
+        resetCrawlEvents(crawlId);
+    }
+
+    return new Promise((resolve) => {
+        const worker = fork(getWorkerPath(), [], { stdio: 'inherit' });
+        const pendingReplies = new Map();
+        let result = null;
+        let crashReason = null;
+        let lastMessageAt = Date.now();
+        let ended = false;
+
+        const request = (type) =>
+            new Promise((resolveReply, rejectReply) => {
+                if (!worker.connected) {
+                    rejectReply(new Error(`Crawl ${crawlId} is not running`));
+                    return;
+                }
+                const requestId = randomUUID();
+                pendingReplies.set(requestId, { resolve: resolveReply, reject: rejectReply });
+                worker.send({ type, requestId });
+            });
+
+        attachWorker(crawlId, {
+            stop: () => {
+                if (worker.connected) worker.send({ type: 'stop' });
+            },
+            pause: () => request('pause'),
+            resume: () => request('resume'),
+        });
+
+        // Any message shows the worker is alive; heartbeats cover quiet stretches
+        const monitor = setInterval(() => {
+            if (Date.now() - lastMessageAt > heartbeatTimeoutSecs * 1000) {
+                crashReason = `The crawl worker stopped responding for ${heartbeatTimeoutSecs}s`;
+                worker.kill('SIGKILL');
+            }
+        }, heartbeatIntervalSecs * 1000);
+
+        worker.on('message', (message) => {
+            lastMessageAt = Date.now();
+
+            if (message.type === 'event') {
+                publishCrawlEvent(crawlId, message.eventType, message.data);
+            } else if (message.type === 'reply') {
+                const pending = pendingReplies.get(message.requestId);
+                pendingReplies.delete(message.requestId);
+                if (message.error) {
+                    pending?.reject(new Error(message.error));
+                } else {
+                    pending?.resolve();
+                }
+            } else if (message.type === 'result') {
+                result = message.result;
+            }
+        });
+
+        const end = async (reason) => {
+            if (ended) return;
+            ended = true;
+            clearInterval(monitor);
+            for (const pending of pendingReplies.values()) {
+                pending.reject(new Error('The crawl worker exited'));
+            }
+            pendingReplies.clear();
+
+            if (!result) {
+                console.error(`Crawl worker for ${universityName} crashed: ${reason}`);
+                const progress = await readProgress({ baseDir, universityName });
+                // Log lines go out before the final status, which ends event streams
+                publishCrawlLog(crawlId, 'error', `Crawl crashed: ${reason}`);
+                await crashProgress({ baseDir, universityName, reason });
+                result = toCrashedResult(reason, progress?.pagesProcessed ?? 0);
+            }
+
+            unregisterCrawl(crawlId);
+            resolve(result);
+        };
+
+        worker.on('exit', (code, signal) => {
+            end(crashReason ?? `The crawl worker exited unexpectedly (${signal ? `signal ${signal}` : `exit code ${code}`})`);
+        });
+        // A worker that could not be started never emits 'exit'
+        worker.on('error', (error) => {
+            if (worker.pid === undefined) {
+                end(`The crawl worker could not be started: ${error.message}`);
+            }
+        });
+
+        worker.send({
+            type: 'start',
+            options: { ...options, config: toSerializableConfig(config) },
+            heartbeatIntervalSecs,
+        });
+    });
+}
+
+export default { runCrawlInWorker };
@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getOutputDir, getOutputFilePath, writeOutput } from '../utils/fileWriter.js';
+import { describeDocument } from '../pageRecord.js';
+
+/**
+ * HTML Writer
+ * Writes one styled, self-contained HTML report per crawled page
+ */
+
+const STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f9fafb; color: #111827; }
+    main { max-width: 860px; margin: 2rem auto; padding: 2rem; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); }
+    h1 { margin-top: 0; font-size: 1.75rem; }
+    h2 { font-size: 1.125rem; margin-top: 2rem; padding-bottom: 0.25rem; border-bottom: 1px solid #e5e7eb; }
+    .meta { color: #6b7280; font-size: 0.875rem; }
+    .meta a { color: #2563eb; word-break: break-all; }
+    .content { line-height: 1.6; white-space: pre-wrap; }
+    ul { padding-left: 1.25rem; }
+    blockquote { margin: 1rem 0; padding-left: 1rem; border-left: 3px solid #d1d5db; color: #4b5563; }
+    li { margin: 0.25rem 0; word-break: break-all; }
+`;
+
+/**
+ * Escapes text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a list section, or nothing if the list is empty
+ * @param {string} title - Section title
+ * @param {string[]} items - Pre-escaped list items
+ * @returns {string} HTML fragment
+ */
+function renderList(title, items) {
+    if (!items || items.length === 0) {
+        return '';
+    }
+    return `<h2>${escapeHtml(title)}</h2>\n<ul>\n${items.map((item) => `  <li>${item}</li>`).join('\n')}\n</ul>`;
+}
+
+/**
+ * Renders a page as a standalone HTML document
+ * @param {import('../pageRecord.js').PageRecord} pageData - Page record
+ * @param {string} universityName - University name
+ * @returns {string} HTML document
+ */
+function renderPage(pageData, universityName) {
+    const title = pageData.title || 'Untitled Page';
+    const headingItems = pageData.headings.map(
+        (heading) => `<strong>H${heading.level}</strong> ${escapeHtml(heading.text)}`
+    );
+    const linkItems = pageData.links
+        .filter((link) => link.isInternal)
+        .map((link) => `<a href="${escapeHtml(link.href)}">${escapeHtml(link.text || link.href)}</a>`);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(pageData.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} | ${escapeHtml(universityName)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">
+  <a href="${escapeHtml(pageData.url)}">${escapeHtml(pageData.url)}</a><br>
+  Crawled ${escapeHtml(pageData.crawledAt)}${pageData.documentType ? `<br>
+  Document: ${escapeHtml(describeDocument(pageData))}` : ''}
+</p>
+${pageData.metaDescription ? `<blockquote>${escapeHtml(pageData.metaDescription)}</blockquote>` : ''}
+${renderList('Headings', headingItems)}
+${pageData.mainContent ? `<h2>Content</h2>\n<div class="content">${escapeHtml(pageData.mainContent)}</div>` : ''}
+${renderList('Internal Links', linkItems)}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates the HTML format writer
+ * @param {Object} context - Writer context
+ * @param {string} context.baseDir - Base output directory
+ * @param {string} context.crawlId - Crawl ID (sanitized university name)
+ * @param {string} context.universityName - University name
+ * @returns {Object} Format writer
+ */
+export function createHtmlWriter({ baseDir, crawlId, universityName }) {
+    const files = [];
+
+    return {
+        format: 'html',
+
+        async init({ resume = false } = {}) {
+            const dir = getOutputDir(baseDir, crawlId, 'html');
+
+            // A fresh crawl must not leave pages from a previous run behind
+            if (!resume) {
+                await fs.rm(dir, { recursive: true, force: true });
+                return [];
+            }
+
+            const existing = await fs.readdir(dir).catch(() => []);
+            const pageFiles = existing.filter((name) => name.endsWith('.html'));
+            files.push(...pageFiles.map((name) => path.join(dir, name)));
+            return pageFiles.map((name) => path.basename(name, '.html'));
+        },
+
+        async writePage(pageData, filename) {
+            const filePath = getOutputFilePath(baseDir, crawlId, 'html', filename, '.html');
+            if (await writeOutput(filePath, renderPage(pageData, universityName))) {
+                files.push(filePath);
+            }
+        },
+
+        async finalize() {
+            return files;
+        },
+    };
+}
+
+export default { createHtmlWriter, escapeHtml };
@@ -0,0 +1,147 @@
+import path from 'path';
+import { writeJsonFile } from '../utils/fileWriter.js';
+import { sanitizeFilename, toCrawlId } from '../utils/sanitizer.js';
+import { validatePageRecord } from '../pageRecord.js';
+import { createMarkdownWriter } from './markdownWriter.js';
+import { createJsonWriter } from './jsonWriter.js';
+import { createHtmlWriter } from './htmlWriter.js';
+import { createLinksWriter } from './linksWriter.js';
+
+/**
+ * Format Writers
+ * Dispatches crawled pages to one writer per requested output format
+ * and records every file produced in a manifest
+ */
+
+/**
+ * Writer factories keyed by output format
+ */
+const WRITER_FACTORIES = {
+    markdown: createMarkdownWriter,
+    json: createJsonWriter,
+    html: createHtmlWriter,
+    links: createLinksWriter,
+};
+
+/**
+ * Gets the manifest file path for a university
+ * @param {string} baseDir - Base output directory
+ * @param {string} universityName - University name
+ * @returns {string} Full path to manifest.json
+ */
+export function getManifestFilePath(baseDir, universityName) {
+    return path.join(baseDir, toCrawlId(universityName), 'manifest.json');
+}
+
+/**
+ * Creates the set of writers for the requested output formats
+ * @param {Object} options - Options object
+ * @param {string} options.baseDir - Base output directory
+ * @param {string} options.universityName - University name
+ * @param {string} options.seedUrl - Starting URL
+ * @param {string[]} options.formats - Output formats to write
+ * @param {{ maxContentChars: number|null, truncateAt: string }} options.markdown - Markdown output
+ *   settings (config.markdown)
+ * @param {Function[]} [options.extraFactories] - Further writer factories run beside the requested
+ *   formats (plugin writers)
+ * @returns {{ init: Function, writePage: Function, finalize: Function }} Writer set
+ */
+export function createFormatWriters({ baseDir, universityName, seedUrl, formats, markdown, extraFactories = [] }) {
+    const crawlId = toCrawlId(universityName);
+    const context = { baseDir, crawlId, universityName, seedUrl, markdown };
+
+    const writers = formats.map((format) => {
+        const factory = WRITER_FACTORIES[format];
+        if (!factory) {
+            throw new Error(`Unsupported output format: ${format}`);
+        }
+        return factory(context);
+    });
+    writers.push(...extraFactories.map((factory) => factory(context)));
+
+    // Per-page filenames are shared by all writers and kept unique across the crawl
+    const usedFilenames = new Set();
+
+    const allocateFilename = (url) => {
+        const base = sanitizeFilename(url);
+        let filename = base;
+        let suffix = 2;
+        while (usedFilenames.has(filename)) {
+            filename = `${base}-${suffix++}`;
+        }
+        usedFilenames.add(filename);
+        return filename;
+    };
+
+    return {
+        /**
+         * Prepares every writer for output
+         * @param {Object} [options] - Init options
+         * @param {boolean} [options.resume] - Keep output already written by an interrupted run
+         * @returns {Promise<void>}
+         */
+        async init({ resume = false } = {}) {
+            for (const writer of writers) {
+                const existingFilenames = await writer.init({ resume });
+                existingFilenames.forEach((filename) => usedFilenames.add(filename));
+            }
+        },
+
+        /**
+         * Writes a page in every requested format
+         * @param {import('../pageRecord.js').PageRecord} pageData - Page record
+         * @returns {Promise<void>}
+         */
+        async writePage(pageData) {
+            const errors = validatePageRecord(pageData);
+            if (errors.length > 0) {
+                console.error(`Skipping invalid page record for ${pageData?.url}: ${errors.join('; ')}`);
+                return;
+            }
+
+            const filename = allocateFilename(pageData.url);
+
+            for (const writer of writers) {
+                try {
+                    await writer.writePage(pageData, filename);
+                } catch (error) {
+                    console.error(`Failed to write ${writer.format} output for ${pageData.url}: ${error.message}`);
+                }
+            }
+        },
+
+        /**
+         * Finalizes every writer and writes the manifest
+         * @param {Object} summary - Crawl summary
+         * @param {number} summary.pagesProcessed - Total pages processed
+         * @returns {Promise<string>} Path to the manifest file
+         */
+        async finalize({ pagesProcessed }) {
+            const files = [];
+
+            for (const writer of writers) {
+                try {
+                    const written = await writer.finalize({ pagesProcessed });
+                    files.push(...written.map((filePath) => ({ format: writer.format, path: filePath })));
+                } catch (error) {
+                    console.error(`Failed to finalize ${writer.format} output: ${error.message}`);
+                }
+            }
+
+            const manifestPath = getManifestFilePath(baseDir, universityName);
+            await writeJsonFile(manifestPath, {
+                crawlId,
+                universityName,
+                seedUrl,
+                formats,
+                pagesProcessed,
+                generatedAt: new Date().toISOString(),
+                files,
+            });
+
+            return manifestPath;
+        },
+    };
+}
+
+export default { createFormatWriters, getManifestFilePath };
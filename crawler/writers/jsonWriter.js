@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getOutputDir, getOutputFilePath, writeJsonFile } from '../utils/fileWriter.js';
+
+/**
+ * JSON Writer
+ * Writes one structured JSON file per crawled page
+ */
+
+/**
+ * Creates the JSON format writer
+ * @param {Object} context - Writer context
+ * @param {string} context.baseDir - Base output directory
+ * @param {string} context.crawlId - Crawl ID (sanitized university name)
+ * @returns {Object} Format writer
+ */
+export function createJsonWriter({ baseDir, crawlId }) {
+    const files = [];
+
+    return {
+        format: 'json',
+
+        async init({ resume = false } = {}) {
+            const dir = getOutputDir(baseDir, crawlId, 'json');
+
+            // A fresh crawl must not leave pages from a previous run behind
+            if (!resume) {
+                await fs.rm(dir, { recursive: true, force: true });
+                return [];
+            }
+
+            const existing = await fs.readdir(dir).catch(() => []);
+            const pageFiles = existing.filter((name) => name.endsWith('.json'));
+            files.push(...pageFiles.map((name) => path.join(dir, name)));
+            return pageFiles.map((name) => path.basename(name, '.json'));
+        },
+
+        async writePage(pageData, filename) {
+            const filePath = getOutputFilePath(baseDir, crawlId, 'json', filename, '.json');
+            if (await writeJsonFile(filePath, pageData)) {
+                files.push(filePath);
+            }
+        },
+
+        async finalize() {
+            return files;
+        },
+    };
+}
+
+export default { createJsonWriter };
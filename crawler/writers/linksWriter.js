@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { appendToFile, getOutputFilePath, writeJsonFile } from '../utils/fileWriter.js';
+import { getStateDir } from '../crawlState.js';
+
+/**
+ * Links Writer
+ * Aggregates every link found during the crawl into one inventory file.
+ * Links are journaled per page in the crawl state directory so that a resumed
+ * crawl still produces the complete inventory.
+ */
+
+/**
+ * Creates the links format writer
+ * @param {Object} context - Writer context
+ * @param {string} context.baseDir - Base output directory
+ * @param {string} context.crawlId - Crawl ID (sanitized university name)
+ * @param {string} context.universityName - University name
+ * @param {string} context.seedUrl - Starting URL
+ * @returns {Object} Format writer
+ */
+export function createLinksWriter({ baseDir, crawlId, universityName, seedUrl }) {
+    const journalPath = path.join(getStateDir(baseDir, universityName), 'links.jsonl');
+
+    return {
+        format: 'links',
+
+        async init({ resume = false } = {}) {
+            if (!resume) {
+                await fs.rm(journalPath, { force: true });
+            }
+            return [];
+        },
+
+        async writePage(pageData) {
+            await appendToFile(journalPath, JSON.stringify({ url: pageData.url, links: pageData.links }) + '\n');
+        },
+
+        async finalize() {
+            // Link URL -> { isInternal, texts, foundOn }
+            const inventory = new Map();
+            const journal = await fs.readFile(journalPath, 'utf8').catch(() => '');
+
+            for (const line of journal.split('\n')) {
+                if (!line) continue;
+                const page = JSON.parse(line);
+
+                for (const link of page.links) {
+                    if (!inventory.has(link.href)) {
+                        inventory.set(link.href, {
+                            isInternal: link.isInternal,
+                            texts: new Set(),
+                            foundOn: new Set(),
+                        });
+                    }
+                    const entry = inventory.get(link.href);
+                    if (link.text) {
+                        entry.texts.add(link.text);
+                    }
+                    entry.foundOn.add(page.url);
+                }
+            }
+
+            const links = [...inventory.entries()]
+                .map(([url, entry]) => ({
+                    url,
+                    isInternal: entry.isInternal,
+                    texts: [...entry.texts],
+                    foundOn: [...entry.foundOn].sort(),
+                }))
+                .sort((a, b) => a.url.localeCompare(b.url));
+
+            const filePath = getOutputFilePath(baseDir, crawlId, 'links', 'links', '.json');
+            const written = await writeJsonFile(filePath, {
+                universityName,
+                seedUrl,
+                generatedAt: new Date().toISOString(),
+                totalLinks: links.length,
+                internalLinks: links.filter((link) => link.isInternal).length,
+                links,
+            });
+
+            return written ? [filePath] : [];
+        },
+    };
+}
+
+export default { createLinksWriter };
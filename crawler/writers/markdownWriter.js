@@ -0,0 +1,47 @@
+import { initSingleFile, appendToSingleFile, finalizeSingleFile, getSingleFilePath } from '../singleFileFormatter.js';
+import { fileExists } from '../utils/fileWriter.js';
+
+/**
+ * Markdown Writer
+ * Adapts the single file formatter to the format writer interface
+ */
+
+/**
+ * Creates the markdown format writer
+ * @param {Object} context - Writer context
+ * @param {string} context.baseDir - Base output directory
+ * @param {string} context.universityName - University name
+ * @param {string} context.seedUrl - Starting URL
+ * @param {{ maxContentChars: number|null, truncateAt: string }} context.markdown - Content truncation settings
+ * @returns {Object} Format writer
+ */
+export function createMarkdownWriter({ baseDir, universityName, seedUrl, markdown }) {
+    let filePath = null;
+
+    return {
+        format: 'markdown',
+
+        async init({ resume = false } = {}) {
+            // A resumed crawl keeps appending to the file it already started
+            const existingPath = getSingleFilePath(baseDir, universityName);
+            if (resume && (await fileExists(existingPath))) {
+                filePath = existingPath;
+                return [];
+            }
+
+            filePath = await initSingleFile({ baseDir, universityName, seedUrl });
+            return [];
+        },
+
+        async writePage(pageData) {
+            await appendToSingleFile({ baseDir, universityName, pageData, settings: markdown });
+        },
+
+        async finalize({ pagesProcessed }) {
+            await finalizeSingleFile({ baseDir, universityName, pagesProcessed, seedUrl });
+            return filePath ? [filePath] : [];
+        },
+    };
+}
+
+export default { createMarkdownWriter };
@@ -0,0 +1,46 @@
+/**
+ * Next.js startup hook
+ * Restores the crawl job queue, recovers crawls that were still running
+ * when the server last stopped and starts the crawl scheduler. Warns when
+ * nobody could log in to the admin panel.
+ */
+export async function register() {
+    // The crawler needs Node.js APIs. NEXT_RUNTIME is inlined at build time, so
+    // this condition also keeps the crawler out of the edge runtime bundle.
+    if (process.env.NEXT_RUNTIME === 'nodejs') {
+        const { loadConfig } = await import('./crawler/config.js');
+        const { restoreJobQueue } = await import('./crawler/jobManager.js');
+        const { recoverInterruptedCrawls } = await import('./crawler/recovery.js');
+        const { startScheduler } = await import('./crawler/scheduler.js');
+        const { getAuthSecret } = await import('./crawler/auth/tokens.js');
+        const { listUsers } = await import('./crawler/auth/users.js');
+
+        try {
+            const config = await loadConfig();
+
+            if (!getAuthSecret()) {
+                console.warn('Authentication: CRAWLER_AUTH_SECRET is not set (or shorter than 32 characters); the admin panel and API are locked');
+            } else if ((await listUsers(config.auth.dir)).length === 0) {
+                console.warn('Authentication: no users yet; add one with "npm run crawl -- user add <username> --role operator"');
+            }
+
+            // Queued jobs first, so recovery can tell them from orphaned crawls
+            const queued = await restoreJobQueue({ config });
+            if (queued > 0) {
+                console.log(`Crawl queue: ${queued} jobs waiting`);
+            }
+
+            const { resumed, interrupted } = await recoverInterruptedCrawls({ config });
+            if (resumed.length > 0 || interrupted.length > 0) {
+                console.log(`Crawl recovery: ${resumed.length} resumed, ${interrupted.length} marked interrupted`);
+            }
+
+            // After recovery, so a schedule never skips a run for a crawl that is about to be marked interrupted
+            if (config.schedules.enabled) {
+                startScheduler({ config });
+            }
+        } catch (error) {
+            console.error('Crawl recovery failed:', error);
+        }
+    }
+}
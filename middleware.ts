@@ -0,0 +1,77 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { SESSION_COOKIE, getAuthSecret, hasRole, verifyCredential } from './crawler/auth/tokens.js';
+import { AUTH_HEADERS } from './crawler/auth/requestAuth.js';
+
+// Reachable without credentials
+const PUBLIC_PATHS = ['/api/auth/login', '/api/auth/logout'];
+
+// Safe methods only read; every other API request changes crawls or schedules
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Answers an API request that is not allowed, in the shape the route would have used
+ */
+function denyApiRequest(request: NextRequest, error: string, status: number) {
+    const body = READ_METHODS.includes(request.method) ? { error } : { success: false, error };
+    return NextResponse.json(body, { status });
+}
+
+/**
+ * Next.js middleware
+ * Requires a login session (cookie) or an API token (Authorization: Bearer)
+ * for the admin panel and the API. Viewers may read; starting, stopping,
+ * deleting and scheduling crawls needs the operator role. The user is passed
+ * on to the route handlers in the x-crawler-* headers; the edge runtime cannot
+ * read files, so the handlers check for revoked tokens and removed or changed
+ * accounts (app/api/authorizeRequest.ts).
+ */
+export async function middleware(request: NextRequest) {
+    const { pathname, search } = request.nextUrl;
+    const isApi = pathname.startsWith('/api/');
+
+    // Only the middleware may say who made a request
+    const headers = new Headers(request.headers);
+    for (const header of Object.values(AUTH_HEADERS)) {
+        headers.delete(header);
+    }
+
+    if (PUBLIC_PATHS.includes(pathname)) {
+        return NextResponse.next({ request: { headers } });
+    }
+
+    const secret = getAuthSecret();
+    if (!secret) {
+        return isApi
+            ? denyApiRequest(request, 'Authentication is not configured: set CRAWLER_AUTH_SECRET', 503)
+            : NextResponse.redirect(new URL('/login', request.url));
+    }
+
+    const authorization = request.headers.get('authorization');
+    const bearer = authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+    const user = bearer
+        ? await verifyCredential(bearer, 'token', secret)
+        : await verifyCredential(request.cookies.get(SESSION_COOKIE)?.value, 'session', secret);
+
+    if (!user) {
+        if (isApi) {
+            return denyApiRequest(request, 'Authentication required', 401);
+        }
+        const login = new URL('/login', request.url);
+        login.searchParams.set('next', `${pathname}${search}`);
+        return NextResponse.redirect(login);
+    }
+
+    if (isApi && !READ_METHODS.includes(request.method) && !hasRole(user.role, 'operator')) {
+        return denyApiRequest(request, 'Operator role required', 403);
+    }
+
+    headers.set(AUTH_HEADERS.user, user.sub);
+    headers.set(AUTH_HEADERS.role, user.role);
+    headers.set(AUTH_HEADERS.via, user.typ);
+    headers.set(AUTH_HEADERS.credential, String((user.typ === 'token' ? user.jti : user.ver) ?? ''));
+    return NextResponse.next({ request: { headers } });
+}
+
+export const config = {
+    matcher: ['/admin/:path*', '/api/:path*'],
+};
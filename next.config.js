@@ -5,6 +5,10 @@ const nextConfig = {
         serverActions: {
             bodySizeLimit: '2mb',
         },
+        // Runs instrumentation.ts on startup to recover interrupted crawls
+        instrumentationHook: true,
+        // PDF.js (via unpdf) must be loaded from node_modules rather than bundled
+        serverComponentsExternalPackages: ['unpdf'],
     },
     // Ignore crawler directory during Next.js build
     webpack: (config, { isServer }) => {
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveUser, removeUser, endSessions, authenticateUser } from '../crawler/auth/users.js';
+import { recordToken, revokeToken } from '../crawler/auth/apiTokens.js';
+import { checkRequestUser } from '../crawler/auth/activeCredentials.js';
+import { makeTempDir } from './helpers.js';
+
+const PASSWORD = 'correct horse battery';
+
+test('a session ends when its user is changed or removed', async (t) => {
+    const authDir = await makeTempDir(t);
+    await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'operator' });
+
+    const { sessionVersion } = await authenticateUser(authDir, 'alice', PASSWORD);
+    const session = { name: 'alice', role: 'operator', via: 'session', credential: String(sessionVersion) };
+    assert.deepEqual(await checkRequestUser(authDir, session), session);
+
+    // Demoted: sessions from before the change are no longer accepted, new ones get the new role
+    await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'viewer' });
+    assert.equal(await checkRequestUser(authDir, session), null);
+
+    const renewed = await authenticateUser(authDir, 'alice', PASSWORD);
+    const current = { ...session, credential: String(renewed.sessionVersion) };
+    assert.equal((await checkRequestUser(authDir, current)).role, 'viewer');
+
+    await removeUser(authDir, 'alice');
+    assert.equal(await checkRequestUser(authDir, current), null);
+});
+
+test('a user added again under a removed name does not get the old sessions back', async (t) => {
+    const authDir = await makeTempDir(t);
+    await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'operator' });
+    await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'operator' });
+
+    const { sessionVersion } = await authenticateUser(authDir, 'alice', PASSWORD);
+    const session = { name: 'alice', role: 'operator', via: 'session', credential: String(sessionVersion) };
+
+    await removeUser(authDir, 'alice');
+    assert.equal(await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'viewer' }), true);
+    assert.equal(await checkRequestUser(authDir, session), null);
+
+    // Versions carry on from the removed account, so no earlier session matches
+    const renewed = await authenticateUser(authDir, 'alice', PASSWORD);
+    assert.ok(renewed.sessionVersion > sessionVersion);
+    const current = { ...session, credential: String(renewed.sessionVersion) };
+    assert.equal((await checkRequestUser(authDir, current)).role, 'viewer');
+});
+
+test('logging out ends the session on the server', async (t) => {
+    const authDir = await makeTempDir(t);
+    await saveUser(authDir, { username: 'alice', password: PASSWORD, role: 'operator' });
+
+    const { sessionVersion } = await authenticateUser(authDir, 'alice', PASSWORD);
+    const session = { name: 'alice', role: 'operator', via: 'session', credential: String(sessionVersion) };
+
+    assert.equal(await endSessions(authDir, 'alice', sessionVersion), true);
+    assert.equal(await checkRequestUser(authDir, session), null);
+
+    // A session that has already ended cannot end the newer ones
+    const renewed = await authenticateUser(authDir, 'alice', PASSWORD);
+    const current = { ...session, credential: String(renewed.sessionVersion) };
+    assert.equal(await endSessions(authDir, 'alice', sessionVersion), false);
+    assert.notEqual(await checkRequestUser(authDir, current), null);
+
+    assert.equal(await endSessions(authDir, 'nobody', 1), false);
+});
+
+test('an API token is accepted only while it is recorded and not revoked', async (t) => {
+    const authDir = await makeTempDir(t);
+    const ttlSecs = 24 * 60 * 60;
+    await recordToken(authDir, { id: 'token-1', name: 'nightly-ci', role: 'operator', ttlSecs });
+    await recordToken(authDir, { id: 'token-2', name: 'nightly-ci', role: 'viewer', ttlSecs });
+    await recordToken(authDir, { id: 'token-3', name: 'dashboard', role: 'viewer', ttlSecs });
+
+    const token = (id) => ({ name: 'nightly-ci', role: 'operator', via: 'token', credential: id });
+    assert.equal((await checkRequestUser(authDir, token('token-1'))).role, 'operator');
+    // The role comes from the record, not the request
+    assert.equal((await checkRequestUser(authDir, token('token-2'))).role, 'viewer');
+    assert.equal(await checkRequestUser(authDir, token('unknown')), null);
+    assert.equal(await checkRequestUser(authDir, token('token-3')), null);
+
+    assert.equal(await revokeToken(authDir, 'token-1'), 1);
+    assert.equal(await checkRequestUser(authDir, token('token-1')), null);
+    assert.notEqual(await checkRequestUser(authDir, token('token-2')), null);
+
+    // By name, every token that is still active
+    assert.equal(await revokeToken(authDir, 'nightly-ci'), 1);
+    assert.equal(await checkRequestUser(authDir, token('token-2')), null);
+    assert.equal(await revokeToken(authDir, 'nightly-ci'), 0);
+});
@@ -0,0 +1,211 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createPageRecord } from '../crawler/pageRecord.js';
+import { openPageIndex, getConditionalHeaders, createIndexEntry, getPageIndexPath } from '../crawler/pageIndex.js';
+import { openChangeReport, getChangeReportPaths } from '../crawler/changeReport.js';
+import { readJsonFile } from '../crawler/utils/fileWriter.js';
+import { makeTempDir, startFixtureServer } from './helpers.js';
+
+const UNIVERSITY = 'Example University';
+
+/**
+ * Serves a page with an ETag, answering 304 when the request's If-None-Match matches it
+ * @param {{ title: string, content: string, etag: string, lastModified?: string }} page - Page served
+ * @returns {Function} Route handler
+ */
+function conditionalPage(page) {
+    return (req, res) => {
+        if (req.headers['if-none-match'] === page.etag) {
+            res.writeHead(304, { ETag: page.etag });
+            res.end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'application/json',
+            ETag: page.etag,
+            ...(page.lastModified ? { 'Last-Modified': page.lastModified } : {}),
+        });
+        res.end(JSON.stringify({ title: page.title, content: page.content }));
+    };
+}
+
+/**
+ * Crawls the given paths the way an incremental crawl job does: pages seen
+ * before are requested conditionally, a 304 reuses the previous record, and
+ * every page is recorded in the page index and, if it is new or changed, in
+ * the change report
+ * @param {string} baseDir - Output directory
+ * @param {string} origin - Fixture server origin
+ * @param {string[]} paths - Paths to crawl
+ * @param {Object} [options] - Options object
+ * @param {boolean} [options.complete] - Whether the crawl reached every page
+ * @returns {Promise<Object>} Final counts and removed pages, plus the statuses and request headers by path
+ */
+async function crawl(baseDir, origin, paths, { complete = true } = {}) {
+    const pageIndex = await openPageIndex({ baseDir, universityName: UNIVERSITY, compare: true });
+    const changeReport = await openChangeReport({ baseDir, universityName: UNIVERSITY, maxDiffLines: 100 });
+    const statuses = {};
+    const sentHeaders = {};
+
+    for (const pagePath of paths) {
+        const url = `${origin}${pagePath}`;
+        const previousEntry = pageIndex.getPreviousByFetchKey(url);
+        const conditionalHeaders = getConditionalHeaders(previousEntry);
+        sentHeaders[pagePath] = conditionalHeaders;
+
+        const response = await fetch(url, { headers: conditionalHeaders ?? {} });
+        const notModified = response.status === 304;
+        let record;
+        if (notModified) {
+            record = previousEntry.record;
+        } else {
+            const { title, content } = await response.json();
+            record = createPageRecord({ url, title, mainContent: content });
+        }
+
+        const headers = Object.fromEntries(response.headers);
+        const status = await pageIndex.record(url, createIndexEntry(record, { fetchKey: url, headers, previousEntry, notModified }));
+        if (status !== 'unchanged') {
+            await changeReport.recordChange({ status, record, previousRecord: pageIndex.getPrevious(url)?.record });
+        }
+        statuses[pagePath] = status;
+    }
+
+    const { counts, removed } = await pageIndex.finalize({ complete });
+    await changeReport.write({ seedUrl: `${origin}/`, previousCrawlAt: pageIndex.previousCrawlAt, counts, removed, complete });
+    return { counts, removed, statuses, sentHeaders };
+}
+
+test('an incremental re-crawl sends validators, reuses 304s and reports new, changed and removed pages', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const pages = {
+        '/': { title: 'Home', content: 'Welcome', etag: '"home-1"', lastModified: 'Mon, 03 Jun 2024 10:00:00 GMT' },
+        '/admissions': {
+            title: 'Admissions',
+            content: 'How to apply\nApply by March 1\nVisit campus',
+            etag: '"admissions-1"',
+            lastModified: 'Mon, 03 Jun 2024 10:00:00 GMT',
+        },
+        '/news/old': { title: 'Old News', content: 'Last year', etag: '"old-1"', lastModified: 'Mon, 03 Jun 2024 10:00:00 GMT' },
+    };
+    const routes = {};
+    const { origin, hits } = await startFixtureServer(t, routes);
+    const serve = () => {
+        for (const [pagePath, page] of Object.entries(pages)) {
+            routes[pagePath] = conditionalPage(page);
+        }
+    };
+    serve();
+
+    // First crawl: nothing to compare with, everything is new
+    const first = await crawl(baseDir, origin, ['/', '/admissions', '/news/old']);
+    assert.deepEqual(first.counts, { unchanged: 0, changed: 0, new: 3, removed: 0 });
+    assert.deepEqual(first.sentHeaders, { '/': null, '/admissions': null, '/news/old': null });
+
+    // The admissions page changes, the old news page goes away and a new one appears
+    pages['/admissions'] = {
+        title: 'Apply',
+        content: 'How to apply\nApply by April 15\nVisit campus',
+        etag: '"admissions-2"',
+        lastModified: 'Tue, 04 Jun 2024 10:00:00 GMT',
+    };
+    delete pages['/news/old'];
+    pages['/news/new'] = { title: 'New News', content: 'This year', etag: '"new-1"', lastModified: 'Tue, 04 Jun 2024 10:00:00 GMT' };
+    delete routes['/news/old'];
+    serve();
+
+    const second = await crawl(baseDir, origin, ['/', '/admissions', '/news/new']);
+    assert.deepEqual(second.sentHeaders['/'], {
+        'If-None-Match': '"home-1"',
+        'If-Modified-Since': 'Mon, 03 Jun 2024 10:00:00 GMT',
+    });
+    assert.deepEqual(second.statuses, { '/': 'unchanged', '/admissions': 'changed', '/news/new': 'new' });
+    assert.deepEqual(second.counts, { unchanged: 1, changed: 1, new: 1, removed: 1 });
+    assert.deepEqual(
+        second.removed.map((entry) => entry.url),
+        [`${origin}/news/old`]
+    );
+    assert.equal(hits.get('/'), 2);
+
+    // A 304 keeps the previous validators, a 200 takes the response's
+    const index = await readJsonFile(getPageIndexPath(baseDir, UNIVERSITY));
+    assert.deepEqual(Object.keys(index.pages).sort(), [`${origin}/`, `${origin}/admissions`, `${origin}/news/new`]);
+    assert.equal(index.pages[`${origin}/`].etag, '"home-1"');
+    assert.equal(index.pages[`${origin}/`].lastModified, 'Mon, 03 Jun 2024 10:00:00 GMT');
+    assert.equal(index.pages[`${origin}/admissions`].etag, '"admissions-2"');
+
+    const paths = getChangeReportPaths(baseDir, UNIVERSITY);
+    const report = await readJsonFile(paths.json);
+    assert.deepEqual(report.added, [{ url: `${origin}/news/new`, title: 'New News' }]);
+    assert.deepEqual(report.removed, [{ url: `${origin}/news/old`, title: 'Old News' }]);
+    assert.deepEqual(report.changed, [
+        {
+            url: `${origin}/admissions`,
+            title: 'Apply',
+            diff: ['- Title: Admissions', '+ Title: Apply', '  How to apply', '- Apply by March 1', '+ Apply by April 15', '  Visit campus'].join(
+                '\n'
+            ),
+        },
+    ]);
+
+    const markdown = await fs.readFile(paths.markdown, 'utf8');
+    assert.match(markdown, /^# Change Report: Example University$/m);
+    assert.match(markdown, /^\| 1 \| 1 \| 1 \| 1 \|$/m);
+    assert.match(markdown, /^## New Pages \(1\)\n\n- \[New News\]\(http:\/\/127\.0\.0\.1:\d+\/news\/new\)$/m);
+    assert.match(markdown, /^## Removed Pages \(1\)\n\n- \[Old News\]/m);
+    assert.match(markdown, /^```diff\n- Title: Admissions\n\+ Title: Apply\n/m);
+    assert.doesNotMatch(markdown, /did not finish/);
+
+    // A third crawl with nothing changed answers 304 everywhere and reports nothing
+    const third = await crawl(baseDir, origin, ['/', '/admissions', '/news/new']);
+    assert.deepEqual(third.counts, { unchanged: 3, changed: 0, new: 0, removed: 0 });
+    assert.doesNotMatch(await fs.readFile(paths.markdown, 'utf8'), /^## /m);
+});
+
+test('an unfinished crawl keeps the pages it did not reach and reports none as removed', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const routes = {
+        '/': conditionalPage({ title: 'Home', content: 'Welcome', etag: '"home-1"' }),
+        '/about': conditionalPage({ title: 'About', content: 'History', etag: '"about-1"' }),
+    };
+    const { origin } = await startFixtureServer(t, routes);
+
+    await crawl(baseDir, origin, ['/', '/about']);
+    const partial = await crawl(baseDir, origin, ['/'], { complete: false });
+
+    assert.deepEqual(partial.counts, { unchanged: 1, changed: 0, new: 0, removed: 0 });
+    assert.deepEqual(partial.removed, []);
+    const index = await readJsonFile(getPageIndexPath(baseDir, UNIVERSITY));
+    assert.deepEqual(Object.keys(index.pages).sort(), [`${origin}/`, `${origin}/about`]);
+    assert.match(
+        await fs.readFile(getChangeReportPaths(baseDir, UNIVERSITY).markdown, 'utf8'),
+        /The crawl did not finish, so pages it did not reach are not reported as removed/
+    );
+
+    // Without validators a page is fetched in full and compared by its content
+    assert.equal(getConditionalHeaders({ etag: null, lastModified: null }), null);
+    assert.deepEqual(getConditionalHeaders({ etag: null, lastModified: 'Mon, 03 Jun 2024 10:00:00 GMT' }), {
+        'If-Modified-Since': 'Mon, 03 Jun 2024 10:00:00 GMT',
+    });
+});
+
+test('changed pages with too many differing lines are reported without a diff', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const url = 'https://www.example.edu/catalog';
+    const before = createPageRecord({ url, title: 'Catalog', mainContent: Array.from({ length: 5 }, (_, i) => `course ${i}`).join('\n') });
+    const after = { ...before, mainContent: Array.from({ length: 5 }, (_, i) => `class ${i}`).join('\n') };
+
+    const changeReport = await openChangeReport({ baseDir, universityName: UNIVERSITY, maxDiffLines: 4 });
+    await changeReport.recordChange({ status: 'changed', record: after, previousRecord: before });
+    await changeReport.write({
+        seedUrl: 'https://www.example.edu/',
+        previousCrawlAt: null,
+        counts: { unchanged: 0, changed: 1, new: 0, removed: 0 },
+        removed: [],
+        complete: true,
+    });
+
+    const report = await readJsonFile(getChangeReportPaths(baseDir, UNIVERSITY).json);
+    assert.equal(report.changed[0].diff, '@@ Content changed too much to diff (more than 4 lines)');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextCronTime } from '../crawler/utils/cron.js';
+
+// Cron expressions match in local time; Monday 5 January 2026, 10:07
+const MONDAY = new Date(2026, 0, 5, 10, 7);
+
+/**
+ * Lists the next times an expression matches
+ * @param {string} expression - Cron expression
+ * @param {number} count - Times to list
+ * @param {Date} [after] - Time to search from
+ * @returns {Date[]} Matching times
+ */
+function nextTimes(expression, count, after = MONDAY) {
+    const times = [];
+    let time = after;
+    while (times.length < count) {
+        time = getNextCronTime(expression, time);
+        times.push(time);
+    }
+    return times;
+}
+
+test('numbers, lists and ranges select the values they name', () => {
+    const schedule = parseCron('0,30 9-11 1,15 * *');
+
+    assert.deepEqual([...schedule.minutes], [0, 30]);
+    assert.deepEqual([...schedule.hours], [9, 10, 11]);
+    assert.deepEqual([...schedule.days], [1, 15]);
+    assert.equal(schedule.months.size, 12);
+    assert.deepEqual(getNextCronTime('0 9-17 * * *', new Date(2026, 0, 5, 17, 30)), new Date(2026, 0, 6, 9, 0));
+});
+
+test('steps apply to *, ranges and a start value', () => {
+    assert.deepEqual([...parseCron('*/15 * * * *').minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...parseCron('10-30/10 * * * *').minutes], [10, 20, 30]);
+    assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+    assert.deepEqual([...parseCron('0 */6 * * *').hours], [0, 6, 12, 18]);
+
+    assert.deepEqual(nextTimes('*/15 * * * *', 3), [
+        new Date(2026, 0, 5, 10, 15),
+        new Date(2026, 0, 5, 10, 30),
+        new Date(2026, 0, 5, 10, 45),
+    ]);
+});
+
+test('months and weekdays accept names in any case', () => {
+    const schedule = parseCron('0 8 * Jan-MAR mon,wed-fri');
+
+    assert.deepEqual([...schedule.months], [1, 2, 3]);
+    assert.deepEqual([...schedule.weekdays], [1, 3, 4, 5]);
+    assert.deepEqual(nextTimes('0 8 * jan-mar mon,wed-fri', 3), [
+        new Date(2026, 0, 7, 8, 0),
+        new Date(2026, 0, 8, 8, 0),
+        new Date(2026, 0, 9, 8, 0),
+    ]);
+});
+
+test('7 is Sunday, like 0', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.deepEqual([...parseCron('0 0 * * 5-7').weekdays].sort(), [0, 5, 6]);
+    assert.deepEqual(getNextCronTime('0 0 * * 7', MONDAY), new Date(2026, 0, 11, 0, 0));
+    assert.deepEqual(getNextCronTime('@weekly', MONDAY), new Date(2026, 0, 11, 0, 0));
+});
+
+test('a day matching either day field matches when both are restricted', () => {
+    // The 13th, and every Friday
+    assert.deepEqual(nextTimes('0 0 13 * fri', 3), [
+        new Date(2026, 0, 9, 0, 0),
+        new Date(2026, 0, 13, 0, 0),
+        new Date(2026, 0, 16, 0, 0),
+    ]);
+
+    // A day field starting with * is unrestricted, so both fields must match: Mondays on odd days
+    assert.deepEqual(nextTimes('0 0 */2 * mon', 2), [new Date(2026, 0, 19, 0, 0), new Date(2026, 1, 9, 0, 0)]);
+
+    // Only the restricted field applies when the other is *
+    assert.deepEqual(getNextCronTime('0 0 13 * *', MONDAY), new Date(2026, 0, 13, 0, 0));
+    assert.deepEqual(getNextCronTime('0 0 * * fri', MONDAY), new Date(2026, 0, 9, 0, 0));
+});
+
+test('the next time is strictly after the given time', () => {
+    const exact = new Date(2026, 0, 5, 10, 15, 0);
+    assert.deepEqual(getNextCronTime('15 10 * * *', exact), new Date(2026, 0, 6, 10, 15));
+    assert.deepEqual(getNextCronTime('* * * * *', new Date(2026, 0, 5, 10, 7, 30)), new Date(2026, 0, 5, 10, 8));
+    assert.deepEqual(getNextCronTime('0 0 1 1 *', MONDAY), new Date(2027, 0, 1, 0, 0));
+});
+
+test('expressions that never match give no next time', () => {
+    assert.equal(getNextCronTime('0 0 30 feb *', MONDAY), null);
+    assert.equal(getNextCronTime('0 0 31 apr,jun,sep,nov *', MONDAY), null);
+
+    // A weekday makes an impossible date match on that weekday instead
+    assert.deepEqual(getNextCronTime('0 0 30 feb mon', MONDAY), new Date(2026, 1, 2, 0, 0));
+});
+
+test('malformed expressions are rejected', () => {
+    for (const expression of ['* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '0 0 * 13 *']) {
+        assert.throws(() => parseCron(expression), /cron expression/i, expression);
+    }
+    for (const expression of ['*/0 * * * *', '1/2/3 * * * *', '*/x * * * *']) {
+        assert.throws(() => parseCron(expression), /Invalid step/, expression);
+    }
+    assert.throws(() => parseCron('30-10 * * * *'), /Invalid range/);
+    assert.throws(() => parseCron('0 0 * * funday'), /Invalid day of week/);
+    assert.throws(() => parseCron('0 0 * * -1'), /Invalid day of week/);
+});
@@ -0,0 +1,196 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import defaultConfig from '../config/default.config.js';
+import {
+    SUPPORTED_DOCUMENT_TYPES,
+    getDocumentType,
+    fetchDocument,
+    extractDocument,
+} from '../crawler/documents/index.js';
+import { validatePageRecord } from '../crawler/pageRecord.js';
+import { mergeConfig, validateConfig } from '../crawler/config.js';
+import { fixturePath, startFixtureServer } from './helpers.js';
+
+const BASE_URL = 'https://www.example.edu/files/';
+
+const DEFAULT_LIMITS = { types: SUPPORTED_DOCUMENT_TYPES, maxPages: 50, maxTextChars: 100000 };
+
+/**
+ * Extracts a fixture document
+ * @param {string} name - File name in test/fixtures/documents
+ * @param {Object} [limits] - types, maxPages and maxTextChars overrides
+ * @returns {Promise<Object|null>} Page record
+ */
+async function extractFixture(name, limits = {}) {
+    const buffer = await fs.readFile(fixturePath(`documents/${name}`));
+    return extractDocument(buffer, { url: BASE_URL + name, ...DEFAULT_LIMITS, ...limits });
+}
+
+test('document types come from the URL extension', () => {
+    assert.equal(getDocumentType(`${BASE_URL}catalog.PDF`), 'pdf');
+    assert.equal(getDocumentType(`${BASE_URL}handbook.docx?download=1`), 'docx');
+    assert.equal(getDocumentType(`${BASE_URL}catalog.pdf.html`), null);
+    assert.equal(getDocumentType(`${BASE_URL}`), null);
+    assert.equal(getDocumentType('not a url'), null);
+});
+
+test('a PDF yields its page text, outline and document info', async () => {
+    const record = await extractFixture('catalog.pdf');
+
+    assert.deepEqual(validatePageRecord(record), []);
+    assert.equal(record.documentType, 'pdf');
+    assert.equal(record.title, 'Course Catalog');
+    assert.equal(record.metaDescription, 'Undergraduate courses');
+    assert.deepEqual(record.headings, [
+        { level: 1, text: 'Courses' },
+        { level: 2, text: 'Biology' },
+        { level: 2, text: 'Chemistry' },
+    ]);
+    assert.equal(
+        record.mainContent,
+        'Course Catalog 2024\nWelcome to the catalog.\n\n' +
+            'Biology\nBIO 101 Introduction to Biology\n\n' +
+            'Chemistry\nCHEM 110 General Chemistry'
+    );
+    assert.equal(record.pageCount, 3);
+    assert.equal(record.contentTruncated, false);
+});
+
+test('a Word document yields its paragraphs, heading styles and core properties', async () => {
+    const record = await extractFixture('handbook.docx');
+
+    assert.deepEqual(validatePageRecord(record), []);
+    assert.equal(record.documentType, 'docx');
+    assert.equal(record.title, 'Graduate Student Handbook');
+    assert.equal(record.metaDescription, 'Policies for graduate students');
+    assert.equal(record.language, 'en-US');
+    assert.deepEqual(record.headings, [
+        { level: 1, text: 'Graduate Student Handbook' },
+        { level: 1, text: 'Admissions' },
+        { level: 2, text: 'International Applicants' },
+        { level: 1, text: 'Funding' },
+    ]);
+    assert.match(record.mainContent, /^Graduate Student Handbook\n\nAdmissions\n\n/);
+    assert.match(record.mainContent, /Applications open September 1 & close January 15\./);
+    assert.match(record.mainContent, /Submit TOEFL scores\tby December 1\./);
+    assert.equal(record.pageCount, 2);
+    assert.equal(record.contentTruncated, false);
+});
+
+test('a presentation yields one section per slide, titled by its title placeholder', async () => {
+    const record = await extractFixture('open-house.pptx');
+
+    assert.equal(record.documentType, 'pptx');
+    assert.equal(record.title, 'Open House');
+    assert.deepEqual(
+        record.headings.map((heading) => heading.text),
+        ['Open House 2024', 'Programs', 'Slide 3', 'Contact']
+    );
+    assert.equal(
+        record.mainContent,
+        'Open House 2024\nWelcome, future students\n\n' +
+            'Programs\nEngineering\nNursing\n\n' +
+            'Slide 3\nNo title on this slide\n\n' +
+            'Contact\nadmissions@example.edu'
+    );
+    assert.equal(record.pageCount, 4);
+});
+
+test('a workbook yields tab-separated rows under each sheet name', async () => {
+    const record = await extractFixture('tuition.xlsx');
+
+    assert.equal(record.documentType, 'xlsx');
+    assert.equal(record.title, 'Tuition and Fees 2024');
+    assert.deepEqual(
+        record.headings.map((heading) => heading.text),
+        ['Tuition', 'Fees', 'Notes']
+    );
+    assert.equal(
+        record.mainContent,
+        'Tuition\nProgram\tAnnual tuition\nUndergraduate\t12500\nGraduate & Professional\t18750.5\n\n' +
+            'Fees\nLab fee\t250\tTRUE\n\n' +
+            'Notes\nRates change each fall.'
+    );
+    assert.equal(record.pageCount, 3);
+});
+
+test('maxPages stops extraction and marks the content truncated', async () => {
+    const pdf = await extractFixture('catalog.pdf', { maxPages: 2 });
+    assert.doesNotMatch(pdf.mainContent, /Chemistry\nCHEM 110/);
+    assert.equal(pdf.pageCount, 3);
+    assert.equal(pdf.contentTruncated, true);
+
+    const pptx = await extractFixture('open-house.pptx', { maxPages: 2 });
+    assert.deepEqual(
+        pptx.headings.map((heading) => heading.text),
+        ['Open House 2024', 'Programs']
+    );
+    assert.equal(pptx.contentTruncated, true);
+
+    const xlsx = await extractFixture('tuition.xlsx', { maxPages: 1 });
+    assert.equal(xlsx.mainContent, 'Tuition\nProgram\tAnnual tuition\nUndergraduate\t12500\nGraduate & Professional\t18750.5');
+    assert.equal(xlsx.pageCount, 3);
+    assert.equal(xlsx.contentTruncated, true);
+
+    // Word documents are not paged when extracted
+    const docx = await extractFixture('handbook.docx', { maxPages: 1 });
+    assert.equal(docx.contentTruncated, false);
+});
+
+test('maxTextChars cuts the text and marks the content truncated', async () => {
+    const record = await extractFixture('handbook.docx', { maxTextChars: 40 });
+
+    assert.equal(record.mainContent.length, 40);
+    assert.ok(record.mainContent.startsWith('Graduate Student Handbook\n\nAdmissions'));
+    assert.equal(record.contentTruncated, true);
+});
+
+test('types that are not enabled, and files that are not documents, are not extracted', async () => {
+    assert.equal(await extractFixture('catalog.pdf', { types: ['docx'] }), null);
+    assert.equal(await extractFixture('tuition.xlsx', { types: ['pdf', 'docx', 'pptx'] }), null);
+    assert.equal(
+        await extractDocument(Buffer.from('<html></html>'), { url: `${BASE_URL}page.pdf`, ...DEFAULT_LIMITS }),
+        null
+    );
+});
+
+test('fetchDocument downloads documents up to maxBytes', async (t) => {
+    const body = await fs.readFile(fixturePath('documents/catalog.pdf'));
+    const { origin } = await startFixtureServer(t, {
+        '/catalog.pdf': { body, headers: { 'Content-Type': 'application/pdf' } },
+        '/missing.pdf': { status: 404, body: 'Not found' },
+    });
+    const options = { fetchTimeoutSecs: 5, userAgent: 'InfinizeCrawler' };
+
+    const buffer = await fetchDocument(`${origin}/catalog.pdf`, { ...options, maxBytes: body.length });
+    assert.deepEqual(buffer, body);
+
+    // Refused from the Content-Length header, before the body is read
+    assert.equal(await fetchDocument(`${origin}/catalog.pdf`, { ...options, maxBytes: body.length - 1 }), null);
+
+    await assert.rejects(fetchDocument(`${origin}/missing.pdf`, { ...options, maxBytes: body.length }), /404/);
+});
+
+test('fetchDocument gives up on a streamed body once it exceeds maxBytes', async (t) => {
+    const { origin } = await startFixtureServer(t, {
+        // Chunked response without a Content-Length
+        '/large.pdf': (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/pdf' });
+            res.write(Buffer.alloc(1024));
+            res.end(Buffer.alloc(1024));
+        },
+    });
+    const options = { fetchTimeoutSecs: 5, userAgent: 'InfinizeCrawler' };
+
+    assert.equal(await fetchDocument(`${origin}/large.pdf`, { ...options, maxBytes: 1500 }), null);
+    assert.equal((await fetchDocument(`${origin}/large.pdf`, { ...options, maxBytes: 2048 })).length, 2048);
+});
+
+test('legacy Office formats cannot be enabled in documents.types', () => {
+    const errors = validateConfig(mergeConfig(defaultConfig, { documents: { types: ['pdf', 'doc'] } }));
+    assert.deepEqual(errors, [
+        'documents.types must be a list of: pdf, docx, pptx, xlsx (legacy .doc, .ppt and .xls files are not supported)',
+    ]);
+    assert.deepEqual(validateConfig(defaultConfig), []);
+});
@@ -0,0 +1,229 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import defaultConfig from '../config/default.config.js';
+import { extractPageData } from '../crawler/handlers/pageHandler.js';
+import { selectExtractors, classifyPage, writeExtracted } from '../crawler/extractors/index.js';
+import { makeTempDir, openFixturePage } from './helpers.js';
+
+const MIN_SCORE = defaultConfig.extractors.minScore;
+
+/**
+ * Saved pages, one per extractor type, with the URL each is crawled from
+ * and the items its extractor should find
+ */
+const PAGES = [
+    {
+        fixture: 'program.html',
+        url: 'https://www.example.edu/programs/computer-science-bs',
+        type: 'program',
+        items: [
+            {
+                name: 'Bachelor of Science in Computer Science',
+                degree: 'Bachelor of Science',
+                level: 'bachelor',
+                credits: 120,
+                duration: '4 years',
+                formats: ['on-campus', 'online'],
+                department: 'Department of Computer Science',
+            },
+        ],
+    },
+    {
+        fixture: 'course.html',
+        url: 'https://www.example.edu/catalog/biology',
+        type: 'course',
+        items: [
+            {
+                code: 'BIO 101',
+                title: 'Introduction to Biology',
+                credits: 4,
+                prerequisites: null,
+                prerequisiteCodes: [],
+                description: 'Cell structure, genetics and evolution, with a weekly laboratory.',
+            },
+            {
+                code: 'BIO 210',
+                title: 'Genetics',
+                credits: 3,
+                prerequisites: 'BIO 101 and CHEM 110',
+                prerequisiteCodes: ['BIO 101', 'CHEM 110'],
+                description: 'Mendelian and molecular genetics.',
+            },
+            {
+                code: 'BIO 350',
+                title: 'Ecology',
+                credits: 3,
+                prerequisites: null,
+                prerequisiteCodes: [],
+                description: null,
+            },
+            {
+                code: 'BIO 420',
+                title: 'Molecular Biology',
+                credits: 4,
+                prerequisites: null,
+                prerequisiteCodes: [],
+                description: null,
+            },
+        ],
+    },
+    {
+        fixture: 'faculty.html',
+        url: 'https://www.example.edu/people/maria-lopez',
+        type: 'faculty',
+        items: [
+            {
+                name: 'Dr. Maria Lopez',
+                title: 'Associate Professor of Chemistry',
+                department: 'Department of Chemistry',
+                email: 'mlopez@example.edu',
+                phone: '+1-555-010-4477',
+                office: 'Science Hall 214',
+                researchInterests: ['Green catalysis', 'Organometallic chemistry'],
+            },
+        ],
+    },
+    {
+        fixture: 'event.html',
+        url: 'https://www.example.edu/events/fall-open-house',
+        type: 'event',
+        items: [
+            {
+                name: 'Fall Open House',
+                startDate: '2026-10-17T09:00',
+                endDate: '2026-10-17T13:00',
+                time: null,
+                location: 'Student Union Ballroom',
+                url: 'https://www.example.edu/events/fall-open-house',
+            },
+        ],
+    },
+    {
+        fixture: 'admissionsDeadline.html',
+        url: 'https://www.example.edu/admissions/deadlines',
+        type: 'admissions-deadline',
+        items: [
+            {
+                label: 'Early Action',
+                date: '2026-11-01',
+                dateText: 'November 1, 2026',
+                term: 'Fall 2027',
+                section: 'First-Year Applicants',
+            },
+            {
+                label: 'Regular Decision',
+                date: '2027-01-15',
+                dateText: 'January 15, 2027',
+                term: 'Fall 2027',
+                section: 'First-Year Applicants',
+            },
+            {
+                label: 'Regular Decision',
+                date: '2027-10-15',
+                dateText: 'October 15, 2027',
+                term: 'Spring 2028',
+                section: 'First-Year Applicants',
+            },
+            {
+                label: 'FAFSA priority deadline',
+                date: '--02-15',
+                dateText: 'February 15',
+                term: null,
+                section: 'Financial Aid',
+            },
+        ],
+    },
+    {
+        fixture: 'tuition.html',
+        url: 'https://www.example.edu/student-accounts/tuition',
+        type: 'tuition',
+        items: [
+            {
+                label: 'Tuition per semester',
+                category: 'In-State',
+                amount: 5250,
+                currency: 'USD',
+                period: 'semester',
+                academicYear: '2026-27',
+                section: 'Undergraduate Tuition',
+            },
+            {
+                label: 'Tuition per semester',
+                category: 'Out-of-State',
+                amount: 14800,
+                currency: 'USD',
+                period: 'semester',
+                academicYear: '2026-27',
+                section: 'Undergraduate Tuition',
+            },
+            {
+                label: 'Student activity fee',
+                category: null,
+                amount: 125,
+                currency: 'USD',
+                period: 'semester',
+                academicYear: '2026-27',
+                section: 'Fees',
+            },
+            {
+                label: 'Online course fee',
+                category: null,
+                amount: 50,
+                currency: 'USD',
+                period: 'credit',
+                academicYear: '2026-27',
+                section: 'Fees',
+            },
+        ],
+    },
+];
+
+/**
+ * Extracts the page record of a saved page, as the crawler would
+ * @param {{ fixture: string, url: string }} page - Saved page
+ * @returns {Promise<import('../crawler/pageRecord.js').PageRecord>} Page record
+ */
+async function loadRecord({ fixture, url }) {
+    const page = await openFixturePage(`pages/${fixture}`, url);
+    return extractPageData({ page, request: { url } }, defaultConfig);
+}
+
+for (const page of PAGES) {
+    test(`${page.fixture} is classified as ${page.type} and its fields are extracted`, async () => {
+        const record = await loadRecord(page);
+        const match = classifyPage(record, selectExtractors(null), MIN_SCORE);
+
+        assert.equal(match?.extractor.type, page.type);
+        assert.deepEqual(match.extractor.extract(record), page.items);
+
+        // No other extractor claims the page on its own
+        const others = selectExtractors(null).filter((extractor) => extractor.type !== page.type);
+        assert.equal(classifyPage(record, others, MIN_SCORE), null);
+    });
+}
+
+test('writeExtracted writes the items of each class to extracted/<type>.jsonl', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const records = await Promise.all(PAGES.map(loadRecord));
+
+    const { counts, extractedDir } = await writeExtracted({
+        baseDir,
+        universityName: 'Example University',
+        records,
+        settings: { types: null, minScore: MIN_SCORE },
+    });
+
+    assert.deepEqual(counts, Object.fromEntries(PAGES.map((page) => [page.type, page.items.length])));
+
+    const lines = (await fs.readFile(path.join(extractedDir, 'course.jsonl'), 'utf8')).trim().split('\n');
+    const items = lines.map((line) => JSON.parse(line));
+    assert.deepEqual(
+        items.map((item) => item.fields),
+        PAGES.find((page) => page.type === 'course').items
+    );
+    assert.equal(items[0].url, 'https://www.example.edu/catalog/biology');
+    assert.equal(items[0].title, 'Biology Course Descriptions | Example University');
+    assert.ok(items[0].score >= MIN_SCORE);
+});
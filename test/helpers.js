@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import http from 'http';
+import { JSDOM } from 'jsdom';
+import defaultConfig from '../config/default.config.js';
+import { mergeConfig } from '../crawler/config.js';
+import { registerCrawl } from '../crawler/crawlRegistry.js';
+import { getQueueFilePath } from '../crawler/jobManager.js';
+import { writeJsonFile } from '../crawler/utils/fileWriter.js';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Test Helpers
+ */
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+/**
+ * Gets the path of a fixture file
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} Full path
+ */
+export function fixturePath(name) {
+    return path.join(FIXTURES_DIR, name);
+}
+
+/**
+ * Reads a JSON fixture
+ * @param {string} name - File name in test/fixtures
+ * @returns {Promise<*>} Parsed contents
+ */
+export async function readJsonFixture(name) {
+    return JSON.parse(await fs.readFile(fixturePath(name), 'utf8'));
+}
+
+/**
+ * Creates a temporary directory, removed when the test finishes
+ * @param {import('node:test').TestContext} t - Test context
+ * @returns {Promise<string>} Directory path
+ */
+export async function makeTempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'infinize-crawler-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Starts a local HTTP server answering from a route table, stopped when the test finishes
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Object<string, { status?: number, body?: string|Buffer, headers?: Object }|Function>} routes -
+ *   Answers keyed by path (with query string); functions get (req, res). Unknown paths answer 404.
+ * @returns {Promise<{ origin: string, hits: Map<string, number> }>} Server origin, and request counts by path
+ */
+export async function startFixtureServer(t, routes) {
+    const hits = new Map();
+    const server = http.createServer((req, res) => {
+        hits.set(req.url, (hits.get(req.url) ?? 0) + 1);
+        const route = routes[req.url];
+        if (typeof route === 'function') {
+            route(req, res);
+            return;
+        }
+        res.writeHead(route?.status ?? (route ? 200 : 404), route?.headers ?? {});
+        res.end(route?.body ?? '');
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+    return { origin: `http://127.0.0.1:${port}`, hits };
+}
+
+/**
+ * Loads a saved HTML fixture as a stand-in for a Playwright page, so the
+ * in-page extraction functions run against it the way page.evaluate() runs
+ * them: serialized and called inside the document
+ * @param {string} name - File name in test/fixtures
+ * @param {string} url - URL the page is served from
+ * @returns {Promise<Object>} Page with title(), evaluate() and $$eval()
+ */
+export async function openFixturePage(name, url) {
+    const html = await fs.readFile(fixturePath(name), 'utf8');
+    const { window } = new JSDOM(html, { url, runScripts: 'outside-only' });
+    const run = (fn, arg) => window.eval(`(${fn.toString()})(${arg})`);
+
+    return {
+        title: async () => window.document.title,
+        evaluate: async (fn, arg) => run(fn, JSON.stringify(arg ?? null)),
+        $$eval: async (selector, fn) => run(fn, `Array.from(document.querySelectorAll(${JSON.stringify(selector)}))`),
+    };
+}
+
+// Crawl holding the only crawl slot of the queue built by setUpBusyQueue()
+const BUSY_CRAWL_ID = 'busy-university';
+
+/**
+ * Builds a server configuration whose job queue never starts a crawl: a running
+ * crawl of another university holds its only slot, so new jobs stay queued. The
+ * job manager keeps its state per process, so call this once per test file.
+ * @param {string} baseDir - Temporary output directory
+ * @returns {Promise<Object>} Server configuration
+ */
+export async function setUpBusyQueue(baseDir) {
+    registerCrawl(BUSY_CRAWL_ID);
+    await writeJsonFile(getQueueFilePath(baseDir), {
+        jobs: [{ jobId: 'busy-job', crawlId: BUSY_CRAWL_ID, state: 'running', pages: 1, priority: 0 }],
+    });
+
+    return mergeConfig(defaultConfig, {
+        output: { baseDir },
+        auth: { dir: path.join(baseDir, 'auth') },
+        queue: { maxConcurrentCrawls: 1 },
+        // Seeds on 127.0.0.1 need no DNS lookups
+        targets: { allowedDomains: [], blockPrivateAddresses: false },
+    });
+}
+
+export default {
+    fixturePath,
+    readJsonFixture,
+    makeTempDir,
+    startFixtureServer,
+    openFixturePage,
+    setUpBusyQueue,
+};
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import defaultConfig from '../config/default.config.js';
+import { extractContentInPage } from '../crawler/handlers/htmlToMarkdown.js';
+import { openFixturePage } from './helpers.js';
+
+const PAGE_URL = 'https://www.example.edu/graduate/';
+
+/**
+ * Converts one element of the saved page, as the page handler does
+ * @param {string|null} selector - Content element selector; null for the body
+ * @param {string[]} [excludeSelectors] - Selectors removed first
+ * @returns {Promise<{ text: string, markdown: string }|null>}
+ */
+async function extract(selector, excludeSelectors = defaultConfig.extraction.excludeSelectors) {
+    const page = await openFixturePage('pages/markdownContent.html', PAGE_URL);
+    return page.evaluate(extractContentInPage, { selector, excludeSelectors });
+}
+
+test('headings, paragraphs, line breaks, links and emphasis', async () => {
+    const { markdown, text } = await extract('main', [...defaultConfig.extraction.excludeSelectors, '.share']);
+    const [heading, paragraph] = markdown.split('\n\n');
+
+    assert.equal(heading, '# Graduate Admissions');
+    assert.equal(
+        paragraph,
+        'Apply by **March 1** through the [online portal](https://www.example.edu/apply).  \n' +
+            'Questions? [Email us](mailto:grad@example.edu).'
+    );
+    assert.ok(markdown.endsWith('*Spaced* emphasis'));
+    assert.doesNotMatch(markdown, /Share|tracked/);
+    assert.ok(text.startsWith('Graduate Admissions Apply by March 1 through the online portal.'));
+    assert.doesNotMatch(text, /Share|tracked/);
+});
+
+test('ordered lists keep their start number, and nested lists are indented under their item', async () => {
+    const { markdown } = await extract('#lists');
+
+    assert.equal(
+        markdown,
+        [
+            '3. Submit transcripts',
+            '4. Pay the fee',
+            '   - Waivers are available',
+            // The empty item is dropped but keeps its number, as the browser shows it
+            '6. Schedule an interview',
+            '',
+            '1. Starts at one',
+        ].join('\n')
+    );
+});
+
+test('table cells spanning columns are padded so every row has the same width', async () => {
+    const { markdown } = await extract('#tables');
+
+    assert.equal(
+        markdown,
+        [
+            '| Program | Deadlines |  |',
+            '| --- | --- | --- |',
+            '| Biology | Dec 1 | Mar 1 |',
+            '| Rolling admission \\| all other programs |  |  |',
+            '| Law |  |  |',
+        ].join('\n')
+    );
+});
+
+test('text that would read as a heading, quote or list marker is escaped', async () => {
+    const { markdown } = await extract('#escaping');
+
+    assert.deepEqual(markdown.split('\n\n'), [
+        '\\# Not a heading',
+        '\\> Not a quote',
+        '\\- Not a list item',
+        '1\\. Not a numbered item',
+        '2\\) Not one either',
+        'Room 101. Then turn left',
+        'Office hours:  \n\\- Monday  \n\\+ Tuesday by appointment',
+        'Use \\*stars\\*, \\_underscores\\_ and \\[brackets\\] as written',
+        '## \\# Hashtag heading',
+    ]);
+});
+
+test('quotes, code, definition lists and rules', async () => {
+    const { markdown } = await extract('#blocks');
+
+    assert.deepEqual(markdown.split('\n\n'), [
+        '> Education is not preparation for life.\n>\n> It is life itself.',
+        '```\nnpm install\nnpm test\n```',
+        '**GPA**',
+        '3.0 minimum',
+        '---',
+        'Run `npm test` or press `Ctrl`.',
+        '*Spaced* emphasis',
+    ]);
+});
+
+test('a missing content element gives null, and the body is used without a selector', async () => {
+    assert.equal(await extract('#missing'), null);
+
+    const body = await extract(null);
+    assert.doesNotMatch(body.markdown, /Home/);
+    assert.ok(body.markdown.startsWith('# Graduate Admissions'));
+});
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { enqueueCrawlJob, getJobQueue, isCrawlQueued, queueCrawl } from '../crawler/jobManager.js';
+import { isCrawlActive } from '../crawler/crawlRegistry.js';
+import { getAuditLogPath } from '../crawler/auth/auditLog.js';
+import { setUpBusyQueue } from './helpers.js';
+
+const STARTED_BY = { name: 'admin', via: 'session' };
+
+let baseDir;
+let config;
+
+before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'infinize-crawler-test-'));
+    config = await setUpBusyQueue(baseDir);
+});
+
+after(() => fs.rm(baseDir, { recursive: true, force: true }));
+
+/**
+ * Queues a crawl of a university with the server configuration
+ * @param {string} universityName - University name
+ * @returns {Promise<Object>} enqueueCrawlJob() result
+ */
+function startCrawl(universityName) {
+    return queueCrawl({ config, seedUrl: 'http://127.0.0.1/', universityName, startedBy: STARTED_BY });
+}
+
+test('jobs wait in the queue while the crawl slots are taken', async () => {
+    const { job, position } = await startCrawl('Queued University');
+
+    assert.equal(job.state, 'queued');
+    assert.equal(position, 1);
+    assert.equal(isCrawlQueued('queued-university'), true);
+    assert.equal(isCrawlActive('queued-university'), false);
+});
+
+test('concurrent starts of the same crawl add one job and reject the others', async () => {
+    const results = await Promise.allSettled([
+        startCrawl('Race University'),
+        startCrawl('Race University'),
+        startCrawl('Race University'),
+    ]);
+
+    assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+    for (const result of results.filter((candidate) => candidate.status === 'rejected')) {
+        assert.match(result.reason.message, /race-university is already queued/);
+    }
+
+    const { jobs } = await getJobQueue({ config });
+    assert.equal(jobs.filter((job) => job.crawlId === 'race-university').length, 1);
+
+    // Rejected starts are not written to the audit log
+    const audit = await fs.readFile(getAuditLogPath(config.auth.dir), 'utf8');
+    assert.equal(audit.match(/"crawlId":"race-university"/g).length, 1);
+});
+
+test('a crawl that is already running is not queued again', async () => {
+    await assert.rejects(
+        enqueueCrawlJob({
+            config,
+            crawlConfig: config,
+            seedUrl: 'http://127.0.0.1/',
+            universityName: 'Busy University',
+            outputFormats: ['markdown'],
+            startedBy: STARTED_BY,
+        }),
+        /busy-university is already running/
+    );
+});
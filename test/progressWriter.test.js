@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    initProgress,
+    updateProgress,
+    setProgressStatus,
+    completeProgress,
+    readProgress,
+} from '../crawler/progressWriter.js';
+import { makeTempDir } from './helpers.js';
+
+const UNIVERSITY = 'Example University';
+
+/**
+ * Starts the progress of a crawl in a temporary directory
+ * @param {import('node:test').TestContext} t - Test context
+ * @returns {Promise<{ baseDir: string, universityName: string }>} Progress location
+ */
+async function startProgress(t) {
+    const baseDir = await makeTempDir(t);
+    await initProgress({ baseDir, universityName: UNIVERSITY, seedUrl: 'https://www.example.edu/', status: 'running' });
+    return { baseDir, universityName: UNIVERSITY };
+}
+
+test('a pause written while progress updates are in flight is kept', async (t) => {
+    const location = await startProgress(t);
+
+    await Promise.all([
+        updateProgress({ ...location, pagesProcessed: 1, totalEnqueued: 5, currentUrl: 'https://www.example.edu/a' }),
+        setProgressStatus({ ...location, status: 'paused', onlyFrom: ['starting', 'running'] }),
+        updateProgress({ ...location, pagesProcessed: 2, totalEnqueued: 6, currentUrl: 'https://www.example.edu/b' }),
+    ]);
+
+    const progress = await readProgress(location);
+    assert.equal(progress.status, 'paused');
+    assert.equal(progress.pagesProcessed, 2);
+    assert.equal(progress.totalEnqueued, 6);
+});
+
+test('a status change limited to some statuses leaves other statuses alone', async (t) => {
+    const location = await startProgress(t);
+    await completeProgress({ ...location, pagesProcessed: 3, outputFile: null });
+
+    await setProgressStatus({ ...location, status: 'paused', onlyFrom: ['starting', 'running'] });
+    assert.equal((await readProgress(location)).status, 'completed');
+
+    await setProgressStatus({ ...location, status: 'queued' });
+    assert.equal((await readProgress(location)).status, 'queued');
+});
@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import defaultConfig from '../config/default.config.js';
+import { createPageRecord } from '../crawler/pageRecord.js';
+import { QUALITY_ISSUES, analyzePages, simhash, hammingDistance, writeQualityReport } from '../crawler/qualityReport.js';
+import { readJsonFile } from '../crawler/utils/fileWriter.js';
+import { makeTempDir } from './helpers.js';
+
+const SETTINGS = defaultConfig.quality;
+
+const WORDS = (
+    'students apply online before the priority deadline and submit transcripts test scores essays and two letters ' +
+    'of recommendation the admissions committee reviews every file holistically considering academic preparation ' +
+    'extracurricular involvement leadership service and personal circumstances financial aid applicants should ' +
+    'file the fafsa early because grants scholarships and work study awards are limited campus visits include ' +
+    'guided tours information sessions and meetings with faculty in each academic department'
+).split(' ');
+
+/**
+ * Writes text of a given length from a fixed vocabulary, with words picked
+ * pseudo-randomly so that texts from different seeds share few shingles
+ * @param {number} length - Number of words
+ * @param {number} [seed] - Seed of the word picks
+ * @returns {string}
+ */
+function text(length, seed = 1) {
+    let state = seed;
+    return Array.from({ length }, () => {
+        state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+        return WORDS[(state >>> 16) % WORDS.length];
+    }).join(' ');
+}
+
+/**
+ * Creates a well-formed page: a title, one H1 and content from a main content selector
+ * @param {string} path - URL path
+ * @param {Partial<import('../crawler/pageRecord.js').PageRecord>} [fields] - Fields to override
+ * @returns {import('../crawler/pageRecord.js').PageRecord}
+ */
+function page(path, fields = {}) {
+    const title = fields.title ?? path;
+    return createPageRecord({
+        url: `https://www.example.edu${path}`,
+        title,
+        headings: [{ level: 1, text: title }],
+        mainContent: text(120, [...path].reduce((sum, char) => sum * 31 + char.charCodeAt(0), 7) >>> 0),
+        contentSelector: 'main',
+        ...fields,
+    });
+}
+
+/**
+ * Gets the issues found per URL path
+ * @param {ReturnType<typeof analyzePages>} result - Analysis result
+ * @returns {Object<string, string[]>}
+ */
+function issuesByPath(result) {
+    return Object.fromEntries(result.pages.map((flagged) => [new URL(flagged.url).pathname, flagged.issues]));
+}
+
+test('simhash is stable, and close for texts that differ in a word', () => {
+    const words = text(200).split(' ');
+    const edited = [...words];
+    edited[100] = 'registrar';
+
+    assert.match(simhash(words), /^[0-9a-f]{16}$/);
+    assert.equal(simhash(words), simhash([...words]));
+    assert.equal(hammingDistance(simhash(words), simhash(words)), 0);
+    assert.ok(hammingDistance(simhash(words), simhash(edited)) <= SETTINGS.nearDuplicateDistance);
+    assert.ok(hammingDistance(simhash(words), simhash(text(200, 3).split(' '))) > SETTINGS.nearDuplicateDistance);
+
+    assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+    assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+});
+
+test('pages with the same text are grouped as duplicates of the first one', () => {
+    const content = text(120);
+    const result = analyzePages(
+        [
+            page('/admissions', { mainContent: content }),
+            page('/about'),
+            // Same words, different case, spacing and punctuation
+            page('/admissions/print', { mainContent: `${content.toUpperCase().replace(/ /g, ',  ')}.` }),
+            page('/apply', { mainContent: content }),
+        ],
+        SETTINGS
+    );
+
+    assert.deepEqual(result.duplicateGroups, [
+        {
+            kind: 'duplicate',
+            urls: [
+                'https://www.example.edu/admissions',
+                'https://www.example.edu/admissions/print',
+                'https://www.example.edu/apply',
+            ],
+        },
+    ]);
+    assert.deepEqual(issuesByPath(result), { '/admissions/print': ['duplicate'], '/apply': ['duplicate'] });
+    assert.equal(result.pages[0].duplicateOf, 'https://www.example.edu/admissions');
+    assert.equal(result.summary.byIssue.duplicate, 2);
+    assert.equal(result.summary.byIssue['near-duplicate'], 0);
+});
+
+test('pages whose text differs in a few words are grouped as near duplicates', () => {
+    const words = text(200).split(' ');
+    const edited = [...words];
+    edited[100] = 'registrar';
+    const tail = [...words.slice(0, 199), 'today'];
+
+    const result = analyzePages(
+        [
+            page('/visit', { mainContent: words.join(' ') }),
+            page('/financial-aid', { mainContent: text(200, 11) }),
+            page('/visit-2024', { mainContent: edited.join(' ') }),
+            page('/visit-old', { mainContent: tail.join(' ') }),
+        ],
+        SETTINGS
+    );
+
+    assert.deepEqual(result.duplicateGroups, [
+        {
+            kind: 'near-duplicate',
+            urls: ['https://www.example.edu/visit', 'https://www.example.edu/visit-2024', 'https://www.example.edu/visit-old'],
+        },
+    ]);
+    assert.deepEqual(issuesByPath(result), { '/visit-2024': ['near-duplicate'], '/visit-old': ['near-duplicate'] });
+    assert.ok(result.pages.every((flagged) => flagged.duplicateOf === 'https://www.example.edu/visit'));
+
+    // With no bits allowed to differ, only pages with the same simhash are grouped
+    const strict = analyzePages(
+        [page('/visit', { mainContent: words.join(' ') }), page('/visit-2024', { mainContent: edited.join(' ') })],
+        { ...SETTINGS, nearDuplicateDistance: 0 }
+    );
+    assert.deepEqual(strict.duplicateGroups, []);
+});
+
+test('thin pages are flagged but not compared for near duplicates', () => {
+    const result = analyzePages(
+        [
+            page('/contact', { mainContent: 'Call the admissions office at 555-0100.' }),
+            page('/contact-us', { mainContent: 'Call the admissions office at 555-0199.' }),
+            page('/empty', { mainContent: '' }),
+            page('/about'),
+        ],
+        SETTINGS
+    );
+
+    assert.deepEqual(issuesByPath(result), { '/contact': ['thin'], '/contact-us': ['thin'], '/empty': ['thin'] });
+    assert.equal(result.pages.find((flagged) => flagged.url.endsWith('/contact')).words, 7);
+    assert.deepEqual(result.duplicateGroups, []);
+    assert.deepEqual(result.summary, {
+        pagesAnalyzed: 4,
+        pagesWithIssues: 3,
+        byIssue: { ...Object.fromEntries(QUALITY_ISSUES.map((issue) => [issue, 0])), thin: 3 },
+    });
+});
+
+test('missing titles and H1s, soft 404s and the body fallback are flagged on web pages only', () => {
+    const result = analyzePages(
+        [
+            page('/no-h1', { headings: [{ level: 2, text: 'Programs' }] }),
+            page('/untitled', { title: '  ' }),
+            page('/gone', { title: 'Page Not Found' }),
+            page('/moved', { mainContent: 'Sorry, page not found.' }),
+            page('/body', { contentSelector: null }),
+            page('/catalog.pdf', { title: '', headings: [], contentSelector: undefined, documentType: 'pdf' }),
+        ],
+        SETTINGS
+    );
+
+    assert.deepEqual(issuesByPath(result), {
+        '/no-h1': ['missing-h1'],
+        '/untitled': ['missing-title'],
+        '/gone': ['soft-404'],
+        '/moved': ['thin', 'soft-404'],
+        '/body': ['body-fallback'],
+        '/catalog.pdf': ['missing-title'],
+    });
+});
+
+test('writeQualityReport writes report.json and an escaped report.html', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const { summary, reportFile } = await writeQualityReport({
+        baseDir,
+        universityName: 'Example University',
+        seedUrl: 'https://www.example.edu/',
+        records: [page('/a', { title: '<Admissions & Aid>', contentSelector: null }), page('/b')],
+        settings: SETTINGS,
+    });
+
+    assert.equal(summary.byIssue['body-fallback'], 1);
+    const report = await readJsonFile(reportFile.replace(/\.html$/, '.json'));
+    assert.deepEqual(report.settings, { minWords: SETTINGS.minWords, nearDuplicateDistance: SETTINGS.nearDuplicateDistance });
+    assert.equal(report.pages.length, 1);
+
+    const html = await fs.readFile(reportFile, 'utf8');
+    assert.match(html, /<h2>Body fallback \(1\)<\/h2>/);
+    assert.match(html, /&lt;Admissions &amp; Aid&gt;/);
+    assert.doesNotMatch(html, /<Admissions/);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { createRobotsPolicy, parseRobotsTxt, isPathAllowed } from '../crawler/robots.js';
+import { fixturePath, startFixtureServer } from './helpers.js';
+
+const USER_AGENT = 'InfinizeCrawler';
+
+/**
+ * Serves the fixture robots.txt and returns a policy for the server
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Object} [policyOptions] - Further createRobotsPolicy() options
+ * @returns {Promise<{ origin: string, hits: Map<string, number>, robots: Object }>}
+ */
+async function serveFixture(t, policyOptions = {}) {
+    const body = await fs.readFile(fixturePath('robots.txt'), 'utf8');
+    const server = await startFixtureServer(t, { '/robots.txt': { body } });
+    const robots = createRobotsPolicy({ userAgent: USER_AGENT, fetchTimeoutSecs: 5, ...policyOptions });
+    return { ...server, robots };
+}
+
+test('the most specific user-agent group applies, longest rule first and Allow on a tie', async (t) => {
+    const { origin, robots } = await serveFixture(t);
+
+    assert.equal(await robots.check(`${origin}/admin`), false);
+    assert.equal(await robots.check(`${origin}/admin/users`), false);
+    assert.equal(await robots.check(`${origin}/admin/help`), true);
+    assert.equal(await robots.check(`${origin}/search?q=tuition`), true);
+    assert.equal(await robots.check(`${origin}/courses?session=abc`), false);
+
+    // Rules of the * group do not apply to a crawler with its own group
+    assert.equal(await robots.check(`${origin}/private/records`), true);
+    assert.equal(await robots.check(`${origin}/catalog.pdf`), true);
+});
+
+test('other crawlers fall back to the * group, with wildcards and end anchors', async (t) => {
+    const { origin, robots } = await serveFixture(t, { userAgent: 'SomeBot/2.1' });
+
+    assert.equal(await robots.check(`${origin}/private/records`), false);
+    assert.equal(await robots.check(`${origin}/private/public-page`), true);
+    assert.equal(await robots.check(`${origin}/files/catalog.pdf`), false);
+    assert.equal(await robots.check(`${origin}/files/catalog.pdf?download=1`), true);
+    assert.equal(await robots.check(`${origin}/admin`), true);
+});
+
+test('robots.txt is fetched once per origin and isAllowed() answers only once it is loaded', async (t) => {
+    const { origin, hits, robots } = await serveFixture(t);
+
+    assert.equal(robots.isAllowed(`${origin}/admin`), null);
+    await Promise.all([robots.check(`${origin}/a`), robots.check(`${origin}/b`), robots.check(`${origin}/admin`)]);
+
+    assert.equal(hits.get('/robots.txt'), 1);
+    assert.equal(robots.isAllowed(`${origin}/admin`), false);
+    assert.deepEqual(await robots.getSitemaps(`${origin}/`), ['https://www.example.edu/sitemap.xml']);
+});
+
+test('Crawl-delay is read for the matching group and capped', async (t) => {
+    const { origin, robots } = await serveFixture(t);
+    await robots.load(`${origin}/`);
+    assert.equal(robots.getCrawlDelay(`${origin}/any`), 0.2);
+
+    const other = createRobotsPolicy({ userAgent: 'SomeBot', maxCrawlDelaySecs: 2 });
+    await other.load(`${origin}/`);
+    assert.equal(other.getCrawlDelay(`${origin}/any`), 2);
+});
+
+test('waitForTurn() spaces requests to a host by its Crawl-delay', async (t) => {
+    const { origin, robots } = await serveFixture(t);
+    await robots.load(`${origin}/`);
+
+    const started = Date.now();
+    const times = [];
+    await Promise.all(
+        [1, 2, 3].map(async (page) => {
+            await robots.waitForTurn(`${origin}/page-${page}`);
+            times.push(Date.now() - started);
+        })
+    );
+
+    times.sort((a, b) => a - b);
+    assert.ok(times[0] < 100, `first request waited ${times[0]}ms`);
+    assert.ok(times[1] >= 190, `second request after ${times[1]}ms`);
+    assert.ok(times[2] >= 390, `third request after ${times[2]}ms`);
+});
+
+test('a missing robots.txt (4xx) allows everything', async (t) => {
+    for (const status of [404, 403, 410]) {
+        const { origin } = await startFixtureServer(t, { '/robots.txt': { status } });
+        const robots = createRobotsPolicy({ userAgent: USER_AGENT });
+
+        assert.equal(await robots.check(`${origin}/admin`), true, `status ${status}`);
+        assert.equal(robots.getCrawlDelay(`${origin}/`), null);
+    }
+});
+
+test('an unreachable robots.txt (5xx or network error) disallows everything', async (t) => {
+    for (const status of [500, 503]) {
+        const { origin } = await startFixtureServer(t, { '/robots.txt': { status } });
+        const robots = createRobotsPolicy({ userAgent: USER_AGENT });
+        assert.equal(await robots.check(`${origin}/`), false, `status ${status}`);
+    }
+
+    // Nothing listens on port 9 (discard) here
+    t.mock.method(console, 'error', () => {});
+    const robots = createRobotsPolicy({ userAgent: USER_AGENT, fetchTimeoutSecs: 2 });
+    assert.equal(await robots.check('http://127.0.0.1:9/'), false);
+});
+
+test('parseRobotsTxt() ignores comments, rules before any user-agent and empty Disallow', () => {
+    const robots = parseRobotsTxt('Disallow: /early\n# comment\nUser-agent: *\nDisallow:\nDisallow: /x # trailing\n');
+
+    assert.equal(robots.groups.length, 1);
+    assert.deepEqual(robots.groups[0].rules.map((rule) => rule.path), ['/x']);
+    assert.equal(isPathAllowed(robots, USER_AGENT, '/early'), true);
+    assert.equal(isPathAllowed(robots, USER_AGENT, '/x/y'), false);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { runDueSchedules } from '../crawler/scheduler.js';
+import { createSchedule, readSchedule } from '../crawler/schedules.js';
+import { getJobQueue, queueCrawl } from '../crawler/jobManager.js';
+import { setUpBusyQueue } from './helpers.js';
+
+const SEED_URL = 'http://127.0.0.1/';
+
+let baseDir;
+let config;
+
+before(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'infinize-crawler-test-'));
+    config = await setUpBusyQueue(baseDir);
+});
+
+after(() => fs.rm(baseDir, { recursive: true, force: true }));
+
+/**
+ * Creates an hourly schedule for a university
+ * @param {string} universityName - University name
+ * @returns {Promise<import('../crawler/schedules.js').Schedule>} Schedule
+ */
+function createHourlySchedule(universityName) {
+    return createSchedule(baseDir, { universityName, seedUrl: SEED_URL, intervalMins: 60 }, 'admin');
+}
+
+/**
+ * Gets the time just after a schedule is due
+ * @param {import('../crawler/schedules.js').Schedule} schedule - Schedule
+ * @returns {Date} Time
+ */
+function dueTime(schedule) {
+    return new Date(new Date(schedule.nextRunAt).getTime() + 1000);
+}
+
+/**
+ * Counts the jobs of a crawl in the queue
+ * @param {string} crawlId - Crawl ID
+ * @returns {Promise<number>} Jobs
+ */
+async function countJobs(crawlId) {
+    const { jobs } = await getJobQueue({ config });
+    return jobs.filter((job) => job.crawlId === crawlId).length;
+}
+
+test('a due schedule queues its crawl and moves to the next run', async () => {
+    const schedule = await createHourlySchedule('Scheduled University');
+    const now = dueTime(schedule);
+
+    const [run] = await runDueSchedules({ config, now });
+
+    assert.equal(run.outcome, 'queued');
+    assert.ok(run.jobId);
+    assert.equal(await countJobs('scheduled-university'), 1);
+
+    const stored = await readSchedule(baseDir, schedule.scheduleId);
+    assert.deepEqual(stored.runs, [run]);
+    assert.equal(stored.lastRunAt, now.toISOString());
+    assert.equal(stored.nextRunAt, new Date(now.getTime() + 60 * 60 * 1000).toISOString());
+});
+
+test('a run is skipped while the previous crawl is still queued', async () => {
+    const schedule = await createHourlySchedule('Waiting University');
+    await queueCrawl({ config, seedUrl: SEED_URL, universityName: 'Waiting University', startedBy: { name: 'admin' } });
+
+    const [run] = await runDueSchedules({ config, now: dueTime(schedule) });
+
+    assert.equal(run.outcome, 'skipped');
+    assert.match(run.reason, /still in progress/);
+    assert.equal(await countJobs('waiting-university'), 1);
+});
+
+test('a run and a manual start of the same crawl at the same moment queue one job', async () => {
+    const schedule = await createHourlySchedule('Contended University');
+
+    const [[run], manual] = await Promise.all([
+        runDueSchedules({ config, now: dueTime(schedule) }),
+        queueCrawl({ config, seedUrl: SEED_URL, universityName: 'Contended University', startedBy: { name: 'admin' } }).then(
+            (result) => result,
+            (error) => error
+        ),
+    ]);
+
+    assert.equal(await countJobs('contended-university'), 1);
+    if (manual instanceof Error) {
+        assert.match(manual.message, /contended-university is already queued/);
+        assert.equal(run.outcome, 'queued');
+    } else {
+        assert.notEqual(run.outcome, 'queued');
+        assert.match(run.reason, /still in progress|already queued/);
+    }
+});
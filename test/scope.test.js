@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import defaultConfig from '../config/default.config.js';
+import { compilePattern, createScope, mergeScope, validateScopeOptions } from '../crawler/scope.js';
+import { mergeConfig, toSerializableConfig } from '../crawler/config.js';
+
+const SEED_URL = 'https://www.example.edu/';
+
+/**
+ * Tests a pattern against a URL
+ * @param {string|RegExp} pattern - Scope pattern
+ * @param {string} url - URL
+ * @returns {boolean}
+ */
+function matches(pattern, url) {
+    return compilePattern(pattern)(new URL(url));
+}
+
+/**
+ * Creates a scope checker over the default scope
+ * @param {Partial<import('../crawler/scope.js').ScopeOptions>} overrides - Scope overrides
+ */
+function scopeWith(overrides) {
+    return createScope({ seedUrl: SEED_URL, scope: mergeScope(defaultConfig.scope, overrides) });
+}
+
+test('path globs match the URL path, whatever their last segment', () => {
+    assert.equal(matches('/admissions/apply', 'https://www.example.edu/admissions/apply'), true);
+    assert.equal(matches('/admissions/apply', 'https://www.example.edu/admissions/apply/now'), false);
+    assert.equal(matches('/news/events', 'https://www.example.edu/news/events'), true);
+    assert.equal(matches('/about/mission', 'https://www.example.edu/about/mission'), true);
+
+    // A trailing slash is part of the path, not a regex delimiter
+    assert.equal(matches('/admissions/', 'https://www.example.edu/admissions/'), true);
+    assert.equal(matches('/admissions/', 'https://www.example.edu/news/admissions/info'), false);
+});
+
+test('glob wildcards: ** across segments, * within one, ? one character', () => {
+    assert.equal(matches('/admissions/**', 'https://www.example.edu/admissions'), true);
+    assert.equal(matches('/admissions/**', 'https://www.example.edu/admissions/grad/apply'), true);
+    assert.equal(matches('/admissions/**', 'https://www.example.edu/admissions-office'), false);
+    assert.equal(matches('/news/*/index.html', 'https://www.example.edu/news/2024/index.html'), true);
+    assert.equal(matches('/news/*/index.html', 'https://www.example.edu/news/2024/06/index.html'), false);
+    assert.equal(matches('/page?', 'https://www.example.edu/page2'), true);
+    assert.equal(matches('/search*', 'https://www.example.edu/search?q=biology'), true);
+    assert.equal(matches('https://*.example.edu/**', 'https://grad.example.edu/programs'), true);
+    assert.equal(matches('/ADMISSIONS/**', 'https://www.example.edu/admissions/visit'), true);
+});
+
+test('re: patterns and RegExps match the full URL', () => {
+    assert.equal(matches('re:/\\/(fall|spring)-\\d{4}\\//', 'https://www.example.edu/fall-2024/schedule'), true);
+    assert.equal(matches('re:/\\.PDF$/i', 'https://www.example.edu/catalog.pdf'), true);
+    assert.equal(matches('re:/\\.PDF$/', 'https://www.example.edu/catalog.pdf'), false);
+    assert.equal(matches(/^https:\/\/www\.example\.edu\/news\//, 'https://www.example.edu/news/today'), true);
+
+    assert.throws(() => compilePattern('re:admissions'), /re:\/source\/flags/);
+    assert.throws(() => compilePattern('re:/admissions/g'), /re:\/source\/flags/);
+    assert.throws(() => compilePattern('re:/(unclosed/'), /Invalid regular expression/);
+});
+
+test('RegExp patterns survive a config round trip through JSON', () => {
+    const config = mergeConfig(defaultConfig, { scope: { includePatterns: [/\/admissions\//gi] } });
+    const { scope } = toSerializableConfig(config);
+
+    assert.deepEqual(scope.includePatterns, ['re:/\\/admissions\\//i']);
+    assert.ok(scope.excludePatterns.every((pattern) => pattern.startsWith('re:/')));
+
+    const reloaded = createScope({ seedUrl: SEED_URL, scope });
+    assert.equal(reloaded.check('https://www.example.edu/ADMISSIONS/apply'), null);
+    assert.equal(reloaded.check('https://www.example.edu/files/archive.zip'), 'excluded');
+});
+
+test('include and exclude patterns limit a crawl to one section', () => {
+    const scope = scopeWith({ includePatterns: ['/admissions/**'], excludePatterns: ['/admissions/archive/**'] });
+
+    assert.equal(scope.check('https://www.example.edu/admissions/apply'), null);
+    assert.equal(scope.check('https://www.example.edu/news/admissions/info'), 'not-included');
+    assert.equal(scope.check('https://www.example.edu/admissions/archive/2019'), 'excluded');
+    // Configured exclusions still apply
+    assert.equal(scope.check('https://www.example.edu/admissions/forms.zip'), 'excluded');
+});
+
+test('depth, hosts and subdomains', () => {
+    const scope = scopeWith({ maxDepth: 2, allowedSubdomains: ['grad'] });
+
+    assert.equal(scope.check('https://www.example.edu/a', 2), null);
+    assert.equal(scope.check('https://www.example.edu/a', 3), 'max-depth');
+    assert.equal(scope.check('https://grad.example.edu/programs', 1), null);
+    assert.equal(scope.check('https://example.edu/programs', 1), null);
+    assert.equal(scope.check('https://law.example.edu/', 1), 'subdomain');
+    assert.equal(scope.check('https://www.other.edu/', 1), 'external');
+    assert.equal(scope.check('mailto:admissions@example.edu'), 'invalid-url');
+
+    // Without a depth limit any depth is in scope
+    assert.equal(scopeWith({}).check('https://law.example.edu/deep', 50), null);
+});
+
+test('scope options are validated and merged over the configured scope', () => {
+    assert.deepEqual(validateScopeOptions({ maxDepth: 0, maxPages: 100, includePatterns: ['/admissions/apply'] }), []);
+    assert.deepEqual(validateScopeOptions({ maxPages: 0, timeBudgetMins: 1.5 }), [
+        'scope.maxPages must be a positive integer',
+        'scope.timeBudgetMins must be a positive integer',
+    ]);
+    assert.deepEqual(validateScopeOptions({ maxDepth: -1 }), ['scope.maxDepth must be a non-negative integer']);
+    assert.match(validateScopeOptions({ excludePatterns: ['re:/[/'] })[0], /^scope\.excludePatterns has an invalid pattern "re:\/\[\/"/);
+    assert.deepEqual(validateScopeOptions('everything'), ['scope must be an object']);
+
+    const merged = mergeScope(defaultConfig.scope, { maxPages: 25, maxDepth: null, excludePatterns: ['/news/**'] });
+    assert.equal(merged.maxPages, 25);
+    assert.equal(merged.maxDepth, defaultConfig.scope.maxDepth);
+    assert.deepEqual(merged.excludePatterns, [...defaultConfig.scope.excludePatterns, '/news/**']);
+});
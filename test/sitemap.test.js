@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { discoverSitemapUrls } from '../crawler/sitemap.js';
+import { startFixtureServer } from './helpers.js';
+
+const USER_AGENT = 'InfinizeCrawler';
+
+/**
+ * Writes a sitemap or sitemap index
+ * @param {'urlset'|'sitemapindex'} type - Root element
+ * @param {Array<{ loc: string, priority?: number, lastmod?: string }>} entries - Entries
+ * @returns {string} XML
+ */
+function sitemapXml(type, entries) {
+    const tag = type === 'sitemapindex' ? 'sitemap' : 'url';
+    const blocks = entries.map(({ loc, priority, lastmod }) =>
+        [
+            `<${tag}><loc>${loc}</loc>`,
+            lastmod ? `<lastmod>${lastmod}</lastmod>` : '',
+            priority !== undefined ? `<priority>${priority}</priority>` : '',
+            `</${tag}>`,
+        ].join('')
+    );
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<${type} xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${blocks.join('\n')}</${type}>`;
+}
+
+test('a sitemap index is expanded, gzip sitemaps included, and URLs ordered by priority', async (t) => {
+    const routes = {};
+    const { origin, hits } = await startFixtureServer(t, routes);
+
+    routes['/sitemap_index.xml'] = {
+        body: sitemapXml('sitemapindex', [
+            { loc: `${origin}/sitemap-pages.xml` },
+            { loc: `${origin}/sitemap-news.xml.gz` },
+            // Listed twice; fetched once
+            { loc: `${origin}/sitemap-pages.xml` },
+        ]),
+    };
+    routes['/sitemap-pages.xml'] = {
+        body: sitemapXml('urlset', [
+            { loc: `${origin}/about`, priority: 0.3 },
+            { loc: `${origin}/admissions`, priority: 0.9 },
+        ]),
+    };
+    routes['/sitemap-news.xml.gz'] = {
+        body: zlib.gzipSync(
+            sitemapXml('urlset', [
+                { loc: `${origin}/news/old`, lastmod: '2024-01-01' },
+                { loc: `${origin}/news/new`, lastmod: '2024-06-01' },
+                { loc: `${origin}/about`, priority: 1.0 },
+            ])
+        ),
+        headers: { 'Content-Type': 'application/octet-stream' },
+    };
+
+    const entries = await discoverSitemapUrls(`${origin}/`, { userAgent: USER_AGENT });
+
+    assert.deepEqual(
+        entries.map((entry) => entry.loc.slice(origin.length)),
+        ['/admissions', '/news/new', '/news/old', '/about']
+    );
+    // The first listing of a URL is kept
+    assert.equal(entries.find((entry) => entry.loc === `${origin}/about`).priority, 0.3);
+    assert.equal(hits.get('/sitemap-pages.xml'), 1);
+});
+
+test('sitemaps larger than maxSitemapBytes are skipped, compressed or once gunzipped', async (t) => {
+    const routes = {};
+    const { origin } = await startFixtureServer(t, routes);
+    const maxSitemapBytes = 64 * 1024;
+
+    // Highly compressible: a small download that expands past the limit
+    const padding = `<!-- ${'x'.repeat(maxSitemapBytes * 4)} -->`;
+    const bomb = zlib.gzipSync(sitemapXml('urlset', [{ loc: `${origin}/bomb` }]) + padding);
+    assert.ok(bomb.length < maxSitemapBytes);
+
+    routes['/sitemap_index.xml'] = {
+        body: sitemapXml('sitemapindex', [
+            { loc: `${origin}/bomb.xml.gz` },
+            { loc: `${origin}/large.xml` },
+            { loc: `${origin}/streamed.xml` },
+            { loc: `${origin}/small.xml` },
+        ]),
+    };
+    routes['/bomb.xml.gz'] = { body: bomb };
+    routes['/large.xml'] = { body: sitemapXml('urlset', [{ loc: `${origin}/large` }]) + padding };
+    // Chunked, without a Content-Length
+    routes['/streamed.xml'] = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.write(sitemapXml('urlset', [{ loc: `${origin}/streamed` }]));
+        res.end(padding);
+    };
+    routes['/small.xml'] = { body: sitemapXml('urlset', [{ loc: `${origin}/small` }]) };
+
+    const entries = await discoverSitemapUrls(`${origin}/`, { userAgent: USER_AGENT, maxSitemapBytes });
+
+    assert.deepEqual(
+        entries.map((entry) => entry.loc),
+        [`${origin}/small`]
+    );
+});
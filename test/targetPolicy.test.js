@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTargetPolicy, isBlockedAddress } from '../crawler/targetPolicy.js';
+import { startFixtureServer } from './helpers.js';
+
+// A public address, as a DNS-rebinding host answers the first lookup
+const PUBLIC_ADDRESS = '93.184.215.14';
+
+test('documentation, site-local and 6to4 addresses of private networks are blocked', () => {
+    for (const address of [
+        '192.0.2.10',
+        '198.51.100.7',
+        '203.0.113.200',
+        '2001:db8::1',
+        'fec0::1',
+        '2002:7f00:1::1', // 6to4 of 127.0.0.1
+        '2002:a9fe:a9fe::', // 6to4 of 169.254.169.254
+        '::ffff:10.0.0.1',
+        '64:ff9b::c0a8:101',
+    ]) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+
+    for (const address of [PUBLIC_ADDRESS, '2002:5db8:d70e::1', '2606:4700::1111']) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+test('hosts that do not resolve are refused and looked up again next time', async () => {
+    let lookups = 0;
+    const policy = createTargetPolicy({
+        lookupFn: async () => {
+            lookups++;
+            if (lookups === 1) {
+                throw Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+            }
+            return [{ address: PUBLIC_ADDRESS, family: 4 }];
+        },
+    });
+
+    assert.equal(await policy.getViolation('https://www.example.edu/'), 'www.example.edu could not be resolved');
+    assert.equal(policy.isAllowed('https://www.example.edu/'), null);
+    assert.equal(await policy.check('https://www.example.edu/'), true);
+    assert.equal(lookups, 2);
+});
+
+test('fetch connects through the policy resolver, not the address the check saw', async (t) => {
+    const { origin, hits } = await startFixtureServer(t, { '/robots.txt': { body: 'User-agent: *' } });
+    const { port } = new URL(origin);
+
+    // The check sees a public address; connecting resolves localhost again, to 127.0.0.1
+    const policy = createTargetPolicy({ lookupFn: async () => [{ address: PUBLIC_ADDRESS, family: 4 }] });
+    const url = `http://localhost:${port}/robots.txt`;
+    assert.equal(await policy.check(url), true);
+
+    await assert.rejects(policy.fetch(url), (error) => error.cause?.code === 'ETARGETBLOCKED');
+    assert.equal(hits.size, 0);
+});
+
+test('fetch checks each redirect against the allowed domains', async (t) => {
+    const { origin } = await startFixtureServer(t, {
+        '/sitemap.xml': { status: 301, headers: { Location: 'http://elsewhere.example.com/sitemap.xml' } },
+    });
+    const { port } = new URL(origin);
+    const policy = createTargetPolicy({ allowedDomains: ['localhost'], blockPrivateAddresses: false });
+
+    await assert.rejects(
+        policy.fetch(`http://localhost:${port}/sitemap.xml`),
+        /Target not allowed: elsewhere\.example\.com is not in targets\.allowedDomains/
+    );
+});
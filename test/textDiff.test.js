@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, formatDiff } from '../crawler/utils/textDiff.js';
+
+/**
+ * Writes diff lines compactly, one "<type><text>" string per line
+ * @param {import('../crawler/utils/textDiff.js').DiffLine[]} lines - Diff lines
+ * @returns {string[]}
+ */
+function compact(lines) {
+    return lines.map((line) => `${line.type}${line.text}`);
+}
+
+test('diffLines keeps common lines and marks removed and added ones', () => {
+    const lines = diffLines('Admissions\nApply by March 1\nVisit us\nContact', 'Admissions\nApply by April 15\nVisit us\nContact\nFAQ');
+
+    assert.deepEqual(compact(lines), [' Admissions', '-Apply by March 1', '+Apply by April 15', ' Visit us', ' Contact', '+FAQ']);
+});
+
+test('diffLines finds the longest common subsequence, not just a common prefix and suffix', () => {
+    const lines = diffLines('a\nb\nc\nd\ne', 'b\nc\nx\ne\nf');
+
+    assert.deepEqual(compact(lines), ['-a', ' b', ' c', '-d', '+x', ' e', '+f']);
+    // Either side can be rebuilt from the diff
+    assert.equal(lines.filter((line) => line.type !== '+').map((line) => line.text).join('\n'), 'a\nb\nc\nd\ne');
+    assert.equal(lines.filter((line) => line.type !== '-').map((line) => line.text).join('\n'), 'b\nc\nx\ne\nf');
+});
+
+test('diffLines handles identical, empty and one-sided texts', () => {
+    assert.deepEqual(compact(diffLines('same\ntext', 'same\ntext')), [' same', ' text']);
+    assert.deepEqual(compact(diffLines('', 'new page')), ['-', '+new page']);
+    assert.deepEqual(compact(diffLines('one\ntwo', 'one')), [' one', '-two']);
+});
+
+test('diffLines gives up when more than maxLines differ on a side', () => {
+    const oldText = ['header', ...Array.from({ length: 10 }, (_, i) => `old ${i}`), 'footer'].join('\n');
+    const newText = ['header', ...Array.from({ length: 10 }, (_, i) => `new ${i}`), 'footer'].join('\n');
+
+    assert.equal(diffLines(oldText, newText, { maxLines: 9 }), null);
+    assert.equal(diffLines(oldText, newText, { maxLines: 10 }).length, 22);
+    // Common lines around the change do not count towards the limit
+    assert.notEqual(diffLines(`${oldText}\nsame`, `${oldText}\nother`, { maxLines: 1 }), null);
+});
+
+test('formatDiff shows context around changes and elides the rest with @@', () => {
+    const oldText = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`).join('\n');
+    const newText = oldText.replace('line 2', 'line two').replace('line 11', 'line eleven');
+
+    assert.equal(
+        formatDiff(diffLines(oldText, newText)),
+        [
+            '  line 1',
+            '- line 2',
+            '+ line two',
+            '  line 3',
+            '  line 4',
+            '@@',
+            '  line 9',
+            '  line 10',
+            '- line 11',
+            '+ line eleven',
+            '  line 12',
+        ].join('\n')
+    );
+    assert.equal(
+        formatDiff(diffLines(oldText, newText), { context: 0 }),
+        ['- line 2', '+ line two', '@@', '- line 11', '+ line eleven'].join('\n')
+    );
+});
+
+test('formatDiff returns an empty string when nothing changed', () => {
+    assert.equal(formatDiff(diffLines('a\nb', 'a\nb')), '');
+    assert.equal(formatDiff([]), '');
+});
@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { createFormatWriters } from '../crawler/writers/index.js';
+import { createMarkdownWriter } from '../crawler/writers/markdownWriter.js';
+import { getSingleFilePath } from '../crawler/singleFileFormatter.js';
+import { validatePageRecord } from '../crawler/pageRecord.js';
+import { makeTempDir, readJsonFixture } from './helpers.js';
+
+const UNIVERSITY = 'Example University';
+const SEED_URL = 'https://www.example.edu/';
+
+/**
+ * Writes the fixture record in every format and reads back what was written
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Object[]} records - Page records to write
+ * @returns {Promise<{ files: Object<string, string>, manifest: Object }>} First file of each format, and the manifest
+ */
+async function writeRecords(t, records) {
+    const baseDir = await makeTempDir(t);
+    const writers = createFormatWriters({
+        baseDir,
+        universityName: UNIVERSITY,
+        seedUrl: SEED_URL,
+        formats: ['markdown', 'json', 'html', 'links'],
+        markdown: { maxContentChars: null, truncateAt: 'section' },
+    });
+
+    await writers.init();
+    for (const record of records) {
+        await writers.writePage(record);
+    }
+    const manifestPath = await writers.finalize({ pagesProcessed: records.length });
+    const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+
+    const files = {};
+    for (const { format, path: filePath } of manifest.files) {
+        files[format] ??= await fs.readFile(filePath, 'utf8');
+    }
+    return { files, manifest };
+}
+
+test('fixture record matches the page record schema', async () => {
+    const record = await readJsonFixture('pageRecord.json');
+    assert.deepEqual(validatePageRecord(record), []);
+});
+
+test('json writer writes the record unchanged', async (t) => {
+    const record = await readJsonFixture('pageRecord.json');
+    const { files, manifest } = await writeRecords(t, [record]);
+
+    assert.deepEqual(JSON.parse(files.json), record);
+    assert.match(manifest.files.find((file) => file.format === 'json').path, /json[\\/]admissions-apply\.json$/);
+});
+
+test('markdown writer writes the header, page section, content and internal links', async (t) => {
+    const record = await readJsonFixture('pageRecord.json');
+    const { files } = await writeRecords(t, [record]);
+    const markdown = files.markdown;
+
+    assert.match(markdown, /^# Example University\n/);
+    assert.match(markdown, /\*\*Seed URL:\*\* https:\/\/www\.example\.edu\//);
+    assert.match(markdown, /\*\*Pages Crawled:\*\* 1\n/);
+    assert.match(markdown, /\n## Apply to Example University\n/);
+    assert.match(markdown, /\*\*URL:\*\* https:\/\/www\.example\.edu\/admissions\/apply\n/);
+    assert.match(markdown, /\*\*Crawled:\*\* 2024-01-15T10:30:00\.000Z\n/);
+    assert.match(markdown, /\n> How to apply for undergraduate admission\.\n/);
+
+    // The page's own headings nest under its section heading
+    assert.match(markdown, /\n### Apply to Example University\n/);
+    assert.match(markdown, /\n#### Deadlines\n/);
+    assert.match(markdown, /Early action closes \*\*November 1\*\*/);
+
+    assert.match(markdown, /- \[Visit campus\]\(https:\/\/www\.example\.edu\/admissions\/visit\)/);
+    assert.match(markdown, /- \[Tuition\]\(https:\/\/www\.example\.edu\/tuition\)/);
+    assert.doesNotMatch(markdown, /commonapp/);
+    assert.doesNotMatch(markdown, /TEMP_HEADER/);
+});
+
+test('markdown header is regenerated each time the file is finalized', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const record = await readJsonFixture('pageRecord.json');
+    const options = { baseDir, universityName: UNIVERSITY, seedUrl: SEED_URL, markdown: { maxContentChars: null, truncateAt: 'section' } };
+
+    const writer = createMarkdownWriter(options);
+    await writer.init();
+    await writer.writePage(record);
+    const [filePath] = await writer.finalize({ pagesProcessed: 1 });
+
+    // A retry of failed pages resumes the file and finalizes it again with the new total
+    const retry = createMarkdownWriter(options);
+    await retry.init({ resume: true });
+    await retry.writePage({ ...record, url: 'https://www.example.edu/admissions/visit', title: 'Visit Campus' });
+    await retry.finalize({ pagesProcessed: 2 });
+
+    const markdown = await fs.readFile(filePath, 'utf8');
+    assert.match(markdown, /^# Example University\n/);
+    assert.match(markdown, /\*\*Pages Crawled:\*\* 2\n/);
+    assert.equal(markdown.match(/\*\*Pages Crawled:\*\*/g).length, 1);
+    assert.match(markdown, /\n## Apply to Example University\n[\s\S]*\n## Visit Campus\n/);
+});
+
+test('markdown header replaces the placeholder and headers of files written before the header marker', async (t) => {
+    const baseDir = await makeTempDir(t);
+    const filePath = getSingleFilePath(baseDir, UNIVERSITY);
+    const body = '## Apply to Example University\n\nContent\n\n---\n\n';
+    const legacyHeaders = [
+        '<!-- TEMP_HEADER: This will be replaced with final stats -->\n\n',
+        `# ${UNIVERSITY}\n\n**Seed URL:** ${SEED_URL}\n**Pages Crawled:** 1\n**Generated:** 2024-01-15T10:30:00.000Z\n\n---\n\n`,
+    ];
+
+    for (const legacyHeader of legacyHeaders) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, legacyHeader + body, 'utf8');
+
+        const writer = createMarkdownWriter({ baseDir, universityName: UNIVERSITY, seedUrl: SEED_URL, markdown: {} });
+        await writer.init({ resume: true });
+        await writer.finalize({ pagesProcessed: 3 });
+
+        const markdown = await fs.readFile(filePath, 'utf8');
+        assert.match(markdown, /^# Example University\n\n\*\*Seed URL:\*\* https:\/\/www\.example\.edu\/\n\*\*Pages Crawled:\*\* 3\n/);
+        assert.ok(markdown.endsWith(body));
+        assert.doesNotMatch(markdown, /TEMP_HEADER|Pages Crawled:\*\* 1/);
+    }
+});
+
+test('markdown writer falls back to the heading outline and plain text without Markdown content', async (t) => {
+    const { mainContentMarkdown, ...record } = await readJsonFixture('pageRecord.json');
+    const { files } = await writeRecords(t, [record]);
+
+    assert.match(files.markdown, /### Headings\n\n- Apply to Example University\n {2}- Deadlines\n/);
+    assert.match(files.markdown, /### Content\n\nApply to Example University\nDeadlines\n/);
+});
+
+test('html writer escapes the record and lists only internal links', async (t) => {
+    const record = await readJsonFixture('pageRecord.json');
+    const { files } = await writeRecords(t, [record]);
+    const html = files.html;
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<html lang="en">/);
+    assert.match(html, /<title>Apply to Example University \| Example University<\/title>/);
+    assert.match(html, /<h1>Apply to Example University<\/h1>/);
+    assert.match(html, /<blockquote>How to apply for undergraduate admission\.<\/blockquote>/);
+    assert.match(html, /<strong>H1<\/strong> Apply to Example University/);
+    assert.match(html, /<strong>H2<\/strong> Deadlines/);
+    assert.match(html, /November 1 &amp; regular decision &lt;January 15&gt;\./);
+    assert.match(html, /<a href="https:\/\/www\.example\.edu\/admissions\/visit">Visit campus<\/a>/);
+    assert.doesNotMatch(html, /commonapp/);
+});
+
+test('links writer aggregates links across pages', async (t) => {
+    const record = await readJsonFixture('pageRecord.json');
+    const second = {
+        ...record,
+        url: 'https://www.example.edu/admissions/visit',
+        links: [{ href: 'https://www.example.edu/tuition', text: 'Cost', rel: '', isInternal: true }],
+    };
+    const { files } = await writeRecords(t, [record, second]);
+    const inventory = JSON.parse(files.links);
+
+    assert.equal(inventory.universityName, UNIVERSITY);
+    assert.equal(inventory.seedUrl, SEED_URL);
+    assert.equal(inventory.totalLinks, 3);
+    assert.equal(inventory.internalLinks, 2);
+    assert.deepEqual(
+        inventory.links.map((link) => link.url),
+        [
+            'https://apply.commonapp.org/',
+            'https://www.example.edu/admissions/visit',
+            'https://www.example.edu/tuition',
+        ]
+    );
+    assert.deepEqual(inventory.links[2], {
+        url: 'https://www.example.edu/tuition',
+        isInternal: true,
+        texts: ['Tuition', 'Cost'],
+        foundOn: ['https://www.example.edu/admissions/apply', 'https://www.example.edu/admissions/visit'],
+    });
+});
+
+test('invalid records are written in no format', async (t) => {
+    const record = await readJsonFixture('pageRecord.json');
+    const { files, manifest } = await writeRecords(t, [{ ...record, headings: { h1: ['Apply'] } }]);
+
+    assert.equal(manifest.files.some((file) => file.format === 'json' || file.format === 'html'), false);
+    assert.doesNotMatch(files.markdown, /## Apply to Example University/);
+    assert.equal(JSON.parse(files.links).totalLinks, 0);
+});